@@ -0,0 +1,111 @@
+import { EventEmitter } from 'events';
+import request from 'supertest';
+import { getYDoc } from 'y-websocket/bin/utils';
+import { app, server } from '../server';
+import Y from '../collab/yjs.js';
+import { docs, persistDocument } from '../collab/documents.js';
+import { trackConnection } from '../collab/connections.js';
+import { createUser } from './helpers.js';
+
+describe('Activity log', () => {
+  let owner;
+  let editor;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+  });
+
+  beforeAll(async () => {
+    owner = await createUser();
+    editor = await createUser();
+
+    const noteRes = await as(owner).post('/api/notes', { title: 'Roadmap', content: 'Q1' });
+    noteId = noteRes.body.note_id;
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: editor.user_id, role: 'editor' });
+    await as(editor).put(`/api/notes/${noteId}`, { title: 'Roadmap 2027', content: 'Q1' });
+  });
+
+  it('should list what happened to a note, newest first', async () => {
+    const res = await as(editor).get(`/api/notes/${noteId}/activity`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.activity.map(entry => entry.type)).toEqual(['note.updated', 'note.shared', 'note.created']);
+
+    const [updated, shared] = res.body.activity;
+    expect(updated.actor).toEqual({ user_id: editor.user_id, username: editor.username });
+    expect(updated.details).toEqual({ fields: ['title'] });
+    expect(shared.target_user).toEqual({ user_id: editor.user_id, username: editor.username });
+    expect(shared.details).toEqual({ role: 'editor' });
+  });
+
+  it('should filter by type and paginate', async () => {
+    const filteredRes = await as(owner).get(`/api/notes/${noteId}/activity?type=note.created,note.shared`);
+    expect(filteredRes.body.activity.map(entry => entry.type)).toEqual(['note.shared', 'note.created']);
+
+    const firstRes = await as(owner).get(`/api/notes/${noteId}/activity?limit=2`);
+    expect(firstRes.body.activity).toHaveLength(2);
+    expect(firstRes.body.nextCursor).toBeTruthy();
+
+    const secondRes = await as(owner).get(`/api/notes/${noteId}/activity?limit=2&cursor=${firstRes.body.nextCursor}`);
+    expect(secondRes.body.activity.map(entry => entry.type)).toEqual(['note.created']);
+    expect(secondRes.body.nextCursor).toBeNull();
+
+    expect((await as(owner).get(`/api/notes/${noteId}/activity?type=note.exploded`)).statusCode).toEqual(400);
+    expect((await as(owner).get(`/api/notes/${noteId}/activity?cursor=nope`)).statusCode).toEqual(400);
+  });
+
+  it('should only show a note\'s activity to its collaborators', async () => {
+    const outsider = await createUser();
+    expect((await as(outsider).get(`/api/notes/${noteId}/activity`)).statusCode).toEqual(404);
+  });
+
+  it('should include account events and events about the user in the personal feed', async () => {
+    await as(editor).post('/api/users/update-password', { currentPassword: 'testPassword123!', newPassword: 'newPassword456!' });
+
+    const res = await as(editor).get('/api/users/me/activity');
+    const types = res.body.activity.map(entry => entry.type);
+
+    expect(types).toEqual(['user.password_changed', 'note.updated', 'note.shared', 'user.logged_in', 'user.registered']);
+    expect(res.body.activity.find(entry => entry.type === 'note.shared').actor.user_id).toEqual(owner.user_id);
+
+    const ownerRes = await as(owner).get('/api/users/me/activity?type=user.password_changed');
+    expect(ownerRes.body.activity).toEqual([]);
+  });
+
+  it('should record who edited the live document when it is persisted', async () => {
+    const ydoc = getYDoc(String(noteId));
+    await ydoc.whenLoaded;
+
+    const ws = new EventEmitter();
+    trackConnection(String(noteId), ws, editor, 'editor');
+
+    const clientDoc = new Y.Doc();
+    clientDoc.getText('content').insert(0, 'Q2 ');
+    Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(clientDoc), ws);
+
+    try {
+      await persistDocument(String(noteId), ydoc);
+      // Nothing changed since, so nothing more is logged
+      await persistDocument(String(noteId), ydoc);
+    } finally {
+      ws.emit('close');
+      docs.delete(String(noteId));
+      ydoc.destroy();
+      clientDoc.destroy();
+    }
+
+    const res = await as(owner).get(`/api/notes/${noteId}/activity?type=note.edited`);
+    expect(res.body.activity).toHaveLength(1);
+    expect(res.body.activity[0]).toEqual(expect.objectContaining({
+      actor: { user_id: editor.user_id, username: editor.username },
+      details: { contributors: [editor.user_id] },
+    }));
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,127 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { createUser } from './helpers.js';
+
+describe('Categories', () => {
+  let user;
+  let other;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${someone.token}`),
+  });
+
+  const createCategory = async (name, parentId = null) =>
+    (await as(user).post('/api/categories', { name, parent_id: parentId })).body.category_id;
+
+  beforeAll(async () => {
+    user = await createUser();
+    other = await createUser();
+  });
+
+  it('should keep categories private to their owner', async () => {
+    const categoryId = await createCategory('Private');
+
+    const listRes = await as(other).get('/api/categories');
+    expect(listRes.body).toEqual([]);
+
+    const renameRes = await as(other).put(`/api/categories/${categoryId}`, { name: 'Mine now' });
+    expect(renameRes.statusCode).toEqual(404);
+
+    const noteRes = await as(other).post('/api/notes', { title: 'Sneaky', content: 'Text', category_id: categoryId });
+    expect(noteRes.statusCode).toEqual(400);
+  });
+
+  it('should no longer create categories from a category name', async () => {
+    const res = await as(user).post('/api/notes', { title: 'Note', content: 'Text', category_id: 'Brand new' });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should nest categories into a tree and refuse cycles', async () => {
+    const projects = await createCategory('Projects');
+    const web = await createCategory('Web', projects);
+    const api = await createCategory('API', web);
+
+    const treeRes = await as(user).get('/api/categories/tree');
+    const projectsNode = treeRes.body.find(node => node.category_id === projects);
+    expect(projectsNode.children[0].children[0]).toHaveProperty('name', 'API');
+
+    const cycleRes = await as(user).put(`/api/categories/${projects}/move`, { parent_id: api });
+    expect(cycleRes.statusCode).toEqual(400);
+
+    const moveRes = await as(user).put(`/api/categories/${api}/move`, { parent_id: null });
+    expect(moveRes.statusCode).toEqual(200);
+    expect(moveRes.body).toHaveProperty('parent_id', null);
+  });
+
+  it('should file notes per user', async () => {
+    const work = await createCategory('Work');
+    const noteRes = await as(user).post('/api/notes', { title: 'Shared', content: 'Text', category_id: work });
+    const noteId = noteRes.body.note_id;
+
+    await db.userNotes.create({ note_id: noteId, user_id: other.user_id, is_creator: false, role: 'viewer' });
+
+    const otherNoteRes = await as(other).get(`/api/notes/${noteId}`);
+    expect(otherNoteRes.body).toHaveProperty('category_id', null);
+
+    const otherCategoryRes = await as(other).post('/api/categories', { name: 'Inbox' });
+    const moveRes = await as(other).put(`/api/notes/${noteId}/move`, { category_id: otherCategoryRes.body.category_id });
+    expect(moveRes.statusCode).toEqual(200);
+
+    const ownNoteRes = await as(user).get(`/api/notes/${noteId}`);
+    expect(ownNoteRes.body).toHaveProperty('category_id', work);
+  });
+
+  it('should only record a move that changes the category', async () => {
+    const work = await createCategory('Errands');
+    const noteId = (await as(user).post('/api/notes', { title: 'List', content: 'Text' })).body.note_id;
+    const categorized = async () =>
+      (await as(user).get(`/api/notes/${noteId}/activity?type=note.categorized`)).body.activity;
+
+    expect((await as(user).put(`/api/notes/${noteId}/move`, { category_id: null })).statusCode).toEqual(200);
+    expect(await categorized()).toHaveLength(0);
+
+    await as(user).put(`/api/notes/${noteId}/move`, { category_id: work });
+    const repeatRes = await as(user).put(`/api/notes/${noteId}/move`, { category_id: String(work) });
+    expect(repeatRes.body).toHaveProperty('category_id', work);
+    expect(await categorized()).toHaveLength(1);
+  });
+
+  it('should ask before deleting a non-empty category and reassign its contents', async () => {
+    const parent = await createCategory('Archive');
+    const child = await createCategory('2023', parent);
+    const child2 = await createCategory('2022', child);
+    const noteRes = await as(user).post('/api/notes', { title: 'Old', content: 'Text', category_id: child });
+
+    const refusedRes = await as(user).delete(`/api/categories/${child}`);
+    expect(refusedRes.statusCode).toEqual(409);
+    expect(refusedRes.body).toEqual(expect.objectContaining({ categories: 1, notes: 1 }));
+
+    const res = await as(user).delete(`/api/categories/${child}?mode=reassign`);
+    expect(res.statusCode).toEqual(200);
+
+    expect((await db.userNotes.find(noteRes.body.note_id, user.user_id)).category_id).toEqual(parent);
+    expect((await db.categories.findById(child2)).parent_id).toEqual(parent);
+  });
+
+  it('should move owned notes to the trash when cascading', async () => {
+    const parent = await createCategory('Scratch');
+    const child = await createCategory('Drafts', parent);
+    const noteRes = await as(user).post('/api/notes', { title: 'Draft', content: 'Text', category_id: child });
+
+    const res = await as(user).delete(`/api/categories/${parent}?mode=cascade`);
+    expect(res.body).toEqual(expect.objectContaining({ categories: 2, notes: 1 }));
+
+    expect((await db.notes.findById(noteRes.body.note_id)).deleted_on).toBeTruthy();
+    expect((await db.userNotes.find(noteRes.body.note_id, user.user_id)).category_id).toBeNull();
+    expect(await db.categories.findById(child)).toBeNull();
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
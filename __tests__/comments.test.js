@@ -0,0 +1,161 @@
+import request from 'supertest';
+import * as decoding from 'lib0/decoding';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import Y from '../collab/yjs.js';
+import { docs, withDocument } from '../collab/documents.js';
+import { messageNoteEvent } from '../collab/events.js';
+import { createUser } from './helpers.js';
+
+describe('Comments', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${someone.token}`),
+  });
+
+  beforeAll(async () => {
+    owner = await createUser();
+    editor = await createUser();
+    viewer = await createUser();
+
+    const noteRes = await as(owner).post('/api/notes', { title: 'Essay', content: 'Hello brave new world' });
+    noteId = noteRes.body.note_id;
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: editor.user_id, role: 'editor' });
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: viewer.user_id, role: 'viewer' });
+  });
+
+  it('should keep an anchor on the same text while the note is edited', async () => {
+    const res = await as(editor).post(`/api/notes/${noteId}/comments`, { body: 'Too bold?', anchor: { index: 6, length: 5 } });
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.anchor).toEqual(expect.objectContaining({ index: 6, length: 5, quote: 'brave' }));
+
+    await withDocument(noteId, ydoc => ydoc.getText('content').insert(0, 'Oh, '));
+
+    const listRes = await as(viewer).get(`/api/notes/${noteId}/comments`);
+    const thread = listRes.body.find(candidate => candidate.comment_id === res.body.comment_id);
+    expect(thread.anchor).toEqual(expect.objectContaining({ index: 10, quote: 'brave', detached: false }));
+    expect(thread.author.user_id).toEqual(editor.user_id);
+  });
+
+  it('should accept anchors made from relative positions and reject others', async () => {
+    const anchor = await withDocument(noteId, (ydoc) => {
+      const text = ydoc.getText('content');
+      const encode = (index, assoc) =>
+        Buffer.from(Y.encodeRelativePosition(Y.createRelativePositionFromTypeIndex(text, index, assoc))).toString('base64');
+      return { start: encode(0, 0), end: encode(2, -1) };
+    });
+
+    const res = await as(owner).post(`/api/notes/${noteId}/comments`, { body: 'Intro', anchor });
+    expect(res.body.anchor.quote).toEqual('Oh');
+
+    const badRes = await as(owner).post(`/api/notes/${noteId}/comments`, { body: 'Nowhere', anchor: { index: 500, length: 3 } });
+    expect(badRes.statusCode).toEqual(400);
+  });
+
+  it('should support replies, resolving and reopening', async () => {
+    const thread = (await as(editor).post(`/api/notes/${noteId}/comments`, { body: 'Needs a source' })).body;
+
+    const resolveRes = await as(owner).post(`/api/notes/${noteId}/comments/${thread.comment_id}/resolve`);
+    expect(resolveRes.body.resolved_by).toEqual(owner.user_id);
+
+    const resolvedRes = await as(owner).get(`/api/notes/${noteId}/comments?status=resolved`);
+    expect(resolvedRes.body.map(candidate => candidate.comment_id)).toEqual([thread.comment_id]);
+
+    const replyRes = await as(owner).post(`/api/notes/${noteId}/comments/${thread.comment_id}/replies`, { body: 'Added one' });
+    expect(replyRes.statusCode).toEqual(201);
+
+    const openRes = await as(owner).get(`/api/notes/${noteId}/comments?status=open`);
+    const reopened = openRes.body.find(candidate => candidate.comment_id === thread.comment_id);
+    expect(reopened.resolved_on).toBeNull();
+    expect(reopened.replies.map(reply => reply.body)).toEqual(['Added one']);
+  });
+
+  it('should let viewers read, comment and reply, and keep outsiders out', async () => {
+    expect((await as(viewer).get(`/api/notes/${noteId}/comments`)).statusCode).toEqual(200);
+
+    const threadRes = await as(viewer).post(`/api/notes/${noteId}/comments`, { body: 'Hi', anchor: { index: 0, length: 2 } });
+    expect(threadRes.statusCode).toEqual(201);
+    expect(threadRes.body.author.user_id).toEqual(viewer.user_id);
+
+    const editorThread = (await as(editor).post(`/api/notes/${noteId}/comments`, { body: 'Question' })).body;
+    const replyRes = await as(viewer).post(`/api/notes/${noteId}/comments/${editorThread.comment_id}/replies`, { body: 'Answer' });
+    expect(replyRes.statusCode).toEqual(201);
+
+    const outsider = await createUser();
+    expect((await as(outsider).get(`/api/notes/${noteId}/comments`)).statusCode).toEqual(404);
+    expect((await as(outsider).post(`/api/notes/${noteId}/comments`, { body: 'Hi' })).statusCode).toEqual(404);
+  });
+
+  it('should only let editors and the thread\'s author resolve or reopen it', async () => {
+    const editorThread = (await as(editor).post(`/api/notes/${noteId}/comments`, { body: 'Wording' })).body;
+    const viewerThread = (await as(viewer).post(`/api/notes/${noteId}/comments`, { body: 'Unclear' })).body;
+    const resolve = (someone, thread, action = 'resolve') =>
+      as(someone).post(`/api/notes/${noteId}/comments/${thread.comment_id}/${action}`);
+
+    // A viewer can only resolve the threads they started
+    expect((await resolve(viewer, editorThread)).statusCode).toEqual(403);
+    expect((await resolve(viewer, viewerThread)).statusCode).toEqual(200);
+    expect((await resolve(viewer, viewerThread, 'reopen')).statusCode).toEqual(200);
+
+    expect((await resolve(editor, viewerThread)).statusCode).toEqual(200);
+    expect((await resolve(owner, editorThread)).statusCode).toEqual(200);
+
+    // Nor does a viewer's reply reopen someone else's thread
+    await as(viewer).post(`/api/notes/${noteId}/comments/${editorThread.comment_id}/replies`, { body: 'Still unclear' });
+    expect((await db.comments.findById(editorThread.comment_id)).resolved_on).toBeTruthy();
+    expect((await resolve(viewer, editorThread, 'reopen')).statusCode).toEqual(403);
+    expect((await resolve(editor, editorThread, 'reopen')).statusCode).toEqual(200);
+  });
+
+  it('should only let authors edit and delete their comments', async () => {
+    const thread = (await as(editor).post(`/api/notes/${noteId}/comments`, { body: 'Typo here' })).body;
+    const reply = (await as(owner).post(`/api/notes/${noteId}/comments/${thread.comment_id}/replies`, { body: 'Fixed' })).body;
+
+    expect((await as(owner).put(`/api/notes/${noteId}/comments/${thread.comment_id}`, { body: 'Mine now' })).statusCode).toEqual(403);
+
+    const editRes = await as(editor).put(`/api/notes/${noteId}/comments/${thread.comment_id}`, { body: 'Typo in line 2' });
+    expect(editRes.body).toEqual(expect.objectContaining({ body: 'Typo in line 2' }));
+    expect(editRes.body.edited_on).toBeTruthy();
+
+    // The thread still has a reply, so only its text goes
+    expect((await as(editor).delete(`/api/notes/${noteId}/comments/${thread.comment_id}`)).statusCode).toEqual(200);
+    expect(await db.comments.findById(thread.comment_id)).toEqual(expect.objectContaining({ body: null }));
+
+    expect((await as(owner).delete(`/api/notes/${noteId}/comments/${reply.comment_id}`)).statusCode).toEqual(200);
+    expect(await db.comments.findById(thread.comment_id)).toBeNull();
+  });
+
+  it('should send new comments to everyone in the note\'s room', async () => {
+    const received = [];
+    const socket = { readyState: 1, send: (message) => received.push(message) };
+    const liveDoc = new Y.Doc();
+    liveDoc.conns = new Map([[socket, new Set()]]);
+    liveDoc.whenLoaded = Promise.resolve();
+    docs.set(String(noteId), liveDoc);
+
+    try {
+      await as(editor).post(`/api/notes/${noteId}/comments`, { body: 'Live!' });
+    } finally {
+      docs.delete(String(noteId));
+    }
+
+    expect(received).toHaveLength(1);
+    const decoder = decoding.createDecoder(received[0]);
+    expect(decoding.readVarUint(decoder)).toEqual(messageNoteEvent);
+    const event = JSON.parse(decoding.readVarString(decoder));
+    expect(event.type).toEqual('comment.created');
+    expect(event.data.body).toEqual('Live!');
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { createUser } from './helpers.js';
+
+describe('Note versions and conditional updates', () => {
+  let owner;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    put: (url, body, etag) => {
+      const req = request(app).put(url).set('Authorization', `Bearer ${someone.token}`);
+      return (etag ? req.set('If-Match', etag) : req).send(body);
+    },
+    patch: (url, body, etag) => {
+      const req = request(app).patch(url).set('Authorization', `Bearer ${someone.token}`);
+      return (etag ? req.set('If-Match', etag) : req).send(body);
+    },
+  });
+
+  beforeAll(async () => {
+    owner = await createUser();
+
+    const res = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Plan', content: 'Step one', tags: ['work'] });
+    noteId = res.body.note_id;
+  });
+
+  it('should send the version of a note as its ETag', async () => {
+    const res = await as(owner).get(`/api/notes/${noteId}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.version).toEqual(1);
+    expect(res.headers.etag).toEqual('"1"');
+
+    const listRes = await as(owner).get('/api/notes');
+    expect(listRes.headers.etag).toMatch(/^W\/"/);
+    expect(listRes.body.find(note => note.note_id === noteId).version).toEqual(1);
+  });
+
+  it('should update with a matching If-Match and refuse an outdated one', async () => {
+    const { headers } = await as(owner).get(`/api/notes/${noteId}`);
+
+    const firstTab = await as(owner).put(`/api/notes/${noteId}`, { title: 'Plan A', content: 'Step one' }, headers.etag);
+    expect(firstTab.statusCode).toEqual(200);
+    expect(firstTab.body.version).toEqual(2);
+    expect(firstTab.headers.etag).toEqual('"2"');
+
+    // The second tab still has version 1
+    const secondTab = await as(owner).put(`/api/notes/${noteId}`, { title: 'Plan B', content: 'Step one' }, headers.etag);
+    expect(secondTab.statusCode).toEqual(412);
+    expect(secondTab.body.version).toEqual(2);
+    expect(secondTab.headers.etag).toEqual('"2"');
+
+    const note = await db.notes.findById(noteId);
+    expect(note.title).toEqual('Plan A');
+  });
+
+  it('should bump the version when the content changes, but not for a no-op save', async () => {
+    const before = (await as(owner).get(`/api/notes/${noteId}`)).body;
+
+    const contentRes = await as(owner).put(`/api/notes/${noteId}`, { title: before.title, content: 'Step one, two' });
+    expect(contentRes.body.version).toEqual(before.version + 1);
+
+    const sameRes = await as(owner).put(`/api/notes/${noteId}`, { title: before.title, content: 'Step one, two' });
+    expect(sameRes.body.version).toEqual(before.version + 1);
+  });
+
+  it('should only change the fields a PATCH sends', async () => {
+    const { headers } = await as(owner).get(`/api/notes/${noteId}`);
+
+    const res = await as(owner).patch(`/api/notes/${noteId}`, { tags: ['work', 'urgent'] }, headers.etag);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.tags).toEqual(['work', 'urgent']);
+    expect(res.body.title).toEqual('Plan A');
+    expect(res.body.content).toEqual('Step one, two');
+
+    const staleRes = await as(owner).patch(`/api/notes/${noteId}`, { title: 'Plan C' }, headers.etag);
+    expect(staleRes.statusCode).toEqual(412);
+
+    expect((await as(owner).patch(`/api/notes/${noteId}`, {})).statusCode).toEqual(400);
+    expect((await as(owner).patch(`/api/notes/${noteId}`, { title: 42 })).statusCode).toEqual(400);
+  });
+
+  it('should accept If-Match: * and a list of ETags', async () => {
+    const { body } = await as(owner).get(`/api/notes/${noteId}`);
+
+    expect((await as(owner).patch(`/api/notes/${noteId}`, { title: 'Plan D' }, '*')).statusCode).toEqual(200);
+    expect((await as(owner).patch(`/api/notes/${noteId}`, { title: 'Plan E' }, `"1", "${body.version + 1}"`)).statusCode).toEqual(200);
+    expect((await as(owner).patch(`/api/notes/${noteId}`, { title: 'Plan F' }, `W/"${body.version + 2}"`)).statusCode).toEqual(412);
+  });
+
+  it('should not record a category that a PUT sends back unchanged', async () => {
+    const category = (await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ name: 'Plans' })).body.category_id;
+    const categorized = async () =>
+      (await as(owner).get(`/api/notes/${noteId}/activity?type=note.categorized`)).body.activity;
+    const before = (await categorized()).length;
+
+    const { body } = await as(owner).get(`/api/notes/${noteId}`);
+    await as(owner).put(`/api/notes/${noteId}`, { title: body.title, content: body.content, category_id: category });
+    const echoRes = await as(owner).put(`/api/notes/${noteId}`, { title: body.title, content: body.content, category_id: category });
+
+    expect(echoRes.body).toHaveProperty('category_id', category);
+    expect(await categorized()).toHaveLength(before + 1);
+  });
+
+  it('should refuse a PUT without a title and content', async () => {
+    expect((await as(owner).put(`/api/notes/${noteId}`, { title: 'Only a title' })).statusCode).toEqual(400);
+    expect((await as(owner).put(`/api/notes/${noteId}`, { content: 'Only content' })).statusCode).toEqual(400);
+    expect((await as(owner).put(`/api/notes/${noteId}`, { title: 7, content: 'Body' })).statusCode).toEqual(400);
+  });
+
+  it('should check the version before the document is changed', async () => {
+    const { body, headers } = await as(owner).get(`/api/notes/${noteId}`);
+    await as(owner).patch(`/api/notes/${noteId}`, { title: 'Plan G' });
+    const updates = (await db.noteDocuments.listUpdates(noteId)).length;
+
+    const staleRes = await as(owner).put(`/api/notes/${noteId}`, { title: 'Plan G', content: 'Overwritten' }, headers.etag);
+
+    expect(staleRes.statusCode).toEqual(412);
+    expect(await db.noteDocuments.listUpdates(noteId)).toHaveLength(updates);
+    expect((await as(owner).get(`/api/notes/${noteId}`)).body.content).toEqual(body.content);
+  });
+
+  it('should let only one of two updates from the same version through', async () => {
+    const { headers } = await as(owner).get(`/api/notes/${noteId}`);
+
+    const results = await Promise.all([
+      as(owner).patch(`/api/notes/${noteId}`, { content: 'First tab' }, headers.etag),
+      as(owner).patch(`/api/notes/${noteId}`, { content: 'Second tab' }, headers.etag),
+    ]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 412]);
+    const winner = results.find(res => res.statusCode === 200);
+    expect((await as(owner).get(`/api/notes/${noteId}`)).body.content).toEqual(winner.body.content);
+  });
+
+  it('should leave the note unchanged when the document cannot be stored', async () => {
+    const before = (await as(owner).get(`/api/notes/${noteId}`)).body;
+    jest.spyOn(db.noteDocuments, 'appendUpdate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    try {
+      const res = await as(owner).patch(`/api/notes/${noteId}`, { title: 'Lost title', content: 'Lost' });
+      expect(res.statusCode).toEqual(500);
+    } finally {
+      jest.restoreAllMocks();
+    }
+
+    const after = await as(owner).get(`/api/notes/${noteId}`);
+    expect(after.body).toEqual(expect.objectContaining({ title: before.title, content: before.content, version: before.version }));
+    expect(after.headers.etag).toEqual(`"${before.version}"`);
+    expect((await db.notes.findById(noteId)).content).toEqual(before.content);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
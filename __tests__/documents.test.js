@@ -0,0 +1,276 @@
+import { jest } from '@jest/globals';
+import { once } from 'events';
+import request from 'supertest';
+import WebSocket from 'ws';
+import * as encoding from 'lib0/encoding';
+import { getYDoc } from 'y-websocket/bin/utils';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import Y from '../collab/yjs.js';
+import { docs, flushDocuments, getLiveContent } from '../collab/documents.js';
+import { getVersion, loadVersionDocument, renderDocument, saveVersion } from '../collab/versions.js';
+import { createUser } from './helpers.js';
+
+/**
+ * Rebuild the stored Yjs document of a note from its base state and update log.
+ * @param {number} noteId - The ID of the note.
+ * @returns {Promise<string>} - The stored text.
+ */
+const storedText = async (noteId) => {
+  const ydoc = new Y.Doc();
+  const document = await db.noteDocuments.find(noteId);
+  if (document) Y.applyUpdate(ydoc, document.state);
+  (await db.noteDocuments.listUpdates(noteId)).forEach(update => Y.applyUpdate(ydoc, update.data));
+  return ydoc.getText('content').toString();
+};
+
+/**
+ * Wait until a condition holds, polling every few milliseconds.
+ * @param {function(): Promise<boolean>|boolean} condition
+ * @param {number} [timeout=2000]
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Make an edit to a live document the way a client's update arrives.
+ * @param {Y.Doc} ydoc - The live document.
+ * @param {string} text - Text to insert at the start.
+ */
+const editDocument = (ydoc, text) => {
+  const clientDoc = new Y.Doc();
+  Y.applyUpdate(clientDoc, Y.encodeStateAsUpdate(ydoc));
+  clientDoc.getText('content').insert(0, text);
+  Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(clientDoc, Y.encodeStateVector(ydoc)), 'client');
+  clientDoc.destroy();
+};
+
+describe('Collaborative document persistence', () => {
+  let owner;
+
+  const createNote = async (content) => {
+    const res = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Live', content });
+    return res.body.note_id;
+  };
+
+  /* Open a note's room, then drop it again so the next test starts clean */
+  const openDocument = async (noteId) => {
+    const ydoc = getYDoc(String(noteId));
+    await ydoc.whenLoaded;
+    return ydoc;
+  };
+
+  const dropDocument = (noteId, ydoc) => {
+    docs.delete(String(noteId));
+    ydoc.destroy();
+  };
+
+  beforeAll(async () => {
+    owner = await createUser();
+    if (!server.listening) await once(server, 'listening');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should persist a changed document shortly after the change', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+
+    try {
+      editDocument(ydoc, 'first ');
+      await waitFor(async () => (await storedText(noteId)) === 'first draft');
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+  });
+
+  it('should append each change to the update log instead of rewriting the document', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+    const { state } = await db.noteDocuments.find(noteId);
+
+    try {
+      editDocument(ydoc, 'one ');
+      await waitFor(async () => (await storedText(noteId)) === 'one draft');
+      editDocument(ydoc, 'two ');
+      await waitFor(async () => (await storedText(noteId)) === 'two one draft');
+
+      const updates = await db.noteDocuments.listUpdates(noteId);
+      expect(updates).toHaveLength(2);
+      expect(updates.every(update => update.data instanceof Uint8Array)).toBe(true);
+      expect((await db.noteDocuments.find(noteId)).state).toEqual(state);
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+  });
+
+  it('should fold the update log into the base state once it passes the threshold', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+    const words = ['a', 'b', 'c', 'd', 'e'];
+
+    try {
+      for (const word of words) {
+        editDocument(ydoc, `${word} `);
+        await waitFor(async () => (await storedText(noteId)).startsWith(`${word} `));
+      }
+
+      expect(await db.noteDocuments.listUpdates(noteId)).toEqual([]);
+
+      const base = new Y.Doc();
+      Y.applyUpdate(base, (await db.noteDocuments.find(noteId)).state);
+      expect(base.getText('content').toString()).toEqual('e d c b a draft');
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+
+    // A fresh load replays nothing and gets the same document
+    const reloaded = await openDocument(noteId);
+    expect(reloaded.getText('content').toString()).toEqual('e d c b a draft');
+    dropDocument(noteId, reloaded);
+  });
+
+  it('should retry a failed write until it succeeds', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+    const update = jest.spyOn(db.noteDocuments, 'appendUpdate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    try {
+      editDocument(ydoc, 'kept ');
+      await waitFor(async () => (await storedText(noteId)) === 'kept draft');
+      expect(update.mock.calls.length).toBeGreaterThanOrEqual(2);
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+  });
+
+  it('should persist and evict the document when the last client disconnects', async () => {
+    const noteId = await createNote('draft');
+    const ws = new WebSocket(`ws://localhost:${server.address().port}/${noteId}?token=${owner.token}`);
+    await once(ws, 'open');
+
+    const ydoc = docs.get(String(noteId));
+    await ydoc.whenLoaded;
+
+    // A y-websocket sync message carrying an update, as sent by a client
+    const clientDoc = new Y.Doc();
+    Y.applyUpdate(clientDoc, Y.encodeStateAsUpdate(ydoc));
+    clientDoc.getText('content').insert(0, 'closing ');
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 0);
+    encoding.writeVarUint(encoder, 2);
+    encoding.writeVarUint8Array(encoder, Y.encodeStateAsUpdate(clientDoc, Y.encodeStateVector(ydoc)));
+    ws.send(encoding.toUint8Array(encoder));
+    clientDoc.destroy();
+
+    await waitFor(() => getLiveContent(noteId) === 'closing draft');
+    ws.close();
+
+    await waitFor(() => !docs.has(String(noteId)));
+    expect(await storedText(noteId)).toEqual('closing draft');
+    await waitFor(() => getLiveContent(noteId) === null);
+  });
+
+  it('should flush every document with unsaved changes', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+    jest.spyOn(db.noteDocuments, 'appendUpdate').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    try {
+      editDocument(ydoc, 'flushed ');
+      expect(await flushDocuments()).toEqual(0);
+      expect(await storedText(noteId)).toEqual('flushed draft');
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+  });
+
+  it('should send REST content changes to the open document', async () => {
+    const noteId = await createNote('Shopping list: milk');
+    const ydoc = await openDocument(noteId);
+
+    // A connected editor, receiving the room's updates
+    const clientDoc = new Y.Doc();
+    Y.applyUpdate(clientDoc, Y.encodeStateAsUpdate(ydoc));
+    const forward = (update) => Y.applyUpdate(clientDoc, update);
+    ydoc.on('update', forward);
+    const cursor = Y.createRelativePositionFromTypeIndex(clientDoc.getText('content'), 'Shopping list: '.length);
+
+    try {
+      const res = await request(app)
+        .put(`/api/notes/${noteId}`)
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ title: 'Live', content: 'Shopping list: milk, eggs' });
+
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.content).toEqual('Shopping list: milk, eggs');
+      expect(clientDoc.getText('content').toString()).toEqual('Shopping list: milk, eggs');
+      // Only the changed part is replaced, so the editor's cursor stays in front of "milk"
+      expect(Y.createAbsolutePositionFromRelativePosition(cursor, clientDoc).index).toEqual('Shopping list: '.length);
+      expect(await storedText(noteId)).toEqual('Shopping list: milk, eggs');
+    } finally {
+      ydoc.off('update', forward);
+      clientDoc.destroy();
+      dropDocument(noteId, ydoc);
+    }
+  });
+
+  it('should store REST content changes of a closed note in its document', async () => {
+    const noteId = await createNote('draft');
+
+    await request(app)
+      .put(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Live', content: 'final' });
+
+    expect(await storedText(noteId)).toEqual('final');
+    expect((await db.notes.findById(noteId)).content).toEqual('final');
+  });
+
+  it('should write the text of a persisted document back to the content', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+
+    try {
+      editDocument(ydoc, 'second ');
+      await waitFor(async () => (await db.notes.findById(noteId)).content === 'second draft');
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+
+    // With the document closed, search only has the content column
+    const searchRes = await request(app)
+      .get('/api/notes/search?q=second')
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(searchRes.body.results.map(result => result.note_id)).toContain(noteId);
+  });
+
+  it('should store version snapshots as bytes', async () => {
+    const noteId = await createNote('draft');
+    const ydoc = await openDocument(noteId);
+
+    try {
+      const { version_id } = await saveVersion(noteId, ydoc, { kind: 'named', name: 'Before' });
+      const version = await getVersion(noteId, version_id);
+
+      expect(version.yjs_state).toBeInstanceOf(Uint8Array);
+      expect(renderDocument(loadVersionDocument(version))).toEqual('draft');
+    } finally {
+      dropDocument(noteId, ydoc);
+    }
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,108 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import mail from '../services/mail/index.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Pull the token out of the last link emailed to an address.
+ * @param {string} email - The recipient.
+ * @returns {Promise<string>}
+ */
+const lastEmailedToken = async (email) => {
+  await mail.flush();
+  const message = mail.transport.messages.filter(sent => sent.to === email).pop();
+  return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+};
+
+describe('Email verification', () => {
+  let testUser;
+  let authToken;
+
+  beforeAll(async () => {
+    testUser = {
+      username: `testuser${uuidv4().replace(/-/g, '')}`,
+      email: `testuser_${uuidv4()}@example.com`,
+      password: 'testPassword123!'
+    };
+
+    await request(app).post('/api/users/register').send(testUser);
+  });
+
+  it('should not log in before the email is verified', async () => {
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ username: testUser.username, password: testUser.password });
+
+    expect(res.statusCode).toEqual(403);
+    expect(res.body).toHaveProperty('verificationRequired', true);
+  });
+
+  it('should not send reset links to unverified addresses', async () => {
+    const before = mail.transport.messages.length;
+
+    const res = await request(app).post('/api/users/reset-password').send({ email: testUser.email });
+    await mail.flush();
+
+    expect(res.statusCode).toEqual(200);
+    expect(mail.transport.messages.length).toEqual(before);
+  });
+
+  it('should activate the account from the emailed link', async () => {
+    const token = await lastEmailedToken(testUser.email);
+
+    const res = await request(app).post('/api/users/verify-email').send({ token });
+    expect(res.statusCode).toEqual(200);
+
+    const loginRes = await request(app)
+      .post('/api/users/login')
+      .send({ username: testUser.username, password: testUser.password });
+
+    expect(loginRes.statusCode).toEqual(200);
+    authToken = loginRes.body.token;
+  });
+
+  it('should only change the email once the new address is confirmed', async () => {
+    const newEmail = `testuser_${uuidv4()}@example.com`;
+
+    const res = await request(app)
+      .post('/api/users/change-email')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ newEmail });
+
+    expect(res.statusCode).toEqual(200);
+
+    const token = await lastEmailedToken(newEmail);
+    const notice = mail.transport.messages.filter(sent => sent.to === testUser.email).pop();
+    expect(notice.text).toContain(newEmail);
+
+    const confirmRes = await request(app).post('/api/users/verify-email').send({ token });
+    expect(confirmRes.statusCode).toEqual(200);
+    expect(confirmRes.body).toHaveProperty('message', 'Email changed successfully.');
+  });
+
+  it('should reject a change to an address that is already taken', async () => {
+    const otherUser = {
+      username: `testuser${uuidv4().replace(/-/g, '')}`,
+      email: `testuser_${uuidv4()}@example.com`,
+      password: 'testPassword123!'
+    };
+    await request(app).post('/api/users/register').send(otherUser);
+
+    const res = await request(app)
+      .post('/api/users/change-email')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ newEmail: otherUser.email });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should reject tampered links', async () => {
+    const res = await request(app).post('/api/users/verify-email').send({ token: 'not-a-token' });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
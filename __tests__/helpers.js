@@ -0,0 +1,24 @@
+import request from 'supertest';
+import { v4 as uuidv4 } from 'uuid';
+import { app } from '../server';
+import db from '../db/index.js';
+
+/**
+ * Register, verify and log in a fresh user.
+ * @returns {Promise<{ user_id: number, username: string, email: string, token: string }>}
+ */
+export const createUser = async () => {
+  const credentials = {
+    username: `testuser${uuidv4().replace(/-/g, '')}`,
+    email: `testuser_${uuidv4()}@example.com`,
+    password: 'testPassword123!'
+  };
+
+  const registerRes = await request(app).post('/api/users/register').send(credentials);
+  await db.users.update(registerRes.body.user.user_id, { email_verified_on: new Date().toISOString() });
+  const res = await request(app)
+    .post('/api/users/login')
+    .send({ username: credentials.username, password: credentials.password });
+
+  return { user_id: res.body.user.user_id, username: credentials.username, email: credentials.email, token: res.body.token };
+};
@@ -0,0 +1,188 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { createZip, readZip } from '../services/zip.js';
+import { createUser } from './helpers.js';
+
+/* Collect a binary response body into a Buffer */
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+/**
+ * Change a field of one central directory entry of a zip archive.
+ * @param {Buffer} zip - The archive, changed in place.
+ * @param {number} index - The entry.
+ * @param {number} field - Offset of the field in the entry's header.
+ * @param {number} value - The new 16-bit or 32-bit value.
+ * @param {number} [bytes=4]
+ */
+const patchEntry = (zip, index, field, value, bytes = 4) => {
+  let position = zip.readUInt32LE(zip.length - 22 + 16);
+  for (let i = 0; i < index; i += 1) {
+    position += 46 + zip.readUInt16LE(position + 28);
+  }
+  zip.writeUIntLE(value, position + field, bytes);
+};
+
+describe('Zip archives', () => {
+  const files = ['a', 'b', 'c'].map(name => ({ name: `${name}.md`, data: 'x'.repeat(100) }));
+
+  it('should refuse archives with too many entries or too much uncompressed data', () => {
+    const zip = createZip(files);
+
+    expect(readZip(zip)).toHaveLength(3);
+    expect(() => readZip(zip, { maxEntries: 2 })).toThrow('more than 2 files');
+    expect(() => readZip(zip, { maxTotalSize: 250 })).toThrow('too large once extracted');
+    expect(() => readZip(zip, { maxEntrySize: 99 })).toThrow('a.md is too large');
+  });
+
+  it('should refuse entries that share their compressed data', () => {
+    const zip = createZip(files);
+    // The third entry points at the data of the first, as zip bombs do
+    patchEntry(zip, 2, 42, 0);
+
+    expect(() => readZip(zip)).toThrow('files overlap');
+  });
+
+  it('should refuse entries that lie about their size', () => {
+    const zip = createZip(files);
+    patchEntry(zip, 0, 24, 10);
+
+    expect(() => readZip(zip)).toThrow();
+  });
+});
+
+describe('Import and export', () => {
+  let user;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    upload: (url, body, type = 'application/octet-stream') =>
+      request(app).post(url).set('Authorization', `Bearer ${someone.token}`).set('Content-Type', type).send(body),
+  });
+
+  beforeAll(async () => {
+    user = await createUser();
+
+    const work = (await as(user).post('/api/categories', { name: 'Work' })).body.category_id;
+    const projects = (await as(user).post('/api/categories', { name: 'Projects', parent_id: work })).body.category_id;
+    const noteRes = await as(user).post('/api/notes', {
+      title: 'Launch plan',
+      content: '## Steps\n\n- Write **docs**\n- Ship <it>',
+      tags: ['Launch', 'q3'],
+      category_id: projects,
+    });
+    noteId = noteRes.body.note_id;
+  });
+
+  it('should export a note as Markdown with front matter', async () => {
+    const res = await as(user).get(`/api/notes/${noteId}/export`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toContain('text/markdown');
+    expect(res.headers['content-disposition']).toContain('Launch plan.md');
+    expect(res.text).toContain('title: "Launch plan"');
+    expect(res.text).toContain('tags: ["launch","q3"]');
+    expect(res.text).toContain('category: "Work/Projects"');
+    expect(res.text).toContain('- Write **docs**');
+  });
+
+  it('should export a note as HTML, JSON and plain text', async () => {
+    const htmlRes = await as(user).get(`/api/notes/${noteId}/export?format=html`);
+    expect(htmlRes.text).toContain('<h2>Steps</h2>');
+    expect(htmlRes.text).toContain('<li>Write <strong>docs</strong></li>');
+    expect(htmlRes.text).toContain('Ship &lt;it&gt;');
+
+    const jsonRes = await as(user).get(`/api/notes/${noteId}/export?format=json`);
+    expect(JSON.parse(jsonRes.text)).toEqual(expect.objectContaining({ title: 'Launch plan', category: 'Work/Projects' }));
+
+    const textRes = await as(user).get(`/api/notes/${noteId}/export?format=txt`);
+    expect(textRes.text.startsWith('Launch plan\n\n## Steps')).toBe(true);
+
+    expect((await as(user).get(`/api/notes/${noteId}/export?format=pdf`)).statusCode).toEqual(400);
+  });
+
+  it('should export all notes as a zip with a folder per category', async () => {
+    const res = await as(user).get('/api/notes/export').buffer(true).parse(binary);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers['content-type']).toContain('application/zip');
+
+    const files = readZip(res.body);
+    expect(files.map(file => file.name)).toContain('Work/Projects/Launch plan.md');
+  });
+
+  it('should import a Markdown file into the categories of its front matter', async () => {
+    const markdown = '---\ntitle: "Imported"\ntags:\n  - Reading\ncategory: "Work/Archive"\n---\n\nBody text';
+    const res = await as(user).upload('/api/notes/import?filename=imported.md', markdown, 'text/markdown');
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.imported).toEqual(1);
+
+    const note = await db.notes.findById(res.body.notes[0].note_id);
+    expect(note).toEqual(expect.objectContaining({ title: 'Imported', content: 'Body text', tags: ['reading'] }));
+
+    const categories = await db.categories.listByUser(user.user_id);
+    const archive = categories.find(category => category.name === 'Archive');
+    expect(categories.filter(category => category.name === 'Work')).toHaveLength(1);
+    expect(res.body.notes[0].category_id).toEqual(archive.category_id);
+  });
+
+  it('should import a zip, using folders as categories', async () => {
+    const zip = createZip([
+      { name: 'Recipes/Soup.md', data: '# Tomato soup\n\nSimmer for 20 minutes.' },
+      { name: 'Recipes/photo.jpg', data: Buffer.from([1, 2, 3]) },
+    ]);
+    const res = await as(user).upload('/api/notes/import?filename=notes.zip', zip);
+
+    expect(res.statusCode).toEqual(201);
+    expect(res.body.skipped).toEqual([{ file: 'Recipes/photo.jpg', reason: 'Unsupported file type' }]);
+
+    const note = await db.notes.findById(res.body.notes[0].note_id);
+    expect(note).toEqual(expect.objectContaining({ title: 'Tomato soup', content: 'Simmer for 20 minutes.' }));
+    expect((await db.categories.findById(res.body.notes[0].category_id)).name).toEqual('Recipes');
+  });
+
+  it('should import an Evernote export', async () => {
+    const enex = `<?xml version="1.0" encoding="UTF-8"?>
+<en-export>
+  <note>
+    <title>Groceries &amp; more</title>
+    <content><![CDATA[<?xml version="1.0" encoding="UTF-8"?><en-note><div>Milk</div><div>Eggs &amp; bread</div></en-note>]]></content>
+    <tag>Home</tag>
+  </note>
+</en-export>`;
+    const res = await as(user).upload('/api/notes/import', enex, 'application/xml');
+
+    expect(res.statusCode).toEqual(201);
+
+    const note = await db.notes.findById(res.body.notes[0].note_id);
+    expect(note).toEqual(expect.objectContaining({ title: 'Groceries & more', content: 'Milk\nEggs & bread', tags: ['home'] }));
+  });
+
+  it('should stop reading a zip as soon as it has too many notes', async () => {
+    const notes = Array.from({ length: 502 }, (_, n) => ({ name: `note ${n}.md`, data: `Note ${n}` }));
+    const zip = createZip(notes);
+    // The last file could not be read at all, but the import stops before it
+    patchEntry(zip, 501, 10, 99, 2);
+
+    const res = await as(user).upload('/api/notes/import?filename=many.zip', zip);
+
+    expect(res.statusCode).toEqual(400);
+    expect(res.body.details).toEqual('At most 500 notes can be imported at once.');
+  });
+
+  it('should reject files it cannot import', async () => {
+    const res = await as(user).upload('/api/notes/import?filename=scan.pdf', Buffer.from('%PDF-1.4'));
+    expect(res.statusCode).toEqual(400);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
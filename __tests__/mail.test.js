@@ -0,0 +1,112 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import mail, { createMailService } from '../services/mail/index.js';
+import createMemoryRepositories from '../db/memory.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * A transport that fails a number of times before it starts delivering.
+ * @param {number} failures - How many sends fail first.
+ */
+const createFlakyTransport = (failures) => {
+  const transport = {
+    name: 'flaky',
+    calls: 0,
+    send: async () => {
+      transport.calls += 1;
+      if (transport.calls <= failures) {
+        throw new Error('SMTP connection refused');
+      }
+    },
+  };
+  return transport;
+};
+
+describe('Mail service', () => {
+  it('should retry failed sends and log the delivery as sent', async () => {
+    const { mailDeliveries } = createMemoryRepositories();
+    const transport = createFlakyTransport(2);
+    const service = createMailService({ transport, deliveries: mailDeliveries, retryBaseMs: 5 });
+
+    const id = service.enqueue('passwordReset', 'someone@example.com', { resetLink: 'http://localhost:3000/reset' });
+    await service.flush();
+
+    const delivery = await mailDeliveries.findById(id);
+    expect(transport.calls).toEqual(3);
+    expect(delivery).toHaveProperty('status', 'sent');
+    expect(delivery).toHaveProperty('attempts', 3);
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    const { mailDeliveries } = createMemoryRepositories();
+    const transport = createFlakyTransport(Infinity);
+    const service = createMailService({ transport, deliveries: mailDeliveries, maxAttempts: 2, retryBaseMs: 5 });
+
+    const id = service.enqueue('passwordReset', 'someone@example.com', { resetLink: 'http://localhost:3000/reset' });
+    await service.flush();
+
+    const delivery = await mailDeliveries.findById(id);
+    expect(delivery).toHaveProperty('status', 'failed');
+    expect(delivery).toHaveProperty('last_error', 'SMTP connection refused');
+  });
+
+  it('should escape user content in the HTML body', async () => {
+    const { mailDeliveries } = createMemoryRepositories();
+    const transport = { name: 'memory', messages: [], send: async (message) => transport.messages.push(message) };
+    const service = createMailService({ transport, deliveries: mailDeliveries });
+
+    service.enqueue('noteShared', 'someone@example.com', {
+      username: 'someone',
+      sharerName: 'owner',
+      noteTitle: '<script>alert(1)</script>',
+      role: 'viewer',
+      appUrl: 'http://localhost:3000',
+    });
+    await service.flush();
+
+    expect(transport.messages[0].html).toContain('&lt;script&gt;');
+    expect(transport.messages[0].text).toContain('as a viewer');
+  });
+
+  it('should share a note and send the email in the background', async () => {
+    const register = async () => {
+      const credentials = {
+        username: `testuser${uuidv4().replace(/-/g, '')}`,
+        email: `testuser_${uuidv4()}@example.com`,
+        password: 'testPassword123!'
+      };
+      const registerRes = await request(app).post('/api/users/register').send(credentials);
+      await db.users.update(registerRes.body.user.user_id, { email_verified_on: new Date().toISOString() });
+      const loginRes = await request(app)
+        .post('/api/users/login')
+        .send({ username: credentials.username, password: credentials.password });
+      return { ...registerRes.body.user, token: loginRes.body.token };
+    };
+
+    const owner = await register();
+    const recipient = await register();
+
+    const noteRes = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Shared plans', content: 'Some content' });
+
+    const res = await request(app)
+      .post(`/api/notes/${noteRes.body.note_id}/share`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ userId: recipient.user_id, role: 'viewer' });
+
+    expect(res.statusCode).toEqual(200);
+
+    await mail.flush();
+
+    const message = mail.transport.messages.filter(sent => sent.to === recipient.email).pop();
+    expect(message).toBeDefined();
+    expect(message.subject).toEqual('A Note Has Been Shared With You - NoteHub');
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,237 @@
+import { once } from 'events';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { hasRole, roleOf } from '../middleware/noteAccess.js';
+import { createUser } from './helpers.js';
+
+describe('Note access control', () => {
+  let owner;
+  let collaborator;
+  let noteId;
+
+  beforeAll(async () => {
+    owner = await createUser();
+    collaborator = await createUser();
+
+    const res = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Quarterly planning', content: 'Budget review for the next quarter', tags: ['work'] });
+
+    noteId = res.body.note_id;
+  });
+
+  it('should make the creator the owner of a new note', async () => {
+    const res = await request(app)
+      .get(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty('role', 'owner');
+  });
+
+  it('should hide notes from users without access', async () => {
+    const res = await request(app)
+      .get(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${collaborator.token}`);
+
+    expect(res.statusCode).toEqual(404);
+  });
+
+  it('should let viewers read but not update a note', async () => {
+    await db.userNotes.create({ note_id: noteId, user_id: collaborator.user_id, is_creator: false, role: 'viewer' });
+
+    const readRes = await request(app)
+      .get(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${collaborator.token}`);
+
+    expect(readRes.statusCode).toEqual(200);
+    expect(readRes.body).toHaveProperty('role', 'viewer');
+
+    const updateRes = await request(app)
+      .put(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ title: 'Changed', content: 'Changed' });
+
+    expect(updateRes.statusCode).toEqual(403);
+  });
+
+  it('should not let viewers patch, share or change roles', async () => {
+    const third = await createUser();
+
+    const patchRes = await request(app)
+      .patch(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ title: 'Changed' });
+
+    expect(patchRes.statusCode).toEqual(403);
+
+    const shareRes = await request(app)
+      .post(`/api/notes/${noteId}/share`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ userId: third.user_id, role: 'viewer' });
+
+    expect(shareRes.statusCode).toEqual(403);
+
+    const roleRes = await request(app)
+      .put(`/api/notes/${noteId}/users/${collaborator.user_id}`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ role: 'editor' });
+
+    expect(roleRes.statusCode).toEqual(403);
+
+    const usersRes = await request(app)
+      .get(`/api/notes/${noteId}/users`)
+      .set('Authorization', `Bearer ${collaborator.token}`);
+
+    expect(usersRes.statusCode).toEqual(200);
+    expect(usersRes.body.map(user => user.role).sort()).toEqual(['owner', 'viewer']);
+  });
+
+  it('should let the owner promote a viewer to editor', async () => {
+    const roleRes = await request(app)
+      .put(`/api/notes/${noteId}/users/${collaborator.user_id}`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ role: 'editor' });
+
+    expect(roleRes.statusCode).toEqual(200);
+
+    const updateRes = await request(app)
+      .put(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ title: 'Quarterly planning', content: 'Budget review, approved' });
+
+    expect(updateRes.statusCode).toEqual(200);
+  });
+
+  it('should not let editors delete, share or change roles', async () => {
+    const deleteRes = await request(app)
+      .delete(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${collaborator.token}`);
+
+    expect(deleteRes.statusCode).toEqual(403);
+
+    const roleRes = await request(app)
+      .put(`/api/notes/${noteId}/users/${owner.user_id}`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ role: 'viewer' });
+
+    expect(roleRes.statusCode).toEqual(403);
+
+    const shareRes = await request(app)
+      .post(`/api/notes/${noteId}/share`)
+      .set('Authorization', `Bearer ${collaborator.token}`)
+      .send({ userId: owner.user_id, role: 'editor' });
+
+    expect(shareRes.statusCode).toEqual(403);
+  });
+
+  it('should only find notes the user can access when searching', async () => {
+    const outsider = await createUser();
+
+    const ownerRes = await request(app)
+      .get('/api/notes/search?q=budg*')
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(ownerRes.statusCode).toEqual(200);
+    expect(ownerRes.body.results.map(note => note.note_id)).toContain(noteId);
+    expect(ownerRes.body.results[0].highlights.snippet).toContain('<mark>Budget</mark>');
+
+    const outsiderRes = await request(app)
+      .get('/api/notes/search?q=budget')
+      .set('Authorization', `Bearer ${outsider.token}`);
+
+    expect(outsiderRes.body.total).toEqual(0);
+  });
+
+  it('should close the editor connections of a collaborator whose access changes', async () => {
+    if (!server.listening) await once(server, 'listening');
+    const openNote = async (someone) => {
+      const ws = new WebSocket(`ws://localhost:${server.address().port}/${noteId}?token=${someone.token}`);
+      await once(ws, 'open');
+      return ws;
+    };
+
+    const ownerWs = await openNote(owner);
+    let ws = await openNote(collaborator);
+    let closed = once(ws, 'close');
+
+    await request(app)
+      .put(`/api/notes/${noteId}/users/${collaborator.user_id}`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ role: 'viewer' });
+
+    const [code, reason] = await closed;
+    expect(code).toEqual(4403);
+    expect(reason.toString()).toEqual('Your access to this note changed');
+
+    // Reconnecting works, now as a viewer, until the access is removed
+    ws = await openNote(collaborator);
+    closed = once(ws, 'close');
+
+    await request(app)
+      .delete(`/api/notes/${noteId}/users/${collaborator.user_id}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect((await closed)[0]).toEqual(4403);
+    expect(ownerWs.readyState).toEqual(WebSocket.OPEN);
+    ownerWs.close();
+    await once(ownerWs, 'close');
+  });
+
+  it('should give rows from before roles existed the access they had', async () => {
+    expect(roleOf({ is_creator: true, role: null })).toEqual('owner');
+    expect(roleOf({ is_creator: false, role: null })).toEqual('editor');
+    expect(roleOf(null)).toBeNull();
+    expect(hasRole('owner', 'editor')).toBe(true);
+    expect(hasRole('viewer', 'editor')).toBe(false);
+
+    const legacy = await createUser();
+    await db.userNotes.create({ note_id: noteId, user_id: legacy.user_id, is_creator: false, role: null });
+
+    const res = await request(app)
+      .put(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${legacy.token}`)
+      .send({ title: 'Quarterly planning', content: 'Budget review, signed off' });
+
+    expect(res.statusCode).toEqual(200);
+
+    const readRes = await request(app)
+      .get(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${legacy.token}`);
+
+    expect(readRes.body).toHaveProperty('role', 'editor');
+  });
+
+  it('should let the owner move a note to the trash, after which members get a 404', async () => {
+    const viewer = await createUser();
+    const createRes = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Scratch', content: 'To be deleted' });
+    const scratchId = createRes.body.note_id;
+
+    await request(app)
+      .post(`/api/notes/${scratchId}/share`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ userId: viewer.user_id, role: 'viewer' });
+
+    const deleteRes = await request(app)
+      .delete(`/api/notes/${scratchId}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(deleteRes.statusCode).toEqual(200);
+
+    const readRes = await request(app)
+      .get(`/api/notes/${scratchId}`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+
+    expect(readRes.statusCode).toEqual(404);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
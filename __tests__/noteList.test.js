@@ -0,0 +1,155 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { createUser } from './helpers.js';
+
+describe('Notes list', () => {
+  let user;
+  let categoryId;
+
+  const list = (query = {}) =>
+    request(app)
+      .get('/api/notes')
+      .query(query)
+      .set('Authorization', `Bearer ${user.token}`);
+
+  beforeAll(async () => {
+    user = await createUser();
+    const other = await createUser();
+
+    const createNote = async (owner, fields) => {
+      const res = await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send(fields);
+      return res.body.note_id;
+    };
+
+    const categoryRes = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ name: 'Recipes' });
+    categoryId = categoryRes.body.category_id;
+
+    await createNote(user, { title: 'Banana bread', content: 'Recipe', tags: ['food', 'baking'], category_id: categoryId });
+    await createNote(user, { title: 'Apple pie', content: 'Recipe', tags: ['food'] });
+    await createNote(user, { title: 'Cherry jam', content: 'Recipe', tags: ['baking'] });
+    const sharedId = await createNote(other, { title: 'Date squares', content: 'Recipe', tags: ['food'] });
+
+    await db.userNotes.create({ note_id: sharedId, user_id: user.user_id, is_creator: false, role: 'viewer' });
+  });
+
+  it('should page through every note exactly once', async () => {
+    const seen = [];
+    let cursor;
+
+    do {
+      const res = await list({ limit: 3, ...(cursor && { cursor }) });
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.total).toEqual(4);
+      seen.push(...res.body.notes.map(note => note.title));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+
+    expect(seen.sort()).toEqual(['Apple pie', 'Banana bread', 'Cherry jam', 'Date squares']);
+  });
+
+  it('should sort by title', async () => {
+    const res = await list({ sort: 'title', limit: 2 });
+    expect(res.body.notes.map(note => note.title)).toEqual(['Apple pie', 'Banana bread']);
+
+    const nextRes = await list({ sort: 'title', limit: 2, cursor: res.body.nextCursor });
+    expect(nextRes.body.notes.map(note => note.title)).toEqual(['Cherry jam', 'Date squares']);
+    expect(nextRes.body.nextCursor).toBeNull();
+  });
+
+  it('should filter by tags, category and scope', async () => {
+    const anyRes = await list({ tags: 'food,baking', sort: 'title', limit: 10 });
+    expect(anyRes.body.total).toEqual(4);
+
+    const allRes = await list({ tags: 'food,baking', tags_mode: 'all' });
+    expect(allRes.body.map(note => note.title)).toEqual(['Banana bread']);
+
+    const categoryRes = await list({ category_id: categoryId });
+    expect(categoryRes.body.map(note => note.title)).toEqual(['Banana bread']);
+
+    const sharedRes = await list({ scope: 'shared' });
+    expect(sharedRes.body).toHaveLength(1);
+    expect(sharedRes.body[0]).toHaveProperty('role', 'viewer');
+  });
+
+  it('should filter by date range', async () => {
+    const res = await list({ updated_after: new Date(Date.now() + 60 * 1000).toISOString(), limit: 10 });
+
+    expect(res.body.total).toEqual(0);
+    expect(res.body.notes).toEqual([]);
+  });
+
+  it('should send every note as a plain array when no page is asked for', async () => {
+    const res = await list({ sort: 'title' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.headers.etag).toMatch(/^W\//);
+    expect(res.body.map(note => note.title)).toEqual(['Apple pie', 'Banana bread', 'Cherry jam', 'Date squares']);
+  });
+
+  it('should page through notes without a title in both orders', async () => {
+    const writer = await createUser();
+    const noteIds = [];
+    for (const title of ['Agenda', 'Draft', 'Minutes', 'Outline']) {
+      const res = await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${writer.token}`)
+        .send({ title, content: 'Text' });
+      noteIds.push(res.body.note_id);
+    }
+    // Notes stored without a title
+    await db.notes.update(noteIds[1], { title: null });
+    await db.notes.update(noteIds[3], { title: null });
+
+    const pageThrough = async (order) => {
+      const titles = [];
+      let cursor;
+      do {
+        const res = await request(app)
+          .get('/api/notes')
+          .query({ sort: 'title', order, limit: 1, ...(cursor && { cursor }) })
+          .set('Authorization', `Bearer ${writer.token}`);
+        expect(res.statusCode).toEqual(200);
+        titles.push(...res.body.notes.map(note => note.title));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+      return titles;
+    };
+
+    expect(await pageThrough('asc')).toEqual(['Agenda', 'Minutes', null, null]);
+    expect(await pageThrough('desc')).toEqual([null, null, 'Minutes', 'Agenda']);
+  });
+
+  it('should reject a cursor from another sort order', async () => {
+    const res = await list({ sort: 'title', limit: 1 });
+    const otherRes = await list({ sort: 'last_update', cursor: res.body.nextCursor });
+
+    expect(otherRes.statusCode).toEqual(400);
+  });
+
+  it('should refuse malformed cursors the same way on every list', async () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const cursors = ['nope', encode(null), encode([1]), encode({ id: '1' })];
+    const lists = ['/api/notes', '/api/users/me/activity', '/api/notifications'];
+
+    for (const url of lists) {
+      for (const cursor of cursors) {
+        const res = await request(app)
+          .get(url)
+          .query({ cursor })
+          .set('Authorization', `Bearer ${user.token}`);
+        expect([url, res.statusCode, res.body.error]).toEqual([url, 400, 'Invalid cursor.']);
+      }
+    }
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
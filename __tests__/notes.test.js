@@ -1,5 +1,7 @@
 import request from 'supertest';
 import {app, server} from '../server';
+import db from '../db/index.js';
+import mail from '../services/mail/index.js';
 import { v4 as uuidv4 } from 'uuid';
 
 
@@ -25,6 +27,8 @@ describe('User API', () => {
 
       if (registerResponse.body && registerResponse.body.user && registerResponse.body.user.user_id) {
         testUser.id = registerResponse.body.user.user_id;
+        // Accounts can only log in once their email is verified
+        await db.users.update(testUser.id, { email_verified_on: new Date().toISOString() });
       } else if (registerResponse.body && registerResponse.body.user_id) {
         testUser.id = registerResponse.body.user_id;
       } else {
@@ -134,7 +138,9 @@ describe('User API', () => {
   });
 
 
-  afterAll(() => {
+  afterAll(async () => {
+    // Let the verification emails of the registrations go out before the suite ends
+    await mail.flush();
     // Add this to close the server
     server.close();
   });
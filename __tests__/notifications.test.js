@@ -0,0 +1,124 @@
+import request from 'supertest';
+import { io as connectSocket } from 'socket.io-client';
+import { app, server } from '../server';
+import { createUser } from './helpers.js';
+
+describe('Notifications', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${someone.token}`),
+  });
+
+  const socketUrl = async () => {
+    if (!server.listening) await new Promise(resolve => server.once('listening', resolve));
+    return `http://localhost:${server.address().port}`;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser();
+    editor = await createUser();
+    viewer = await createUser();
+
+    const noteRes = await as(owner).post('/api/notes', { title: 'Launch plan', content: 'Draft' });
+    noteId = noteRes.body.note_id;
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: editor.user_id, role: 'editor' });
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: viewer.user_id, role: 'viewer' });
+  });
+
+  it('should notify users when a note is shared with them', async () => {
+    const res = await as(editor).get('/api/notifications');
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.unreadCount).toEqual(1);
+    expect(res.body.notifications[0]).toEqual(expect.objectContaining({
+      type: 'note.shared',
+      note_id: noteId,
+      read: false,
+      actor: { user_id: owner.user_id, username: owner.username },
+      data: { note_title: 'Launch plan', role: 'editor' },
+    }));
+  });
+
+  it('should notify members of comments, mentions and replies once each', async () => {
+    const thread = (await as(editor).post(`/api/notes/${noteId}/comments`, { body: `What do you think, @${viewer.username}?` })).body;
+
+    const ownerRes = await as(owner).get('/api/notifications');
+    expect(ownerRes.body.notifications[0]).toEqual(expect.objectContaining({ type: 'comment.created', comment_id: thread.comment_id }));
+
+    const viewerRes = await as(viewer).get('/api/notifications?unread=true');
+    expect(viewerRes.body.notifications.map(notification => notification.type)).toEqual(['comment.mentioned', 'note.shared']);
+
+    await as(owner).post(`/api/notes/${noteId}/comments/${thread.comment_id}/replies`, { body: 'Looks good' });
+
+    const editorRes = await as(editor).get('/api/notifications');
+    expect(editorRes.body.notifications[0]).toEqual(expect.objectContaining({ type: 'comment.replied', data: expect.objectContaining({ body: 'Looks good' }) }));
+
+    // The viewer did not write in the thread
+    expect((await as(viewer).get('/api/notifications')).body.notifications).toHaveLength(2);
+  });
+
+  it('should mark one or all notifications as read', async () => {
+    const { notifications } = (await as(viewer).get('/api/notifications')).body;
+
+    const readRes = await as(viewer).post(`/api/notifications/${notifications[0].notification_id}/read`);
+    expect(readRes.statusCode).toEqual(200);
+    expect(readRes.body.notification.read).toBe(true);
+    expect(readRes.body.unreadCount).toEqual(1);
+
+    expect((await as(owner).post(`/api/notifications/${notifications[1].notification_id}/read`)).statusCode).toEqual(404);
+
+    const allRes = await as(viewer).post('/api/notifications/read-all');
+    expect(allRes.body).toEqual(expect.objectContaining({ updated: 1, unreadCount: 0 }));
+    expect((await as(viewer).get('/api/notifications?unread=true')).body.notifications).toEqual([]);
+  });
+
+  it('should page through notifications', async () => {
+    const firstRes = await as(viewer).get('/api/notifications?limit=1');
+    expect(firstRes.body.notifications).toHaveLength(1);
+
+    const secondRes = await as(viewer).get(`/api/notifications?limit=1&cursor=${firstRes.body.nextCursor}`);
+    expect(secondRes.body.notifications[0].type).toEqual('note.shared');
+    expect(secondRes.body.nextCursor).toBeNull();
+  });
+
+  it('should push notifications to the user\'s open clients', async () => {
+    const socket = connectSocket(await socketUrl(), { auth: { token: viewer.token }, transports: ['websocket'] });
+
+    try {
+      await new Promise((resolve, reject) => {
+        socket.once('connect', resolve);
+        socket.once('connect_error', reject);
+      });
+
+      const received = new Promise(resolve => socket.once('notification', resolve));
+      await as(owner).delete(`/api/notes/${noteId}/users/${viewer.user_id}`);
+
+      const { notification, unreadCount } = await received;
+      expect(notification).toEqual(expect.objectContaining({ type: 'note.unshared', note_id: noteId }));
+      expect(unreadCount).toEqual(1);
+    } finally {
+      socket.disconnect();
+    }
+  });
+
+  it('should refuse sockets without a valid token', async () => {
+    const socket = connectSocket(await socketUrl(), { auth: { token: 'nope' }, transports: ['websocket'] });
+
+    try {
+      const error = await new Promise(resolve => socket.once('connect_error', resolve));
+      expect(error.message).toEqual('Invalid or expired token.');
+    } finally {
+      socket.disconnect();
+    }
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,97 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import mail from '../services/mail/index.js';
+import { v4 as uuidv4 } from 'uuid';
+
+describe('Password reset', () => {
+  let testUser;
+  let authToken;
+
+  /**
+   * Request a reset link and pull the token out of the email that was sent.
+   * @returns {Promise<string>}
+   */
+  const requestResetToken = async () => {
+    await request(app).post('/api/users/reset-password').send({ email: testUser.email });
+    await mail.flush();
+
+    const message = mail.transport.messages.filter(sent => sent.to === testUser.email).pop();
+    return new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  beforeAll(async () => {
+    testUser = {
+      username: `testuser${uuidv4().replace(/-/g, '')}`,
+      email: `testuser_${uuidv4()}@example.com`,
+      password: 'testPassword123!'
+    };
+
+    const registerRes = await request(app).post('/api/users/register').send(testUser);
+    await db.users.update(registerRes.body.user.user_id, { email_verified_on: new Date().toISOString() });
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ username: testUser.username, password: testUser.password });
+    authToken = res.body.token;
+  });
+
+  it('should answer the same way for unknown and known emails', async () => {
+    const unknownRes = await request(app)
+      .post('/api/users/reset-password')
+      .send({ email: `nobody_${uuidv4()}@example.com` });
+    const knownRes = await request(app)
+      .post('/api/users/reset-password')
+      .send({ email: testUser.email });
+
+    expect(unknownRes.statusCode).toEqual(200);
+    expect(knownRes.statusCode).toEqual(200);
+    expect(unknownRes.body).toEqual(knownRes.body);
+  });
+
+  it('should reset the password once and sign out existing sessions', async () => {
+    const token = await requestResetToken();
+
+    const res = await request(app)
+      .post('/api/users/reset-password/confirm')
+      .send({ token, newPassword: 'newPassword456!' });
+
+    expect(res.statusCode).toEqual(200);
+
+    const reuseRes = await request(app)
+      .post('/api/users/reset-password/confirm')
+      .send({ token, newPassword: 'anotherPassword789!' });
+
+    expect(reuseRes.statusCode).toEqual(400);
+
+    const oldSessionRes = await request(app)
+      .get('/api/notes')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(oldSessionRes.statusCode).toEqual(403);
+
+    const loginRes = await request(app)
+      .post('/api/users/login')
+      .send({ username: testUser.username, password: 'newPassword456!' });
+
+    expect(loginRes.statusCode).toEqual(200);
+  });
+
+  it('should invalidate older links once a newer one is used', async () => {
+    const olderToken = await requestResetToken();
+    const newerToken = await requestResetToken();
+
+    await request(app)
+      .post('/api/users/reset-password/confirm')
+      .send({ token: newerToken, newPassword: 'newPassword456!' });
+
+    const res = await request(app)
+      .post('/api/users/reset-password/confirm')
+      .send({ token: olderToken, newPassword: 'anotherPassword789!' });
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
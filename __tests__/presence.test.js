@@ -0,0 +1,84 @@
+import { EventEmitter } from 'events';
+import request from 'supertest';
+import { app, server } from '../server';
+import { trackConnection } from '../collab/connections.js';
+import { createUser } from './helpers.js';
+
+/* A y-websocket sync message carrying a document update */
+const UPDATE_MESSAGE = Buffer.from([0, 2, 0]);
+
+describe('Presence', () => {
+  let owner;
+  let viewer;
+  let noteId;
+  const sockets = [];
+
+  /* Stand-in for the WebSocket of a Yjs connection that passed the upgrade checks */
+  const connect = (user, role) => {
+    const ws = new EventEmitter();
+    trackConnection(String(noteId), ws, user, role);
+    sockets.push(ws);
+    return ws;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser();
+    viewer = await createUser();
+
+    const noteRes = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Standup', content: 'Notes' });
+    noteId = noteRes.body.note_id;
+
+    await request(app)
+      .post(`/api/notes/${noteId}/share`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ userId: viewer.user_id, role: 'viewer' });
+  });
+
+  it('should list connected users with their connections and activity', async () => {
+    const laptop = connect(owner, 'owner');
+    connect(owner, 'owner');
+    connect(viewer, 'viewer');
+
+    laptop.emit('message', UPDATE_MESSAGE);
+
+    const res = await request(app)
+      .get(`/api/notes/${noteId}/presence`)
+      .set('Authorization', `Bearer ${viewer.token}`);
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual(expect.objectContaining({ connections: 3, active_editors: 1 }));
+
+    const ownerPresence = res.body.users.find(user => user.user_id === owner.user_id);
+    expect(ownerPresence).toEqual(expect.objectContaining({ username: owner.username, role: 'owner', connections: 2 }));
+    expect(ownerPresence.last_edit_on).toBeTruthy();
+    expect(res.body.users.find(user => user.user_id === viewer.user_id).last_edit_on).toBeNull();
+  });
+
+  it('should include active editors in the notes list on request', async () => {
+    const res = await request(app)
+      .get('/api/notes?include=active_editors')
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(res.body.find(note => note.note_id === noteId).active_editors).toEqual(1);
+
+    const plainRes = await request(app).get('/api/notes').set('Authorization', `Bearer ${owner.token}`);
+    expect(plainRes.body[0]).not.toHaveProperty('active_editors');
+  });
+
+  it('should forget connections once they close', async () => {
+    sockets.forEach(ws => ws.emit('close'));
+
+    const res = await request(app)
+      .get(`/api/notes/${noteId}/presence`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(res.body).toEqual(expect.objectContaining({ users: [], connections: 0, active_editors: 0 }));
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
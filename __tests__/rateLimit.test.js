@@ -0,0 +1,90 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import mail from '../services/mail/index.js';
+import { createRateLimiter } from '../services/rateLimit/index.js';
+import { createMemoryStore } from '../services/rateLimit/stores.js';
+import { v4 as uuidv4 } from 'uuid';
+
+describe('Rate limiting', () => {
+  it('should reject requests over the limit until the window ends', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore() });
+    const limit = { limit: 2, windowMs: 60 * 1000 };
+
+    expect(await limiter.hit('login:1.2.3.4', limit)).toEqual({ allowed: true });
+    expect(await limiter.hit('login:1.2.3.4', limit)).toEqual({ allowed: true });
+
+    const blocked = await limiter.hit('login:1.2.3.4', limit);
+    expect(blocked.allowed).toBe(false);
+    expect(blocked.retryAfter).toBeGreaterThan(0);
+    expect(blocked.retryAfter).toBeLessThanOrEqual(60);
+
+    expect(await limiter.hit('login:5.6.7.8', limit)).toEqual({ allowed: true });
+  });
+
+  it('should lock accounts for longer on every further lockout', async () => {
+    const limiter = createRateLimiter({ store: createMemoryStore(), lockoutThreshold: 2, lockoutBaseMs: 60 * 1000 });
+
+    expect(await limiter.recordFailure('Alice')).toBeNull();
+    const first = await limiter.recordFailure('alice');
+    expect(first.retryAfter).toEqual(60);
+
+    await limiter.store.delete('lock:alice');
+    await limiter.recordFailure('alice');
+    const second = await limiter.recordFailure('alice');
+    expect(second.retryAfter).toEqual(120);
+  });
+
+  describe('Login lockout', () => {
+    let testUser;
+
+    const login = (password) =>
+      request(app)
+        .post('/api/users/login')
+        .send({ username: testUser.username, password });
+
+    beforeAll(async () => {
+      testUser = {
+        username: `testuser${uuidv4().replace(/-/g, '')}`,
+        email: `testuser_${uuidv4()}@example.com`,
+        password: 'testPassword123!'
+      };
+
+      const registerRes = await request(app).post('/api/users/register').send(testUser);
+    await db.users.update(registerRes.body.user.user_id, { email_verified_on: new Date().toISOString() });
+    });
+
+    it('should lock the account after repeated failed logins', async () => {
+      for (let attempt = 0; attempt < 4; attempt++) {
+        const res = await login('wrongPassword');
+        expect(res.statusCode).toEqual(400);
+      }
+
+      const res = await login('wrongPassword');
+      expect(res.statusCode).toEqual(429);
+      expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+
+      const correctRes = await login(testUser.password);
+      expect(correctRes.statusCode).toEqual(429);
+    });
+
+    it('should unlock the account when the password is reset', async () => {
+      await request(app).post('/api/users/reset-password').send({ email: testUser.email });
+      await mail.flush();
+
+      const message = mail.transport.messages.filter(sent => sent.to === testUser.email).pop();
+      const token = new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+      await request(app)
+        .post('/api/users/reset-password/confirm')
+        .send({ token, newPassword: 'newPassword456!' });
+
+      const res = await login('newPassword456!');
+      expect(res.statusCode).toEqual(200);
+    });
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
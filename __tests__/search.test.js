@@ -0,0 +1,117 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import { markHeadline, toFullTextQuery } from '../services/search.js';
+import { createUser } from './helpers.js';
+
+describe('Note search', () => {
+  let owner;
+  const ids = {};
+
+  const createNote = async (key, note) => {
+    const res = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send(note);
+    ids[key] = res.body.note_id;
+  };
+
+  const search = (q) =>
+    request(app)
+      .get(`/api/notes/search?q=${encodeURIComponent(q)}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+
+  const foundKeys = (res) =>
+    res.body.results.map(result => Object.keys(ids).find(key => ids[key] === result.note_id));
+
+  beforeAll(async () => {
+    owner = await createUser();
+
+    await createNote('plan', { title: 'Quarterly plan', content: 'The roadmap for next quarter.' });
+    await createNote('review', { title: 'Team notes', content: 'We discussed the quarterly plan and a few <b>risks</b> & blockers.' });
+    await createNote('reversed', { title: 'Retro', content: 'A plan that is quarterly at best.' });
+    await createNote('tagged', { title: 'Misc', content: 'Nothing here.', tags: ['roadmap'] });
+    await createNote('trashed', { title: 'Quarterly plan draft', content: 'Old quarterly plan.' });
+
+    await request(app)
+      .delete(`/api/notes/${ids.trashed}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+  });
+
+  it('should require a query', async () => {
+    const res = await search('  ');
+
+    expect(res.statusCode).toEqual(400);
+  });
+
+  it('should match quoted phrases only with the words in order', async () => {
+    const res = await search('"quarterly plan"');
+
+    expect(res.statusCode).toEqual(200);
+    expect(foundKeys(res).sort()).toEqual(['plan', 'review']);
+
+    const wordsRes = await search('quarterly plan');
+    expect(foundKeys(wordsRes).sort()).toEqual(['plan', 'reversed', 'review']);
+  });
+
+  it('should match words by prefix', async () => {
+    const res = await search('road*');
+
+    expect(foundKeys(res).sort()).toEqual(['plan', 'tagged']);
+    expect((await search('road')).body.total).toEqual(0);
+  });
+
+  it('should rank title matches above tag and content matches', async () => {
+    const res = await search('roadmap');
+
+    expect(foundKeys(res)).toEqual(['tagged', 'plan']);
+    expect(res.body.results[0].score).toBeGreaterThan(res.body.results[1].score);
+
+    const phraseRes = await search('"quarterly plan"');
+    expect(foundKeys(phraseRes)).toEqual(['plan', 'review']);
+  });
+
+  it('should highlight matches in the title and an escaped snippet', async () => {
+    const res = await search('"quarterly plan" risks');
+    const [result] = res.body.results;
+
+    expect(foundKeys(res)).toEqual(['review']);
+    expect(result.highlights.title).toEqual('Team notes');
+    expect(result.highlights.snippet).toEqual(
+      'We discussed the <mark>quarterly plan</mark> and a few &lt;b&gt;<mark>risks</mark>&lt;/b&gt; &amp; blockers.'
+    );
+    expect(result.content).toBeUndefined();
+    expect(result.role).toEqual('owner');
+  });
+
+  it('should count every match but return at most limit results', async () => {
+    const res = await request(app)
+      .get('/api/notes/search?q=plan&limit=1')
+      .set('Authorization', `Bearer ${owner.token}`);
+
+    expect(res.body.total).toEqual(3);
+    expect(res.body.results).toHaveLength(1);
+  });
+
+  it('should leave trashed notes out', async () => {
+    const res = await search('draft');
+
+    expect(res.body.total).toEqual(0);
+  });
+
+  it('should translate queries for Postgres full-text search', () => {
+    expect(toFullTextQuery('"Quarterly plan" risks')).toEqual({ terms: '"quarterly plan" risks', prefixes: '' });
+    expect(toFullTextQuery('road* next-quar* "next quarter"')).toEqual({
+      terms: '"next quarter"',
+      prefixes: 'road:* & next <-> quar:*',
+    });
+    expect(toFullTextQuery('plan\'); drop table notes; --')).toEqual({ terms: 'plan drop table notes', prefixes: '' });
+  });
+
+  it('should turn ts_headline markers into escaped highlights', () => {
+    expect(markHeadline('a <b> \u0002plan\u0003 & more')).toEqual('a &lt;b&gt; <mark>plan</mark> &amp; more');
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,177 @@
+import { once } from 'events';
+import request from 'supertest';
+import { io as connectSocket } from 'socket.io-client';
+import WebSocket from 'ws';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { v4 as uuidv4 } from 'uuid';
+
+describe('Sessions', () => {
+  let testUser;
+
+  const login = () =>
+    request(app)
+      .post('/api/users/login')
+      .set('User-Agent', 'jest')
+      .send({ username: testUser.username, password: testUser.password });
+
+  beforeAll(async () => {
+    testUser = {
+      username: `testuser${uuidv4().replace(/-/g, '')}`,
+      email: `testuser_${uuidv4()}@example.com`,
+      password: 'testPassword123!'
+    };
+
+    const registerRes = await request(app).post('/api/users/register').send(testUser);
+    await db.users.update(registerRes.body.user.user_id, { email_verified_on: new Date().toISOString() });
+  });
+
+  it('should rotate the refresh token on every use', async () => {
+    const loginRes = await login();
+
+    expect(loginRes.body).toHaveProperty('refreshToken');
+
+    const res = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.refreshToken).not.toEqual(loginRes.body.refreshToken);
+
+    const notesRes = await request(app)
+      .get('/api/notes')
+      .set('Authorization', `Bearer ${res.body.token}`);
+
+    expect(notesRes.statusCode).toEqual(200);
+  });
+
+  it('should revoke the session when an old refresh token is reused', async () => {
+    const loginRes = await login();
+
+    const firstRes = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    const reuseRes = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    expect(reuseRes.statusCode).toEqual(401);
+
+    const rotatedRes = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: firstRes.body.refreshToken });
+
+    expect(rotatedRes.statusCode).toEqual(401);
+
+    const notesRes = await request(app)
+      .get('/api/notes')
+      .set('Authorization', `Bearer ${firstRes.body.token}`);
+
+    expect(notesRes.statusCode).toEqual(403);
+  });
+
+  it('should refuse a made-up refresh token without ending the session', async () => {
+    const loginRes = await login();
+
+    // Session IDs are not secret, anyone may send one with a guessed secret
+    const guessRes = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: `${loginRes.body.sessionId}.guessed` });
+
+    expect(guessRes.statusCode).toEqual(401);
+
+    const res = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: loginRes.body.refreshToken });
+
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('should reject the access token after logout', async () => {
+    const { body } = await login();
+
+    const res = await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    expect(res.statusCode).toEqual(200);
+
+    const notesRes = await request(app)
+      .get('/api/notes')
+      .set('Authorization', `Bearer ${body.token}`);
+
+    expect(notesRes.statusCode).toEqual(403);
+  });
+
+  it('should list sessions and sign out another device', async () => {
+    const laptop = (await login()).body;
+    const phone = (await login()).body;
+
+    const listRes = await request(app)
+      .get('/api/users/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(listRes.statusCode).toEqual(200);
+    expect(listRes.body.find(session => session.session_id === laptop.sessionId)).toHaveProperty('current', true);
+    expect(listRes.body.find(session => session.session_id === phone.sessionId)).toHaveProperty('user_agent', 'jest');
+
+    const res = await request(app)
+      .delete(`/api/users/sessions/${phone.sessionId}`)
+      .set('Authorization', `Bearer ${laptop.token}`);
+
+    expect(res.statusCode).toEqual(200);
+
+    const refreshRes = await request(app)
+      .post('/api/users/refresh-token')
+      .send({ refreshToken: phone.refreshToken });
+
+    expect(refreshRes.statusCode).toEqual(401);
+  });
+
+  it('should close the live connections of a session that ends', async () => {
+    if (!server.listening) await once(server, 'listening');
+    const laptop = (await login()).body;
+    const phone = (await login()).body;
+    const noteRes = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .send({ title: 'Shopping', content: 'Milk' });
+    const openNote = async (session) => {
+      const ws = new WebSocket(`ws://localhost:${server.address().port}/${noteRes.body.note_id}?token=${session.token}`);
+      await once(ws, 'open');
+      return ws;
+    };
+
+    const laptopWs = await openNote(laptop);
+    const phoneWs = await openNote(phone);
+    const phoneSocket = connectSocket(`http://localhost:${server.address().port}`, { auth: { token: phone.token }, transports: ['websocket'] });
+    await once(phoneSocket, 'connect');
+
+    try {
+      const phoneClosed = once(phoneWs, 'close');
+      const phoneDisconnected = once(phoneSocket, 'disconnect');
+
+      await request(app)
+        .delete(`/api/users/sessions/${phone.sessionId}`)
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect((await phoneClosed)[0]).toEqual(4403);
+      expect((await phoneDisconnected)[0]).toEqual('io server disconnect');
+      expect(laptopWs.readyState).toEqual(WebSocket.OPEN);
+
+      const laptopClosed = once(laptopWs, 'close');
+      await request(app)
+        .post('/api/users/logout')
+        .set('Authorization', `Bearer ${laptop.token}`);
+
+      expect((await laptopClosed)[0]).toEqual(4403);
+    } finally {
+      phoneSocket.disconnect();
+    }
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,117 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { createUser } from './helpers.js';
+
+describe('Share links', () => {
+  let owner;
+  let editor;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${someone.token}`),
+  });
+
+  beforeAll(async () => {
+    owner = await createUser();
+    editor = await createUser();
+
+    const noteRes = await as(owner).post('/api/notes', { title: 'Public roadmap', content: 'Q3: ship links' });
+    noteId = noteRes.body.note_id;
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: editor.user_id, role: 'editor' });
+  });
+
+  it('should let only the owner create links', async () => {
+    expect((await as(editor).post(`/api/notes/${noteId}/links`, { role: 'viewer' })).statusCode).toEqual(403);
+    expect((await as(owner).post(`/api/notes/${noteId}/links`, { role: 'editor' })).statusCode).toEqual(400);
+    expect((await as(owner).post(`/api/notes/${noteId}/links`, { expires_on: '2000-01-01' })).statusCode).toEqual(400);
+  });
+
+  it('should open a note through a link without logging in and log the access', async () => {
+    const linkRes = await as(owner).post(`/api/notes/${noteId}/links`, { role: 'viewer' });
+    expect(linkRes.statusCode).toEqual(201);
+    expect(linkRes.body.url).toContain(linkRes.body.token);
+    expect(linkRes.body).not.toHaveProperty('token_hash');
+
+    const res = await request(app).get(`/api/shared/${linkRes.body.token}`).set('User-Agent', 'link-test');
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual(expect.objectContaining({ role: 'viewer' }));
+    expect(res.body.note).toEqual(expect.objectContaining({ title: 'Public roadmap', content: 'Q3: ship links' }));
+
+    const listRes = await as(owner).get(`/api/notes/${noteId}/links`);
+    const link = listRes.body.find(candidate => candidate.link_id === linkRes.body.link_id);
+    expect(link).toEqual(expect.objectContaining({ access_count: 1, active: true }));
+
+    const logRes = await as(owner).get(`/api/notes/${noteId}/links/${link.link_id}/access`);
+    expect(logRes.body).toHaveLength(1);
+    expect(logRes.body[0].user_agent).toEqual('link-test');
+  });
+
+  it('should require the password of a protected link', async () => {
+    const linkRes = await as(owner).post(`/api/notes/${noteId}/links`, { password: 'open sesame' });
+    expect(linkRes.body.has_password).toBe(true);
+
+    const missingRes = await request(app).get(`/api/shared/${linkRes.body.token}`);
+    expect(missingRes.statusCode).toEqual(401);
+    expect(missingRes.body.passwordRequired).toBe(true);
+
+    const wrongRes = await request(app).get(`/api/shared/${linkRes.body.token}`).set('X-Share-Password', 'guess');
+    expect(wrongRes.statusCode).toEqual(401);
+
+    const res = await request(app).get(`/api/shared/${linkRes.body.token}`).set('X-Share-Password', 'open sesame');
+    expect(res.statusCode).toEqual(200);
+  });
+
+  it('should stop working once revoked or expired', async () => {
+    const linkRes = await as(owner).post(`/api/notes/${noteId}/links`, { role: 'viewer' });
+
+    const revokeRes = await as(owner).delete(`/api/notes/${noteId}/links/${linkRes.body.link_id}`);
+    expect(revokeRes.statusCode).toEqual(200);
+    expect(revokeRes.body.link.active).toBe(false);
+    expect((await request(app).get(`/api/shared/${linkRes.body.token}`)).statusCode).toEqual(404);
+
+    const expiringRes = await as(owner).post(`/api/notes/${noteId}/links`, {
+      expires_on: new Date(Date.now() + 60 * 1000).toISOString(),
+    });
+    await db.shareLinks.update(expiringRes.body.link_id, { expires_on: new Date(Date.now() - 1000).toISOString() });
+    expect((await request(app).get(`/api/shared/${expiringRes.body.token}`)).statusCode).toEqual(404);
+
+    expect((await request(app).get('/api/shared/not-a-token')).statusCode).toEqual(404);
+  });
+
+  it('should take comments only through a commenter link', async () => {
+    const viewLink = (await as(owner).post(`/api/notes/${noteId}/links`, { role: 'viewer' })).body;
+    const commentLink = (await as(owner).post(`/api/notes/${noteId}/links`, { role: 'commenter', password: 'feedback' })).body;
+    const comment = (link, body, password = 'feedback') =>
+      request(app).post(`/api/shared/${link.token}/comments`).set('X-Share-Password', password).send(body);
+
+    expect(commentLink.role).toEqual('commenter');
+    expect((await comment(viewLink, { body: 'Looks good' })).statusCode).toEqual(403);
+    expect((await comment(commentLink, { body: 'Looks good' }, 'guess')).statusCode).toEqual(401);
+    expect((await comment(commentLink, { body: '  ' })).statusCode).toEqual(400);
+
+    const res = await comment(commentLink, { body: 'Can we ship in Q2?', name: 'Sam', anchor: { index: 0, length: 2 } });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toEqual(expect.objectContaining({ body: 'Can we ship in Q2?', author: null, author_name: 'Sam' }));
+    expect(res.body.anchor.quote).toEqual('Q3');
+
+    const threadsRes = await as(owner).get(`/api/notes/${noteId}/comments`);
+    expect(threadsRes.body.map(thread => thread.body)).toContain('Can we ship in Q2?');
+
+    const logRes = await as(owner).get(`/api/notes/${noteId}/links/${commentLink.link_id}/access`);
+    expect(logRes.body).toHaveLength(1);
+
+    await db.shareLinks.update(commentLink.link_id, { expires_on: new Date(Date.now() - 1000).toISOString() });
+    expect((await comment(commentLink, { body: 'Still there?' })).statusCode).toEqual(404);
+
+    await db.shareLinks.update(commentLink.link_id, { expires_on: null });
+    await as(owner).delete(`/api/notes/${noteId}/links/${commentLink.link_id}`);
+    expect((await comment(commentLink, { body: 'Still there?' })).statusCode).toEqual(404);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,106 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import { normalizeTags } from '../services/tags.js';
+import webhooks from '../services/webhooks.js';
+import { createUser } from './helpers.js';
+
+describe('Tags', () => {
+  let user;
+  let noteId;
+  let viewOnlyNoteId;
+
+  const tagList = async () =>
+    (await request(app).get('/api/tags').set('Authorization', `Bearer ${user.token}`)).body;
+
+  beforeAll(async () => {
+    user = await createUser();
+    const other = await createUser();
+
+    const createNote = async (owner, tags) => {
+      const res = await request(app)
+        .post('/api/notes')
+        .set('Authorization', `Bearer ${owner.token}`)
+        .send({ title: 'Tagged note', content: 'Some content', tags });
+      return res.body.note_id;
+    };
+
+    noteId = await createNote(user, [' Work ', 'work', 'Team   Meetings']);
+    await createNote(user, ['WORK', 'ideas']);
+    viewOnlyNoteId = await createNote(other, ['ideas']);
+
+    await db.userNotes.create({ note_id: viewOnlyNoteId, user_id: user.user_id, is_creator: false, role: 'viewer' });
+  });
+
+  it('should normalise tags on write', () => {
+    expect(normalizeTags([' Work ', 'work', 'Team   Meetings', ''])).toEqual(['work', 'team meetings']);
+    expect(normalizeTags('a, B ,a')).toEqual(['a', 'b']);
+  });
+
+  it('should list tags with usage counts', async () => {
+    expect(await tagList()).toEqual([
+      { name: 'ideas', count: 2 },
+      { name: 'work', count: 2 },
+      { name: 'team meetings', count: 1 },
+    ]);
+
+    const res = await request(app)
+      .get('/api/tags?q=te')
+      .set('Authorization', `Bearer ${user.token}`);
+
+    expect(res.body).toEqual([{ name: 'team meetings', count: 1 }]);
+  });
+
+  it('should merge tags when renaming to an existing one', async () => {
+    const res = await request(app)
+      .put('/api/tags/Team%20Meetings')
+      .set('Authorization', `Bearer ${user.token}`)
+      .send({ name: 'Work' });
+
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toHaveProperty('updated', 1);
+
+    const note = await db.notes.findById(noteId);
+    expect(note.tags).toEqual(['work']);
+  });
+
+  it('should only remove tags from notes the user can edit', async () => {
+    const res = await request(app)
+      .delete('/api/tags/ideas')
+      .set('Authorization', `Bearer ${user.token}`);
+
+    expect(res.body).toEqual(expect.objectContaining({ updated: 1, skipped: 1 }));
+    expect((await db.notes.findById(viewOnlyNoteId)).tags).toEqual(['ideas']);
+  });
+
+  it('should record the change of every retagged note and send it to webhooks', async () => {
+    await db.webhooks.create({ user_id: user.user_id, url: 'http://localhost/hook', events: ['note.updated'], secret: 'whsec_tags', active: true });
+    const enqueue = jest.spyOn(webhooks, 'enqueue').mockResolvedValue();
+
+    try {
+      const res = await request(app)
+        .put('/api/tags/work')
+        .set('Authorization', `Bearer ${user.token}`)
+        .send({ name: 'jobs' });
+      expect(res.body).toHaveProperty('updated', 2);
+
+      const events = enqueue.mock.calls.map(([, payload]) => payload);
+      expect(events).toHaveLength(2);
+      expect(events.every(event => event.event === 'note.updated')).toBe(true);
+      expect(events.map(event => event.data.note.tags)).toEqual(expect.arrayContaining([['jobs']]));
+      expect(events[0].data.fields).toEqual(['tags']);
+    } finally {
+      enqueue.mockRestore();
+    }
+
+    const activityRes = await request(app)
+      .get(`/api/notes/${noteId}/activity`)
+      .set('Authorization', `Bearer ${user.token}`);
+    expect(activityRes.body.activity[0]).toEqual(expect.objectContaining({ type: 'note.updated', details: { fields: ['tags'] } }));
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,106 @@
+import request from 'supertest';
+import { app, server } from '../server';
+import db from '../db/index.js';
+import mail from '../services/mail/index.js';
+import { closeDocument, docs, ROOM_CLOSED } from '../collab/documents.js';
+import { purgeTrash } from '../services/notes.js';
+import { createUser } from './helpers.js';
+
+describe('Trash', () => {
+  let owner;
+  let collaborator;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    delete: (url) => request(app).delete(url).set('Authorization', `Bearer ${someone.token}`),
+  });
+
+  const createSharedNote = async (title) => {
+    const noteRes = await as(owner).post('/api/notes', { title, content: 'Some content' });
+    await as(owner).post(`/api/notes/${noteRes.body.note_id}/share`, { userId: collaborator.user_id, role: 'editor' });
+    return noteRes.body.note_id;
+  };
+
+  beforeAll(async () => {
+    owner = await createUser();
+    collaborator = await createUser();
+  });
+
+  it('should hide a trashed note from every member and tell collaborators', async () => {
+    const noteId = await createSharedNote('Old plans');
+
+    const res = await as(owner).delete(`/api/notes/${noteId}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body.deleted_on).toBeTruthy();
+
+    expect((await as(collaborator).get(`/api/notes/${noteId}`)).statusCode).toEqual(404);
+    expect((await as(owner).get(`/api/notes/${noteId}`)).statusCode).toEqual(404);
+
+    const listRes = await as(collaborator).get('/api/notes');
+    expect(listRes.body.map(note => note.note_id)).not.toContain(noteId);
+
+    await mail.flush();
+    const message = mail.transport.messages.filter(sent => sent.to === collaborator.email).pop();
+    expect(message.subject).toEqual('A Shared Note Was Moved to the Trash - NoteHub');
+  });
+
+  it('should list and restore notes from the owner\'s trash only', async () => {
+    const noteId = await createSharedNote('Restorable');
+    await as(owner).delete(`/api/notes/${noteId}`);
+
+    const trashRes = await as(owner).get('/api/trash');
+    const trashed = trashRes.body.find(note => note.note_id === noteId);
+    expect(trashed).toBeDefined();
+    expect(new Date(trashed.purge_on).getTime()).toBeGreaterThan(new Date(trashed.deleted_on).getTime());
+
+    expect((await as(collaborator).get('/api/trash')).body).toEqual([]);
+    expect((await as(collaborator).post(`/api/trash/${noteId}/restore`)).statusCode).toEqual(404);
+
+    const restoreRes = await as(owner).post(`/api/trash/${noteId}/restore`);
+    expect(restoreRes.statusCode).toEqual(200);
+    expect((await as(collaborator).get(`/api/notes/${noteId}`)).statusCode).toEqual(200);
+  });
+
+  it('should delete notes permanently from the trash', async () => {
+    const noteId = await createSharedNote('Gone for good');
+
+    expect((await as(owner).delete(`/api/trash/${noteId}`)).statusCode).toEqual(404);
+
+    await as(owner).delete(`/api/notes/${noteId}`);
+    const res = await as(owner).delete(`/api/trash/${noteId}`);
+    expect(res.statusCode).toEqual(200);
+
+    expect(await db.notes.findById(noteId)).toBeNull();
+    expect(await db.userNotes.find(noteId, collaborator.user_id)).toBeNull();
+  });
+
+  it('should purge notes once the retention period has passed', async () => {
+    const noteId = await createSharedNote('Expiring');
+    await as(owner).delete(`/api/notes/${noteId}`);
+
+    expect(await purgeTrash()).toEqual(0);
+    expect(await db.notes.findById(noteId)).not.toBeNull();
+
+    const later = Date.now() + 31 * 24 * 60 * 60 * 1000;
+    expect(await purgeTrash(later)).toBeGreaterThan(0);
+    expect(await db.notes.findById(noteId)).toBeNull();
+  });
+
+  it('should disconnect everyone from the room of a trashed note', () => {
+    const closed = [];
+    const socket = { close: (code, reason) => closed.push({ code, reason }) };
+    docs.set('trash-room', { conns: new Map([[socket, new Set()]]) });
+
+    expect(closeDocument('trash-room', 'Note moved to trash')).toEqual(1);
+    expect(closed).toEqual([{ code: ROOM_CLOSED, reason: 'Note moved to trash' }]);
+
+    docs.delete('trash-room');
+  });
+
+  afterAll(async () => {
+    // Let the trash notifications of the last tests go out before the suite ends
+    await mail.flush();
+    server.close();
+  });
+});
@@ -0,0 +1,110 @@
+import { once } from 'events';
+import { createRequire } from 'module';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { app, server } from '../server';
+import { docs } from '../collab/documents.js';
+import { createUser } from './helpers.js';
+
+// The CommonJS build, which shares its yjs with the server's documents (see collab/yjs.js)
+const require = createRequire(import.meta.url);
+const { WebsocketProvider } = require('y-websocket');
+const Y = require('yjs');
+
+/**
+ * Wait until a condition holds, polling every few milliseconds.
+ * @param {function(): boolean} condition
+ * @param {number} [timeout=2000]
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Note versions', () => {
+  let owner;
+  let viewer;
+  let noteId;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+  });
+
+  beforeAll(async () => {
+    owner = await createUser();
+    viewer = await createUser();
+
+    noteId = (await as(owner).post('/api/notes', { title: 'Essay', content: 'First draft' })).body.note_id;
+    await as(owner).post(`/api/notes/${noteId}/share`, { userId: viewer.user_id, role: 'viewer' });
+    if (!server.listening) await once(server, 'listening');
+  });
+
+  it('should let editors save named versions and everyone list them', async () => {
+    const res = await as(owner).post(`/api/notes/${noteId}/versions`, { name: 'Submitted' });
+    expect(res.statusCode).toEqual(201);
+    expect(res.body).toEqual(expect.objectContaining({ kind: 'named', name: 'Submitted', created_by: owner.user_id }));
+    expect(res.body).not.toHaveProperty('yjs_state');
+
+    expect((await as(owner).post(`/api/notes/${noteId}/versions`, { name: ' ' })).statusCode).toEqual(400);
+    expect((await as(viewer).post(`/api/notes/${noteId}/versions`, { name: 'Mine' })).statusCode).toEqual(403);
+
+    const listRes = await as(viewer).get(`/api/notes/${noteId}/versions`);
+    expect(listRes.statusCode).toEqual(200);
+    expect(listRes.body.map(version => version.name)).toEqual(['Submitted']);
+    expect(listRes.body[0]).not.toHaveProperty('yjs_state');
+  });
+
+  it('should get a version with its text', async () => {
+    const [version] = (await as(owner).get(`/api/notes/${noteId}/versions`)).body;
+
+    const res = await as(viewer).get(`/api/notes/${noteId}/versions/${version.version_id}`);
+    expect(res.statusCode).toEqual(200);
+    expect(res.body).toEqual(expect.objectContaining({ version_id: version.version_id, content: 'First draft' }));
+    expect(res.body).not.toHaveProperty('yjs_state');
+
+    const otherNoteId = (await as(owner).post('/api/notes', { title: 'Other', content: 'Text' })).body.note_id;
+    expect((await as(owner).get(`/api/notes/${otherNoteId}/versions/${version.version_id}`)).statusCode).toEqual(404);
+    expect((await as(owner).get(`/api/notes/${noteId}/versions/latest`)).statusCode).toEqual(404);
+    expect((await as(owner).post(`/api/notes/${noteId}/versions/1.5/restore`)).statusCode).toEqual(404);
+  });
+
+  it('should send a restore to connected clients as a regular Yjs update', async () => {
+    const [version] = (await as(owner).get(`/api/notes/${noteId}/versions`)).body;
+    await as(owner).put(`/api/notes/${noteId}`, { title: 'Essay', content: 'Second draft' });
+
+    const clientDoc = new Y.Doc();
+    const provider = new WebsocketProvider(`ws://localhost:${server.address().port}`, String(noteId), clientDoc, {
+      WebSocketPolyfill: WebSocket,
+      params: { token: viewer.token },
+    });
+    const text = clientDoc.getText('content');
+
+    try {
+      await waitFor(() => provider.synced && text.toString() === 'Second draft');
+
+      const res = await as(owner).post(`/api/notes/${noteId}/versions/${version.version_id}/restore`);
+      expect(res.statusCode).toEqual(200);
+      expect(res.body.content).toEqual('First draft');
+
+      await waitFor(() => text.toString() === 'First draft');
+      expect(provider.wsconnected).toBe(true);
+    } finally {
+      provider.destroy();
+      clientDoc.destroy();
+    }
+    await waitFor(() => !docs.has(String(noteId)));
+
+    const listRes = await as(owner).get(`/api/notes/${noteId}/versions`);
+    expect(listRes.body.map(saved => saved.name)).toContain(`Before restoring version ${version.version_id}`);
+    expect((await as(owner).get(`/api/notes/${noteId}`)).body.content).toEqual('First draft');
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
@@ -0,0 +1,294 @@
+import { jest } from '@jest/globals';
+import dns from 'dns';
+import http from 'http';
+import request from 'supertest';
+import { app, server } from '../server';
+import createMemoryRepositories from '../db/memory.js';
+import webhooks, { createWebhookService, signPayload } from '../services/webhooks.js';
+import { v4 as uuidv4 } from 'uuid';
+import { createUser } from './helpers.js';
+
+const webhook = { webhook_id: 1, url: 'http://hooks.example.com', secret: 'whsec_test' };
+
+/**
+ * Make a host name resolve to the given address, leaving other lookups alone.
+ * @param {string} hostname - The host name.
+ * @param {function(): string} addressOf - Returns the address for each lookup.
+ * @returns {Object} - The spy.
+ */
+const resolveTo = (hostname, addressOf) => {
+  const lookup = dns.lookup;
+  return jest.spyOn(dns, 'lookup').mockImplementation((name, options, callback) => {
+    if (name !== hostname) return lookup(name, options, callback);
+    const address = addressOf();
+    callback(null, [{ address, family: address.includes(':') ? 6 : 4 }]);
+  });
+};
+const payload = { id: 'event-1', event: 'note.created', created_on: new Date().toISOString(), data: {} };
+
+describe('Webhook service', () => {
+  it('should retry failed deliveries with backoff until they succeed', async () => {
+    const { webhookDeliveries } = createMemoryRepositories();
+    let calls = 0;
+    const send = async () => {
+      calls += 1;
+      if (calls <= 2) throw Object.assign(new Error('Endpoint answered with HTTP 503'), { status: 503 });
+      return 204;
+    };
+    const service = createWebhookService({ deliveries: webhookDeliveries, send, retryBaseMs: 5 });
+
+    const { delivery_id } = await service.enqueue(webhook, payload);
+    await service.flush();
+
+    expect(await webhookDeliveries.findById(delivery_id)).toEqual(expect.objectContaining({
+      status: 'delivered',
+      attempts: 3,
+      response_status: 204,
+      last_error: null,
+    }));
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    const { webhookDeliveries } = createMemoryRepositories();
+    const send = async () => { throw new Error('connect ECONNREFUSED'); };
+    const service = createWebhookService({ deliveries: webhookDeliveries, send, maxAttempts: 2, retryBaseMs: 5 });
+
+    const { delivery_id } = await service.enqueue(webhook, payload);
+    await service.flush();
+
+    expect(await webhookDeliveries.findById(delivery_id)).toEqual(expect.objectContaining({
+      status: 'failed',
+      attempts: 2,
+      last_error: 'connect ECONNREFUSED',
+    }));
+  });
+
+  it('should resume the deliveries a previous run left unsent', async () => {
+    const { webhooks: hooks, webhookDeliveries } = createMemoryRepositories();
+    const active = await hooks.create({ user_id: 1, url: 'http://hooks.example.com', events: ['note.created'], secret: 'whsec_a', active: true });
+    const inactive = await hooks.create({ user_id: 1, url: 'http://hooks.example.com', events: ['note.created'], secret: 'whsec_b', active: false });
+    const pendingOf = (hook, status, attempts) => webhookDeliveries.create({
+      delivery_id: uuidv4(), webhook_id: hook.webhook_id, event: 'note.created', payload, status, attempts,
+    });
+    const queued = await pendingOf(active, 'queued', 0);
+    const retrying = await pendingOf(active, 'retrying', 2);
+    const delivered = await pendingOf(active, 'delivered', 1);
+    const stranded = await pendingOf(inactive, 'queued', 0);
+
+    const sent = [];
+    const send = async ({ headers }) => { sent.push(headers['X-NoteHub-Delivery']); return 200; };
+    const service = createWebhookService({ deliveries: webhookDeliveries, hooks, send, retryBaseMs: 5 });
+
+    expect(await service.resume()).toEqual(2);
+    await service.flush();
+
+    expect(sent).toEqual([queued.delivery_id, retrying.delivery_id]);
+    expect(await webhookDeliveries.findById(retrying.delivery_id)).toEqual(expect.objectContaining({ status: 'delivered', attempts: 3 }));
+    expect((await webhookDeliveries.findById(delivered.delivery_id)).attempts).toEqual(1);
+    expect(await webhookDeliveries.findById(stranded.delivery_id)).toEqual(expect.objectContaining({ status: 'failed', last_error: 'Webhook is inactive' }));
+  });
+
+  it('should refuse private addresses, checking the host again on every attempt', async () => {
+    const { webhookDeliveries } = createMemoryRepositories();
+    const lookup = resolveTo('internal.example.test', () => '10.0.0.7');
+    const service = createWebhookService({ deliveries: webhookDeliveries, maxAttempts: 3, retryBaseMs: 5 });
+
+    try {
+      const internal = await service.enqueue({ ...webhook, url: 'http://internal.example.test/hook' }, payload);
+      const metadata = await service.enqueue({ ...webhook, url: 'http://169.254.169.254/latest/meta-data' }, payload);
+      const mapped = await service.enqueue({ ...webhook, url: 'http://[::ffff:127.0.0.1]/hook' }, payload);
+      await service.flush();
+
+      for (const { delivery_id } of [internal, metadata, mapped]) {
+        expect(await webhookDeliveries.findById(delivery_id)).toEqual(expect.objectContaining({
+          status: 'failed',
+          attempts: 3,
+          response_status: null,
+          last_error: 'Refusing to send to a private or reserved address',
+        }));
+      }
+      expect(lookup.mock.calls.filter(([name]) => name === 'internal.example.test')).toHaveLength(3);
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+});
+
+describe('Webhooks', () => {
+  let owner;
+  let receiver;
+  let received;
+  let hook;
+
+  const as = (someone) => ({
+    get: (url) => request(app).get(url).set('Authorization', `Bearer ${someone.token}`),
+    post: (url, body) => request(app).post(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+    put: (url, body) => request(app).put(url).set('Authorization', `Bearer ${someone.token}`).send(body),
+  });
+
+  beforeAll(async () => {
+    owner = await createUser();
+    received = [];
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(200).end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, 'localhost', resolve));
+
+    const res = await as(owner).post('/api/webhooks', {
+      url: `http://localhost:${receiver.address().port}/hooks`,
+      events: ['note.created', 'note.shared'],
+    });
+    hook = res.body;
+  });
+
+  it('should register a webhook and show its secret only once', async () => {
+    expect(hook.secret).toMatch(/^whsec_/);
+
+    const listRes = await as(owner).get('/api/webhooks');
+    expect(listRes.body).toHaveLength(1);
+    expect(listRes.body[0]).not.toHaveProperty('secret');
+
+    const badRes = await as(owner).post('/api/webhooks', { url: 'ftp://example.com', events: ['note.created'] });
+    expect(badRes.statusCode).toEqual(400);
+    const badEventRes = await as(owner).post('/api/webhooks', { url: 'https://example.com', events: ['note.read'] });
+    expect(badEventRes.statusCode).toEqual(400);
+  });
+
+  it('should refuse to register webhooks for private addresses', async () => {
+    const urls = [
+      'http://127.0.0.1:8080/hooks',
+      'http://10.1.2.3/hooks',
+      'http://172.20.0.5/hooks',
+      'http://192.168.0.10/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hooks',
+      'http://[::ffff:127.0.0.1]/hooks',
+      'http://[fd00:ec2::254]/hooks',
+    ];
+
+    for (const url of urls) {
+      const res = await as(owner).post('/api/webhooks', { url, events: ['note.created'] });
+      expect(res.statusCode).toEqual(400);
+    }
+
+    const lookup = resolveTo('intranet.example.test', () => '192.168.1.20');
+    try {
+      const res = await as(owner).post('/api/webhooks', { url: 'https://intranet.example.test/hooks', events: ['note.created'] });
+      expect(res.statusCode).toEqual(400);
+      const updateRes = await as(owner).put(`/api/webhooks/${hook.webhook_id}`, { url: 'https://intranet.example.test/hooks' });
+      expect(updateRes.statusCode).toEqual(400);
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('should send signed events for the user\'s notes', async () => {
+    const collaborator = await createUser();
+    const noteRes = await as(owner).post('/api/notes', { title: 'Hooked', content: 'Body' });
+    await as(owner).post(`/api/notes/${noteRes.body.note_id}/share`, { userId: collaborator.user_id, role: 'viewer' });
+    await webhooks.flush();
+
+    expect(received.map(({ headers }) => headers['x-notehub-event'])).toEqual(['note.created', 'note.shared']);
+
+    const [created, shared] = received;
+    expect(created.headers['x-notehub-signature'])
+      .toEqual(signPayload(hook.secret, created.headers['x-notehub-timestamp'], created.body));
+
+    const event = JSON.parse(created.body);
+    expect(event.data.note).toEqual(expect.objectContaining({ note_id: noteRes.body.note_id, title: 'Hooked' }));
+    expect(event.data.note).not.toHaveProperty('yjs_state');
+    expect(event.data.actor).toEqual({ user_id: owner.user_id, username: owner.username });
+    expect(JSON.parse(shared.body).data).toEqual(expect.objectContaining({ role: 'viewer' }));
+  });
+
+  it('should keep a delivery history and redeliver on request', async () => {
+    const historyRes = await as(owner).get(`/api/webhooks/${hook.webhook_id}/deliveries`);
+    expect(historyRes.body.map(delivery => delivery.status)).toEqual(['delivered', 'delivered']);
+
+    const original = historyRes.body.find(delivery => delivery.event === 'note.created');
+    const redeliverRes = await as(owner).post(`/api/webhooks/${hook.webhook_id}/deliveries/${original.delivery_id}/redeliver`);
+    expect(redeliverRes.statusCode).toEqual(202);
+    expect(redeliverRes.body.redelivery_of).toEqual(original.delivery_id);
+    await webhooks.flush();
+
+    const last = received[received.length - 1];
+    expect(JSON.parse(last.body).id).toEqual(original.payload.id);
+    expect(last.headers['x-notehub-delivery']).toEqual(redeliverRes.body.delivery_id);
+  });
+
+  it('should stop sending to inactive webhooks and hide them from others', async () => {
+    await as(owner).put(`/api/webhooks/${hook.webhook_id}`, { active: false });
+    const count = received.length;
+
+    await as(owner).post('/api/notes', { title: 'Quiet', content: 'Body' });
+    await webhooks.flush();
+    expect(received).toHaveLength(count);
+
+    const stranger = await createUser();
+    expect((await as(stranger).get(`/api/webhooks/${hook.webhook_id}/deliveries`)).statusCode).toEqual(404);
+  });
+
+  it('should refuse a delivery once the host resolves to a private address', async () => {
+    let address = '203.0.113.10';
+    const lookup = resolveTo('rebind.example.test', () => address);
+
+    try {
+      const hookRes = await as(owner).post('/api/webhooks', { url: 'http://rebind.example.test/hooks', events: ['note.updated'] });
+      expect(hookRes.statusCode).toEqual(201);
+
+      address = '127.0.0.1';
+      const noteRes = await as(owner).post('/api/notes', { title: 'Rebound', content: 'Body' });
+      await as(owner).put(`/api/notes/${noteRes.body.note_id}`, { title: 'Rebound 2', content: 'Body' });
+      await webhooks.flush();
+
+      const historyRes = await as(owner).get(`/api/webhooks/${hookRes.body.webhook_id}/deliveries`);
+      expect(historyRes.body).toHaveLength(1);
+      expect(historyRes.body[0]).toEqual(expect.objectContaining({
+        status: 'failed',
+        response_status: null,
+        last_error: 'Refusing to send to a private or reserved address',
+      }));
+
+      // A redelivery is checked again as well
+      await as(owner).post(`/api/webhooks/${hookRes.body.webhook_id}/deliveries/${historyRes.body[0].delivery_id}/redeliver`);
+      await webhooks.flush();
+      const redeliveredRes = await as(owner).get(`/api/webhooks/${hookRes.body.webhook_id}/deliveries`);
+      expect(redeliveredRes.body.map(delivery => delivery.last_error))
+        .toEqual(['Refusing to send to a private or reserved address', 'Refusing to send to a private or reserved address']);
+    } finally {
+      lookup.mockRestore();
+    }
+  });
+
+  it('should only send the note id and title to a removed user', async () => {
+    const collaborator = await createUser();
+    await as(collaborator).post('/api/webhooks', {
+      url: `http://localhost:${receiver.address().port}/hooks`,
+      events: ['note.unshared'],
+    });
+    const noteRes = await as(owner).post('/api/notes', { title: 'Salaries', content: 'Confidential' });
+    await as(owner).post(`/api/notes/${noteRes.body.note_id}/share`, { userId: collaborator.user_id, role: 'viewer' });
+    const count = received.length;
+
+    await request(app)
+      .delete(`/api/notes/${noteRes.body.note_id}/users/${collaborator.user_id}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    await webhooks.flush();
+
+    expect(received).toHaveLength(count + 1);
+    const { data } = JSON.parse(received[count].body);
+    expect(data.note).toEqual({ note_id: noteRes.body.note_id, title: 'Salaries' });
+    expect(data.user).toEqual({ user_id: collaborator.user_id, username: collaborator.username });
+  });
+
+  afterAll(() => {
+    receiver.close();
+    server.close();
+  });
+});
@@ -0,0 +1,131 @@
+import { once } from 'events';
+import { createRequire } from 'module';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { app, server } from '../server';
+import { docs, getLiveContent } from '../collab/documents.js';
+import { createUser } from './helpers.js';
+
+// The CommonJS build, which shares its yjs with the server's documents (see collab/yjs.js)
+const require = createRequire(import.meta.url);
+const { WebsocketProvider } = require('y-websocket');
+const Y = require('yjs');
+
+/**
+ * Wait until a condition holds, polling every few milliseconds.
+ * @param {function(): boolean} condition
+ * @param {number} [timeout=2000]
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Collaborative editing connections', () => {
+  let owner;
+  let viewer;
+  let noteId;
+
+  const baseUrl = () => `ws://localhost:${server.address().port}`;
+
+  /**
+   * Open a WebSocket and resolve with the HTTP status its upgrade was answered with.
+   * @param {string} path - The room, with any query string.
+   * @param {string[]} [protocols] - Subprotocols to offer.
+   * @returns {Promise<number>} - 101 if the connection opened.
+   */
+  const upgradeStatus = (path, protocols) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${baseUrl()}/${path}`, protocols);
+    ws.on('open', () => {
+      ws.close();
+      resolve(101);
+    });
+    ws.on('unexpected-response', (req, res) => {
+      resolve(res.statusCode);
+      req.destroy();
+    });
+    ws.on('error', err => err.message.startsWith('Unexpected server response') || reject(err));
+  });
+
+  const connect = (someone) => {
+    const ydoc = new Y.Doc();
+    const provider = new WebsocketProvider(baseUrl(), String(noteId), ydoc, {
+      WebSocketPolyfill: WebSocket,
+      params: { token: someone.token },
+      // Both clients run in this process, they must not sync with each other past the server
+      disableBc: true,
+    });
+    return { ydoc, provider, text: ydoc.getText('content') };
+  };
+
+  beforeAll(async () => {
+    owner = await createUser();
+    viewer = await createUser();
+
+    const noteRes = await request(app)
+      .post('/api/notes')
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ title: 'Shared', content: 'Draft' });
+    noteId = noteRes.body.note_id;
+
+    await request(app)
+      .post(`/api/notes/${noteId}/share`)
+      .set('Authorization', `Bearer ${owner.token}`)
+      .send({ userId: viewer.user_id, role: 'viewer' });
+
+    if (!server.listening) await once(server, 'listening');
+  });
+
+  it('should only upgrade connections of members with a valid token', async () => {
+    const outsider = await createUser();
+
+    expect(await upgradeStatus(`${noteId}`)).toEqual(401);
+    expect(await upgradeStatus(`${noteId}?token=not.a.token`)).toEqual(403);
+    expect(await upgradeStatus(`${noteId}?token=${outsider.token}`)).toEqual(403);
+    expect(await upgradeStatus(`?token=${owner.token}`)).toEqual(400);
+
+    expect(await upgradeStatus(`${noteId}?token=${viewer.token}`)).toEqual(101);
+    expect(await upgradeStatus(`${noteId}`, [owner.token])).toEqual(101);
+  });
+
+  it('should drop document writes from viewers but send them the edits of others', async () => {
+    const ownerClient = connect(owner);
+    const viewerClient = connect(viewer);
+
+    try {
+      await waitFor(() =>
+        ownerClient.provider.synced && viewerClient.provider.synced && viewerClient.text.toString() === 'Draft'
+      );
+
+      viewerClient.text.insert(0, 'Vandalized ');
+      // Awareness is not dropped, so once it reaches the owner the server has handled the write before it
+      viewerClient.provider.awareness.setLocalStateField('user', { name: viewer.username });
+      await waitFor(() => ownerClient.provider.awareness.getStates().get(viewerClient.ydoc.clientID)?.user);
+
+      expect(ownerClient.text.toString()).toEqual('Draft');
+      expect(getLiveContent(noteId)).toEqual('Draft');
+
+      ownerClient.text.insert(5, ' two');
+      await waitFor(() => getLiveContent(noteId) === 'Draft two');
+      await waitFor(() => viewerClient.text.toString().endsWith('Draft two'));
+    } finally {
+      ownerClient.provider.destroy();
+      viewerClient.provider.destroy();
+      ownerClient.ydoc.destroy();
+      viewerClient.ydoc.destroy();
+    }
+    await waitFor(() => !docs.has(String(noteId)));
+
+    const res = await request(app)
+      .get(`/api/notes/${noteId}`)
+      .set('Authorization', `Bearer ${owner.token}`);
+    expect(res.body.content).toEqual('Draft two');
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+});
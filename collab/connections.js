@@ -0,0 +1,145 @@
+import { hasRole } from '../middleware/noteAccess.js';
+import { isDocumentWrite } from './wsAuth.js';
+
+/*
+ * note ID -> (WebSocket -> connection info) for every open Yjs connection.
+ * The user comes from the JWT checked at the upgrade, never from awareness
+ * state, which clients can fill with anything. This is per process: with
+ * several server instances each one only knows its own connections.
+ */
+const connections = new Map();
+
+/* WebSocket -> ID of the session whose access token opened it, kept out of the presence data */
+const sessions = new WeakMap();
+
+/* WebSocket close code sent when a user's access changed or their session ended; a client that reconnects gets whatever access it has now */
+export const ACCESS_CHANGED = 4403;
+
+/**
+ * Remember which authenticated user is behind a Yjs WebSocket, and keep
+ * track of when they were last active on it.
+ * The entry is dropped again when the socket closes.
+ * @param {string} noteId - The note (room) the socket joined.
+ * @param {import('ws').WebSocket} ws - The WebSocket.
+ * @param {{ user_id: number, username: string }} user - The decoded JWT payload.
+ * @param {string} role - The user's role on the note.
+ */
+export const trackConnection = (noteId, ws, user, role) => {
+  const room = String(noteId);
+  const now = new Date().toISOString();
+  const connection = {
+    user_id: user.user_id,
+    username: user.username,
+    role,
+    connected_on: now,
+    last_active_on: now,
+    last_edit_on: null,
+  };
+
+  if (!connections.has(room)) {
+    connections.set(room, new Map());
+  }
+  connections.get(room).set(ws, connection);
+  sessions.set(ws, user.sid ?? null);
+
+  // Any message (cursor moves included) counts as activity, document updates as edits
+  ws.on('message', (message) => {
+    connection.last_active_on = new Date().toISOString();
+    if (role !== 'viewer' && isDocumentWrite(message)) {
+      connection.last_edit_on = connection.last_active_on;
+    }
+  });
+
+  ws.on('close', () => {
+    const sockets = connections.get(room);
+    if (!sockets) return;
+    sockets.delete(ws);
+    if (sockets.size === 0) {
+      connections.delete(room);
+    }
+  });
+};
+
+/**
+ * Close the Yjs connections that no longer match the access they were opened
+ * with: those of a user whose role on a note changed or who lost access to
+ * it, or those opened with a session that ended.
+ * @param {Object} match - Which connections to close; every given field must match.
+ * @param {string|number} [match.noteId] - The note (room).
+ * @param {string|number} [match.userId] - The user.
+ * @param {string} [match.sessionId] - The session.
+ * @param {string} reason - Close reason shown to clients.
+ * @returns {number} - How many connections were closed.
+ */
+export const closeConnections = ({ noteId, userId, sessionId }, reason) => {
+  const rooms = noteId === undefined ? [...connections.values()] : [connections.get(String(noteId)) ?? new Map()];
+  const matching = rooms.flatMap(sockets => [...sockets.entries()])
+    .filter(([ws, connection]) =>
+      (userId === undefined || String(connection.user_id) === String(userId)) &&
+      (sessionId === undefined || sessions.get(ws) === sessionId)
+    )
+    .map(([ws]) => ws);
+
+  matching.forEach(ws => ws.close(ACCESS_CHANGED, reason));
+  return matching.length;
+};
+
+/**
+ * Get the distinct users currently connected to a note.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Array<{ user_id: number, username: string }>}
+ */
+export const getConnectedUsers = (noteId) => {
+  const users = new Map();
+  for (const { user_id, username } of connections.get(String(noteId))?.values() ?? []) {
+    users.set(user_id, { user_id, username });
+  }
+  return [...users.values()];
+};
+
+/**
+ * Get the user behind one Yjs WebSocket, e.g. the origin of a document update.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {*} ws - The WebSocket, or any other transaction origin.
+ * @returns {{ user_id: number, username: string }|null}
+ */
+export const getConnectionUser = (noteId, ws) => {
+  const connection = connections.get(String(noteId))?.get(ws);
+  return connection ? { user_id: connection.user_id, username: connection.username } : null;
+};
+
+const latest = (a, b) => (a && (!b || a > b) ? a : b);
+
+/**
+ * Get who is in a note right now: one entry per user, with how many
+ * connections (tabs, devices) they have open and when they were last active.
+ * @param {string|number} noteId - The ID of the note.
+ * @returns {Array<Object>} - Most recently active first.
+ */
+export const getPresence = (noteId) => {
+  const users = new Map();
+
+  for (const connection of connections.get(String(noteId))?.values() ?? []) {
+    const entry = users.get(connection.user_id);
+
+    if (!entry) {
+      users.set(connection.user_id, { ...connection, connections: 1 });
+      continue;
+    }
+
+    entry.connections += 1;
+    entry.connected_on = entry.connected_on < connection.connected_on ? entry.connected_on : connection.connected_on;
+    entry.last_active_on = latest(entry.last_active_on, connection.last_active_on);
+    entry.last_edit_on = latest(entry.last_edit_on, connection.last_edit_on);
+  }
+
+  return [...users.values()].sort((a, b) => b.last_active_on.localeCompare(a.last_active_on));
+};
+
+/**
+ * Count the distinct users connected to a note who can edit it.
+ * @param {string|number} noteId - The ID of the note.
+ * @returns {number}
+ */
+export const countActiveEditors = (noteId) =>
+  getPresence(noteId).filter(user => hasRole(user.role, 'editor')).length;
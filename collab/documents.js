@@ -0,0 +1,523 @@
+import dotenv from 'dotenv';
+import { docs, setPersistence } from 'y-websocket/bin/utils';
+import Y from './yjs.js';
+import db from '../db/index.js';
+import { getConnectedUsers, getConnectionUser } from './connections.js';
+import { renderDocument, saveVersion } from './versions.js';
+import { recordActivity } from '../services/activity.js';
+import { dispatchNoteEvent } from '../services/webhooks.js';
+
+dotenv.config();
+
+/* Origin of the transaction that loads stored state, which is not a change */
+const LOAD_ORIGIN = 'persistence-load';
+
+/* Origin of the transaction that applies content sent through the REST API */
+const REST_ORIGIN = 'rest-update';
+
+/* WebSocket close code sent to clients of a room that was shut down */
+const ROOM_CLOSED = 4410;
+
+/* A changed document is written back once it has been quiet for PERSIST_DEBOUNCE_MS, and at least every PERSIST_MAX_WAIT_MS while it keeps changing */
+const PERSIST_DEBOUNCE_MS = parseInt(process.env.PERSIST_DEBOUNCE_MS || '2000', 10);
+const PERSIST_MAX_WAIT_MS = parseInt(process.env.PERSIST_MAX_WAIT_MS || '30000', 10);
+const PERSIST_RETRY_BASE_MS = parseInt(process.env.PERSIST_RETRY_BASE_MS || '1000', 10);
+const PERSIST_RETRY_MAX_MS = 60 * 1000;
+const AUTO_VERSION_INTERVAL_MS = parseInt(process.env.AUTO_VERSION_INTERVAL_MINUTES || '5', 10) * 60 * 1000;
+const SHUTDOWN_FLUSH_ATTEMPTS = 3;
+
+/* The update log of a note is folded into its base state once it holds this many updates or bytes */
+const COMPACT_UPDATE_COUNT = parseInt(process.env.YJS_COMPACT_UPDATE_COUNT || '500', 10);
+const COMPACT_UPDATE_BYTES = parseInt(process.env.YJS_COMPACT_UPDATE_BYTES || String(1024 * 1024), 10);
+
+/* Persistence state of every document y-websocket loaded, see bindState */
+const states = new WeakMap();
+
+/* note ID -> document whose last client left and that is still being written back */
+const evicting = new Map();
+
+const retryDelay = (failures) => Math.min(PERSIST_RETRY_BASE_MS * 2 ** (failures - 1), PERSIST_RETRY_MAX_MS);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Find the document of a note that is in memory: the one of its room, or
+ * the one that is still being written back after its last client left.
+ * @param {string|number} noteId - The ID of the note.
+ * @returns {Y.Doc|undefined}
+ */
+const loadedDocument = (noteId) => docs.get(String(noteId)) ?? evicting.get(String(noteId));
+
+/**
+ * Apply the stored base state of a note and the update log on top of it.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document to apply them to.
+ * @returns {Promise<Object|null>} - What the log holds, `{ lastUpdateId, count, bytes }`,
+ *   or null if nothing is stored yet.
+ */
+const readStoredDocument = async (noteId, ydoc) => {
+  const [document, updates] = await Promise.all([
+    db.noteDocuments.find(noteId),
+    db.noteDocuments.listUpdates(noteId),
+  ]);
+
+  if (!document && updates.length === 0) return null;
+
+  ydoc.transact(() => {
+    if (document) Y.applyUpdate(ydoc, document.state);
+    updates.forEach(update => Y.applyUpdate(ydoc, update.data));
+  }, LOAD_ORIGIN);
+
+  return {
+    lastUpdateId: updates.length > 0 ? updates[updates.length - 1].update_id : null,
+    count: updates.length,
+    bytes: updates.reduce((total, update) => total + update.data.length, 0),
+  };
+};
+
+/**
+ * Load the stored document of a note into a Yjs document. A note that has
+ * none yet starts from its content column, which becomes its base state.
+ * @param {string} noteId - The ID of the note to load.
+ * @param {Y.Doc} ydoc - The document to load the state into.
+ * @returns {Promise<Object|null>} - What the update log holds (see
+ *   readStoredDocument), or null if loading failed. A document that failed
+ *   to load must never be compacted, its state would replace the stored one.
+ */
+const loadDocument = async (noteId, ydoc) => {
+  try {
+    const data = await db.notes.findById(noteId);
+
+    if (!data) throw new Error('Note not found');
+
+    let log = await readStoredDocument(noteId, ydoc);
+
+    if (!log) {
+      log = { lastUpdateId: null, count: 0, bytes: 0 };
+      if (data.content) {
+        // Initialize Yjs document with existing content
+        ydoc.transact(() => ydoc.getText('content').insert(0, data.content), LOAD_ORIGIN);
+        await db.noteDocuments.compact(noteId, Y.encodeStateAsUpdate(ydoc), null);
+      }
+    }
+    console.log(`Loaded document ${noteId}`);
+    return log;
+  } catch (err) {
+    console.error(`Error loading document ${noteId}:`, err);
+    return null;
+  }
+};
+
+/**
+ * Fold the update log of a note into a new base state.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document, holding at least everything in the log.
+ * @param {Object} log - What the log holds, reset once it is folded.
+ */
+const compactDocument = async (noteId, ydoc, log) => {
+  try {
+    await db.noteDocuments.compact(noteId, Y.encodeStateAsUpdate(ydoc), log.lastUpdateId);
+    console.log(`Compacted document ${noteId} (${log.count} updates, ${log.bytes} bytes).`);
+    Object.assign(log, { lastUpdateId: null, count: 0, bytes: 0 });
+  } catch (err) {
+    // The log is still complete, compaction is tried again after the next update
+    console.error(`Error compacting document ${noteId}:`, err);
+  }
+};
+
+/**
+ * Append an update to the log of a note, and compact the log once it has
+ * grown past COMPACT_UPDATE_COUNT updates or COMPACT_UPDATE_BYTES bytes.
+ * The text of the document is written to the note's content column, which
+ * lists, search and exports read.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document the update was made to.
+ * @param {Uint8Array} update - The Yjs update.
+ * @param {Object|null} log - What the log holds, null if unknown (no compaction).
+ * @returns {Promise<Object>} - The updated note.
+ */
+const storeUpdate = async (noteId, ydoc, update, log) => {
+  const row = await db.noteDocuments.appendUpdate(noteId, update);
+  const note = await db.notes.update(noteId, { content: renderDocument(ydoc), last_update: new Date().toISOString() });
+
+  if (log) {
+    log.lastUpdateId = row.update_id;
+    log.count += 1;
+    log.bytes += update.length;
+
+    if (log.count >= COMPACT_UPDATE_COUNT || log.bytes >= COMPACT_UPDATE_BYTES) {
+      await compactDocument(noteId, ydoc, log);
+    }
+  }
+  return note;
+};
+
+/**
+ * Append the changes of a loaded document to its update log. After a successful write an
+ * automatic version is saved when the last one is older than
+ * AUTO_VERSION_INTERVAL_MS (or the document is leaving memory), every user
+ * who contributed gets a `note.edited` entry in the activity log, and a
+ * `note.updated` webhook event is sent. A failed write keeps the document
+ * dirty and is tried again after a growing delay. Changes no collaborator
+ * made (REST edits, restores) have their own events and are only stored.
+ * @param {string} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document.
+ * @param {Object} state - Its persistence state.
+ * @param {boolean} final - Whether the document is about to leave memory.
+ * @returns {Promise<boolean>} - Whether everything is stored.
+ */
+const saveLoadedDocument = async (noteId, ydoc, state, final) => {
+  clearTimeout(state.timer);
+  state.timer = null;
+
+  const snapshot = state.unsnapshotted && (final || Date.now() - state.lastSnapshotAt >= AUTO_VERSION_INTERVAL_MS);
+  if (!state.dirty && !snapshot) return true;
+
+  if (state.dirty) {
+    const pending = state.pending;
+    const editors = [...state.contributors.values()];
+    state.dirty = false;
+    state.dirtySince = null;
+    state.pending = [];
+    state.contributors = new Map();
+
+    let note;
+    try {
+      note = await storeUpdate(noteId, ydoc, Y.mergeUpdates(pending), state.log);
+    } catch (err) {
+      state.dirty = true;
+      state.dirtySince ??= Date.now();
+      state.pending = [...pending, ...state.pending];
+      editors.forEach(editor => state.contributors.set(String(editor.user_id), editor));
+      state.failures += 1;
+      console.error(`Error persisting document ${noteId} (attempt ${state.failures}):`, err);
+
+      if (!state.leaving) scheduleSave(noteId, ydoc, state, retryDelay(state.failures));
+      return false;
+    }
+    state.failures = 0;
+
+    const contributors = editors.map(({ user_id }) => user_id);
+    if (editors.length > 0) {
+      await dispatchNoteEvent('note.updated', note, { data: { source: 'collaboration', contributors } });
+    }
+    for (const editor of editors) {
+      await recordActivity('note.edited', { actorId: editor.user_id, noteId: Number(noteId), details: { contributors } });
+    }
+  }
+
+  if (snapshot) {
+    try {
+      await saveVersion(noteId, ydoc, { kind: 'auto', connectedUsers: getConnectedUsers(noteId) });
+      state.unsnapshotted = false;
+      state.lastSnapshotAt = Date.now();
+    } catch (err) {
+      console.error(`Error saving automatic version of document ${noteId}:`, err);
+    }
+  }
+
+  console.log(`Persisted document ${noteId}.`);
+  return true;
+};
+
+/**
+ * Persist the changes made to a loaded Yjs document since it was last
+ * persisted. Writes run one after the other, and are skipped when nothing
+ * changed. Documents that were not loaded by y-websocket have no changes
+ * tracked here (see withDocument for temporary ones).
+ * @param {string} noteId - The ID of the note to persist.
+ * @param {Y.Doc} ydoc - The Yjs document to persist.
+ * @param {Object} [options]
+ * @param {boolean} [options.final=false] - Whether the document is about to leave memory.
+ * @returns {Promise<boolean>} - Whether the document is stored.
+ */
+const persistDocument = (noteId, ydoc, { final = false } = {}) => {
+  const state = states.get(ydoc);
+
+  if (!state) return Promise.resolve(true);
+
+  state.saving = state.saving.then(() => saveLoadedDocument(noteId, ydoc, state, final));
+  return state.saving;
+};
+
+/**
+ * (Re)start the timer of the next write of a loaded document.
+ * @param {string} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document.
+ * @param {Object} state - Its persistence state.
+ * @param {number} delay - Milliseconds until the write.
+ */
+const scheduleSave = (noteId, ydoc, state, delay) => {
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    persistDocument(noteId, ydoc);
+  }, delay);
+  state.timer.unref?.();
+};
+
+/**
+ * Note that a loaded document changed and schedule its write, unless a
+ * retry after a failed write is already waiting.
+ * @param {string} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document.
+ * @param {Object} state - Its persistence state.
+ */
+const markDirty = (noteId, ydoc, state) => {
+  const now = Date.now();
+
+  state.dirtySince ??= now;
+  state.dirty = true;
+  state.unsnapshotted = true;
+
+  if (state.leaving || (state.failures > 0 && state.timer)) return;
+  scheduleSave(noteId, ydoc, state, Math.max(0, Math.min(PERSIST_DEBOUNCE_MS, state.dirtySince + PERSIST_MAX_WAIT_MS - now)));
+};
+
+/**
+ * Take over the document of a note that is still being written back after
+ * its last client left, when a client opens the note again before that
+ * finished. Its unsaved changes move into the new document, so they are
+ * neither lost nor overwritten by the older stored state.
+ * @param {string} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The new document.
+ * @param {Object} state - The persistence state of the new document.
+ */
+const adoptLeavingDocument = (noteId, ydoc, state) => {
+  const previous = evicting.get(String(noteId));
+  if (!previous) return;
+
+  const previousState = states.get(previous);
+  previousState.adopted = true;
+  evicting.delete(String(noteId));
+
+  previousState.contributors.forEach((user, userId) => state.contributors.set(userId, user));
+  Y.applyUpdate(ydoc, Y.encodeStateAsUpdate(previous));
+};
+
+/*
+ * Hook the documents y-websocket creates for each room into the database.
+ * Stored state is loaded when a room is opened, and changes are written back
+ * shortly after they happen. When the last client disconnects, y-websocket
+ * drops the room and destroys its document once writeState resolves, which
+ * happens after the final write succeeded.
+ */
+setPersistence({
+  bindState: async (noteId, ydoc) => {
+    const state = {
+      dirty: false,
+      dirtySince: null,
+      pending: [],
+      log: null,
+      unsnapshotted: false,
+      lastSnapshotAt: Date.now(),
+      contributors: new Map(),
+      failures: 0,
+      timer: null,
+      saving: Promise.resolve(true),
+      leaving: false,
+      adopted: false,
+    };
+    states.set(ydoc, state);
+
+    ydoc.on('update', (update, origin) => {
+      if (origin === LOAD_ORIGIN) return;
+      state.pending.push(update);
+      markDirty(noteId, ydoc, state);
+
+      // y-websocket applies client updates with the sending connection as origin
+      const user = getConnectionUser(noteId, origin);
+      if (user) state.contributors.set(String(user.user_id), user);
+    });
+    ydoc.whenLoaded = loadDocument(noteId, ydoc).then((log) => {
+      state.log = log;
+      adoptLeavingDocument(noteId, ydoc, state);
+    });
+    await ydoc.whenLoaded;
+  },
+  writeState: async (noteId, ydoc) => {
+    const state = states.get(ydoc);
+    state.leaving = true;
+    evicting.set(String(noteId), ydoc);
+
+    try {
+      // Keep trying until it is stored, or a client that rejoined took the document over
+      while (!(await persistDocument(noteId, ydoc, { final: true })) && !state.adopted) {
+        await sleep(retryDelay(state.failures));
+      }
+    } finally {
+      clearTimeout(state.timer);
+      if (evicting.get(String(noteId)) === ydoc) evicting.delete(String(noteId));
+    }
+  },
+});
+
+/**
+ * Write back every document in memory that has unsaved changes, e.g. before
+ * the process exits. Failed writes are tried a few times.
+ * @returns {Promise<number>} - How many documents could not be stored.
+ */
+const flushDocuments = async () => {
+  const loaded = [...docs.entries(), ...evicting.entries()];
+
+  const stored = await Promise.all(loaded.map(async ([noteId, ydoc]) => {
+    for (let attempt = 1; attempt <= SHUTDOWN_FLUSH_ATTEMPTS; attempt++) {
+      if (await persistDocument(noteId, ydoc, { final: true })) return true;
+      if (attempt < SHUTDOWN_FLUSH_ATTEMPTS) await sleep(retryDelay(attempt));
+    }
+    console.error(`Giving up on document ${noteId}, its latest changes were not stored.`);
+    return false;
+  }));
+
+  return stored.filter(ok => !ok).length;
+};
+
+/**
+ * Get the text of a note's live document, which may be ahead of what is stored.
+ * @param {string|number} noteId - The ID of the note.
+ * @returns {string|null} - The rendered text, or null if the note is not open.
+ */
+const getLiveContent = (noteId) => {
+  const liveDoc = loadedDocument(noteId);
+  return liveDoc ? renderDocument(liveDoc) : null;
+};
+
+/**
+ * Get the current text of a note: the live document if the note is open,
+ * otherwise its stored Yjs document, falling back to the content column.
+ * Nothing is written back, unlike withDocument.
+ * @param {Object} note - The notes row.
+ * @returns {Promise<string>}
+ */
+const getCurrentContent = async (note) => {
+  const live = getLiveContent(note.note_id);
+  if (live !== null) return live;
+
+  const ydoc = new Y.Doc();
+  try {
+    return (await readStoredDocument(note.note_id, ydoc)) ? renderDocument(ydoc) : note.content ?? '';
+  } finally {
+    ydoc.destroy();
+  }
+};
+
+/**
+ * Run a function against the current document of a note.
+ * Uses the live document if the note is open, so changes reach connected
+ * clients as regular Yjs updates; otherwise the stored state is loaded into a
+ * temporary document. Changes `fn` makes are persisted afterwards, and this
+ * rejects if the document cannot be loaded or stored. A live document keeps
+ * a change it could not store and tries again later.
+ * @param {string} noteId - The ID of the note.
+ * @param {function(Y.Doc): any} fn - Function receiving the document, may be async.
+ * @returns {Promise<any>} - The result of `fn`.
+ */
+const withDocument = async (noteId, fn) => {
+  const liveDoc = loadedDocument(noteId);
+  const ydoc = liveDoc || new Y.Doc();
+
+  let log = null;
+  if (liveDoc) {
+    await liveDoc.whenLoaded;
+  } else {
+    log = await loadDocument(noteId, ydoc);
+    // Changes to an empty stand-in would be appended to the real document
+    if (!log) {
+      ydoc.destroy();
+      throw new Error(`The document of note ${noteId} could not be loaded`);
+    }
+  }
+
+  const updates = [];
+  const collectUpdate = (update, origin) => {
+    if (origin !== LOAD_ORIGIN) updates.push(update);
+  };
+  ydoc.on('update', collectUpdate);
+
+  try {
+    const result = await fn(ydoc);
+    if (updates.length > 0) {
+      if (liveDoc) {
+        if (!(await persistDocument(noteId, liveDoc))) {
+          throw new Error(`The document of note ${noteId} could not be stored`);
+        }
+      } else {
+        await storeUpdate(noteId, ydoc, Y.mergeUpdates(updates), log);
+      }
+    }
+    return result;
+  } finally {
+    ydoc.off('update', collectUpdate);
+    if (!liveDoc) ydoc.destroy();
+  }
+};
+
+/**
+ * Change the text of a Y.Text to `content`, touching only the part between
+ * the common prefix and suffix, so concurrent edits elsewhere survive.
+ * @param {Y.Text} text - The shared text.
+ * @param {string} content - The new text.
+ */
+const replaceText = (text, content) => {
+  const current = text.toString();
+  let start = 0;
+  while (start < current.length && start < content.length && current[start] === content[start]) start++;
+
+  let end = 0;
+  while (
+    end < current.length - start &&
+    end < content.length - start &&
+    current[current.length - 1 - end] === content[content.length - 1 - end]
+  ) end++;
+
+  // Never split a surrogate pair
+  if (start > 0 && /[\uD800-\uDBFF]/.test(current[start - 1])) start--;
+  if (end > 0 && /[\uDC00-\uDFFF]/.test(current[current.length - end])) end--;
+
+  const removed = current.length - start - end;
+  if (removed > 0) text.delete(start, removed);
+  if (content.length - start - end > 0) text.insert(start, content.slice(start, content.length - end));
+};
+
+/**
+ * Set the text of a note through its Yjs document, the way the REST API
+ * changes content. Open sessions receive the change as a regular Yjs update
+ * and the content column is written from the document.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} content - The new text.
+ * @returns {Promise<string>} - The text of the document afterwards.
+ */
+const setDocumentContent = (noteId, content) =>
+  withDocument(noteId, (ydoc) => {
+    ydoc.transact(() => replaceText(ydoc.getText('content'), content), REST_ORIGIN);
+    return renderDocument(ydoc);
+  });
+
+/**
+ * Disconnect every client of a note's room, e.g. because the note was trashed.
+ * The document is written back and dropped once its last connection closes.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {string} reason - Close reason shown to clients.
+ * @returns {number} - How many connections were closed.
+ */
+const closeDocument = (noteId, reason) => {
+  const liveDoc = docs.get(String(noteId));
+  if (!liveDoc) return 0;
+
+  const sockets = [...liveDoc.conns.keys()];
+  sockets.forEach(ws => ws.close(ROOM_CLOSED, reason));
+  return sockets.length;
+};
+
+export {
+  ROOM_CLOSED,
+  closeDocument,
+  docs,
+  flushDocuments,
+  getCurrentContent,
+  getLiveContent,
+  loadDocument,
+  persistDocument,
+  setDocumentContent,
+  withDocument,
+};
@@ -0,0 +1,39 @@
+import * as encoding from 'lib0/encoding';
+import { docs } from 'y-websocket/bin/utils';
+
+/*
+ * Message type for note events sent over the Yjs WebSocket of a room, next to
+ * the sync (0), awareness (1), auth (2) and query-awareness (3) messages of
+ * y-websocket. The payload is one JSON string, `{ type, data }`. Clients pick
+ * these up by registering a handler under this type on their provider's
+ * messageHandlers.
+ */
+export const messageNoteEvent = 4;
+
+const WS_OPEN = 1;
+
+/**
+ * Send an event to everyone connected to the room of a note.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {string} type - The event type, e.g. `comment.created`.
+ * @param {Object} data - The event payload.
+ * @returns {number} - How many connections the event was sent to.
+ */
+export const broadcastNoteEvent = (noteId, type, data) => {
+  const liveDoc = docs.get(String(noteId));
+  if (!liveDoc) return 0;
+
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageNoteEvent);
+  encoding.writeVarString(encoder, JSON.stringify({ type, data }));
+  const message = encoding.toUint8Array(encoder);
+
+  let sent = 0;
+  liveDoc.conns.forEach((_, ws) => {
+    if (ws.readyState !== WS_OPEN) return;
+    ws.send(message, err => err && console.error(`Error sending ${type} event for note ${noteId}:`, err));
+    sent += 1;
+  });
+
+  return sent;
+};
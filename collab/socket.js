@@ -0,0 +1,80 @@
+import jwt from 'jsonwebtoken';
+import { Server } from 'socket.io';
+import { verifyToken } from '../middleware/authMiddleware.js';
+
+/* Path of the Socket.IO endpoint, every other upgrade request is a Yjs room */
+export const SOCKET_PATH = '/socket.io';
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Start the authenticated Socket.IO channel on the HTTP server.
+ * Clients connect with `io(url, { auth: { token } })` using their access
+ * token; each socket joins a room of its user, so anything sent to the user
+ * reaches all of their open tabs and devices.
+ * @param {import('http').Server} server - The HTTP server.
+ * @param {Object} cors - The CORS options of the API.
+ * @returns {Server}
+ */
+export const attachSocketServer = (server, cors) => {
+  // Upgrades for Yjs rooms arrive on the same server and must be left alone
+  io = new Server(server, { path: SOCKET_PATH, cors, destroyUpgrade: false });
+
+  io.use((socket, next) => {
+    const { token } = socket.handshake.auth ?? {};
+
+    if (typeof token !== 'string' || !token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    verifyToken(token).then(
+      (user) => {
+        socket.data.user = user;
+        next();
+      },
+      (err) => {
+        if (!(err instanceof jwt.JsonWebTokenError)) {
+          console.error('Error verifying socket token:', err);
+          return next(new Error('An error occurred while verifying the token.'));
+        }
+        next(new Error('Invalid or expired token.'));
+      }
+    );
+  });
+
+  io.on('connection', (socket) => {
+    socket.join(userRoom(socket.data.user.user_id));
+  });
+
+  return io;
+};
+
+/**
+ * Send an event to every open client of a user. Does nothing when the
+ * socket server is not running.
+ * @param {number|string} userId - The ID of the user.
+ * @param {string} event - The event name.
+ * @param {*} data - The payload.
+ */
+export const emitToUser = (userId, event, data) => {
+  io?.to(userRoom(userId)).emit(event, data);
+};
+
+/**
+ * Disconnect notification clients, e.g. because their session ended. Every
+ * given field must match. Does nothing when the socket server is not running.
+ * @param {Object} match
+ * @param {number|string} [match.userId] - The user.
+ * @param {string} [match.sessionId] - The session whose access token they connected with.
+ * @returns {Promise<void>}
+ */
+export const disconnectSockets = async ({ userId, sessionId }) => {
+  if (!io) return;
+
+  const sockets = await (userId === undefined ? io : io.in(userRoom(userId))).fetchSockets();
+  sockets
+    .filter(socket => sessionId === undefined || socket.data.user.sid === sessionId)
+    .forEach(socket => socket.disconnect(true));
+};
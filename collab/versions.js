@@ -0,0 +1,84 @@
+import Y from './yjs.js';
+import db from '../db/index.js';
+
+/* Automatic snapshots kept per note, older ones are pruned. Named snapshots are always kept. */
+const AUTO_VERSION_LIMIT = parseInt(process.env.AUTO_VERSION_LIMIT || '50', 10);
+
+/* Origin of the transaction that restores a version, so listeners can tell it apart */
+export const RESTORE_ORIGIN = 'version-restore';
+
+/**
+ * Render the text content of a Yjs document.
+ * @param {Y.Doc} ydoc - The document.
+ * @returns {string}
+ */
+export const renderDocument = (ydoc) => ydoc.getText('content').toString();
+
+/**
+ * Decode the document stored with a version.
+ * @param {{ yjs_state: Uint8Array }} version - A note_versions row.
+ * @returns {Y.Doc} - A standalone document holding the version's state.
+ */
+export const loadVersionDocument = (version) => {
+  const ydoc = new Y.Doc();
+  Y.applyUpdate(ydoc, version.yjs_state);
+  return ydoc;
+};
+
+/**
+ * Store a snapshot of a Yjs document as a new version of the note.
+ * @param {string} noteId - The ID of the note.
+ * @param {Y.Doc} ydoc - The document to snapshot.
+ * @param {Object} [options]
+ * @param {'auto'|'named'} [options.kind='auto'] - Automatic or user-created snapshot.
+ * @param {string|null} [options.name=null] - Name of a named snapshot.
+ * @param {number|null} [options.createdBy=null] - The user who created a named snapshot.
+ * @param {Array<Object>} [options.connectedUsers=[]] - Users connected to the note at the time.
+ * @returns {Promise<Object>} - The version metadata.
+ */
+export const saveVersion = async (noteId, ydoc, { kind = 'auto', name = null, createdBy = null, connectedUsers = [] } = {}) => {
+  const version = await db.noteVersions.create({
+    note_id: noteId,
+    kind,
+    name,
+    created_by: createdBy,
+    connected_users: connectedUsers,
+    yjs_state: Y.encodeStateAsUpdate(ydoc),
+  });
+
+  if (kind === 'auto') {
+    await db.noteVersions.pruneAuto(noteId, AUTO_VERSION_LIMIT);
+  }
+
+  return version;
+};
+
+/**
+ * List the versions of a note, newest first.
+ * @param {string} noteId - The ID of the note.
+ * @returns {Promise<Array<Object>>} - Version metadata without the document state.
+ */
+export const listVersions = (noteId) => db.noteVersions.listByNote(noteId);
+
+/**
+ * Get a single version of a note, including its document state.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} versionId - The ID of the version.
+ * @returns {Promise<Object|null>} - The version, or null if it does not belong to the note.
+ */
+export const getVersion = (noteId, versionId) => db.noteVersions.find(noteId, versionId);
+
+/**
+ * Replace the content of a document with the content of a version.
+ * This is applied as a regular transaction, so connected clients receive it as
+ * an ordinary Yjs update instead of having to reload the document.
+ * @param {Y.Doc} ydoc - The live document.
+ * @param {Y.Doc} versionDoc - The document of the version to restore.
+ */
+export const restoreVersionContent = (ydoc, versionDoc) => {
+  ydoc.transact(() => {
+    const text = ydoc.getText('content');
+    text.delete(0, text.length);
+    text.applyDelta(versionDoc.getText('content').toDelta());
+  }, RESTORE_ORIGIN);
+};
@@ -0,0 +1,138 @@
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import * as decoding from 'lib0/decoding';
+import { verifyToken } from '../middleware/authMiddleware.js';
+import { getNoteRole } from '../middleware/noteAccess.js';
+
+/* Message types of the y-websocket protocol (see y-websocket/bin/utils) */
+const messageSync = 0;
+const messageYjsSyncStep1 = 0;
+
+const JWT_PATTERN = /^[\w-]+\.[\w-]+\.[\w-]+$/;
+
+/**
+ * Get the Yjs room (note ID) a WebSocket request is for.
+ * Mirrors the way setupWSConnection derives the document name from the URL.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ * @returns {string} - The room name.
+ */
+export const getRoomName = (req) => (req.url || '').slice(1).split('?')[0];
+
+/**
+ * Extract the access token from an upgrade request.
+ * Browsers cannot set headers on WebSockets, so the token is read from the
+ * `token` query parameter, falling back to a subprotocol carrying the JWT.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ * @returns {string|null} - The token, or null if none was sent.
+ */
+export const getUpgradeToken = (req) => {
+  const { searchParams } = new URL(req.url || '/', 'http://localhost');
+  if (searchParams.get('token')) return searchParams.get('token');
+
+  const protocols = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(protocol => protocol.trim());
+
+  return protocols.find(protocol => JWT_PATTERN.test(protocol)) || null;
+};
+
+/**
+ * Pick the subprotocol to echo back during the handshake.
+ * Browsers abort the connection if they offered subprotocols and the server
+ * selects none, so the one carrying the token is accepted.
+ * @param {Set<string>} protocols - The subprotocols offered by the client.
+ * @returns {string|false}
+ */
+export const handleProtocols = (protocols) =>
+  [...protocols].find(protocol => JWT_PATTERN.test(protocol)) || false;
+
+/**
+ * Authenticate and authorize a WebSocket upgrade request.
+ * The JWT is checked with the same rules as authenticateToken and the user
+ * must be a member of the note the room belongs to.
+ * @param {http.IncomingMessage} req - The upgrade request.
+ * @returns {Promise<{ status: number, error?: string, user?: Object, noteId?: string, role?: string }>}
+ */
+export const authorizeUpgrade = async (req) => {
+  const token = getUpgradeToken(req);
+
+  if (!token) {
+    return { status: 401, error: 'Access denied. No token provided.' };
+  }
+
+  let user;
+  try {
+    user = await verifyToken(token);
+  } catch (err) {
+    if (!(err instanceof jwt.JsonWebTokenError)) throw err;
+    console.error('WebSocket token verification failed:', err.message);
+    return { status: 403, error: 'Invalid or expired token.' };
+  }
+
+  const noteId = getRoomName(req);
+
+  if (!noteId) {
+    return { status: 400, error: 'Note ID is required.' };
+  }
+
+  const role = await getNoteRole(noteId, user.user_id);
+
+  if (!role) {
+    return { status: 403, error: 'You do not have access to this note.' };
+  }
+
+  return { status: 200, user, noteId, role };
+};
+
+/**
+ * Answer a rejected upgrade request with a plain HTTP response and close the socket.
+ * @param {import('net').Socket} socket - The raw socket of the upgrade request.
+ * @param {number} status - The HTTP status code.
+ * @param {string} error - The error message.
+ */
+export const rejectUpgrade = (socket, status, error) => {
+  const body = JSON.stringify({ error });
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    '\r\n' +
+    body
+  );
+  socket.destroy();
+};
+
+/**
+ * Check whether a y-websocket message would change the document.
+ * Sync step 1 only asks for missing state and awareness messages only carry
+ * cursors, everything else of the sync type (step 2 and updates) writes.
+ * @param {ArrayBuffer|Buffer} message - The raw message.
+ * @returns {boolean}
+ */
+export const isDocumentWrite = (message) => {
+  try {
+    const decoder = decoding.createDecoder(new Uint8Array(message));
+    return decoding.readVarUint(decoder) === messageSync && decoding.readVarUint(decoder) !== messageYjsSyncStep1;
+  } catch (err) {
+    return true;
+  }
+};
+
+/**
+ * Turn a WebSocket into a read-only Yjs connection.
+ * Must be applied before setupWSConnection registers its message listener.
+ * The connection still receives the document and live updates, but sync
+ * messages that would write to the document are dropped.
+ * @param {import('ws').WebSocket} ws - The WebSocket of a viewer.
+ */
+export const makeReadOnly = (ws) => {
+  const emit = ws.emit;
+
+  ws.emit = function (event, message, ...args) {
+    if (event === 'message' && isDocumentWrite(message)) {
+      return false;
+    }
+    return emit.call(this, event, message, ...args);
+  };
+};
@@ -0,0 +1,12 @@
+import { createRequire } from 'module';
+
+/*
+ * y-websocket's server utilities are CommonJS and load the CommonJS build of yjs,
+ * while `import 'yjs'` resolves to the ES module build. Mixing documents and
+ * functions from both builds breaks Yjs' constructor checks (updates are silently
+ * dropped), so everything that touches the live documents uses this instance.
+ */
+const require = createRequire(import.meta.url);
+const Y = require('yjs');
+
+export default Y;
@@ -0,0 +1,61 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import createSupabaseRepositories from './supabase.js';
+import createMemoryRepositories from './memory.js';
+
+dotenv.config();
+
+/**
+ * Data-access layer shared by the routes, middleware and Yjs persistence.
+ *
+ * The backend is chosen with DATA_BACKEND:
+ * - `supabase` (default) talks to the project in SUPABASE_URL / SUPABASE_KEY
+ * - `memory` keeps everything in process, for tests and offline development
+ *
+ * Every repository method is async. Lookups of a single row resolve to the row
+ * or null, never to a backend-specific "not found" error; any other failure is
+ * thrown. notes.update takes `{ ifVersion }` to only update a note that is
+ * still at that version, and resolves to null otherwise. notes.search ranks
+ * the notes a user can access against a query from GET /api/notes/search,
+ * reading notes open in an editor from `live` ({ note_id, content } entries)
+ * instead of their stored content, and resolves to
+ * `{ total, results: [{ note, score, highlights: { title, snippet } }] }`. Repositories:
+ * - users: findById, findByUsername, findByEmail, findByUsernameOrEmail, list, create, update, delete
+ * - notes: findById, findByIds, listAccessible, search, listTrashedBefore, create, update, delete
+ * - userNotes: find, listByUser, listByNote, create, update, delete, deleteByNote, deleteByUser
+ * - noteSharing: deleteByNote
+ * - categories: listByUser, findById, create, update, delete
+ * - noteVersions: create, listByNote, find, pruneAuto
+ * - noteDocuments: find, listUpdates, appendUpdate, compact (binary Yjs state and update log)
+ * - mailDeliveries: findById, create, update
+ * - passwordResetTokens: create, consume, invalidateForUser
+ * - sessions: create, findById, listActiveByUser, rotate, revoke, revokeAllForUser
+ * - shareLinks: create, findById, findByTokenHash, listByNote, update
+ * - shareLinkAccess: create, listByLink, countByLink
+ * - comments: create, findById, listByNote, update, delete
+ * - notifications: create, findById, listByUser, countUnread, markRead, markAllRead
+ * - webhooks: create, findById, listByUser, listForEvent, update, delete
+ * - webhookDeliveries: create, findById, listByWebhook, listPending, update
+ * - activity: create, list (append-only, there is no update or delete)
+ */
+
+export const backend = process.env.DATA_BACKEND || 'supabase';
+
+const createRepositories = () => {
+  switch (backend) {
+    case 'memory':
+      return createMemoryRepositories();
+    case 'supabase':
+      if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
+        console.error('Supabase URL or Key is missing. Please check your .env file.');
+        process.exit(1);
+      }
+      return createSupabaseRepositories(createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY));
+    default:
+      throw new Error(`Unknown DATA_BACKEND "${backend}". Use "supabase" or "memory".`);
+  }
+};
+
+const db = createRepositories();
+
+export default db;
@@ -0,0 +1,592 @@
+/**
+ * In-memory implementation of the repositories described in db/index.js.
+ * Used for tests and local development without a Supabase project. Rows are
+ * copied on the way in and out, so callers can never mutate stored state.
+ */
+
+import { searchNotes } from '../services/search.js';
+
+const clone = (row) => (row == null ? null : structuredClone(row));
+
+/* IDs arrive from route params as strings, Postgres compares them as numbers */
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const now = () => new Date().toISOString();
+
+/**
+ * Create a table with an auto-incrementing primary key.
+ * @param {string} idColumn - Name of the primary key column.
+ * @param {function(): Object} [defaults] - Column defaults for new rows.
+ * @returns {Object}
+ */
+const createTable = (idColumn, defaults = () => ({})) => {
+  const rows = [];
+  let nextId = 1;
+
+  return {
+    insert: (fields) => {
+      const row = { ...defaults(), ...structuredClone(fields) };
+      if (idColumn) {
+        row[idColumn] = row[idColumn] ?? nextId++;
+      }
+      rows.push(row);
+      return clone(row);
+    },
+    find: (predicate) => clone(rows.find(predicate)),
+    filter: (predicate) => rows.filter(predicate).map(clone),
+    update: (predicate, fields) => {
+      const updated = rows.filter(predicate);
+      updated.forEach(row => Object.assign(row, structuredClone(fields)));
+      return updated.map(clone);
+    },
+    remove: (predicate) => {
+      for (let i = rows.length - 1; i >= 0; i--) {
+        if (predicate(rows[i])) rows.splice(i, 1);
+      }
+    },
+  };
+};
+
+/* Ordering the way Postgres sorts plain column values, nulls after everything else */
+const compareValues = (a, b) => {
+  if (a == null || b == null) return (a == null) - (b == null);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+/* Newest first, ties broken by the most recently inserted row */
+const byNewest = (idColumn) => (a, b) =>
+  new Date(b.created_on) - new Date(a.created_on) || b[idColumn] - a[idColumn];
+
+/**
+ * Create the repositories backed by plain in-process arrays.
+ * @returns {Object} - The repositories.
+ */
+const createMemoryRepositories = () => {
+  const tables = {
+    users: createTable('user_id', () => ({
+      user_avatar: null,
+      email_verified_on: null,
+      pending_email: null,
+      created_on: now(),
+    })),
+    notes: createTable('note_id', () => ({
+      tags: null,
+      version: 1,
+      deleted_on: null,
+      deleted_by: null,
+      created_on: now(),
+      last_update: now(),
+    })),
+    userNotes: createTable(null, () => ({ is_creator: false, role: 'editor', category_id: null })),
+    noteSharing: createTable(null),
+    categories: createTable('category_id', () => ({ parent_id: null, created_on: now() })),
+    noteVersions: createTable('version_id', () => ({
+      name: null,
+      created_by: null,
+      connected_users: [],
+      created_on: now(),
+    })),
+    noteDocuments: createTable(null, () => ({ updated_on: now() })),
+    noteUpdates: createTable('update_id', () => ({ created_on: now() })),
+    mailDeliveries: createTable('delivery_id', () => ({ last_error: null, sent_on: null, created_on: now() })),
+    passwordResetTokens: createTable('token_id', () => ({ used_on: null, created_on: now() })),
+    sessions: createTable('session_id', () => ({
+      rotated_token_hashes: [],
+      user_agent: null,
+      ip: null,
+      revoked_on: null,
+      revoked_reason: null,
+      created_on: now(),
+      last_used_on: now(),
+    })),
+    shareLinks: createTable('link_id', () => ({
+      password_hash: null,
+      expires_on: null,
+      revoked_on: null,
+      last_accessed_on: null,
+      created_on: now(),
+    })),
+    shareLinkAccess: createTable('access_id', () => ({ ip: null, user_agent: null, accessed_on: now() })),
+    comments: createTable('comment_id', () => ({
+      parent_id: null,
+      link_id: null,
+      author_name: null,
+      anchor_start: null,
+      anchor_end: null,
+      resolved_on: null,
+      resolved_by: null,
+      edited_on: null,
+      deleted_on: null,
+      created_on: now(),
+    })),
+    notifications: createTable('notification_id', () => ({
+      actor_id: null,
+      note_id: null,
+      comment_id: null,
+      data: {},
+      read_on: null,
+      created_on: now(),
+    })),
+    webhooks: createTable('webhook_id', () => ({
+      description: null,
+      active: true,
+      created_on: now(),
+      updated_on: now(),
+    })),
+    webhookDeliveries: createTable('delivery_id', () => ({
+      attempts: 0,
+      response_status: null,
+      last_error: null,
+      redelivery_of: null,
+      created_on: now(),
+      delivered_on: null,
+    })),
+    activity: createTable('activity_id', () => ({
+      actor_id: null,
+      note_id: null,
+      target_user_id: null,
+      details: {},
+      created_on: now(),
+    })),
+  };
+
+  const users = {
+    findById: async (userId) => tables.users.find(user => sameId(user.user_id, userId)),
+
+    findByUsername: async (username) => tables.users.find(user => user.username === username),
+
+    findByEmail: async (email) => tables.users.find(user => user.email === email),
+
+    findByUsernameOrEmail: async (username, email) =>
+      tables.users.filter(user => user.username === username || user.email === email),
+
+    list: async () =>
+      tables.users
+        .filter(() => true)
+        .map(({ user_id, username, email }) => ({ user_id, username, email }))
+        .sort((a, b) => a.username.localeCompare(b.username)),
+
+    create: async (fields) => tables.users.insert(fields),
+
+    update: async (userId, fields) =>
+      tables.users.update(user => sameId(user.user_id, userId), fields)[0] ?? null,
+
+    delete: async (userId) => tables.users.remove(user => sameId(user.user_id, userId)),
+  };
+
+  const notes = {
+    findById: async (noteId) => tables.notes.find(note => sameId(note.note_id, noteId)),
+
+    findByIds: async (noteIds) =>
+      tables.notes
+        .filter(note => noteIds.some(noteId => sameId(note.note_id, noteId)))
+        .sort(byNewest('note_id')),
+
+    listAccessible: async (userId, options) => {
+      const {
+        categoryId,
+        tags = [],
+        tagsMode = 'any',
+        scope = 'all',
+        createdAfter,
+        createdBefore,
+        updatedAfter,
+        updatedBefore,
+        sort = 'created_on',
+        order = 'desc',
+        after = null,
+        limit,
+      } = options;
+
+      const memberships = new Map(
+        tables.userNotes
+          .filter(userNote => sameId(userNote.user_id, userId))
+          .map(userNote => [String(userNote.note_id), userNote])
+      );
+
+      const matchesTags = (noteTags) => {
+        if (tags.length === 0) return true;
+        const present = tags.map(tag => (noteTags || []).includes(tag));
+        return tagsMode === 'all' ? present.every(Boolean) : present.some(Boolean);
+      };
+
+      const matches = tables.notes.filter(note => {
+        const membership = memberships.get(String(note.note_id));
+        return Boolean(membership) &&
+          !note.deleted_on &&
+          (categoryId === undefined ||
+            (categoryId === null ? membership.category_id == null : sameId(membership.category_id, categoryId))) &&
+          matchesTags(note.tags) &&
+          (scope !== 'created' || membership.is_creator) &&
+          (scope !== 'shared' || !membership.is_creator) &&
+          (!createdAfter || note.created_on >= createdAfter) &&
+          (!createdBefore || note.created_on < createdBefore) &&
+          (!updatedAfter || note.last_update >= updatedAfter) &&
+          (!updatedBefore || note.last_update < updatedBefore);
+      });
+
+      const direction = order === 'asc' ? 1 : -1;
+      const compare = (a, b) =>
+        direction * (compareValues(a[sort], b[sort]) || compareValues(a.note_id, b.note_id));
+
+      const page = matches
+        .sort(compare)
+        .filter(note => !after || compare(note, { [sort]: after.value, note_id: after.noteId }) > 0)
+        .slice(0, limit ?? undefined)
+        .map(note => {
+          const { role, is_creator, category_id } = memberships.get(String(note.note_id));
+          return { ...note, category_id, membership: { role, is_creator } };
+        });
+
+      return { notes: page, total: matches.length };
+    },
+
+    // Stands in for the search_notes function, with the ranking and highlighting of services/search.js
+    search: async (userId, query, { live = [], limit }) => {
+      const liveContent = new Map(live.map(entry => [String(entry.note_id), entry.content]));
+      const noteIds = new Set(
+        tables.userNotes.filter(userNote => sameId(userNote.user_id, userId)).map(userNote => String(userNote.note_id))
+      );
+
+      const notes = tables.notes
+        .filter(note => noteIds.has(String(note.note_id)) && !note.deleted_on)
+        .map(note => ({ ...note, content: liveContent.get(String(note.note_id)) ?? note.content }));
+      const results = searchNotes(notes, query);
+
+      return { total: results.length, results: results.slice(0, limit) };
+    },
+
+    listTrashedBefore: async (cutoff) =>
+      tables.notes.filter(note => note.deleted_on && note.deleted_on < cutoff),
+
+    create: async (fields) => tables.notes.insert(fields),
+
+    update: async (noteId, fields, { ifVersion } = {}) => {
+      const note = tables.notes.find(candidate => sameId(candidate.note_id, noteId));
+      if (!note || (ifVersion !== undefined && note.version !== ifVersion)) return null;
+
+      // Mirrors the notes_bump_version trigger
+      const changed = ['title', 'content', 'tags']
+        .some(field => field in fields && JSON.stringify(fields[field]) !== JSON.stringify(note[field]));
+
+      return tables.notes.update(
+        candidate => sameId(candidate.note_id, noteId),
+        { ...fields, version: changed ? note.version + 1 : note.version }
+      )[0];
+    },
+
+    delete: async (noteId) => tables.notes.remove(note => sameId(note.note_id, noteId)),
+  };
+
+  const isMembership = (noteId, userId) => (userNote) =>
+    sameId(userNote.note_id, noteId) && sameId(userNote.user_id, userId);
+
+  const userNotes = {
+    find: async (noteId, userId) => tables.userNotes.find(isMembership(noteId, userId)),
+
+    listByUser: async (userId) => tables.userNotes.filter(userNote => sameId(userNote.user_id, userId)),
+
+    listByNote: async (noteId) =>
+      tables.userNotes
+        .filter(userNote => sameId(userNote.note_id, noteId))
+        .map(({ user_id, is_creator, role }) => {
+          const user = tables.users.find(candidate => sameId(candidate.user_id, user_id));
+          return { user_id, is_creator, role, users: user && { username: user.username, email: user.email } };
+        }),
+
+    create: async (fields) => tables.userNotes.insert(fields),
+
+    update: async (noteId, userId, fields) =>
+      tables.userNotes.update(isMembership(noteId, userId), fields)[0] ?? null,
+
+    delete: async (noteId, userId) => tables.userNotes.remove(isMembership(noteId, userId)),
+
+    deleteByNote: async (noteId) => tables.userNotes.remove(userNote => sameId(userNote.note_id, noteId)),
+
+    deleteByUser: async (userId) => tables.userNotes.remove(userNote => sameId(userNote.user_id, userId)),
+  };
+
+  const noteSharing = {
+    deleteByNote: async (noteId) => tables.noteSharing.remove(share => sameId(share.note_id, noteId)),
+  };
+
+  const categories = {
+    listByUser: async (userId) =>
+      tables.categories
+        .filter(category => sameId(category.user_id, userId))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+
+    findById: async (categoryId) => tables.categories.find(category => sameId(category.category_id, categoryId)),
+
+    create: async (fields) => tables.categories.insert(fields),
+
+    update: async (categoryId, fields) =>
+      tables.categories.update(category => sameId(category.category_id, categoryId), fields)[0] ?? null,
+
+    delete: async (categoryId) =>
+      tables.categories.remove(category => sameId(category.category_id, categoryId)),
+  };
+
+  const withoutState = ({ yjs_state, ...version }) => version;
+
+  const noteVersions = {
+    create: async (fields) => withoutState(tables.noteVersions.insert(fields)),
+
+    listByNote: async (noteId) =>
+      tables.noteVersions
+        .filter(version => sameId(version.note_id, noteId))
+        .sort(byNewest('version_id'))
+        .map(withoutState),
+
+    find: async (noteId, versionId) =>
+      tables.noteVersions.find(version => sameId(version.note_id, noteId) && sameId(version.version_id, versionId)),
+
+    pruneAuto: async (noteId, keep) => {
+      const stale = tables.noteVersions
+        .filter(version => sameId(version.note_id, noteId) && version.kind === 'auto')
+        .sort(byNewest('version_id'))
+        .slice(keep)
+        .map(version => version.version_id);
+
+      tables.noteVersions.remove(version => stale.includes(version.version_id));
+    },
+  };
+
+  const noteDocuments = {
+    find: async (noteId) => tables.noteDocuments.find(document => sameId(document.note_id, noteId)),
+
+    listUpdates: async (noteId) =>
+      tables.noteUpdates
+        .filter(update => sameId(update.note_id, noteId))
+        .sort((a, b) => a.update_id - b.update_id),
+
+    appendUpdate: async (noteId, data) => tables.noteUpdates.insert({ note_id: Number(noteId), data }),
+
+    compact: async (noteId, state, throughUpdateId) => {
+      const fields = { state, updated_on: now() };
+      if (tables.noteDocuments.update(document => sameId(document.note_id, noteId), fields).length === 0) {
+        tables.noteDocuments.insert({ note_id: Number(noteId), ...fields });
+      }
+      if (throughUpdateId != null) {
+        tables.noteUpdates.remove(update => sameId(update.note_id, noteId) && update.update_id <= throughUpdateId);
+      }
+    },
+  };
+
+  const mailDeliveries = {
+    findById: async (deliveryId) => tables.mailDeliveries.find(delivery => sameId(delivery.delivery_id, deliveryId)),
+
+    create: async (fields) => tables.mailDeliveries.insert(fields),
+
+    update: async (deliveryId, fields) =>
+      tables.mailDeliveries.update(delivery => sameId(delivery.delivery_id, deliveryId), fields)[0] ?? null,
+  };
+
+  const passwordResetTokens = {
+    create: async (fields) => tables.passwordResetTokens.insert(fields),
+
+    consume: async (tokenHash) =>
+      tables.passwordResetTokens.update(
+        token => token.token_hash === tokenHash && !token.used_on,
+        { used_on: now() }
+      )[0] ?? null,
+
+    invalidateForUser: async (userId) => {
+      tables.passwordResetTokens.update(token => sameId(token.user_id, userId) && !token.used_on, { used_on: now() });
+    },
+  };
+
+  const isActiveSession = (session) => !session.revoked_on && new Date(session.expires_on) > new Date();
+
+  const sessions = {
+    create: async (fields) => tables.sessions.insert(fields),
+
+    findById: async (sessionId) => tables.sessions.find(session => sameId(session.session_id, sessionId)),
+
+    listActiveByUser: async (userId) =>
+      tables.sessions
+        .filter(session => sameId(session.user_id, userId) && isActiveSession(session))
+        .sort((a, b) => new Date(b.last_used_on) - new Date(a.last_used_on)),
+
+    rotate: async (sessionId, refreshTokenHash, nextRefreshTokenHash, rotatedTokenHashes) =>
+      tables.sessions.update(
+        session =>
+          sameId(session.session_id, sessionId) &&
+          session.refresh_token_hash === refreshTokenHash &&
+          !session.revoked_on,
+        { refresh_token_hash: nextRefreshTokenHash, rotated_token_hashes: rotatedTokenHashes, last_used_on: now() }
+      )[0] ?? null,
+
+    revoke: async (sessionId, reason) => {
+      tables.sessions.update(
+        session => sameId(session.session_id, sessionId) && !session.revoked_on,
+        { revoked_on: now(), revoked_reason: reason }
+      );
+    },
+
+    revokeAllForUser: async (userId, reason) => {
+      tables.sessions.update(
+        session => sameId(session.user_id, userId) && !session.revoked_on,
+        { revoked_on: now(), revoked_reason: reason }
+      );
+    },
+  };
+
+  const shareLinks = {
+    create: async (fields) => tables.shareLinks.insert(fields),
+
+    findById: async (linkId) => tables.shareLinks.find(link => sameId(link.link_id, linkId)),
+
+    findByTokenHash: async (tokenHash) => tables.shareLinks.find(link => link.token_hash === tokenHash),
+
+    listByNote: async (noteId) =>
+      tables.shareLinks.filter(link => sameId(link.note_id, noteId)).sort(byNewest('link_id')),
+
+    update: async (linkId, fields) =>
+      tables.shareLinks.update(link => sameId(link.link_id, linkId), fields)[0] ?? null,
+  };
+
+  const shareLinkAccess = {
+    create: async (fields) => tables.shareLinkAccess.insert(fields),
+
+    listByLink: async (linkId, limit) =>
+      tables.shareLinkAccess
+        .filter(access => sameId(access.link_id, linkId))
+        .sort((a, b) => new Date(b.accessed_on) - new Date(a.accessed_on) || b.access_id - a.access_id)
+        .slice(0, limit),
+
+    countByLink: async (linkId) => tables.shareLinkAccess.filter(access => sameId(access.link_id, linkId)).length,
+  };
+
+  const comments = {
+    create: async (fields) => tables.comments.insert(fields),
+
+    findById: async (commentId) => tables.comments.find(comment => sameId(comment.comment_id, commentId)),
+
+    listByNote: async (noteId) =>
+      tables.comments
+        .filter(comment => sameId(comment.note_id, noteId))
+        .sort((a, b) => new Date(a.created_on) - new Date(b.created_on) || a.comment_id - b.comment_id),
+
+    update: async (commentId, fields) =>
+      tables.comments.update(comment => sameId(comment.comment_id, commentId), fields)[0] ?? null,
+
+    delete: async (commentId) => tables.comments.remove(comment => sameId(comment.comment_id, commentId)),
+  };
+
+  const notifications = {
+    create: async (fields) => tables.notifications.insert(fields),
+
+    findById: async (notificationId) =>
+      tables.notifications.find(notification => sameId(notification.notification_id, notificationId)),
+
+    listByUser: async (userId, { unreadOnly = false, before = null, limit }) =>
+      tables.notifications
+        .filter(notification =>
+          sameId(notification.user_id, userId) &&
+          (!unreadOnly || !notification.read_on) &&
+          (before === null || notification.notification_id < before)
+        )
+        .sort((a, b) => b.notification_id - a.notification_id)
+        .slice(0, limit),
+
+    countUnread: async (userId) =>
+      tables.notifications.filter(notification => sameId(notification.user_id, userId) && !notification.read_on).length,
+
+    markRead: async (userId, notificationIds) =>
+      tables.notifications.update(
+        notification =>
+          sameId(notification.user_id, userId) &&
+          !notification.read_on &&
+          notificationIds.some(id => sameId(notification.notification_id, id)),
+        { read_on: now() }
+      ),
+
+    markAllRead: async (userId) =>
+      tables.notifications.update(
+        notification => sameId(notification.user_id, userId) && !notification.read_on,
+        { read_on: now() }
+      ).length,
+  };
+
+  const webhooks = {
+    create: async (fields) => tables.webhooks.insert(fields),
+
+    findById: async (webhookId) => tables.webhooks.find(webhook => sameId(webhook.webhook_id, webhookId)),
+
+    listByUser: async (userId) =>
+      tables.webhooks.filter(webhook => sameId(webhook.user_id, userId)).sort(byNewest('webhook_id')),
+
+    listForEvent: async (userIds, event) =>
+      tables.webhooks.filter(webhook =>
+        webhook.active &&
+        webhook.events.includes(event) &&
+        userIds.some(userId => sameId(webhook.user_id, userId))
+      ),
+
+    update: async (webhookId, fields) =>
+      tables.webhooks.update(webhook => sameId(webhook.webhook_id, webhookId), { ...fields, updated_on: now() })[0] ?? null,
+
+    delete: async (webhookId) => {
+      tables.webhookDeliveries.remove(delivery => sameId(delivery.webhook_id, webhookId));
+      tables.webhooks.remove(webhook => sameId(webhook.webhook_id, webhookId));
+    },
+  };
+
+  const webhookDeliveries = {
+    create: async (fields) => tables.webhookDeliveries.insert(fields),
+
+    findById: async (deliveryId) => tables.webhookDeliveries.find(delivery => sameId(delivery.delivery_id, deliveryId)),
+
+    listByWebhook: async (webhookId, limit) =>
+      tables.webhookDeliveries
+        .filter(delivery => sameId(delivery.webhook_id, webhookId))
+        .sort((a, b) => new Date(b.created_on) - new Date(a.created_on))
+        .slice(0, limit),
+
+    listPending: async () =>
+      tables.webhookDeliveries
+        .filter(delivery => delivery.status === 'queued' || delivery.status === 'retrying')
+        .sort((a, b) => new Date(a.created_on) - new Date(b.created_on)),
+
+    update: async (deliveryId, fields) =>
+      tables.webhookDeliveries.update(delivery => sameId(delivery.delivery_id, deliveryId), fields)[0] ?? null,
+  };
+
+  const activity = {
+    create: async (fields) => tables.activity.insert(fields),
+
+    list: async ({ noteId, userId, types = [], before = null, limit }) =>
+      tables.activity
+        .filter(entry =>
+          (noteId === undefined || sameId(entry.note_id, noteId)) &&
+          (userId === undefined || sameId(entry.actor_id, userId) || sameId(entry.target_user_id, userId)) &&
+          (types.length === 0 || types.includes(entry.type)) &&
+          (before === null || entry.activity_id < before)
+        )
+        .sort((a, b) => b.activity_id - a.activity_id)
+        .slice(0, limit),
+  };
+
+  return {
+    users,
+    notes,
+    userNotes,
+    noteSharing,
+    categories,
+    noteVersions,
+    noteDocuments,
+    mailDeliveries,
+    passwordResetTokens,
+    sessions,
+    shareLinks,
+    shareLinkAccess,
+    comments,
+    notifications,
+    webhooks,
+    webhookDeliveries,
+    activity,
+  };
+};
+
+export default createMemoryRepositories;
@@ -0,0 +1,14 @@
+-- Replace the is_creator flag on user_notes with owner / editor / viewer roles.
+-- is_creator is kept (and stays true only for owners) so older clients keep working.
+
+ALTER TABLE user_notes ADD COLUMN IF NOT EXISTS role text;
+
+-- Shares made before roles existed had full edit access
+UPDATE user_notes
+SET role = CASE WHEN is_creator THEN 'owner' ELSE 'editor' END
+WHERE role IS NULL;
+
+ALTER TABLE user_notes
+  ALTER COLUMN role SET DEFAULT 'editor',
+  ALTER COLUMN role SET NOT NULL,
+  ADD CONSTRAINT user_notes_role_check CHECK (role IN ('owner', 'editor', 'viewer'));
@@ -0,0 +1,17 @@
+-- Version history of the Yjs document of each note.
+-- kind = 'auto' rows are written by the persistence cycle when a document changed,
+-- kind = 'named' rows are created by users (and before every restore).
+
+CREATE TABLE IF NOT EXISTS note_versions (
+  version_id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  note_id bigint NOT NULL REFERENCES notes (note_id) ON DELETE CASCADE,
+  kind text NOT NULL DEFAULT 'auto' CHECK (kind IN ('auto', 'named')),
+  name text,
+  created_by bigint REFERENCES users (user_id) ON DELETE SET NULL,
+  connected_users jsonb NOT NULL DEFAULT '[]',
+  yjs_state bytea NOT NULL,
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS note_versions_note_id_created_on_idx
+  ON note_versions (note_id, created_on DESC);
@@ -0,0 +1,15 @@
+-- Delivery log of outbound email, written by services/mail.
+
+CREATE TABLE IF NOT EXISTS mail_deliveries (
+  delivery_id uuid PRIMARY KEY,
+  template text NOT NULL,
+  recipient text NOT NULL,
+  subject text NOT NULL,
+  status text NOT NULL CHECK (status IN ('queued', 'retrying', 'sent', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  last_error text,
+  created_on timestamptz NOT NULL DEFAULT now(),
+  sent_on timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS mail_deliveries_status_idx ON mail_deliveries (status, created_on);
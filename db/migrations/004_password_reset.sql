@@ -0,0 +1,12 @@
+-- Single-use password reset tokens, stored as SHA-256 hashes.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  token_id bigint GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+  user_id bigint NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  expires_on timestamptz NOT NULL,
+  used_on timestamptz,
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_id_idx ON password_reset_tokens (user_id);
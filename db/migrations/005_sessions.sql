@@ -0,0 +1,20 @@
+-- Login sessions. Access tokens carry the session ID and are only accepted
+-- while the session is active; the refresh token is rotated on every use and
+-- only hashes are stored: the current one, and the recent ones it replaced,
+-- which tell a reused refresh token apart from a made-up one.
+
+CREATE TABLE IF NOT EXISTS sessions (
+  session_id uuid PRIMARY KEY,
+  user_id bigint NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  refresh_token_hash text NOT NULL,
+  rotated_token_hashes text[] NOT NULL DEFAULT '{}',
+  user_agent text,
+  ip text,
+  expires_on timestamptz NOT NULL,
+  revoked_on timestamptz,
+  revoked_reason text,
+  created_on timestamptz NOT NULL DEFAULT now(),
+  last_used_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS sessions_user_id_idx ON sessions (user_id);
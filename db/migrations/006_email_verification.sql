@@ -0,0 +1,9 @@
+-- Email verification. New accounts stay unverified until the link sent to
+-- their address is followed; an email change is kept in pending_email until
+-- it is confirmed from the new address.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_on timestamptz;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pending_email text;
+
+-- Accounts that existed before verification was introduced keep working
+UPDATE users SET email_verified_on = now() WHERE email_verified_on IS NULL;
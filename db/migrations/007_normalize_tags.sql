@@ -0,0 +1,12 @@
+-- Tags are written normalised (trimmed, single spaces, lower case) from now
+-- on; bring existing notes in line so tag filters and counts group them.
+
+UPDATE notes
+SET tags = ARRAY(
+  SELECT DISTINCT lower(regexp_replace(btrim(tag), '\s+', ' ', 'g'))
+  FROM unnest(tags) AS tag
+  WHERE btrim(tag) <> ''
+)
+WHERE tags IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS notes_tags_idx ON notes USING gin (tags);
@@ -0,0 +1,31 @@
+-- Categories become per-user folders that can be nested. Each member files
+-- a note on their own through user_notes.category_id, replacing the shared
+-- notes.category_id.
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS user_id bigint REFERENCES users (user_id) ON DELETE CASCADE;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS parent_id bigint REFERENCES categories (category_id);
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS created_on timestamptz NOT NULL DEFAULT now();
+
+ALTER TABLE user_notes ADD COLUMN IF NOT EXISTS category_id bigint REFERENCES categories (category_id) ON DELETE SET NULL;
+
+-- Give every member of a categorised note a copy of the global category it used
+INSERT INTO categories (name, user_id)
+SELECT DISTINCT c.name, un.user_id
+FROM categories c
+JOIN notes n ON n.category_id = c.category_id
+JOIN user_notes un ON un.note_id = n.note_id
+WHERE c.user_id IS NULL;
+
+UPDATE user_notes un
+SET category_id = own.category_id
+FROM notes n
+JOIN categories global ON global.category_id = n.category_id AND global.user_id IS NULL
+JOIN categories own ON own.name = global.name AND own.user_id IS NOT NULL
+WHERE un.note_id = n.note_id AND own.user_id = un.user_id;
+
+ALTER TABLE notes DROP COLUMN IF EXISTS category_id;
+DELETE FROM categories WHERE user_id IS NULL;
+ALTER TABLE categories ALTER COLUMN user_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS categories_user_id_idx ON categories (user_id);
+CREATE INDEX IF NOT EXISTS user_notes_category_id_idx ON user_notes (category_id);
@@ -0,0 +1,8 @@
+-- Deleting a note moves it to its owner's trash. Trashed notes are hidden
+-- from every member until restored, and deleted for good after the
+-- retention period (TRASH_RETENTION_DAYS) by the scheduled purge.
+
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS deleted_on timestamptz;
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS deleted_by bigint REFERENCES users (user_id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS notes_deleted_on_idx ON notes (deleted_on) WHERE deleted_on IS NOT NULL;
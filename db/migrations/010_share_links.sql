@@ -0,0 +1,27 @@
+-- Public links to a note. The raw token only exists in the link itself; the
+-- table keeps its SHA-256 so a link is looked up by hashing what was presented.
+
+CREATE TABLE IF NOT EXISTS share_links (
+  link_id bigserial PRIMARY KEY,
+  note_id bigint NOT NULL REFERENCES notes (note_id) ON DELETE CASCADE,
+  token_hash text NOT NULL UNIQUE,
+  role text NOT NULL CHECK (role IN ('viewer', 'commenter')),
+  password_hash text,
+  expires_on timestamptz,
+  revoked_on timestamptz,
+  last_accessed_on timestamptz,
+  created_by bigint REFERENCES users (user_id) ON DELETE SET NULL,
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS share_links_note_id_idx ON share_links (note_id);
+
+CREATE TABLE IF NOT EXISTS share_link_access (
+  access_id bigserial PRIMARY KEY,
+  link_id bigint NOT NULL REFERENCES share_links (link_id) ON DELETE CASCADE,
+  ip text,
+  user_agent text,
+  accessed_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS share_link_access_link_id_idx ON share_link_access (link_id, accessed_on DESC);
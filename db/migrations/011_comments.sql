@@ -0,0 +1,24 @@
+-- Comment threads on notes. A thread is a comment without parent_id, its
+-- replies point to it. Threads may be anchored to a range of the text with
+-- two encoded Yjs relative positions, which follow the text through edits.
+-- Comments posted through a share link have no author_id; they keep the link
+-- and the name the guest gave instead.
+
+CREATE TABLE IF NOT EXISTS comments (
+  comment_id bigserial PRIMARY KEY,
+  note_id bigint NOT NULL REFERENCES notes (note_id) ON DELETE CASCADE,
+  parent_id bigint REFERENCES comments (comment_id) ON DELETE CASCADE,
+  author_id bigint REFERENCES users (user_id) ON DELETE SET NULL,
+  link_id bigint REFERENCES share_links (link_id) ON DELETE SET NULL,
+  author_name text,
+  body text,
+  anchor_start text,
+  anchor_end text,
+  resolved_on timestamptz,
+  resolved_by bigint REFERENCES users (user_id) ON DELETE SET NULL,
+  edited_on timestamptz,
+  deleted_on timestamptz,
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS comments_note_id_idx ON comments (note_id, created_on);
@@ -0,0 +1,28 @@
+-- Append-only log of what happened to notes and accounts. note_id and the
+-- user columns deliberately have no foreign keys: the history of a note or
+-- account outlives it. Rows can be inserted but never changed or removed.
+
+CREATE TABLE IF NOT EXISTS activity_log (
+  activity_id bigserial PRIMARY KEY,
+  type text NOT NULL,
+  actor_id bigint,
+  note_id bigint,
+  target_user_id bigint,
+  details jsonb NOT NULL DEFAULT '{}',
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS activity_log_note_id_idx ON activity_log (note_id, activity_id DESC);
+CREATE INDEX IF NOT EXISTS activity_log_actor_id_idx ON activity_log (actor_id, activity_id DESC);
+CREATE INDEX IF NOT EXISTS activity_log_target_user_id_idx ON activity_log (target_user_id, activity_id DESC);
+
+CREATE OR REPLACE FUNCTION activity_log_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'activity_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS activity_log_append_only ON activity_log;
+CREATE TRIGGER activity_log_append_only
+  BEFORE UPDATE OR DELETE ON activity_log
+  FOR EACH ROW EXECUTE FUNCTION activity_log_append_only();
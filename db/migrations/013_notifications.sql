@@ -0,0 +1,17 @@
+-- In-app notifications, e.g. "a note was shared with you" or "you were
+-- mentioned in a comment". read_on stays null until the user has seen it.
+
+CREATE TABLE IF NOT EXISTS notifications (
+  notification_id bigserial PRIMARY KEY,
+  user_id bigint NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  type text NOT NULL,
+  actor_id bigint REFERENCES users (user_id) ON DELETE SET NULL,
+  note_id bigint REFERENCES notes (note_id) ON DELETE CASCADE,
+  comment_id bigint REFERENCES comments (comment_id) ON DELETE SET NULL,
+  data jsonb NOT NULL DEFAULT '{}',
+  read_on timestamptz,
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS notifications_user_id_idx ON notifications (user_id, notification_id DESC);
+CREATE INDEX IF NOT EXISTS notifications_unread_idx ON notifications (user_id) WHERE read_on IS NULL;
@@ -0,0 +1,33 @@
+-- Outgoing webhooks. A user registers endpoints for note events; every
+-- event sent to an endpoint is a delivery, retried until it succeeds or runs
+-- out of attempts. The secret is stored as is, it is needed to sign payloads.
+
+CREATE TABLE IF NOT EXISTS webhooks (
+  webhook_id bigserial PRIMARY KEY,
+  user_id bigint NOT NULL REFERENCES users (user_id) ON DELETE CASCADE,
+  url text NOT NULL,
+  events text[] NOT NULL,
+  secret text NOT NULL,
+  description text,
+  active boolean NOT NULL DEFAULT true,
+  created_on timestamptz NOT NULL DEFAULT now(),
+  updated_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS webhooks_user_id_idx ON webhooks (user_id);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  delivery_id uuid PRIMARY KEY,
+  webhook_id bigint NOT NULL REFERENCES webhooks (webhook_id) ON DELETE CASCADE,
+  event text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL CHECK (status IN ('queued', 'retrying', 'delivered', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  response_status integer,
+  last_error text,
+  redelivery_of uuid REFERENCES webhook_deliveries (delivery_id) ON DELETE SET NULL,
+  created_on timestamptz NOT NULL DEFAULT now(),
+  delivered_on timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_id_idx ON webhook_deliveries (webhook_id, created_on DESC);
@@ -0,0 +1,29 @@
+-- Binary storage of the Yjs document of each note: a base state plus a log
+-- of the updates made since, replayed on top of it when the document is
+-- loaded. Compaction folds the log into a new base state and deletes the
+-- updates it covers. Applying an update twice is a no-op in Yjs, so a log
+-- row that outlives its compaction does no harm.
+
+CREATE TABLE IF NOT EXISTS note_documents (
+  note_id bigint PRIMARY KEY REFERENCES notes (note_id) ON DELETE CASCADE,
+  state bytea NOT NULL,
+  updated_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS note_updates (
+  update_id bigserial PRIMARY KEY,
+  note_id bigint NOT NULL REFERENCES notes (note_id) ON DELETE CASCADE,
+  data bytea NOT NULL,
+  created_on timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS note_updates_note_id_idx ON note_updates (note_id, update_id);
+
+-- Move the base64 encoded states out of notes
+INSERT INTO note_documents (note_id, state, updated_on)
+SELECT note_id, decode(yjs_state, 'base64'), last_update
+FROM notes
+WHERE yjs_state IS NOT NULL
+ON CONFLICT (note_id) DO NOTHING;
+
+ALTER TABLE notes DROP COLUMN IF EXISTS yjs_state;
@@ -0,0 +1,24 @@
+-- Revision counter of each note, sent to clients as its ETag. It goes up
+-- whenever the title, content or tags change, however they are changed, so
+-- an update sent with If-Match can tell that it would overwrite someone
+-- else's changes.
+
+ALTER TABLE notes ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1;
+
+CREATE OR REPLACE FUNCTION notes_bump_version() RETURNS trigger AS $$
+BEGIN
+  IF NEW.title IS DISTINCT FROM OLD.title
+    OR NEW.content IS DISTINCT FROM OLD.content
+    OR NEW.tags IS DISTINCT FROM OLD.tags THEN
+    NEW.version := OLD.version + 1;
+  ELSE
+    NEW.version := OLD.version;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notes_bump_version ON notes;
+CREATE TRIGGER notes_bump_version
+  BEFORE UPDATE ON notes
+  FOR EACH ROW EXECUTE FUNCTION notes_bump_version();
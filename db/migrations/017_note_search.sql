@@ -0,0 +1,85 @@
+-- Full-text search over the notes. Each note's title, tags and content are
+-- kept as one tsvector in note_search, weighted in that order and indexed
+-- with GIN, so a search only reads the notes that match. The 'simple'
+-- configuration lower-cases words without stemming them, as notes are
+-- written in any language.
+
+CREATE OR REPLACE FUNCTION note_search_document(title text, tags text[], content text) RETURNS tsvector AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(title, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(array_to_string(tags, ' '), '')), 'B')
+    || setweight(to_tsvector('simple', coalesce(content, '')), 'C');
+$$ LANGUAGE sql STABLE;
+
+CREATE TABLE IF NOT EXISTS note_search (
+  note_id bigint PRIMARY KEY REFERENCES notes (note_id) ON DELETE CASCADE,
+  document tsvector NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS note_search_document_idx ON note_search USING gin (document);
+
+CREATE OR REPLACE FUNCTION notes_update_search() RETURNS trigger AS $$
+BEGIN
+  INSERT INTO note_search (note_id, document)
+  VALUES (NEW.note_id, note_search_document(NEW.title, NEW.tags, NEW.content))
+  ON CONFLICT (note_id) DO UPDATE SET document = EXCLUDED.document;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notes_update_search ON notes;
+CREATE TRIGGER notes_update_search
+  AFTER INSERT OR UPDATE OF title, tags, content ON notes
+  FOR EACH ROW EXECUTE FUNCTION notes_update_search();
+
+INSERT INTO note_search (note_id, document)
+SELECT note_id, note_search_document(title, tags, content)
+FROM notes
+ON CONFLICT (note_id) DO NOTHING;
+
+-- Search the notes a user can access. p_terms is a websearch_to_tsquery
+-- query (words and "phrases"), p_prefixes a to_tsquery one for the prefix*
+-- terms; a note has to match both. Notes open in an editor are searched in
+-- their live text, p_live = [{ note_id, content }], which may not be stored
+-- yet. Highlights are delimited by chr(2) and chr(3), the caller escapes the
+-- text and turns them into markup.
+CREATE OR REPLACE FUNCTION search_notes(p_user_id bigint, p_terms text, p_prefixes text, p_live jsonb, p_limit integer)
+RETURNS TABLE (note_id bigint, score real, title_highlight text, snippet text, total bigint) AS $$
+  WITH query AS (
+    SELECT CASE
+      WHEN p_terms <> '' AND p_prefixes <> '' THEN websearch_to_tsquery('simple', p_terms) && to_tsquery('simple', p_prefixes)
+      WHEN p_prefixes <> '' THEN to_tsquery('simple', p_prefixes)
+      ELSE websearch_to_tsquery('simple', p_terms)
+    END AS q
+  ),
+  live AS (
+    SELECT (entry->>'note_id')::bigint AS note_id, entry->>'content' AS content
+    FROM jsonb_array_elements(coalesce(p_live, '[]')) AS entry
+  ),
+  candidates AS (
+    SELECT n.note_id, n.title, n.content, s.document
+    FROM query, note_search s
+    JOIN notes n ON n.note_id = s.note_id
+    JOIN user_notes un ON un.note_id = n.note_id AND un.user_id = p_user_id
+    WHERE s.document @@ query.q
+      AND n.deleted_on IS NULL
+      AND n.note_id NOT IN (SELECT live.note_id FROM live)
+    UNION ALL
+    SELECT n.note_id, n.title, live.content, note_search_document(n.title, n.tags, live.content)
+    FROM live
+    JOIN notes n ON n.note_id = live.note_id
+    JOIN user_notes un ON un.note_id = n.note_id AND un.user_id = p_user_id
+    WHERE n.deleted_on IS NULL
+  )
+  SELECT
+    c.note_id,
+    ts_rank(c.document, query.q) AS score,
+    ts_headline('simple', coalesce(c.title, ''), query.q,
+      'HighlightAll=true, StartSel="' || chr(2) || '", StopSel="' || chr(3) || '"'),
+    ts_headline('simple', coalesce(c.content, ''), query.q,
+      'MinWords=15, MaxWords=35, MaxFragments=1, FragmentDelimiter=" … ", StartSel="' || chr(2) || '", StopSel="' || chr(3) || '"'),
+    count(*) OVER () AS total
+  FROM candidates c, query
+  WHERE c.document @@ query.q
+  ORDER BY score DESC, c.note_id DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,645 @@
+/**
+ * Supabase implementation of the repositories described in db/index.js.
+ * Queries that look up a single row use maybeSingle(), so "no rows" comes back
+ * as null instead of a PostgREST error and callers never see error codes.
+ */
+
+import { markHeadline, toFullTextQuery } from '../services/search.js';
+
+/**
+ * Throw the error of a Supabase response, or return its data.
+ * @param {{ data: any, error: Object|null }} response - A Supabase response.
+ * @returns {any}
+ */
+const unwrap = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+const USER_LIST_COLUMNS = 'user_id, username, email';
+
+/* PostgREST reads and writes bytea columns as `\x` followed by hex digits */
+const toBytea = (bytes) => `\\x${Buffer.from(bytes).toString('hex')}`;
+const fromBytea = (value) => new Uint8Array(Buffer.from(value.slice(2), 'hex'));
+
+/* Quote a value for a PostgREST `or` filter */
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Apply the filters of notes.listAccessible to a query on notes joined with
+ * the user's user_notes row.
+ */
+const filterAccessible = (query, userId, { categoryId, tags = [], tagsMode = 'any', scope = 'all', ...dates }) => {
+  query = query.eq('user_notes.user_id', userId).is('deleted_on', null);
+
+  if (categoryId === null) query = query.is('user_notes.category_id', null);
+  else if (categoryId !== undefined) query = query.eq('user_notes.category_id', categoryId);
+
+  if (tags.length > 0) query = tagsMode === 'all' ? query.contains('tags', tags) : query.overlaps('tags', tags);
+
+  if (scope === 'created') query = query.eq('user_notes.is_creator', true);
+  if (scope === 'shared') query = query.eq('user_notes.is_creator', false);
+
+  if (dates.createdAfter) query = query.gte('created_on', dates.createdAfter);
+  if (dates.createdBefore) query = query.lt('created_on', dates.createdBefore);
+  if (dates.updatedAfter) query = query.gte('last_update', dates.updatedAfter);
+  if (dates.updatedBefore) query = query.lt('last_update', dates.updatedBefore);
+
+  return query;
+};
+
+/**
+ * The PostgREST `or` filter for the rows after a keyset position in
+ * (sort, note_id) order. Null sort values count as larger than any other, and
+ * since `eq` and `gt` never match null they need their own conditions.
+ * @param {string} sort - The sort column.
+ * @param {boolean} ascending - The sort direction.
+ * @param {{ value: *, noteId: number }} after - The position of the last row of the previous page.
+ * @returns {string}
+ */
+const keysetAfter = (sort, ascending, { value, noteId }) => {
+  const op = ascending ? 'gt' : 'lt';
+  const tie = `note_id.${op}.${noteId}`;
+
+  if (value == null) {
+    return ascending ? `and(${sort}.is.null,${tie})` : `${sort}.not.is.null,and(${sort}.is.null,${tie})`;
+  }
+
+  const conditions = [`${sort}.${op}.${quote(value)}`, `and(${sort}.eq.${quote(value)},${tie})`];
+  if (ascending) conditions.push(`${sort}.is.null`);
+  return conditions.join(',');
+};
+
+const VERSION_COLUMNS = 'version_id, note_id, name, kind, created_by, connected_users, created_on';
+
+/**
+ * Create the repositories on top of a Supabase client.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase - The client.
+ * @returns {Object} - The repositories.
+ */
+const createSupabaseRepositories = (supabase) => {
+  const users = {
+    findById: async (userId) =>
+      unwrap(await supabase.from('users').select('*').eq('user_id', userId).maybeSingle()),
+
+    findByUsername: async (username) =>
+      unwrap(await supabase.from('users').select('*').eq('username', username).maybeSingle()),
+
+    findByEmail: async (email) =>
+      unwrap(await supabase.from('users').select('*').eq('email', email).maybeSingle()),
+
+    findByUsernameOrEmail: async (username, email) =>
+      unwrap(await supabase.from('users').select('*').or(`username.eq.${username},email.eq.${email}`)),
+
+    list: async () =>
+      unwrap(await supabase.from('users').select(USER_LIST_COLUMNS).order('username', { ascending: true })),
+
+    create: async (fields) =>
+      unwrap(await supabase.from('users').insert([fields]).select().single()),
+
+    update: async (userId, fields) =>
+      unwrap(await supabase.from('users').update(fields).eq('user_id', userId).select().maybeSingle()),
+
+    delete: async (userId) => {
+      unwrap(await supabase.from('users').delete().eq('user_id', userId));
+    },
+  };
+
+  const notes = {
+    findById: async (noteId) =>
+      unwrap(await supabase.from('notes').select('*').eq('note_id', noteId).maybeSingle()),
+
+    findByIds: async (noteIds) => {
+      if (noteIds.length === 0) return [];
+      return unwrap(await supabase
+        .from('notes')
+        .select('*')
+        .in('note_id', noteIds)
+        .order('created_on', { ascending: false }));
+    },
+
+    // One page of the notes a user is a member of, in keyset order by (sort, note_id); every note without a limit
+    listAccessible: async (userId, options) => {
+      const { sort = 'created_on', order = 'desc', after = null, limit } = options;
+      const ascending = order === 'asc';
+
+      const countResult = await filterAccessible(
+        supabase.from('notes').select('note_id, user_notes!inner(user_id)', { count: 'exact', head: true }),
+        userId,
+        options
+      );
+      if (countResult.error) throw countResult.error;
+
+      let query = filterAccessible(
+        supabase.from('notes').select('*, user_notes!inner(role, is_creator, category_id)'),
+        userId,
+        options
+      );
+
+      if (after) query = query.or(keysetAfter(sort, ascending, after));
+
+      // Nulls sort last ascending and first descending, the Postgres default the memory backend mirrors
+      query = query
+        .order(sort, { ascending, nullsFirst: !ascending })
+        .order('note_id', { ascending });
+      if (limit != null) query = query.limit(limit);
+
+      const rows = unwrap(await query);
+
+      return {
+        total: countResult.count,
+        notes: rows.map(({ user_notes: [{ category_id, ...membership }], ...note }) => ({
+          ...note,
+          category_id,
+          membership,
+        })),
+      };
+    },
+
+    // Ranked with Postgres full-text search, see the search_notes function
+    search: async (userId, query, { live = [], limit }) => {
+      const { terms, prefixes } = toFullTextQuery(query);
+      if (!terms && !prefixes) return { total: 0, results: [] };
+
+      const matches = unwrap(await supabase.rpc('search_notes', {
+        p_user_id: userId,
+        p_terms: terms,
+        p_prefixes: prefixes,
+        p_live: live,
+        p_limit: limit,
+      }));
+      if (matches.length === 0) return { total: 0, results: [] };
+
+      const rows = unwrap(await supabase.from('notes').select('*').in('note_id', matches.map(match => match.note_id)));
+      const liveContent = new Map(live.map(entry => [String(entry.note_id), entry.content]));
+      const notes = new Map(rows.map(note => [
+        String(note.note_id),
+        { ...note, content: liveContent.get(String(note.note_id)) ?? note.content },
+      ]));
+
+      return {
+        total: Number(matches[0].total),
+        results: matches
+          .filter(match => notes.has(String(match.note_id)))
+          .map(match => ({
+            note: notes.get(String(match.note_id)),
+            score: Math.round(match.score * 10000) / 10000,
+            highlights: { title: markHeadline(match.title_highlight), snippet: markHeadline(match.snippet) },
+          })),
+      };
+    },
+
+    listTrashedBefore: async (cutoff) =>
+      unwrap(await supabase.from('notes').select('*').lt('deleted_on', cutoff)),
+
+    create: async (fields) =>
+      unwrap(await supabase.from('notes').insert([fields]).select().single()),
+
+    // The version is bumped by the notes_bump_version trigger
+    update: async (noteId, fields, { ifVersion } = {}) => {
+      let query = supabase.from('notes').update(fields).eq('note_id', noteId);
+      if (ifVersion !== undefined) query = query.eq('version', ifVersion);
+      return unwrap(await query.select().maybeSingle());
+    },
+
+    delete: async (noteId) => {
+      unwrap(await supabase.from('notes').delete().eq('note_id', noteId));
+    },
+  };
+
+  const userNotes = {
+    find: async (noteId, userId) =>
+      unwrap(await supabase
+        .from('user_notes')
+        .select('*')
+        .eq('note_id', noteId)
+        .eq('user_id', userId)
+        .maybeSingle()),
+
+    listByUser: async (userId) =>
+      unwrap(await supabase.from('user_notes').select('*').eq('user_id', userId)),
+
+    listByNote: async (noteId) =>
+      unwrap(await supabase
+        .from('user_notes')
+        .select(`
+          user_id,
+          is_creator,
+          role,
+          users (
+            username,
+            email
+          )
+        `)
+        .eq('note_id', noteId)),
+
+    create: async (fields) =>
+      unwrap(await supabase.from('user_notes').insert([fields]).select().single()),
+
+    update: async (noteId, userId, fields) =>
+      unwrap(await supabase
+        .from('user_notes')
+        .update(fields)
+        .eq('note_id', noteId)
+        .eq('user_id', userId)
+        .select()
+        .maybeSingle()),
+
+    delete: async (noteId, userId) => {
+      unwrap(await supabase.from('user_notes').delete().eq('note_id', noteId).eq('user_id', userId));
+    },
+
+    deleteByNote: async (noteId) => {
+      unwrap(await supabase.from('user_notes').delete().eq('note_id', noteId));
+    },
+
+    deleteByUser: async (userId) => {
+      unwrap(await supabase.from('user_notes').delete().eq('user_id', userId));
+    },
+  };
+
+  const noteSharing = {
+    deleteByNote: async (noteId) => {
+      unwrap(await supabase.from('note_sharing').delete().eq('note_id', noteId));
+    },
+  };
+
+  const categories = {
+    listByUser: async (userId) =>
+      unwrap(await supabase
+        .from('categories')
+        .select('*')
+        .eq('user_id', userId)
+        .order('name', { ascending: true })),
+
+    findById: async (categoryId) =>
+      unwrap(await supabase.from('categories').select('*').eq('category_id', categoryId).maybeSingle()),
+
+    create: async (fields) =>
+      unwrap(await supabase.from('categories').insert([fields]).select().single()),
+
+    update: async (categoryId, fields) =>
+      unwrap(await supabase.from('categories').update(fields).eq('category_id', categoryId).select().maybeSingle()),
+
+    delete: async (categoryId) => {
+      unwrap(await supabase.from('categories').delete().eq('category_id', categoryId));
+    },
+  };
+
+  const noteVersions = {
+    create: async ({ yjs_state, ...fields }) =>
+      unwrap(await supabase
+        .from('note_versions')
+        .insert([{ ...fields, yjs_state: toBytea(yjs_state) }])
+        .select(VERSION_COLUMNS)
+        .single()),
+
+    listByNote: async (noteId) =>
+      unwrap(await supabase
+        .from('note_versions')
+        .select(VERSION_COLUMNS)
+        .eq('note_id', noteId)
+        .order('created_on', { ascending: false })),
+
+    find: async (noteId, versionId) => {
+      const version = unwrap(await supabase
+        .from('note_versions')
+        .select(`${VERSION_COLUMNS}, yjs_state`)
+        .eq('note_id', noteId)
+        .eq('version_id', versionId)
+        .maybeSingle());
+      return version && { ...version, yjs_state: fromBytea(version.yjs_state) };
+    },
+
+    pruneAuto: async (noteId, keep) => {
+      const stale = unwrap(await supabase
+        .from('note_versions')
+        .select('version_id')
+        .eq('note_id', noteId)
+        .eq('kind', 'auto')
+        .order('created_on', { ascending: false })
+        .range(keep, keep + 999));
+
+      if (stale.length === 0) return;
+
+      unwrap(await supabase
+        .from('note_versions')
+        .delete()
+        .in('version_id', stale.map(version => version.version_id)));
+    },
+  };
+
+  const noteDocuments = {
+    find: async (noteId) => {
+      const document = unwrap(await supabase.from('note_documents').select('*').eq('note_id', noteId).maybeSingle());
+      return document && { ...document, state: fromBytea(document.state) };
+    },
+
+    listUpdates: async (noteId) =>
+      unwrap(await supabase
+        .from('note_updates')
+        .select('*')
+        .eq('note_id', noteId)
+        .order('update_id', { ascending: true }))
+        .map(update => ({ ...update, data: fromBytea(update.data) })),
+
+    appendUpdate: async (noteId, data) => {
+      const update = unwrap(await supabase
+        .from('note_updates')
+        .insert([{ note_id: noteId, data: toBytea(data) }])
+        .select('update_id, note_id, created_on')
+        .single());
+      return { ...update, data };
+    },
+
+    // The base state is written first: if deleting the folded updates fails they are replayed, which changes nothing
+    compact: async (noteId, state, throughUpdateId) => {
+      unwrap(await supabase
+        .from('note_documents')
+        .upsert([{ note_id: noteId, state: toBytea(state), updated_on: new Date().toISOString() }]));
+
+      if (throughUpdateId != null) {
+        unwrap(await supabase.from('note_updates').delete().eq('note_id', noteId).lte('update_id', throughUpdateId));
+      }
+    },
+  };
+
+  const mailDeliveries = {
+    findById: async (deliveryId) =>
+      unwrap(await supabase.from('mail_deliveries').select('*').eq('delivery_id', deliveryId).maybeSingle()),
+
+    create: async (fields) =>
+      unwrap(await supabase.from('mail_deliveries').insert([fields]).select().single()),
+
+    update: async (deliveryId, fields) =>
+      unwrap(await supabase.from('mail_deliveries').update(fields).eq('delivery_id', deliveryId).select().maybeSingle()),
+  };
+
+  const passwordResetTokens = {
+    create: async (fields) =>
+      unwrap(await supabase.from('password_reset_tokens').insert([fields]).select().single()),
+
+    // Marks the token used only if it was not used yet, so it can be redeemed once
+    consume: async (tokenHash) =>
+      unwrap(await supabase
+        .from('password_reset_tokens')
+        .update({ used_on: new Date().toISOString() })
+        .eq('token_hash', tokenHash)
+        .is('used_on', null)
+        .select()
+        .maybeSingle()),
+
+    invalidateForUser: async (userId) => {
+      unwrap(await supabase
+        .from('password_reset_tokens')
+        .update({ used_on: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('used_on', null));
+    },
+  };
+
+  const sessions = {
+    create: async (fields) => unwrap(await supabase.from('sessions').insert([fields]).select().single()),
+
+    findById: async (sessionId) =>
+      unwrap(await supabase.from('sessions').select('*').eq('session_id', sessionId).maybeSingle()),
+
+    listActiveByUser: async (userId) =>
+      unwrap(await supabase
+        .from('sessions')
+        .select('*')
+        .eq('user_id', userId)
+        .is('revoked_on', null)
+        .gt('expires_on', new Date().toISOString())
+        .order('last_used_on', { ascending: false })),
+
+    // Swaps the refresh token only if the presented one is still current, so a
+    // refresh token can be exchanged once even under concurrent requests
+    rotate: async (sessionId, refreshTokenHash, nextRefreshTokenHash, rotatedTokenHashes) =>
+      unwrap(await supabase
+        .from('sessions')
+        .update({
+          refresh_token_hash: nextRefreshTokenHash,
+          rotated_token_hashes: rotatedTokenHashes,
+          last_used_on: new Date().toISOString(),
+        })
+        .eq('session_id', sessionId)
+        .eq('refresh_token_hash', refreshTokenHash)
+        .is('revoked_on', null)
+        .select()
+        .maybeSingle()),
+
+    revoke: async (sessionId, reason) => {
+      unwrap(await supabase
+        .from('sessions')
+        .update({ revoked_on: new Date().toISOString(), revoked_reason: reason })
+        .eq('session_id', sessionId)
+        .is('revoked_on', null));
+    },
+
+    revokeAllForUser: async (userId, reason) => {
+      unwrap(await supabase
+        .from('sessions')
+        .update({ revoked_on: new Date().toISOString(), revoked_reason: reason })
+        .eq('user_id', userId)
+        .is('revoked_on', null));
+    },
+  };
+
+  const shareLinks = {
+    create: async (fields) => unwrap(await supabase.from('share_links').insert([fields]).select().single()),
+
+    findById: async (linkId) =>
+      unwrap(await supabase.from('share_links').select('*').eq('link_id', linkId).maybeSingle()),
+
+    findByTokenHash: async (tokenHash) =>
+      unwrap(await supabase.from('share_links').select('*').eq('token_hash', tokenHash).maybeSingle()),
+
+    listByNote: async (noteId) =>
+      unwrap(await supabase
+        .from('share_links')
+        .select('*')
+        .eq('note_id', noteId)
+        .order('created_on', { ascending: false })),
+
+    update: async (linkId, fields) =>
+      unwrap(await supabase.from('share_links').update(fields).eq('link_id', linkId).select().maybeSingle()),
+  };
+
+  const shareLinkAccess = {
+    create: async (fields) => unwrap(await supabase.from('share_link_access').insert([fields]).select().single()),
+
+    listByLink: async (linkId, limit) =>
+      unwrap(await supabase
+        .from('share_link_access')
+        .select('*')
+        .eq('link_id', linkId)
+        .order('accessed_on', { ascending: false })
+        .limit(limit)),
+
+    countByLink: async (linkId) => {
+      const { count, error } = await supabase
+        .from('share_link_access')
+        .select('access_id', { count: 'exact', head: true })
+        .eq('link_id', linkId);
+      if (error) throw error;
+      return count;
+    },
+  };
+
+  const comments = {
+    create: async (fields) => unwrap(await supabase.from('comments').insert([fields]).select().single()),
+
+    findById: async (commentId) =>
+      unwrap(await supabase.from('comments').select('*').eq('comment_id', commentId).maybeSingle()),
+
+    listByNote: async (noteId) =>
+      unwrap(await supabase
+        .from('comments')
+        .select('*')
+        .eq('note_id', noteId)
+        .order('created_on', { ascending: true })
+        .order('comment_id', { ascending: true })),
+
+    update: async (commentId, fields) =>
+      unwrap(await supabase.from('comments').update(fields).eq('comment_id', commentId).select().maybeSingle()),
+
+    delete: async (commentId) => {
+      unwrap(await supabase.from('comments').delete().eq('comment_id', commentId));
+    },
+  };
+
+  const notifications = {
+    create: async (fields) => unwrap(await supabase.from('notifications').insert([fields]).select().single()),
+
+    findById: async (notificationId) =>
+      unwrap(await supabase.from('notifications').select('*').eq('notification_id', notificationId).maybeSingle()),
+
+    listByUser: async (userId, { unreadOnly = false, before = null, limit }) => {
+      let query = supabase.from('notifications').select('*').eq('user_id', userId);
+
+      if (unreadOnly) query = query.is('read_on', null);
+      if (before !== null) query = query.lt('notification_id', before);
+
+      return unwrap(await query.order('notification_id', { ascending: false }).limit(limit));
+    },
+
+    countUnread: async (userId) => {
+      const { count, error } = await supabase
+        .from('notifications')
+        .select('notification_id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('read_on', null);
+      if (error) throw error;
+      return count;
+    },
+
+    markRead: async (userId, notificationIds) =>
+      unwrap(await supabase
+        .from('notifications')
+        .update({ read_on: new Date().toISOString() })
+        .eq('user_id', userId)
+        .in('notification_id', notificationIds)
+        .is('read_on', null)
+        .select()),
+
+    markAllRead: async (userId) =>
+      unwrap(await supabase
+        .from('notifications')
+        .update({ read_on: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('read_on', null)
+        .select('notification_id')).length,
+  };
+
+  const webhooks = {
+    create: async (fields) => unwrap(await supabase.from('webhooks').insert([fields]).select().single()),
+
+    findById: async (webhookId) =>
+      unwrap(await supabase.from('webhooks').select('*').eq('webhook_id', webhookId).maybeSingle()),
+
+    listByUser: async (userId) =>
+      unwrap(await supabase.from('webhooks').select('*').eq('user_id', userId).order('created_on', { ascending: false })),
+
+    listForEvent: async (userIds, event) =>
+      unwrap(await supabase
+        .from('webhooks')
+        .select('*')
+        .in('user_id', userIds)
+        .eq('active', true)
+        .contains('events', [event])),
+
+    update: async (webhookId, fields) =>
+      unwrap(await supabase
+        .from('webhooks')
+        .update({ ...fields, updated_on: new Date().toISOString() })
+        .eq('webhook_id', webhookId)
+        .select()
+        .maybeSingle()),
+
+    // Deliveries go with it (ON DELETE CASCADE)
+    delete: async (webhookId) => unwrap(await supabase.from('webhooks').delete().eq('webhook_id', webhookId)),
+  };
+
+  const webhookDeliveries = {
+    create: async (fields) => unwrap(await supabase.from('webhook_deliveries').insert([fields]).select().single()),
+
+    findById: async (deliveryId) =>
+      unwrap(await supabase.from('webhook_deliveries').select('*').eq('delivery_id', deliveryId).maybeSingle()),
+
+    listByWebhook: async (webhookId, limit) =>
+      unwrap(await supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('webhook_id', webhookId)
+        .order('created_on', { ascending: false })
+        .limit(limit)),
+
+    listPending: async () =>
+      unwrap(await supabase
+        .from('webhook_deliveries')
+        .select('*')
+        .in('status', ['queued', 'retrying'])
+        .order('created_on', { ascending: true })),
+
+    update: async (deliveryId, fields) =>
+      unwrap(await supabase.from('webhook_deliveries').update(fields).eq('delivery_id', deliveryId).select().maybeSingle()),
+  };
+
+  const activity = {
+    create: async (fields) => unwrap(await supabase.from('activity_log').insert([fields]).select().single()),
+
+    list: async ({ noteId, userId, types = [], before = null, limit }) => {
+      let query = supabase.from('activity_log').select('*');
+
+      if (noteId !== undefined) query = query.eq('note_id', noteId);
+      if (userId !== undefined) query = query.or(`actor_id.eq.${quote(userId)},target_user_id.eq.${quote(userId)}`);
+      if (types.length > 0) query = query.in('type', types);
+      if (before !== null) query = query.lt('activity_id', before);
+
+      return unwrap(await query.order('activity_id', { ascending: false }).limit(limit));
+    },
+  };
+
+  return {
+    users,
+    notes,
+    userNotes,
+    noteSharing,
+    categories,
+    noteVersions,
+    noteDocuments,
+    mailDeliveries,
+    passwordResetTokens,
+    sessions,
+    shareLinks,
+    shareLinkAccess,
+    comments,
+    notifications,
+    webhooks,
+    webhookDeliveries,
+    activity,
+  };
+};
+
+export default createSupabaseRepositories;
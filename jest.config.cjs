@@ -3,6 +3,8 @@ module.exports = {
     '^.+\\.jsx?$': 'babel-jest',
   },
   testEnvironment: 'node',
+  setupFiles: ['<rootDir>/jest.setup.cjs'],
   transformIgnorePatterns: ['/node_modules/'],
+  testPathIgnorePatterns: ['/node_modules/', '<rootDir>/__tests__/helpers.js'],
 };
 
@@ -0,0 +1,14 @@
+// Run the API against the in-memory data backend, so the suite needs no Supabase project
+process.env.DATA_BACKEND = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.PORT = '0';
+// Write changed Yjs documents back (and retry failed writes) right away instead of after seconds
+process.env.PERSIST_DEBOUNCE_MS = '10';
+process.env.PERSIST_RETRY_BASE_MS = '10';
+// Compact a note's Yjs update log after a handful of updates, so tests reach the threshold
+process.env.YJS_COMPACT_UPDATE_COUNT = '5';
+// The webhook tests deliver to a receiver on localhost, which is otherwise refused
+process.env.WEBHOOK_ALLOWED_HOSTS = 'localhost';
+// Retry failed webhook deliveries quickly, so a suite can wait for them
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
@@ -1,8 +1,39 @@
 import jwt from 'jsonwebtoken';
 import dotenv from 'dotenv';
+import db from '../db/index.js';
+import { isSessionActive } from '../services/sessions.js';
 
 dotenv.config();
 
+/**
+ * Verify a JWT access token.
+ * Shared by the HTTP middleware below and the WebSocket upgrade handler so
+ * both apply the same rules. Besides the signature and expiry, the token must
+ * belong to a session that was not revoked, and the user must still exist.
+ * Rejects with a jwt.JsonWebTokenError if the token is not acceptable.
+ * @param {string} token - The raw JWT.
+ * @returns {Promise<Object>} - The decoded token payload.
+ */
+export const verifyToken = async (token) => {
+  const decoded = await new Promise((resolve, reject) => {
+    jwt.verify(token, process.env.JWT_SECRET, (err, payload) => (err ? reject(err) : resolve(payload)));
+  });
+
+  const session = decoded.sid ? await db.sessions.findById(decoded.sid) : null;
+
+  if (!isSessionActive(session) || String(session.user_id) !== String(decoded.user_id)) {
+    throw new jwt.JsonWebTokenError("Session has ended");
+  }
+
+  const user = await db.users.findById(decoded.user_id);
+
+  if (!user) {
+    throw new jwt.JsonWebTokenError("User no longer exists");
+  }
+
+  return decoded;
+};
+
 /**
  * Middleware to authenticate JWT tokens.
  * Extracts the token from the Authorization header and verifies it.
@@ -14,8 +45,6 @@ dotenv.config();
  **/
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
-  console.log("Authorization Header:", authHeader);
-
   const token = authHeader && authHeader.split(" ")[1];
 
   if (!token) {
@@ -23,15 +52,20 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "Access denied. No token provided." });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
+  verifyToken(token).then(
+    (decoded) => {
+      req.user = decoded;
+      next();
+    },
+    (err) => {
+      if (!(err instanceof jwt.JsonWebTokenError)) {
+        console.error("Error verifying token:", err);
+        return res.status(500).json({ error: "An error occurred while verifying the token." });
+      }
       console.error("Token verification failed:", err.message);
-      return res.status(403).json({ error: "Invalid or expired token." });
+      res.status(403).json({ error: "Invalid or expired token." });
     }
-    console.log("Authenticated User:", decoded);
-    req.user = decoded;
-    next();
-  });
+  );
 };
 
 export default authenticateToken;
@@ -0,0 +1,107 @@
+import validator from 'validator';
+import db from '../db/index.js';
+
+/* Roles a user can hold on a note, from least to most privileged */
+export const NOTE_ROLES = ['viewer', 'editor', 'owner'];
+
+/* Roles that can be handed out when sharing; ownership is never shared */
+export const SHAREABLE_ROLES = ['editor', 'viewer'];
+
+/**
+ * Resolve the role of a user_notes row.
+ * Rows written before roles existed only carry `is_creator`, and shares made
+ * back then granted full edit access, so they map to owner / editor.
+ * @param {{ role?: string, is_creator?: boolean }} membership - A user_notes row.
+ * @returns {string|null} - The role, or null if there is no membership.
+ */
+export const roleOf = (membership) => {
+  if (!membership) return null;
+  if (NOTE_ROLES.includes(membership.role)) return membership.role;
+  return membership.is_creator ? 'owner' : 'editor';
+};
+
+/**
+ * Check whether a role grants at least the permissions of another role.
+ * @param {string} role - The role the user holds.
+ * @param {string} minRole - The role that is required.
+ * @returns {boolean}
+ */
+export const hasRole = (role, minRole) =>
+  NOTE_ROLES.includes(role) && NOTE_ROLES.indexOf(role) >= NOTE_ROLES.indexOf(minRole);
+
+/**
+ * Fetch the membership of a user in a note that is not in the trash.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {string|number} userId - The ID of the user.
+ * @returns {Promise<Object|null>} - The user_notes row, or null if the user has no access.
+ */
+const getMembership = async (noteId, userId) => {
+  const [membership, note] = await Promise.all([db.userNotes.find(noteId, userId), db.notes.findById(noteId)]);
+  return membership && note && !note.deleted_on ? membership : null;
+};
+
+/**
+ * Fetch the role a user holds on a note. Trashed notes grant no access.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {string|number} userId - The ID of the user.
+ * @returns {Promise<string|null>} - The role, or null if the user has no access.
+ */
+export const getNoteRole = async (noteId, userId) => roleOf(await getMembership(noteId, userId));
+
+/**
+ * Fetch every note a user has access to, newest first, with the user's role
+ * on each and the category the user filed it in. Trashed notes are left out.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<Object>>}
+ */
+export const getAccessibleNotes = async (userId) => {
+  const userNotes = await db.userNotes.listByUser(userId);
+  const notes = await db.notes.findByIds(userNotes.map(un => un.note_id));
+
+  const memberships = new Map(userNotes.map(un => [String(un.note_id), un]));
+
+  return notes.filter(note => !note.deleted_on).map(note => {
+    const membership = memberships.get(String(note.note_id));
+    return { ...note, role: roleOf(membership), category_id: membership.category_id ?? null };
+  });
+};
+
+/**
+ * Middleware factory that restricts a note route to users holding at least `minRole`.
+ * Must run after authenticateToken. Users without any access get a 404 so that
+ * note IDs cannot be probed, as do trashed notes; users with a weaker role get a 403.
+ * On success the caller's role is attached to the request as `req.noteRole`,
+ * and their user_notes row as `req.noteMembership`.
+ * @param {string} minRole - One of NOTE_ROLES.
+ * @param {string} [param='id'] - The route parameter holding the note ID.
+ * @returns {Function} - Express middleware.
+ */
+const requireNoteRole = (minRole, param = 'id') => async (req, res, next) => {
+  const noteId = validator.trim(String(req.params[param] ?? ''));
+
+  if (!noteId) {
+    return res.status(400).json({ error: 'Note ID is required.' });
+  }
+
+  try {
+    const membership = await getMembership(noteId, req.user.user_id);
+    const role = roleOf(membership);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    if (!hasRole(role, minRole)) {
+      return res.status(403).json({ error: `This action requires ${minRole} access to the note.` });
+    }
+
+    req.noteRole = role;
+    req.noteMembership = membership;
+    next();
+  } catch (error) {
+    console.error('Error checking note access:', error);
+    res.status(500).json({ error: 'An error occurred while checking note access', details: error.message });
+  }
+};
+
+export default requireNoteRole;
@@ -0,0 +1,45 @@
+import rateLimiter from '../services/rateLimit/index.js';
+
+/**
+ * Answer with 429 Too Many Requests.
+ * @param {Response} res - The response object
+ * @param {number} retryAfter - Seconds until the client may try again.
+ * @param {string} error - The error message.
+ */
+export const tooManyRequests = (res, retryAfter, error) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+};
+
+/**
+ * Middleware to limit how often a route can be called.
+ * Requests are counted per key, by default the client IP. When the counter
+ * store fails the request is let through, so an outage of the store does not
+ * take logins down with it.
+ * @param {string} name - Name of the limit, keeps counters of different routes apart.
+ * @param {{ limit: number, windowMs: number }} limit - The limit, see LIMITS.
+ * @param {function(Request): (string|number|null)} [keyOf] - Derives the key; requests without one are not counted.
+ * @returns {function} - The middleware.
+ */
+const rateLimit = (name, limit, keyOf = (req) => req.ip) => async (req, res, next) => {
+  const key = keyOf(req);
+
+  if (key == null || key === '') {
+    return next();
+  }
+
+  try {
+    const result = await rateLimiter.hit(`${name}:${key}`, limit);
+
+    if (!result.allowed) {
+      console.warn(`Rate limit "${name}" exceeded for ${key}.`);
+      return tooManyRequests(res, result.retryAfter, 'Too many requests. Please try again later.');
+    }
+  } catch (err) {
+    console.error(`Error checking rate limit "${name}":`, err);
+  }
+
+  next();
+};
+
+export default rateLimit;
@@ -0,0 +1,316 @@
+// backend/routes/categoryRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import requireNoteRole, { roleOf } from '../middleware/noteAccess.js';
+import { buildTree, createsCycle, isSameCategory, nameTaken, resolveCategory, subtreeIds } from '../services/categories.js';
+import { trashNote } from '../services/notes.js';
+import { recordActivity } from '../services/activity.js';
+
+const router = express.Router();
+
+const DELETE_MODES = ['reassign', 'cascade'];
+
+/**
+ * Count the notes a user filed directly into each category.
+ * @param {Array<Object>} userNotes - The user's user_notes rows.
+ * @returns {Map<string, number>}
+ */
+const countNotes = (userNotes) => {
+  const counts = new Map();
+  userNotes
+    .filter(un => un.category_id != null)
+    .forEach(un => counts.set(String(un.category_id), (counts.get(String(un.category_id)) || 0) + 1));
+  return counts;
+};
+
+/**
+ * Drop the memberships of notes that are in the trash.
+ * @param {Array<Object>} userNotes - user_notes rows.
+ * @returns {Promise<Array<Object>>}
+ */
+const withoutTrashed = async (userNotes) => {
+  const notes = await db.notes.findByIds(userNotes.map(un => un.note_id));
+  const live = new Set(notes.filter(note => !note.deleted_on).map(note => String(note.note_id)));
+  return userNotes.filter(un => live.has(String(un.note_id)));
+};
+
+/**
+ * Get the categories of the authenticated user as a flat list.
+ * @route GET /api/categories
+ * @access Private
+ */
+router.get('/categories', authenticateToken, async (req, res) => {
+  try {
+    const categories = await db.categories.listByUser(req.user.user_id);
+    const counts = countNotes(await withoutTrashed(await db.userNotes.listByUser(req.user.user_id)));
+
+    res.json(categories.map(category => ({ ...category, note_count: counts.get(String(category.category_id)) || 0 })));
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'An error occurred while fetching categories' });
+  }
+});
+
+/**
+ * Get the categories of the authenticated user nested into a folder tree.
+ * @route GET /api/categories/tree
+ * @access Private
+ */
+router.get('/categories/tree', authenticateToken, async (req, res) => {
+  try {
+    const categories = await db.categories.listByUser(req.user.user_id);
+    const counts = countNotes(await withoutTrashed(await db.userNotes.listByUser(req.user.user_id)));
+
+    res.json(buildTree(categories, counts));
+  } catch (error) {
+    console.error('Error fetching category tree:', error);
+    res.status(500).json({ error: 'An error occurred while fetching categories', details: error.message });
+  }
+});
+
+/**
+ * Create a new category, at the top level or below parent_id.
+ * @route POST /api/categories
+ * @access Private
+ */
+router.post('/categories', authenticateToken, async (req, res) => {
+  const name = typeof req.body.name === 'string' ? validator.trim(req.body.name) : '';
+  const { user_id } = req.user;
+
+  if (!name) {
+    return res.status(400).json({ error: 'Category name is required.' });
+  }
+
+  try {
+    const { categoryId: parentId = null, error: parentError } = await resolveCategory(user_id, req.body.parent_id);
+
+    if (parentError) {
+      return res.status(400).json({ error: 'parent_id must be the ID of one of your categories.' });
+    }
+
+    const categories = await db.categories.listByUser(user_id);
+
+    if (nameTaken(categories, name, parentId)) {
+      return res.status(409).json({ error: 'A category with this name already exists here.' });
+    }
+
+    const data = await db.categories.create({ name, user_id, parent_id: parentId });
+
+    if (!data) {
+      throw new Error('No data returned from insert operation');
+    }
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Error creating category:', error);
+    res.status(500).json({ error: 'An error occurred while creating the category', details: error.message });
+  }
+});
+
+/**
+ * Rename a category.
+ * @route PUT /api/categories/:id
+ * @access Private
+ */
+router.put('/categories/:id', authenticateToken, async (req, res) => {
+  const id = validator.trim(req.params.id);
+  const name = typeof req.body.name === 'string' ? validator.trim(req.body.name) : '';
+
+  if (!name) {
+    return res.status(400).json({ error: 'Category name is required.' });
+  }
+
+  try {
+    const categories = await db.categories.listByUser(req.user.user_id);
+    const category = categories.find(candidate => String(candidate.category_id) === id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    if (nameTaken(categories, name, category.parent_id, category.category_id)) {
+      return res.status(409).json({ error: 'A category with this name already exists here.' });
+    }
+
+    const data = await db.categories.update(category.category_id, { name });
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating category:', error);
+    res.status(500).json({ error: 'An error occurred while updating the category', details: error.message });
+  }
+});
+
+/**
+ * Move a category, with everything below it, under another parent.
+ * A null parent_id moves it to the top level.
+ * @route PUT /api/categories/:id/move
+ * @access Private
+ */
+router.put('/categories/:id/move', authenticateToken, async (req, res) => {
+  const id = validator.trim(req.params.id);
+  const { user_id } = req.user;
+
+  if (req.body.parent_id === undefined) {
+    return res.status(400).json({ error: 'parent_id is required (null for the top level).' });
+  }
+
+  try {
+    const categories = await db.categories.listByUser(user_id);
+    const category = categories.find(candidate => String(candidate.category_id) === id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const { categoryId: parentId, error: parentError } = await resolveCategory(user_id, req.body.parent_id);
+
+    if (parentError) {
+      return res.status(400).json({ error: 'parent_id must be the ID of one of your categories.' });
+    }
+
+    if (createsCycle(categories, category.category_id, parentId)) {
+      return res.status(400).json({ error: 'A category cannot be moved into itself or one of its subcategories.' });
+    }
+
+    if (nameTaken(categories, category.name, parentId, category.category_id)) {
+      return res.status(409).json({ error: 'A category with this name already exists there.' });
+    }
+
+    const data = await db.categories.update(category.category_id, { parent_id: parentId });
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error moving category:', error);
+    res.status(500).json({ error: 'An error occurred while moving the category', details: error.message });
+  }
+});
+
+/**
+ * Delete a category.
+ * An empty category is simply removed. For one that still holds notes or
+ * subcategories the caller picks what happens with `mode`:
+ * - `reassign` moves its notes and subcategories to `target_id`, by default
+ *   the parent of the deleted category
+ * - `cascade` deletes its subcategories too and moves the notes in them that
+ *   the user owns to the trash; notes shared with the user are only unfiled
+ * Without a mode a non-empty category is not deleted and a 409 is returned.
+ * Notes already in the trash do not count, and are unfiled.
+ * @route DELETE /api/categories/:id?mode=&target_id=
+ * @access Private
+ */
+router.delete('/categories/:id', authenticateToken, async (req, res) => {
+  const id = validator.trim(req.params.id);
+  const mode = typeof req.query.mode === 'string' ? req.query.mode : undefined;
+  const { user_id } = req.user;
+
+  if (mode !== undefined && !DELETE_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${DELETE_MODES.join(', ')}.` });
+  }
+
+  try {
+    const categories = await db.categories.listByUser(user_id);
+    const category = categories.find(candidate => String(candidate.category_id) === id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const children = categories.filter(candidate => String(candidate.parent_id) === id);
+    const userNotes = (await db.userNotes.listByUser(user_id)).filter(un => String(un.category_id) === id);
+    const liveNotes = await withoutTrashed(userNotes);
+
+    if (!mode && (children.length > 0 || liveNotes.length > 0)) {
+      return res.status(409).json({
+        error: 'The category is not empty. Pass mode=reassign or mode=cascade to delete it.',
+        categories: children.length,
+        notes: liveNotes.length,
+      });
+    }
+
+    if (mode === 'reassign') {
+      const { categoryId: targetId = category.parent_id ?? null, error: targetError } =
+        await resolveCategory(user_id, req.query.target_id);
+
+      if (targetError || subtreeIds(categories, category.category_id).some(sub => String(sub) === String(targetId))) {
+        return res.status(400).json({ error: 'target_id must be one of your categories outside the deleted one.' });
+      }
+
+      for (const child of children) {
+        await db.categories.update(child.category_id, { parent_id: targetId });
+      }
+      for (const un of userNotes) {
+        await db.userNotes.update(un.note_id, user_id, { category_id: targetId });
+      }
+    }
+
+    const deletedIds = mode === 'cascade' ? subtreeIds(categories, category.category_id) : [category.category_id];
+    let trashedNotes = 0;
+
+    // Whatever is still filed here is unfiled; with cascade, the user's own notes go to the trash
+    const filed = (await db.userNotes.listByUser(user_id))
+      .filter(un => deletedIds.some(deletedId => String(deletedId) === String(un.category_id)));
+    const toTrash = mode === 'cascade' ? (await withoutTrashed(filed)).filter(un => roleOf(un) === 'owner') : [];
+
+    for (const un of filed) {
+      await db.userNotes.update(un.note_id, user_id, { category_id: null });
+    }
+    for (const un of toTrash) {
+      await trashNote(un.note_id, req.user);
+      trashedNotes += 1;
+    }
+
+    // Children before parents, so no category is left pointing at a deleted one
+    for (const deletedId of [...deletedIds].reverse()) {
+      await db.categories.delete(deletedId);
+    }
+
+    res.json({ message: 'Category deleted successfully', categories: deletedIds.length, notes: trashedNotes });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'An error occurred while deleting the category', details: error.message });
+  }
+});
+
+/**
+ * File a note into one of the authenticated user's categories, or back to
+ * the top level with a null category_id. Only affects the caller's own tree,
+ * so viewers can file notes too. Moving a note where it already is changes
+ * nothing and is not recorded.
+ * @route PUT /api/notes/:id/move
+ * @access Private (viewer)
+ */
+router.put('/notes/:id/move', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const id = validator.trim(req.params.id);
+
+  if (req.body.category_id === undefined) {
+    return res.status(400).json({ error: 'category_id is required (null for the top level).' });
+  }
+
+  try {
+    const { categoryId, error: categoryError } = await resolveCategory(req.user.user_id, req.body.category_id);
+
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
+    }
+
+    if (!isSameCategory(categoryId, req.noteMembership.category_id)) {
+      await db.userNotes.update(id, req.user.user_id, { category_id: categoryId });
+      await recordActivity('note.categorized', {
+        actorId: req.user.user_id,
+        noteId: req.noteMembership.note_id,
+        details: { category_id: categoryId },
+      });
+    }
+
+    res.json({ message: 'Note moved successfully', note_id: req.noteMembership.note_id, category_id: categoryId });
+  } catch (error) {
+    console.error('Error moving note:', error);
+    res.status(500).json({ error: 'An error occurred while moving the note', details: error.message });
+  }
+});
+
+export default router;
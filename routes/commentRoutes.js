@@ -0,0 +1,305 @@
+// backend/routes/commentRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import requireNoteRole, { hasRole } from '../middleware/noteAccess.js';
+import { withDocument } from '../collab/documents.js';
+import { broadcastNoteEvent } from '../collab/events.js';
+import { MAX_COMMENT_LENGTH, buildThreads, createAnchor, serializeComment } from '../services/comments.js';
+import { notifyComment } from '../services/notifications.js';
+
+const router = express.Router();
+
+const STATUSES = ['all', 'open', 'resolved'];
+
+/**
+ * Read the comment body from a request.
+ * @param {Object} body - req.body.
+ * @returns {string|null} - The trimmed text, or null if it is missing or too long.
+ */
+const bodyOf = (body) => {
+  const text = typeof body.body === 'string' ? validator.trim(body.body) : '';
+  return text && text.length <= MAX_COMMENT_LENGTH ? text : null;
+};
+
+/**
+ * Look up the authors of some comments.
+ * @param {Array<Object>} comments - comments rows.
+ * @returns {Promise<Map<string, { user_id: number, username: string }>>}
+ */
+const loadAuthors = async (comments) => {
+  const ids = [...new Set(comments.map(comment => comment.author_id).filter(id => id != null).map(String))];
+  const users = await Promise.all(ids.map(id => db.users.findById(id)));
+
+  return new Map(users.filter(Boolean).map(user => [String(user.user_id), { user_id: user.user_id, username: user.username }]));
+};
+
+/**
+ * Find a comment of a note by ID.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {string} commentId - The ID of the comment.
+ * @returns {Promise<Object|null>} - The comment, or null if it does not belong to the note.
+ */
+const findComment = async (noteId, commentId) => {
+  const comment = validator.isInt(commentId) ? await db.comments.findById(commentId) : null;
+  return comment && String(comment.note_id) === String(noteId) ? comment : null;
+};
+
+/**
+ * Check whether the user of a request may resolve or reopen a thread:
+ * editors may, and so may whoever started it.
+ * @param {Object} req - The request, after requireNoteRole.
+ * @param {Object} thread - The comments row of the thread.
+ * @returns {boolean}
+ */
+const canResolve = (req, thread) =>
+  hasRole(req.noteRole, 'editor') || String(thread.author_id) === String(req.user.user_id);
+
+/**
+ * Shape a thread for a response or event, with its anchor resolved against
+ * the current document.
+ * @param {Object} thread - The comments row of the thread.
+ * @returns {Promise<Object>}
+ */
+const serializeThread = async (thread) => {
+  const authors = await loadAuthors([thread]);
+  return withDocument(thread.note_id, ydoc => serializeComment(thread, authors, ydoc));
+};
+
+/**
+ * List the comment threads of a note, oldest first, each with its replies.
+ * @route GET /api/notes/:id/comments?status=all|open|resolved
+ * @access Private (viewer)
+ */
+router.get('/notes/:id/comments', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const status = typeof req.query.status === 'string' ? req.query.status : 'all';
+
+  if (!STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const { note_id: noteId } = req.noteMembership;
+    const comments = await db.comments.listByNote(noteId);
+    const authors = await loadAuthors(comments);
+    const threads = await withDocument(noteId, ydoc => buildThreads(comments, authors, ydoc));
+
+    res.json(threads.filter(thread =>
+      status === 'all' || (status === 'resolved') === Boolean(thread.resolved_on)
+    ));
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ error: 'An error occurred while fetching comments', details: error.message });
+  }
+});
+
+/**
+ * Start a new thread, optionally anchored to a range of the text.
+ * `anchor` is either `{ start, end }` (base64 encoded Yjs relative positions)
+ * or `{ index, length }` in the current text. The other members are
+ * notified, and members mentioned as @username get a mention instead.
+ * @route POST /api/notes/:id/comments
+ * @access Private (viewer)
+ */
+router.post('/notes/:id/comments', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const body = bodyOf(req.body);
+
+  if (!body) {
+    return res.status(400).json({ error: `Comment text is required, at most ${MAX_COMMENT_LENGTH} characters.` });
+  }
+
+  try {
+    const { note_id: noteId } = req.noteMembership;
+    const authors = await loadAuthors([{ author_id: req.user.user_id }]);
+
+    const result = await withDocument(noteId, async (ydoc) => {
+      const anchor = req.body.anchor == null ? {} : createAnchor(ydoc, req.body.anchor);
+      if (anchor.error) return anchor;
+
+      const comment = await db.comments.create({ note_id: noteId, author_id: req.user.user_id, body, ...anchor });
+      return { row: comment, comment: serializeComment(comment, authors, ydoc) };
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    broadcastNoteEvent(noteId, 'comment.created', result.comment);
+    await notifyComment(result.row, await db.notes.findById(noteId));
+
+    res.status(201).json({ ...result.comment, replies: [] });
+  } catch (error) {
+    console.error('Error creating comment:', error);
+    res.status(500).json({ error: 'An error occurred while creating the comment', details: error.message });
+  }
+});
+
+/**
+ * Reply to a thread. A reply from someone who may resolve the thread
+ * reopens it if it was resolved. Everyone who wrote in the thread, and
+ * anyone mentioned, is notified.
+ * @route POST /api/notes/:id/comments/:commentId/replies
+ * @access Private (viewer)
+ */
+router.post('/notes/:id/comments/:commentId/replies', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const body = bodyOf(req.body);
+
+  if (!body) {
+    return res.status(400).json({ error: `Comment text is required, at most ${MAX_COMMENT_LENGTH} characters.` });
+  }
+
+  try {
+    const { note_id: noteId } = req.noteMembership;
+    const thread = await findComment(noteId, validator.trim(req.params.commentId));
+
+    if (!thread || thread.parent_id != null) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const reply = await db.comments.create({ note_id: noteId, parent_id: thread.comment_id, author_id: req.user.user_id, body });
+    const data = serializeComment(reply, await loadAuthors([reply]));
+
+    broadcastNoteEvent(noteId, 'comment.created', data);
+
+    const replies = (await db.comments.listByNote(noteId))
+      .filter(other => String(other.parent_id) === String(thread.comment_id));
+    await notifyComment(reply, await db.notes.findById(noteId), [thread, ...replies]);
+
+    if (thread.resolved_on && canResolve(req, thread)) {
+      const reopened = await db.comments.update(thread.comment_id, { resolved_on: null, resolved_by: null });
+      broadcastNoteEvent(noteId, 'thread.reopened', await serializeThread(reopened));
+    }
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Error replying to comment:', error);
+    res.status(500).json({ error: 'An error occurred while replying to the comment', details: error.message });
+  }
+});
+
+/**
+ * Edit a comment.
+ * @route PUT /api/notes/:id/comments/:commentId
+ * @access Private (author)
+ */
+router.put('/notes/:id/comments/:commentId', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const body = bodyOf(req.body);
+
+  if (!body) {
+    return res.status(400).json({ error: `Comment text is required, at most ${MAX_COMMENT_LENGTH} characters.` });
+  }
+
+  try {
+    const { note_id: noteId } = req.noteMembership;
+    const comment = await findComment(noteId, validator.trim(req.params.commentId));
+
+    if (!comment || comment.deleted_on) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (String(comment.author_id) !== String(req.user.user_id)) {
+      return res.status(403).json({ error: 'Only the author can edit a comment.' });
+    }
+
+    const updated = await db.comments.update(comment.comment_id, { body, edited_on: new Date().toISOString() });
+    const data = updated.parent_id == null
+      ? await serializeThread(updated)
+      : serializeComment(updated, await loadAuthors([updated]));
+
+    broadcastNoteEvent(noteId, 'comment.updated', data);
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating comment:', error);
+    res.status(500).json({ error: 'An error occurred while updating the comment', details: error.message });
+  }
+});
+
+/**
+ * Delete a comment. A thread that still has replies keeps its place with
+ * the text removed; it goes away with its last reply.
+ * @route DELETE /api/notes/:id/comments/:commentId
+ * @access Private (author)
+ */
+router.delete('/notes/:id/comments/:commentId', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  try {
+    const { note_id: noteId } = req.noteMembership;
+    const comment = await findComment(noteId, validator.trim(req.params.commentId));
+
+    if (!comment || comment.deleted_on) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (String(comment.author_id) !== String(req.user.user_id)) {
+      return res.status(403).json({ error: 'Only the author can delete a comment.' });
+    }
+
+    const comments = await db.comments.listByNote(noteId);
+    const replies = (threadId) => comments.filter(other => String(other.parent_id) === String(threadId));
+    const removed = [comment.comment_id];
+
+    if (comment.parent_id == null && replies(comment.comment_id).length > 0) {
+      await db.comments.update(comment.comment_id, { body: null, deleted_on: new Date().toISOString() });
+      broadcastNoteEvent(noteId, 'comment.deleted', { comment_id: comment.comment_id, parent_id: null, removed: false });
+      return res.json({ message: 'Comment deleted successfully' });
+    }
+
+    await db.comments.delete(comment.comment_id);
+
+    // Drop a deleted thread once its last reply is gone
+    const thread = comment.parent_id != null && comments.find(other => String(other.comment_id) === String(comment.parent_id));
+    if (thread?.deleted_on && replies(thread.comment_id).length === 1) {
+      await db.comments.delete(thread.comment_id);
+      removed.push(thread.comment_id);
+    }
+
+    removed.forEach(commentId => {
+      const { parent_id } = comments.find(other => other.comment_id === commentId);
+      broadcastNoteEvent(noteId, 'comment.deleted', { comment_id: commentId, parent_id, removed: true });
+    });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'An error occurred while deleting the comment', details: error.message });
+  }
+});
+
+/**
+ * Mark a thread as resolved, or open it again.
+ * @route POST /api/notes/:id/comments/:commentId/resolve
+ * @route POST /api/notes/:id/comments/:commentId/reopen
+ * @access Private (editor, or the author of the thread)
+ */
+router.post('/notes/:id/comments/:commentId/:action(resolve|reopen)', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const resolve = req.params.action === 'resolve';
+
+  try {
+    const { note_id: noteId } = req.noteMembership;
+    const thread = await findComment(noteId, validator.trim(req.params.commentId));
+
+    if (!thread || thread.parent_id != null) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    if (!canResolve(req, thread)) {
+      return res.status(403).json({ error: 'Only editors and the author of a thread can resolve or reopen it.' });
+    }
+
+    const updated = await db.comments.update(thread.comment_id, resolve
+      ? { resolved_on: new Date().toISOString(), resolved_by: req.user.user_id }
+      : { resolved_on: null, resolved_by: null });
+    const data = await serializeThread(updated);
+
+    broadcastNoteEvent(noteId, resolve ? 'thread.resolved' : 'thread.reopened', data);
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating thread:', error);
+    res.status(500).json({ error: 'An error occurred while updating the thread', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,159 @@
+// backend/routes/importExportRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import requireNoteRole, { getAccessibleNotes } from '../middleware/noteAccess.js';
+import { getCurrentContent } from '../collab/documents.js';
+import { categoryPath, ensureCategoryPath } from '../services/categories.js';
+import { EXPORT_FORMATS, fileNameOf, renderExport } from '../services/noteExport.js';
+import { parseImport } from '../services/noteImport.js';
+import { createNote } from '../services/notes.js';
+import { createZip } from '../services/zip.js';
+
+const router = express.Router();
+
+const MAX_IMPORT_SIZE = process.env.MAX_IMPORT_SIZE || '20mb';
+
+/**
+ * Read the export format from the query string, Markdown by default.
+ * @param {Object} query - req.query.
+ * @returns {string|null} - The format, or null if it is not supported.
+ */
+const formatOf = (query) => {
+  const format = typeof query.format === 'string' ? validator.trim(query.format).toLowerCase() : 'md';
+  return EXPORT_FORMATS[format] ? format : null;
+};
+
+/**
+ * Export all notes of the authenticated user as a zip, one file per note in
+ * a folder per category, each with its metadata.
+ * @route GET /api/notes/export?format=md|html|json|txt
+ * @access Private
+ */
+router.get('/notes/export', authenticateToken, async (req, res) => {
+  const format = formatOf(req.query);
+
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  try {
+    const [notes, categories] = await Promise.all([
+      getAccessibleNotes(req.user.user_id),
+      db.categories.listByUser(req.user.user_id),
+    ]);
+    const contents = await Promise.all(notes.map(getCurrentContent));
+    const usedNames = new Set();
+
+    const entries = notes.map((note, index) => {
+      const path = categoryPath(categories, note.category_id);
+      const folder = path.map(fileNameOf).map(name => `${name}/`).join('');
+      const base = `${folder}${fileNameOf(note.title)}`;
+
+      // Two notes with the same title in one folder get numbered file names
+      let name = `${base}.${EXPORT_FORMATS[format].extension}`;
+      for (let n = 2; usedNames.has(name.toLowerCase()); n += 1) {
+        name = `${base} (${n}).${EXPORT_FORMATS[format].extension}`;
+      }
+      usedNames.add(name.toLowerCase());
+
+      return { name, data: renderExport(note, contents[index], path, format) };
+    });
+
+    res
+      .attachment(`notehub-export-${new Date().toISOString().slice(0, 10)}.zip`)
+      .type('application/zip')
+      .send(createZip(entries));
+  } catch (error) {
+    console.error('Error exporting notes:', error);
+    res.status(500).json({ error: 'An error occurred while exporting notes', details: error.message });
+  }
+});
+
+/**
+ * Export a single note with its current content.
+ * @route GET /api/notes/:id/export?format=md|html|json|txt
+ * @access Private (viewer)
+ */
+router.get('/notes/:id/export', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const id = validator.trim(req.params.id);
+  const format = formatOf(req.query);
+
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}.` });
+  }
+
+  try {
+    const note = await db.notes.findById(id);
+
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const categories = await db.categories.listByUser(req.user.user_id);
+    const path = categoryPath(categories, req.noteMembership.category_id);
+
+    res
+      .attachment(`${fileNameOf(note.title)}.${EXPORT_FORMATS[format].extension}`)
+      .type(EXPORT_FORMATS[format].contentType)
+      .send(renderExport(note, await getCurrentContent(note), path, format));
+  } catch (error) {
+    console.error('Error exporting note:', error);
+    res.status(500).json({ error: 'An error occurred while exporting the note', details: error.message });
+  }
+});
+
+/**
+ * Import notes from an uploaded file, sent as the raw request body: a
+ * Markdown file, a zip of Markdown files or an Evernote .enex export. The
+ * file name (query `filename`) tells the type apart; without one it is
+ * guessed from the contents. Categories named by a note's front matter or
+ * its folder in the zip are created as needed.
+ * @route POST /api/notes/import?filename=
+ * @access Private
+ */
+router.post('/notes/import', authenticateToken, express.raw({ type: () => true, limit: MAX_IMPORT_SIZE }), async (req, res) => {
+  const fileName = typeof req.query.filename === 'string' ? validator.trim(req.query.filename) : '';
+  const { user_id } = req.user;
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Send the file to import as the request body.' });
+  }
+
+  let parsed;
+  try {
+    parsed = parseImport(req.body, fileName);
+  } catch (error) {
+    return res.status(400).json({ error: 'The file could not be imported.', details: error.message });
+  }
+
+  if (parsed.notes.length === 0) {
+    return res.status(400).json({ error: 'No notes found in the file.', skipped: parsed.skipped });
+  }
+
+  try {
+    const categories = await db.categories.listByUser(user_id);
+    const notes = [];
+
+    for (const parsedNote of parsed.notes) {
+      const categoryId = await ensureCategoryPath(user_id, categories, parsedNote.categoryPath);
+      const { note } = await createNote(user_id, {
+        title: validator.trim(parsedNote.title),
+        content: validator.trim(parsedNote.content),
+        tags: parsedNote.tags,
+        categoryId,
+      });
+
+      notes.push({ note_id: note.note_id, title: note.title, file: parsedNote.file, category_id: categoryId });
+    }
+
+    res.status(201).json({ message: 'Notes imported successfully', imported: notes.length, notes, skipped: parsed.skipped });
+  } catch (error) {
+    console.error('Error importing notes:', error);
+    res.status(500).json({ error: 'An error occurred while importing notes', details: error.message });
+  }
+});
+
+export default router;
@@ -1,66 +1,81 @@
 // backend/routes/notesRoutes.js
 
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
 import validator from 'validator';
+import db from '../db/index.js';
 import authenticateToken from '../middleware/authMiddleware.js';
-import nodemailer from 'nodemailer';
+import requireNoteRole, { roleOf, SHAREABLE_ROLES } from '../middleware/noteAccess.js';
+import { getLiveContent, setDocumentContent } from '../collab/documents.js';
+import { closeConnections, countActiveEditors, getPresence } from '../collab/connections.js';
+import { encodeNoteCursor, parseListQuery } from '../services/noteList.js';
+import { normalizeTags } from '../services/tags.js';
+import { isSameCategory, resolveCategory } from '../services/categories.js';
+import { createNote, trashNote } from '../services/notes.js';
+import { listActivity, parseActivityQuery, recordActivity } from '../services/activity.js';
+import mail from '../services/mail/index.js';
+import { notify } from '../services/notifications.js';
+import { dispatchNoteEvent } from '../services/webhooks.js';
+import { matchesVersion, noteETag, notesListETag, parseIfMatch } from '../services/noteVersion.js';
 
 dotenv.config();
 
 const router = express.Router();
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-
-// Configure Nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail', // Change this if you're using a different email service
-  auth: {
-    user: process.env.EMAIL_USER, // Your email address
-    pass: process.env.EMAIL_PASS, // Your email password or app-specific password
-  },
-});
-
-// Verify transporter configuration
-transporter.verify(function (error, success) {
-  if (error) {
-    console.error('Nodemailer transporter verification failed:', error);
-  } else {
-    console.log('Nodemailer transporter is ready to send emails.');
-  }
-});
-
 /**
- * Get all notes for the authenticated user.
- * @route GET /api/notes
+ * List the notes the authenticated user has access to.
+ * Filters: category_id (or "none"), tags (comma separated) with tags_mode
+ * any|all, scope all|created|shared, created_after/created_before and
+ * updated_after/updated_before. Sorted by sort (created_on, last_update or
+ * title) and order. Without limit or cursor the response is a plain array
+ * of every matching note; with either it is one page,
+ * `{ notes, total, limit, nextCursor }`, and nextCursor is passed back as
+ * cursor to get the next page.
+ * With include=active_editors every note also gets the number of users who
+ * can edit it and have it open right now. Every note has its version, the
+ * page itself an ETag.
+ * @route GET /api/notes?limit=&cursor=&include=
  * @access Private
  */
 router.get('/notes', authenticateToken, async (req, res) => {
+  const { options, paged, error: queryError } = parseListQuery(req.query);
+  const include = typeof req.query.include === 'string' ? req.query.include.split(',').map(item => item.trim()) : [];
+
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  if (include.some(item => item !== 'active_editors')) {
+    return res.status(400).json({ error: 'include only supports active_editors.' });
+  }
+
   try {
     const { user_id } = req.user;
-    const { data: userNotes, error: userNotesError } = await supabase
-      .from('user_notes')
-      .select('note_id')
-      .eq('user_id', user_id);
 
-    if (userNotesError) throw userNotesError;
+    const present = ({ membership, ...note }) => ({
+      ...note,
+      role: roleOf(membership),
+      ...(include.includes('active_editors') && { active_editors: countActiveEditors(note.note_id) }),
+    });
 
-    const noteIds = userNotes.map(un => un.note_id);
-
-    if (noteIds.length === 0) {
-      return res.json([]);
+    if (!paged) {
+      const { notes, total } = await db.notes.listAccessible(user_id, { ...options, limit: null });
+      const list = notes.map(present);
+      return res.set('ETag', notesListETag({ notes: list, total, nextCursor: null })).json(list);
     }
 
-    const { data: notes, error: notesError } = await supabase
-      .from('notes')
-      .select('*')
-      .in('note_id', noteIds)
-      .order('created_on', { ascending: false });
+    // One extra row tells whether there is a next page
+    const { notes, total } = await db.notes.listAccessible(user_id, { ...options, limit: options.limit + 1 });
+    const page = notes.slice(0, options.limit).map(present);
 
-    if (notesError) throw notesError;
+    const body = {
+      notes: page,
+      total,
+      limit: options.limit,
+      nextCursor: notes.length > options.limit ? encodeNoteCursor(page[page.length - 1], options) : null,
+    };
 
-    res.json(notes);
+    res.set('ETag', notesListETag(body)).json(body);
   } catch (error) {
     console.error('Error fetching notes:', error);
     res.status(500).json({ error: 'An error occurred while fetching notes' });
@@ -68,28 +83,64 @@ router.get('/notes', authenticateToken, async (req, res) => {
 });
 
 /**
- * Get a specific note by ID.
- * @route GET /api/notes/:id
+ * Search the title, content and tags of the authenticated user's notes.
+ * Supports "quoted phrases" and prefix* matching. Notes open in an editor are
+ * searched by their live Yjs content, the rest by their stored content.
+ * @route GET /api/notes/search?q=&limit=
  * @access Private
  */
-router.get('/notes/:id', authenticateToken, async (req, res) => {
+router.get('/notes/search', authenticateToken, async (req, res) => {
+  const q = typeof req.query.q === 'string' ? validator.trim(req.query.q) : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  if (!q) {
+    return res.status(400).json({ error: 'Search query is required.' });
+  }
+
+  try {
+    const { user_id } = req.user;
+    const memberships = new Map((await db.userNotes.listByUser(user_id)).map(un => [String(un.note_id), un]));
+
+    // Only documents that are open right now differ from notes.content
+    const live = [...memberships.keys()]
+      .map(noteId => ({ note_id: noteId, content: getLiveContent(noteId) }))
+      .filter(entry => entry.content !== null);
+
+    const { total, results } = await db.notes.search(user_id, q, { live, limit });
+
+    res.json({
+      query: q,
+      total,
+      results: results.map(({ note, score, highlights }) => {
+        const { content, ...fields } = note;
+        const membership = memberships.get(String(note.note_id));
+        return { ...fields, role: roleOf(membership), category_id: membership.category_id ?? null, score, highlights };
+      }),
+    });
+  } catch (error) {
+    console.error('Error searching notes:', error);
+    res.status(500).json({ error: 'An error occurred while searching notes', details: error.message });
+  }
+});
+
+/**
+ * Get a specific note by ID. Its version is sent as the ETag, for If-Match
+ * on PUT and PATCH.
+ * @route GET /api/notes/:id
+ * @access Private (viewer)
+ */
+router.get('/notes/:id', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
   let { id } = req.params;
   id = validator.trim(id);
 
   try {
-    const { data, error } = await supabase
-      .from('notes')
-      .select('*')
-      .eq('note_id', id)
-      .single();
-
-    if (error) throw error;
+    const data = await db.notes.findById(id);
 
     if (!data) {
       return res.status(404).json({ error: 'Note not found' });
     }
 
-    res.json(data);
+    res.set('ETag', noteETag(data)).json({ ...data, role: req.noteRole, category_id: req.noteMembership.category_id ?? null });
   } catch (error) {
     console.error('Error fetching note:', error);
     res.status(500).json({ error: 'An error occurred while fetching the note', details: error.message });
@@ -97,243 +148,235 @@ router.get('/notes/:id', authenticateToken, async (req, res) => {
 });
 
 /**
- * Create a new note.
- * @route POST /api/notes
- * @access Private
+ * Get the users connected to a note right now, one entry per user with the
+ * number of connections they have open and when they were last active.
+ * Only covers connections to this server process.
+ * @route GET /api/notes/:id/presence
+ * @access Private (viewer)
  */
-router.post('/notes', authenticateToken, async (req, res) => {
-  let { title, content, category_id, tags } = req.body;
-  const { user_id } = req.user;
-
-  title = validator.trim(title);
-  content = validator.trim(content);
-  category_id = typeof category_id === 'string' ? validator.trim(category_id) : category_id;
-
+router.get('/notes/:id/presence', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
   try {
-    let categoryId = category_id;
-
-    if (typeof category_id === 'string' && !Number.isInteger(Number(category_id))) {
-      if (!category_id) {
-        throw new Error('Category name cannot be empty.');
-      }
-
-      const { data: newCategory, error: categoryError } = await supabase
-        .from('categories')
-        .insert({ name: category_id })
-        .select()
-        .single();
-
-      if (categoryError) throw categoryError;
-      categoryId = newCategory.category_id;
-    }
-
-    const { data: newNote, error: noteError } = await supabase
-      .from('notes')
-      .insert([{ title, content, category_id: categoryId, tags }])
-      .select()
-      .single();
-
-    if (noteError) throw noteError;
+    const users = getPresence(req.noteMembership.note_id);
+
+    res.json({
+      note_id: req.noteMembership.note_id,
+      users,
+      connections: users.reduce((total, user) => total + user.connections, 0),
+      active_editors: countActiveEditors(req.noteMembership.note_id),
+    });
+  } catch (error) {
+    console.error('Error fetching presence:', error);
+    res.status(500).json({ error: 'An error occurred while fetching presence', details: error.message });
+  }
+});
 
-    const { data: userNote, error: userNoteError } = await supabase
-      .from('user_notes')
-      .insert([{ note_id: newNote.note_id, user_id, is_creator: true }])
-      .select()
-      .single();
+/**
+ * The activity feed of a note, newest first. Filter with a comma separated
+ * list of event types; pass nextCursor back as cursor for the next page.
+ * @route GET /api/notes/:id/activity?type=&limit=&cursor=
+ * @access Private (viewer)
+ */
+router.get('/notes/:id/activity', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const { options, error: queryError } = parseActivityQuery(req.query);
 
-    if (userNoteError) throw userNoteError;
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
 
-    res.status(201).json({ ...newNote, user_note: userNote });
+  try {
+    res.json(await listActivity({ noteId: req.noteMembership.note_id }, options));
   } catch (error) {
-    console.error('Error creating note:', error);
-    res.status(500).json({ error: 'An error occurred while creating the note', details: error.message });
+    console.error('Error fetching note activity:', error);
+    res.status(500).json({ error: 'An error occurred while fetching note activity', details: error.message });
   }
 });
 
 /**
- * Update a note by ID.
- * @route PUT /api/notes/:id
+ * Create a new note, optionally filed into one of the user's categories.
+ * @route POST /api/notes
  * @access Private
  */
-router.put('/notes/:id', authenticateToken, async (req, res) => {
-  let { id } = req.params;
+router.post('/notes', authenticateToken, async (req, res) => {
   let { title, content, category_id, tags } = req.body;
+  const { user_id } = req.user;
 
-  id = validator.trim(id);
   title = validator.trim(title);
   content = validator.trim(content);
   category_id = typeof category_id === 'string' ? validator.trim(category_id) : category_id;
 
   try {
-    const { data, error } = await supabase
-      .from('notes')
-      .update({
-        title,
-        content,
-        category_id,
-        tags,
-        last_update: new Date().toISOString()
-      })
-      .eq('note_id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
+    const { categoryId = null, error: categoryError } = await resolveCategory(user_id, category_id);
 
-    if (!data) {
-      return res.status(404).json({ error: 'Note not found' });
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
     }
 
-    res.json(data);
+    const { note: newNote, userNote } = await createNote(user_id, { title, content, tags, categoryId });
+
+    res.status(201).set('ETag', noteETag(newNote)).json({ ...newNote, category_id: categoryId, user_note: userNote });
   } catch (error) {
-    console.error('Error updating note:', error);
-    res.status(500).json({ error: 'An error occurred while updating the note', details: error.message });
+    console.error('Error creating note:', error);
+    res.status(500).json({ error: 'An error occurred while creating the note', details: error.message });
   }
 });
 
+/* note ID -> the REST update of that note in progress, updates of one note run one after the other */
+const noteUpdates = new Map();
+
 /**
- * Delete a note by ID.
- * @route DELETE /api/notes/:id
- * @access Private
+ * Run an update of a note once the ones before it finished, so the version
+ * an update checks is still current when it writes.
+ * @param {string} noteId - The ID of the note.
+ * @param {function(): Promise<void>} fn - The update.
+ * @returns {Promise<void>}
  */
-router.delete('/notes/:id', authenticateToken, async (req, res) => {
-  let { id } = req.params;
-  id = validator.trim(id);
+const queueNoteUpdate = (noteId, fn) => {
+  const run = (noteUpdates.get(noteId) ?? Promise.resolve()).then(fn);
+  const done = run.catch(() => {});
+  noteUpdates.set(noteId, done);
+  done.then(() => {
+    if (noteUpdates.get(noteId) === done) noteUpdates.delete(noteId);
+  });
+  return run;
+};
 
-  try {
-    const { error: userNotesDeleteError } = await supabase
-      .from('user_notes')
-      .delete()
-      .eq('note_id', id);
+/**
+ * Apply changes to a note for PUT and PATCH. With an If-Match header the
+ * note is only changed if it is still at that version; otherwise the answer
+ * is 412 with the current version. Content only ever changes through the
+ * note's Yjs document, which writes its text back to the row: editors who
+ * have the note open see the change right away, and if the document cannot
+ * be stored the row is left as it was. Title and tags are written after it.
+ * @param {Object} req - The request, after requireNoteRole.
+ * @param {Object} res - The response.
+ * @param {Object} changes - The fields to change, already trimmed; missing ones are kept.
+ */
+const updateNote = (req, res, { title, content, tags, category_id }) => {
+  const id = validator.trim(req.params.id);
+  const ifMatch = parseIfMatch(req.get('If-Match'));
+
+  const preconditionFailed = (note) =>
+    res.status(412).set('ETag', noteETag(note)).json({
+      error: 'The note was changed since you loaded it.',
+      version: note.version,
+    });
+
+  return queueNoteUpdate(id, async () => {
+    try {
+      const { categoryId, error: categoryError } = await resolveCategory(req.user.user_id, category_id);
+
+      if (categoryError) {
+        return res.status(400).json({ error: categoryError });
+      }
 
-    if (userNotesDeleteError) throw userNotesDeleteError;
+      const previous = await db.notes.findById(id);
 
-    const { error: noteSharingDeleteError } = await supabase
-      .from('note_sharing')
-      .delete()
-      .eq('note_id', id);
+      if (!previous) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
 
-    if (noteSharingDeleteError) throw noteSharingDeleteError;
+      if (ifMatch && !matchesVersion(ifMatch, previous)) {
+        return preconditionFailed(previous);
+      }
 
-    const { error: noteDeleteError } = await supabase
-      .from('notes')
-      .delete()
-      .eq('note_id', id);
+      if (content !== undefined) {
+        await setDocumentContent(id, content);
+      }
 
-    if (noteDeleteError) throw noteDeleteError;
+      const fields = { last_update: new Date().toISOString() };
+      if (title !== undefined) fields.title = title;
+      if (tags !== undefined) fields.tags = normalizeTags(tags);
 
-    res.json({ message: 'Note deleted successfully' });
-  } catch (error) {
-    console.error('Error deleting note:', error);
-    res.status(500).json({ error: 'An error occurred while deleting the note', details: error.message });
-  }
-});
+      const data = await db.notes.update(id, fields);
 
-/**
- * Get all categories.
- * @route GET /api/categories
- * @access Private
- */
-router.get('/categories', authenticateToken, async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from('categories')
-      .select('*')
-      .order('name', { ascending: true });
+      if (!data) {
+        return res.status(404).json({ error: 'Note not found' });
+      }
 
-    if (error) throw error;
+      const changed = ['title', 'content', 'tags']
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(data[field]));
+      if (changed.length > 0) {
+        await recordActivity('note.updated', { actorId: req.user.user_id, noteId: data.note_id, details: { fields: changed } });
+        await dispatchNoteEvent('note.updated', data, { actorId: req.user.user_id, data: { fields: changed } });
+      }
 
-    res.json(data);
-  } catch (error) {
-    console.error('Error fetching categories:', error);
-    res.status(500).json({ error: 'An error occurred while fetching categories' });
-  }
-});
+      let membership = req.noteMembership;
+      if (categoryId !== undefined && !isSameCategory(categoryId, membership.category_id)) {
+        membership = await db.userNotes.update(id, req.user.user_id, { category_id: categoryId });
+        await recordActivity('note.categorized', { actorId: req.user.user_id, noteId: data.note_id, details: { category_id: categoryId } });
+      }
+
+      res.set('ETag', noteETag(data)).json({ ...data, category_id: membership.category_id ?? null });
+    } catch (error) {
+      console.error('Error updating note:', error);
+      res.status(500).json({ error: 'An error occurred while updating the note', details: error.message });
+    }
+  });
+};
 
 /**
- * Create a new category.
- * @route POST /api/categories
- * @access Private
+ * Update a note by ID. A category_id files the note for the calling user only.
+ * Send the note's ETag as If-Match to avoid overwriting changes made since
+ * it was loaded.
+ * @route PUT /api/notes/:id
+ * @access Private (editor)
  */
-router.post('/categories', authenticateToken, async (req, res) => {
-  let { name } = req.body;
-  name = validator.trim(name);
+router.put('/notes/:id', authenticateToken, requireNoteRole('editor'), async (req, res) => {
+  let { title, content, category_id, tags } = req.body ?? {};
 
-  try {
-    const { data, error } = await supabase
-      .from('categories')
-      .insert([{ name }])
-      .select()
-      .single();
-
-    if (error) throw error;
+  if (typeof title !== 'string' || typeof content !== 'string') {
+    return res.status(400).json({ error: 'title and content are required and must be strings.' });
+  }
 
-    if (!data) {
-      throw new Error('No data returned from insert operation');
-    }
+  title = validator.trim(title);
+  content = validator.trim(content);
+  category_id = typeof category_id === 'string' ? validator.trim(category_id) : category_id;
 
-    res.status(201).json(data);
-  } catch (error) {
-    console.error('Error creating category:', error);
-    res.status(500).json({ error: 'An error occurred while creating the category', details: error.message });
-  }
+  await updateNote(req, res, { title, content, tags, category_id });
 });
 
 /**
- * Update a category by ID.
- * @route PUT /api/categories/:id
- * @access Private
+ * Change some fields of a note: only title, content, tags and category_id
+ * that are sent are changed. Takes If-Match like PUT.
+ * @route PATCH /api/notes/:id
+ * @access Private (editor)
  */
-router.put('/categories/:id', authenticateToken, async (req, res) => {
-  let { id } = req.params;
-  let { name } = req.body;
-
-  id = validator.trim(id);
-  name = validator.trim(name);
+router.patch('/notes/:id', authenticateToken, requireNoteRole('editor'), async (req, res) => {
+  const { title, content, tags, category_id } = req.body ?? {};
 
-  try {
-    const { data, error } = await supabase
-      .from('categories')
-      .update({ name })
-      .eq('category_id', id)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    if (!data) {
-      return res.status(404).json({ error: 'Category not found' });
-    }
+  if ([title, content, tags, category_id].every(value => value === undefined)) {
+    return res.status(400).json({ error: 'Send at least one of title, content, tags or category_id.' });
+  }
 
-    res.json(data);
-  } catch (error) {
-    console.error('Error updating category:', error);
-    res.status(500).json({ error: 'An error occurred while updating the category', details: error.message });
+  if ((title !== undefined && typeof title !== 'string') || (content !== undefined && typeof content !== 'string')) {
+    return res.status(400).json({ error: 'title and content must be strings.' });
   }
 
+  await updateNote(req, res, {
+    title: title === undefined ? undefined : validator.trim(title),
+    content: content === undefined ? undefined : validator.trim(content),
+    tags,
+    category_id: typeof category_id === 'string' ? validator.trim(category_id) : category_id,
+  });
 });
 
 /**
- * Delete a category by ID.
- * @route DELETE /api/categories/:id
- * @access Private
+ * Move a note to the trash. It can be restored or deleted for good from
+ * /api/trash, and is purged automatically after the retention period.
+ * @route DELETE /api/notes/:id
+ * @access Private (owner)
  */
-router.delete('/categories/:id', authenticateToken, async (req, res) => {
+router.delete('/notes/:id', authenticateToken, requireNoteRole('owner'), async (req, res) => {
   let { id } = req.params;
   id = validator.trim(id);
 
   try {
-    const { data, error } = await supabase
-      .from('categories')
-      .delete()
-      .eq('category_id', id);
+    const note = await trashNote(id, req.user);
 
-    if (error) throw error;
-
-    res.json({ message: 'Category deleted successfully' });
+    res.json({ message: 'Note moved to trash', note_id: note.note_id, deleted_on: note.deleted_on });
   } catch (error) {
-    console.error('Error deleting category:', error);
-    res.status(500).json({ error: 'An error occurred while deleting the category', details: error.message });
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: 'An error occurred while deleting the note', details: error.message });
   }
 });
 
@@ -344,12 +387,7 @@ router.delete('/categories/:id', authenticateToken, async (req, res) => {
  */
 router.get('/users', authenticateToken, async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('user_id, username, email')
-      .order('username', { ascending: true });
-
-    if (error) throw error;
+    const data = await db.users.list();
 
     res.json(data);
   } catch (error) {
@@ -360,18 +398,23 @@ router.get('/users', authenticateToken, async (req, res) => {
 
 /**
  * Share a note with a user by ID.
+ * The optional `role` is either 'editor' (default) or 'viewer'.
  * @route POST /api/notes/:id/share
- * @access Private
+ * @access Private (owner)
  */
-router.post('/notes/:id/share', authenticateToken, async (req, res) => {
+router.post('/notes/:id/share', authenticateToken, requireNoteRole('owner'), async (req, res) => {
   const { id } = req.params;
-  const { userId } = req.body;
+  const { userId, role = 'editor' } = req.body;
 
   // Input validation
   if (!userId) {
     return res.status(400).json({ error: 'User ID to share with is required.' });
   }
 
+  if (!SHAREABLE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${SHAREABLE_ROLES.join(', ')}.` });
+  }
+
   try {
     // Validate userId format (assuming it's numeric)
     if (!validator.isNumeric(userId.toString())) {
@@ -379,87 +422,66 @@ router.post('/notes/:id/share', authenticateToken, async (req, res) => {
     }
 
     // Check if the note exists
-    const { data: noteData, error: noteError } = await supabase
-      .from('notes')
-      .select('*')
-      .eq('note_id', id)
-      .single();
+    const noteData = await db.notes.findById(id);
 
-    if (noteError || !noteData) {
+    if (!noteData) {
       return res.status(404).json({ error: 'Note not found' });
     }
 
     // Check if the user exists
-    const { data: userData, error: userError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    const userData = await db.users.findById(userId);
 
-    if (userError || !userData) {
+    if (!userData) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check if the note is already shared with the user
-    const { data: existingShare, error: existingShareError } = await supabase
-      .from('user_notes')
-      .select('*')
-      .eq('note_id', id)
-      .eq('user_id', userId)
-      .single();
-
-    if (existingShareError && existingShareError.code !== 'PGRST116') {
-      // PGRST116 is the error code for "No rows found" in Supabase
-      throw existingShareError;
+    // The share email goes to the user's address, which must be confirmed first
+    if (!userData.email_verified_on) {
+      return res.status(400).json({ error: 'This user has not verified their email address yet.' });
     }
 
+    // Check if the note is already shared with the user
+    const existingShare = await db.userNotes.find(id, userId);
+
     if (existingShare) {
       return res.status(400).json({ error: 'Note is already shared with this user' });
     }
 
     // Add the user to the user_notes table
-    const { data: sharedNote, error: shareError } = await supabase
-      .from('user_notes')
-      .insert([{ note_id: id, user_id: userId, is_creator: false }])
-      .select()
-      .single();
-
-    if (shareError) throw shareError;
+    await db.userNotes.create({ note_id: id, user_id: userId, is_creator: false, role });
+    await recordActivity('note.shared', {
+      actorId: req.user.user_id,
+      noteId: noteData.note_id,
+      targetUserId: userData.user_id,
+      details: { role },
+    });
+    await notify(userData.user_id, 'note.shared', {
+      actorId: req.user.user_id,
+      noteId: noteData.note_id,
+      data: { note_title: noteData.title, role },
+    });
+    await dispatchNoteEvent('note.shared', noteData, {
+      actorId: req.user.user_id,
+      data: { user: { user_id: userData.user_id, username: userData.username }, role },
+    });
 
     // Fetch the sharer's username
-    const { data: sharerData, error: sharerError } = await supabase
-      .from('users')
-      .select('username')
-      .eq('user_id', req.user.user_id)
-      .single();
-
-    if (sharerError || !sharerData) {
-      throw sharerError || new Error('Sharer not found');
-    }
-
-    // Prepare email options
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: userData.email,
-      subject: 'A Note Has Been Shared With You - NoteHub',
-      text: `Hello ${userData.username},
-
-${sharerData.username} has shared the note "${noteData.title}" with you on NoteHub.
+    const sharerData = await db.users.findById(req.user.user_id);
 
-You can access the note by logging into your account.
-
-Best regards,
-NoteHub Team`,
-      // Optionally, you can use HTML templates
-      // html: `<p>Hello ${userData.username},</p><p>${sharerData.username} has shared the note "<strong>${noteData.title}</strong>" with you on NoteHub.</p><p>You can access the note by logging into your account.</p><p>Best regards,<br/>NoteHub Team</p>`
-    };
-
-    // Send email
-    await transporter.sendMail(mailOptions);
+    if (!sharerData) {
+      throw new Error('Sharer not found');
+    }
 
-    console.log(`Email sent to ${userData.email} for sharing note ID ${id}`);
+    // Let the user know by email, delivered in the background
+    mail.enqueue('noteShared', userData.email, {
+      username: userData.username,
+      sharerName: sharerData.username,
+      noteTitle: noteData.title,
+      role,
+      appUrl: new URL(process.env.FRONTEND_URL || 'http://localhost:3000').origin,
+    });
 
-    res.status(200).json({ message: 'Note shared successfully and email sent.' });
+    res.status(200).json({ message: 'Note shared successfully and email queued.', role });
   } catch (error) {
     console.error('Error sharing note:', error);
     res.status(500).json({ error: 'An error occurred while sharing the note', details: error.message });
@@ -469,28 +491,16 @@ NoteHub Team`,
 /**
  * Get users with access to a specific note.
  * @route GET /api/notes/:id/users
- * @access Private
+ * @access Private (viewer)
  */
-router.get('/notes/:id/users', authenticateToken, async (req, res) => {
+router.get('/notes/:id/users', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
   let { id } = req.params;
   id = validator.trim(id);
 
   try {
-    const { data: users, error } = await supabase
-      .from('user_notes')
-      .select(`
-        user_id,
-        is_creator,
-        users (
-          username,
-          email
-        )
-      `)
-      .eq('note_id', id);
-
-    if (error) throw error;
-
-    res.status(200).json(users);
+    const users = await db.userNotes.listByNote(id);
+
+    res.status(200).json(users.map(user => ({ ...user, role: roleOf(user) })));
   } catch (error) {
     console.error('Error fetching users with access:', error);
     res.status(500).json({ error: 'An error occurred while fetching users with access', details: error.message });
@@ -498,39 +508,96 @@ router.get('/notes/:id/users', authenticateToken, async (req, res) => {
 });
 
 /**
- * Remove user access from a note.
- * @route DELETE /api/notes/:noteId/users/:userId
- * @access Private
+ * Change the role of a collaborator on a note. Their open editor connections
+ * are closed, so they reconnect with the new role.
+ * @route PUT /api/notes/:noteId/users/:userId
+ * @access Private (owner)
  */
-router.delete('/notes/:noteId/users/:userId', authenticateToken, async (req, res) => {
+router.put('/notes/:noteId/users/:userId', authenticateToken, requireNoteRole('owner', 'noteId'), async (req, res) => {
   let { noteId, userId } = req.params;
-  const { user_id: requestingUserId } = req.user;
+  const { role } = req.body;
 
   noteId = validator.trim(noteId);
   userId = validator.trim(userId);
 
+  if (!SHAREABLE_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${SHAREABLE_ROLES.join(', ')}.` });
+  }
+
   try {
-    // Check if the requester is the creator of the note
-    const { data: creatorData, error: creatorError } = await supabase
-      .from('user_notes')
-      .select('is_creator')
-      .eq('note_id', noteId)
-      .eq('user_id', requestingUserId)
-      .single();
-
-    if (creatorError) throw creatorError;
-
-    if (!creatorData || !creatorData.is_creator) {
-      return res.status(403).json({ error: 'Only the creator can remove user access' });
+    const membership = await db.userNotes.find(noteId, userId);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'User does not have access to this note' });
     }
 
-    const { data, error } = await supabase
-      .from('user_notes')
-      .delete()
-      .eq('note_id', noteId)
-      .eq('user_id', userId);
+    if (roleOf(membership) === 'owner') {
+      return res.status(400).json({ error: 'The role of the note owner cannot be changed' });
+    }
+
+    const data = await db.userNotes.update(noteId, userId, { role });
+    await recordActivity('note.role_changed', {
+      actorId: req.user.user_id,
+      noteId: req.noteMembership.note_id,
+      targetUserId: data.user_id,
+      details: { from: roleOf(membership), to: role },
+    });
+
+    if (roleOf(membership) !== role) {
+      closeConnections({ noteId: req.noteMembership.note_id, userId: data.user_id }, 'Your access to this note changed');
+    }
 
-    if (error) throw error;
+    res.status(200).json({ message: 'User role updated successfully', user_note: data });
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(500).json({ error: 'An error occurred while updating the user role', details: error.message });
+  }
+});
+
+/**
+ * Remove user access from a note, closing their open editor connections.
+ * @route DELETE /api/notes/:noteId/users/:userId
+ * @access Private (owner)
+ */
+router.delete('/notes/:noteId/users/:userId', authenticateToken, requireNoteRole('owner', 'noteId'), async (req, res) => {
+  let { noteId, userId } = req.params;
+  const { user_id: requestingUserId } = req.user;
+
+  noteId = validator.trim(noteId);
+  userId = validator.trim(userId);
+
+  if (String(requestingUserId) === userId) {
+    return res.status(400).json({ error: 'The owner cannot remove their own access' });
+  }
+
+  try {
+    const membership = await db.userNotes.find(noteId, userId);
+
+    if (membership) {
+      await db.userNotes.delete(noteId, userId);
+      closeConnections({ noteId: req.noteMembership.note_id, userId: membership.user_id }, 'Your access to this note was removed');
+      await recordActivity('note.unshared', {
+        actorId: requestingUserId,
+        noteId: req.noteMembership.note_id,
+        targetUserId: membership.user_id,
+        details: { role: roleOf(membership) },
+      });
+
+      const note = await db.notes.findById(noteId);
+      await notify(membership.user_id, 'note.unshared', {
+        actorId: requestingUserId,
+        noteId: req.noteMembership.note_id,
+        data: { note_title: note?.title ?? null },
+      });
+
+      // The removed user has lost access to the note, so their webhooks only learn which note it was
+      const removedUser = await db.users.findById(membership.user_id);
+      await dispatchNoteEvent('note.unshared', { note_id: req.noteMembership.note_id, title: note?.title ?? null }, {
+        actorId: requestingUserId,
+        userIds: [membership.user_id],
+        data: { user: removedUser && { user_id: removedUser.user_id, username: removedUser.username } },
+      });
+    }
 
     res.status(200).json({ message: 'User access removed successfully' });
   } catch (error) {
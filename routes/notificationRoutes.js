@@ -0,0 +1,122 @@
+// backend/routes/notificationRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import {
+  DEFAULT_NOTIFICATION_PAGE_SIZE,
+  MAX_NOTIFICATION_PAGE_SIZE,
+  pushUnreadCount,
+  serializeNotifications,
+} from '../services/notifications.js';
+import { decodeIdCursor, encodeIdCursor, INVALID_CURSOR } from '../services/cursor.js';
+
+const router = express.Router();
+
+/**
+ * Read the paging options of the notifications list.
+ * @param {Object} query - req.query.
+ * @returns {{ options?: Object, error?: string }}
+ */
+const parseNotificationQuery = (query) => {
+  const param = (name) => (typeof query[name] === 'string' ? validator.trim(query[name]) : '');
+
+  const limit = param('limit') ? parseInt(param('limit'), 10) : DEFAULT_NOTIFICATION_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NOTIFICATION_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_NOTIFICATION_PAGE_SIZE}.` };
+  }
+
+  if (param('unread') && !['true', 'false'].includes(param('unread'))) {
+    return { error: 'unread must be true or false.' };
+  }
+
+  const before = param('cursor') ? decodeIdCursor(param('cursor')) : null;
+  if (param('cursor') && before === null) {
+    return { error: INVALID_CURSOR };
+  }
+
+  return { options: { unreadOnly: param('unread') === 'true', before, limit } };
+};
+
+/**
+ * List the notifications of the authenticated user, newest first, with the
+ * number of unread ones. Pass nextCursor back as cursor for the next page.
+ * @route GET /api/notifications?unread=&limit=&cursor=
+ * @access Private
+ */
+router.get('/notifications', authenticateToken, async (req, res) => {
+  const { options, error: queryError } = parseNotificationQuery(req.query);
+
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  try {
+    const { user_id } = req.user;
+    const rows = await db.notifications.listByUser(user_id, { ...options, limit: options.limit + 1 });
+    const page = rows.slice(0, options.limit);
+
+    res.json({
+      notifications: await serializeNotifications(page),
+      unreadCount: await db.notifications.countUnread(user_id),
+      nextCursor: rows.length > options.limit ? encodeIdCursor(page[page.length - 1].notification_id) : null,
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'An error occurred while fetching notifications', details: error.message });
+  }
+});
+
+/**
+ * Mark every notification of the authenticated user as read.
+ * @route POST /api/notifications/read-all
+ * @access Private
+ */
+router.post('/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const updated = await db.notifications.markAllRead(req.user.user_id);
+    await pushUnreadCount(req.user.user_id);
+
+    res.json({ message: 'All notifications marked as read', updated, unreadCount: 0 });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    res.status(500).json({ error: 'An error occurred while marking notifications as read', details: error.message });
+  }
+});
+
+/**
+ * Mark a notification as read.
+ * @route POST /api/notifications/:id/read
+ * @access Private
+ */
+router.post('/notifications/:id/read', authenticateToken, async (req, res) => {
+  const id = validator.trim(req.params.id);
+
+  if (!validator.isInt(id)) {
+    return res.status(404).json({ error: 'Notification not found' });
+  }
+
+  try {
+    const { user_id } = req.user;
+    let notification = await db.notifications.findById(id);
+
+    if (!notification || String(notification.user_id) !== String(user_id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (!notification.read_on) {
+      [notification] = await db.notifications.markRead(user_id, [notification.notification_id]);
+      await pushUnreadCount(user_id);
+    }
+
+    const [serialized] = await serializeNotifications([notification]);
+
+    res.json({ notification: serialized, unreadCount: await db.notifications.countUnread(user_id) });
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    res.status(500).json({ error: 'An error occurred while marking the notification as read', details: error.message });
+  }
+});
+
+export default router;
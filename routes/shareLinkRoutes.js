@@ -0,0 +1,253 @@
+// backend/routes/shareLinkRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import requireNoteRole from '../middleware/noteAccess.js';
+import rateLimit from '../middleware/rateLimit.js';
+import { LIMITS } from '../services/rateLimit/index.js';
+import { getCurrentContent, withDocument } from '../collab/documents.js';
+import { broadcastNoteEvent } from '../collab/events.js';
+import { MAX_COMMENT_LENGTH, createAnchor, serializeComment } from '../services/comments.js';
+import { notifyComment } from '../services/notifications.js';
+import {
+  ACCESS_LOG_LIMIT,
+  LINK_ROLES,
+  MAX_GUEST_NAME_LENGTH,
+  buildShareUrl,
+  checkLinkPassword,
+  createShareLink,
+  findActiveLink,
+  publicLink,
+  recordLinkAccess,
+} from '../services/shareLinks.js';
+import { recordActivity } from '../services/activity.js';
+
+const router = express.Router();
+
+/**
+ * Find a link of a note by ID.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} linkId - The ID of the link.
+ * @returns {Promise<Object|null>} - The link, or null if it does not belong to the note.
+ */
+const findNoteLink = async (noteId, linkId) => {
+  const link = validator.isInt(linkId) ? await db.shareLinks.findById(linkId) : null;
+  return link && String(link.note_id) === String(noteId) ? link : null;
+};
+
+/**
+ * Create a link to a note that works without an account. The token is only
+ * part of this response, it cannot be looked up later.
+ * Body: role (viewer, the default, or commenter), expires_on (ISO 8601,
+ * optional) and password (optional).
+ * @route POST /api/notes/:id/links
+ * @access Private (owner)
+ */
+router.post('/notes/:id/links', authenticateToken, requireNoteRole('owner'), async (req, res) => {
+  const { role = 'viewer', expires_on: expiresOn = null, password = null } = req.body;
+
+  if (!LINK_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${LINK_ROLES.join(', ')}.` });
+  }
+
+  if (expiresOn !== null && (typeof expiresOn !== 'string' || !validator.isISO8601(expiresOn) || new Date(expiresOn) <= new Date())) {
+    return res.status(400).json({ error: 'expires_on must be a date in the future.' });
+  }
+
+  if (password !== null && (typeof password !== 'string' || !password || password.length > 128)) {
+    return res.status(400).json({ error: 'password must be a non-empty string of at most 128 characters.' });
+  }
+
+  try {
+    const { link, token } = await createShareLink(req.noteMembership.note_id, req.user.user_id, {
+      role,
+      expiresOn: expiresOn && new Date(expiresOn).toISOString(),
+      password,
+    });
+    await recordActivity('note.link_created', {
+      actorId: req.user.user_id,
+      noteId: link.note_id,
+      details: { link_id: link.link_id, role: link.role, expires_on: link.expires_on },
+    });
+
+    res.status(201).json({ ...publicLink(link), token, url: buildShareUrl(token) });
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    res.status(500).json({ error: 'An error occurred while creating the link', details: error.message });
+  }
+});
+
+/**
+ * List the links of a note, newest first, with how often each was used.
+ * @route GET /api/notes/:id/links
+ * @access Private (owner)
+ */
+router.get('/notes/:id/links', authenticateToken, requireNoteRole('owner'), async (req, res) => {
+  try {
+    const links = await db.shareLinks.listByNote(req.noteMembership.note_id);
+    const counts = await Promise.all(links.map(link => db.shareLinkAccess.countByLink(link.link_id)));
+
+    res.json(links.map((link, i) => ({ ...publicLink(link), access_count: counts[i] })));
+  } catch (error) {
+    console.error('Error fetching share links:', error);
+    res.status(500).json({ error: 'An error occurred while fetching links', details: error.message });
+  }
+});
+
+/**
+ * Get the most recent accesses through a link.
+ * @route GET /api/notes/:id/links/:linkId/access
+ * @access Private (owner)
+ */
+router.get('/notes/:id/links/:linkId/access', authenticateToken, requireNoteRole('owner'), async (req, res) => {
+  try {
+    const link = await findNoteLink(req.noteMembership.note_id, validator.trim(req.params.linkId));
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    res.json(await db.shareLinkAccess.listByLink(link.link_id, ACCESS_LOG_LIMIT));
+  } catch (error) {
+    console.error('Error fetching link access log:', error);
+    res.status(500).json({ error: 'An error occurred while fetching the access log', details: error.message });
+  }
+});
+
+/**
+ * Revoke a link. It stops working right away but stays listed with its log.
+ * @route DELETE /api/notes/:id/links/:linkId
+ * @access Private (owner)
+ */
+router.delete('/notes/:id/links/:linkId', authenticateToken, requireNoteRole('owner'), async (req, res) => {
+  try {
+    const link = await findNoteLink(req.noteMembership.note_id, validator.trim(req.params.linkId));
+
+    if (!link) {
+      return res.status(404).json({ error: 'Link not found' });
+    }
+
+    let data = link;
+    if (!link.revoked_on) {
+      data = await db.shareLinks.update(link.link_id, { revoked_on: new Date().toISOString() });
+      await recordActivity('note.link_revoked', { actorId: req.user.user_id, noteId: link.note_id, details: { link_id: link.link_id } });
+    }
+
+    res.json({ message: 'Link revoked successfully', link: publicLink(data) });
+  } catch (error) {
+    console.error('Error revoking share link:', error);
+    res.status(500).json({ error: 'An error occurred while revoking the link', details: error.message });
+  }
+});
+
+/**
+ * Read a note through a link, without logging in. Links with a password
+ * need it in the X-Share-Password header.
+ * @route GET /api/shared/:token
+ * @access Public
+ */
+router.get('/shared/:token', rateLimit('shareLinkPerIp', LIMITS.shareLinkPerIp), async (req, res) => {
+  const token = validator.trim(req.params.token);
+
+  try {
+    const link = await findActiveLink(token);
+    const note = link && await db.notes.findById(link.note_id);
+
+    if (!note || note.deleted_on) {
+      return res.status(404).json({ error: 'This link is invalid or has expired.' });
+    }
+
+    if (!(await checkLinkPassword(link, req.get('X-Share-Password')))) {
+      return res.status(401).json({ error: 'A valid password is required to open this link.', passwordRequired: true });
+    }
+
+    await recordLinkAccess(link, { ip: req.ip, userAgent: req.get('User-Agent') || null });
+
+    res.json({
+      role: link.role,
+      expires_on: link.expires_on,
+      note: {
+        title: note.title,
+        content: await getCurrentContent(note),
+        tags: note.tags ?? [],
+        created_on: note.created_on,
+        last_update: note.last_update,
+      },
+    });
+  } catch (error) {
+    console.error('Error opening share link:', error);
+    res.status(500).json({ error: 'An error occurred while opening the link', details: error.message });
+  }
+});
+
+/**
+ * Comment on a note through a commenter link, without logging in. This starts
+ * a new thread, anchored like POST /api/notes/:id/comments, signed with the
+ * optional `name` the guest gives. Links with a password need it in the
+ * X-Share-Password header.
+ * @route POST /api/shared/:token/comments
+ * @access Public
+ */
+router.post('/shared/:token/comments', rateLimit('shareLinkPerIp', LIMITS.shareLinkPerIp), async (req, res) => {
+  const token = validator.trim(req.params.token);
+  const body = typeof req.body.body === 'string' ? validator.trim(req.body.body) : '';
+  const name = typeof req.body.name === 'string' ? validator.trim(req.body.name) : '';
+
+  try {
+    const link = await findActiveLink(token);
+    const note = link && await db.notes.findById(link.note_id);
+
+    if (!note || note.deleted_on) {
+      return res.status(404).json({ error: 'This link is invalid or has expired.' });
+    }
+
+    if (!(await checkLinkPassword(link, req.get('X-Share-Password')))) {
+      return res.status(401).json({ error: 'A valid password is required to open this link.', passwordRequired: true });
+    }
+
+    if (link.role !== 'commenter') {
+      return res.status(403).json({ error: 'This link does not allow comments.' });
+    }
+
+    if (!body || body.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment text is required, at most ${MAX_COMMENT_LENGTH} characters.` });
+    }
+
+    if (name.length > MAX_GUEST_NAME_LENGTH) {
+      return res.status(400).json({ error: `name must be at most ${MAX_GUEST_NAME_LENGTH} characters.` });
+    }
+
+    await recordLinkAccess(link, { ip: req.ip, userAgent: req.get('User-Agent') || null });
+
+    const result = await withDocument(note.note_id, async (ydoc) => {
+      const anchor = req.body.anchor == null ? {} : createAnchor(ydoc, req.body.anchor);
+      if (anchor.error) return anchor;
+
+      const comment = await db.comments.create({
+        note_id: note.note_id,
+        author_id: null,
+        link_id: link.link_id,
+        author_name: name || null,
+        body,
+        ...anchor,
+      });
+      return { row: comment, comment: serializeComment(comment, new Map(), ydoc) };
+    });
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    broadcastNoteEvent(note.note_id, 'comment.created', result.comment);
+    await notifyComment(result.row, note);
+
+    res.status(201).json({ ...result.comment, replies: [] });
+  } catch (error) {
+    console.error('Error commenting through share link:', error);
+    res.status(500).json({ error: 'An error occurred while posting the comment', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+// backend/routes/tagRoutes.js
+
+import express from 'express';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import { getAccessibleNotes, hasRole } from '../middleware/noteAccess.js';
+import { recordActivity } from '../services/activity.js';
+import { countTags, normalizeTag, normalizeTags, replaceTags } from '../services/tags.js';
+import { dispatchNoteEvent } from '../services/webhooks.js';
+
+const router = express.Router();
+
+/**
+ * Replace tags with another one (or remove them) on every note the user can edit.
+ * Notes the user can only view keep their tags and are reported as skipped.
+ * Every changed note gets a note.updated activity entry and webhook event,
+ * the same as when its tags are edited one note at a time.
+ * @param {number} userId - The ID of the user.
+ * @param {string[]} from - The normalised tags to replace.
+ * @param {string|null} to - The normalised replacement, or null to remove.
+ * @returns {Promise<{ updated: number, skipped: number }>}
+ */
+const retagNotes = async (userId, from, to) => {
+  const notes = await getAccessibleNotes(userId);
+  let updated = 0;
+  let skipped = 0;
+
+  for (const note of notes) {
+    const tags = replaceTags(note.tags, from, to);
+    if (!tags) continue;
+
+    if (!hasRole(note.role, 'editor')) {
+      skipped += 1;
+      continue;
+    }
+
+    const data = await db.notes.update(note.note_id, { tags, last_update: new Date().toISOString() });
+    updated += 1;
+
+    await recordActivity('note.updated', { actorId: userId, noteId: note.note_id, details: { fields: ['tags'] } });
+    await dispatchNoteEvent('note.updated', data, { actorId: userId, data: { fields: ['tags'] } });
+  }
+
+  return { updated, skipped };
+};
+
+/**
+ * List the tags used on the authenticated user's notes with how many notes
+ * carry each, most used first. `q` narrows the list to tags starting with it.
+ * @route GET /api/tags?q=
+ * @access Private
+ */
+router.get('/tags', authenticateToken, async (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q : '';
+
+  try {
+    const notes = await getAccessibleNotes(req.user.user_id);
+    res.json(countTags(notes, q));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'An error occurred while fetching tags', details: error.message });
+  }
+});
+
+/**
+ * Rename a tag on all of the authenticated user's notes.
+ * Renaming to a tag that already exists merges the two.
+ * @route PUT /api/tags/:tag
+ * @access Private
+ */
+router.put('/tags/:tag', authenticateToken, async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+  const name = typeof req.body.name === 'string' ? normalizeTag(req.body.name) : '';
+
+  if (!tag || !name) {
+    return res.status(400).json({ error: 'Tag and new name are required.' });
+  }
+
+  try {
+    const result = await retagNotes(req.user.user_id, [tag], name);
+    res.json({ message: 'Tag renamed successfully', name, ...result });
+  } catch (error) {
+    console.error('Error renaming tag:', error);
+    res.status(500).json({ error: 'An error occurred while renaming the tag', details: error.message });
+  }
+});
+
+/**
+ * Merge several tags into one on all of the authenticated user's notes.
+ * @route POST /api/tags/merge
+ * @access Private
+ */
+router.post('/tags/merge', authenticateToken, async (req, res) => {
+  const tags = Array.isArray(req.body.tags) ? normalizeTags(req.body.tags) : [];
+  const into = typeof req.body.into === 'string' ? normalizeTag(req.body.into) : '';
+
+  if (tags.length === 0 || !into) {
+    return res.status(400).json({ error: 'Tags to merge and the tag to merge them into are required.' });
+  }
+
+  try {
+    const result = await retagNotes(req.user.user_id, tags, into);
+    res.json({ message: 'Tags merged successfully', name: into, ...result });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+    res.status(500).json({ error: 'An error occurred while merging tags', details: error.message });
+  }
+});
+
+/**
+ * Remove a tag from all of the authenticated user's notes.
+ * @route DELETE /api/tags/:tag
+ * @access Private
+ */
+router.delete('/tags/:tag', authenticateToken, async (req, res) => {
+  const tag = normalizeTag(req.params.tag);
+
+  if (!tag) {
+    return res.status(400).json({ error: 'Tag is required.' });
+  }
+
+  try {
+    const result = await retagNotes(req.user.user_id, [tag], null);
+    res.json({ message: 'Tag removed successfully', ...result });
+  } catch (error) {
+    console.error('Error removing tag:', error);
+    res.status(500).json({ error: 'An error occurred while removing the tag', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,122 @@
+// backend/routes/trashRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import { roleOf } from '../middleware/noteAccess.js';
+import { deleteNote, purgeDateOf, restoreNote } from '../services/notes.js';
+
+const router = express.Router();
+
+/**
+ * Find a note in the trash of a user. Only the owner has a note in their
+ * trash; for everyone else a trashed note is simply gone.
+ * @param {string} noteId - The ID of the note.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Object|null>} - The note, or null if it is not in the user's trash.
+ */
+const findTrashed = async (noteId, userId) => {
+  if (!validator.isInt(noteId)) return null;
+
+  const [membership, note] = await Promise.all([db.userNotes.find(noteId, userId), db.notes.findById(noteId)]);
+
+  return roleOf(membership) === 'owner' && note?.deleted_on ? note : null;
+};
+
+/**
+ * Fetch every note in the trash of a user, most recently trashed first.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Array<Object>>}
+ */
+const listTrashed = async (userId) => {
+  const owned = (await db.userNotes.listByUser(userId)).filter(un => roleOf(un) === 'owner');
+  const notes = await db.notes.findByIds(owned.map(un => un.note_id));
+
+  return notes
+    .filter(note => note.deleted_on)
+    .sort((a, b) => b.deleted_on.localeCompare(a.deleted_on));
+};
+
+/**
+ * List the notes in the trash of the authenticated user with the date each
+ * will be purged.
+ * @route GET /api/trash
+ * @access Private
+ */
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const notes = await listTrashed(req.user.user_id);
+
+    res.json(notes.map(note => ({ ...note, purge_on: purgeDateOf(note) })));
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'An error occurred while fetching the trash', details: error.message });
+  }
+});
+
+/**
+ * Restore a note from the trash, giving its members access again.
+ * @route POST /api/trash/:id/restore
+ * @access Private (owner)
+ */
+router.post('/trash/:id/restore', authenticateToken, async (req, res) => {
+  const id = validator.trim(req.params.id);
+
+  try {
+    if (!(await findTrashed(id, req.user.user_id))) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    const note = await restoreNote(id, req.user.user_id);
+
+    res.json({ message: 'Note restored successfully', note });
+  } catch (error) {
+    console.error('Error restoring note:', error);
+    res.status(500).json({ error: 'An error occurred while restoring the note', details: error.message });
+  }
+});
+
+/**
+ * Delete a note in the trash for good.
+ * @route DELETE /api/trash/:id
+ * @access Private (owner)
+ */
+router.delete('/trash/:id', authenticateToken, async (req, res) => {
+  const id = validator.trim(req.params.id);
+
+  try {
+    if (!(await findTrashed(id, req.user.user_id))) {
+      return res.status(404).json({ error: 'Note not found in trash' });
+    }
+
+    await deleteNote(id, req.user.user_id);
+
+    res.json({ message: 'Note deleted permanently' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({ error: 'An error occurred while deleting the note', details: error.message });
+  }
+});
+
+/**
+ * Empty the trash of the authenticated user.
+ * @route DELETE /api/trash
+ * @access Private
+ */
+router.delete('/trash', authenticateToken, async (req, res) => {
+  try {
+    const trashed = await listTrashed(req.user.user_id);
+
+    for (const note of trashed) {
+      await deleteNote(note.note_id, req.user.user_id);
+    }
+
+    res.json({ message: 'Trash emptied successfully', notes: trashed.length });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'An error occurred while emptying the trash', details: error.message });
+  }
+});
+
+export default router;
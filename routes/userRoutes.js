@@ -1,27 +1,57 @@
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import validator from "validator"; // This is for input validation and sanitization
 import authenticateToken from "../middleware/authMiddleware.js"; // Ensure the path and extension are correct
-import nodemailer from "nodemailer";
+import rateLimit, { tooManyRequests } from "../middleware/rateLimit.js";
+import db from "../db/index.js";
+import mail from "../services/mail/index.js";
+import rateLimiter, { LIMITS } from "../services/rateLimit/index.js";
+import { buildResetLink, consumeResetToken, createResetToken } from "../services/passwordReset.js";
+import { buildVerificationLink, createVerificationToken, readVerificationToken } from "../services/emailVerification.js";
+import { createSession, refreshSession, revokeAllSessions, revokeSession } from "../services/sessions.js";
+import { listActivity, parseActivityQuery, recordActivity } from "../services/activity.js";
 
 dotenv.config();
 
 const router = express.Router();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
+const LOCKED_MESSAGE =
+  "Too many failed login attempts. Try again later, or reset your password to unlock the account.";
+
+const emailOf = (req) =>
+  typeof req.body.email === "string" ? validator.normalizeEmail(req.body.email) || null : null;
+
+/* Routes that send mail to a given address are limited per client and per address */
+const resetPasswordLimits = [
+  rateLimit("reset-password", LIMITS.resetPasswordPerIp),
+  rateLimit("reset-password-email", LIMITS.resetPasswordPerEmail, emailOf),
+];
+
+const resendVerificationLimits = [
+  rateLimit("resend-verification", LIMITS.resendVerificationPerIp),
+  rateLimit("resend-verification-email", LIMITS.resendVerificationPerEmail, emailOf),
+];
+
+/**
+ * Email a user a link that confirms they own an address.
+ * @param {Object} user - The user.
+ * @param {string} email - The address to confirm, the current or the pending one.
+ * @param {string} template - `verifyEmail` or `confirmEmailChange`.
+ */
+const sendVerificationEmail = (user, email, template) => {
+  const verifyLink = buildVerificationLink(createVerificationToken(user.user_id, email));
+  mail.enqueue(template, email, { username: user.username, verifyLink });
+};
 
 /**
- * Register a new user
+ * Register a new user.
+ * The account stays unverified, and cannot log in, until the link sent to
+ * the email address is followed.
  * @route POST /api/users/register
  * @access Public
  */
-router.post("/register", async (req, res) => {
+router.post("/register", rateLimit("register", LIMITS.registerPerIp), async (req, res) => {
   try {
     let { username, email, password, user_avatar } = req.body;
 
@@ -45,12 +75,7 @@ router.post("/register", async (req, res) => {
       return res.status(400).json({ error: "Invalid email format." });
     }
 
-    const { data: existingUsers, error: fetchError } = await supabase /* Check if user already exists */
-      .from("users")
-      .select("*")
-      .or(`username.eq.${username},email.eq.${email}`);
-
-    if (fetchError) throw fetchError;
+    const existingUsers = await db.users.findByUsernameOrEmail(username, email); /* Check if user already exists */
 
     if (existingUsers.length > 0) {
       const existingUser = existingUsers[0];
@@ -67,20 +92,16 @@ router.post("/register", async (req, res) => {
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
     /*insert new user in db*/
-    const { data, error } = await supabase
-      .from("users")
-      .insert([
-        {
-          username,
-          email,
-          password: hashedPassword,
-          user_avatar: user_avatar || null,
-        },
-      ])
-      .select()
-      .single();
-
-    if (error) throw error;
+    const data = await db.users.create({
+      username,
+      email,
+      password: hashedPassword,
+      user_avatar: user_avatar || null,
+      email_verified_on: null,
+    });
+
+    sendVerificationEmail(data, data.email, "verifyEmail");
+    await recordActivity("user.registered", { actorId: data.user_id });
 
     res
       .status(201)
@@ -95,11 +116,14 @@ router.post("/register", async (req, res) => {
 });
 
 /**
- * Authenticate user and log them in
+ * Authenticate user and log them in.
+ * Starts a session and returns a short-lived access token together with a
+ * refresh token; rememberMe keeps the session alive for longer.
+ * Repeated failures lock the username for a growing amount of time.
  * @route POST /api/users/login
  * @access Public
  */
-router.post("/login", async (req, res) => {
+router.post("/login", rateLimit("login", LIMITS.loginPerIp), async (req, res) => {
   const { username, password, rememberMe } = req.body;
 
   if (!username || !password) {
@@ -109,39 +133,47 @@ router.post("/login", async (req, res) => {
   }
 
   try {
-    const { data: user, error: fetchError } = await supabase  /*fetch user from db*/
-      .from("users")
-      .select("*")
-      .eq("username", username)
-      .single();
-
-    if (fetchError) {
-      if (fetchError.code === "PGRST116") {
-        /* Supabase specific code for no data found */
-        return res.status(400).json({ error: "Invalid username or password." });
-      }
-      throw fetchError;
+    const lockout = await rateLimiter.getLockout(username);
+    if (lockout) {
+      return tooManyRequests(res, lockout.retryAfter, LOCKED_MESSAGE);
     }
 
-    const passwordMatch = await bcrypt.compare(password, user.password); /*compare password with encrypted password in db*/
+    const user = await db.users.findByUsername(username); /*fetch user from db*/
+
+    /*compare password with encrypted password in db*/
+    const passwordMatch = user ? await bcrypt.compare(password, user.password) : false;
     if (!passwordMatch) {
+      /*unknown usernames count too, so a lockout does not reveal which accounts exist*/
+      const newLockout = await rateLimiter.recordFailure(username);
+      if (newLockout) {
+        return tooManyRequests(res, newLockout.retryAfter, LOCKED_MESSAGE);
+      }
       return res.status(400).json({ error: "Invalid username or password." });
     }
-    /*create payload for jwt token*/
-    const payload = {
-      user_id: user.user_id,
-      username: user.username,
-      email: user.email,
-    };
-
-    /*create jwt token*/
-    const expiresIn = rememberMe ? "5h" : "1h";
-    const token = jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
-
-    /*send token and user data in response*/
+
+    await rateLimiter.clearFailures(username);
+
+    if (!user.email_verified_on) {
+      return res.status(403).json({
+        error: "Please verify your email address before logging in.",
+        verificationRequired: true,
+      });
+    }
+    /*start a session for this device*/
+    const tokens = await createSession(user, {
+      userAgent: req.get("user-agent") || null,
+      ip: req.ip,
+      rememberMe: Boolean(rememberMe),
+    });
+    await recordActivity("user.logged_in", {
+      actorId: user.user_id,
+      details: { ip: req.ip, user_agent: req.get("user-agent") || null },
+    });
+
+    /*send tokens and user data in response*/
     res.status(200).json({
       message: "Login successful.",
-      token,
+      ...tokens,
       user: {
         user_id: user.user_id,
         username: user.username,
@@ -159,52 +191,45 @@ router.post("/login", async (req, res) => {
 });
 
 /**
- * Refresh the user token
+ * Exchange a refresh token for a new access token and refresh token.
+ * Each refresh token works once; reusing an old one ends the session.
  * @route POST /api/users/refresh-token
  * @access Public
  */
 router.post("/refresh-token", async (req, res) => {
-  const token = req.headers.authorization?.split(" ")[1];
+  const refreshToken = typeof req.body.refreshToken === "string" ? validator.trim(req.body.refreshToken) : "";
 
-  if (!token) {
-    return res.status(401).json({ error: "No token provided" });
+  if (!refreshToken) {
+    return res.status(401).json({ error: "No refresh token provided" });
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET); /*verify token*/
-    const newToken = jwt.sign(
-      {
-        user_id: decoded.user_id,
-        username: decoded.username,
-        email: decoded.email,
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1h" }
-    );
+    const tokens = await refreshSession(refreshToken);
+
+    if (!tokens) {
+      return res.status(401).json({ error: "Invalid or expired refresh token" });
+    }
 
-    res.json({ token: newToken });
+    res.json(tokens);
   } catch (error) {
-    res.status(401).json({ error: "Invalid or expired token" });
+    console.error("Error refreshing token:", error);
+    res.status(500).json({
+      error: "An error occurred while refreshing the token.",
+      details: error.message,
+    });
   }
 });
 
-// Configure Nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: "gmail",
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS,
-  },
-});
-
-
+/* Same answer whether or not the address belongs to an account */
+const RESET_REQUESTED_MESSAGE =
+  "If an account exists for this email, a password reset link has been sent to it.";
 
 /**
  * Send password reset email
  * @route POST /api/users/reset-password
  * @access Public
  */
-router.post("/reset-password", async (req, res) => {
+router.post("/reset-password", resetPasswordLimits, async (req, res) => {
   try {
 
     let { email } = req.body;
@@ -218,41 +243,151 @@ router.post("/reset-password", async (req, res) => {
       return res.status(400).json({ error: "Invalid email format." });
     }
 
-    const { data: user, error } = await supabase /*fetch user from db*/
-      .from("users")
-      .select("*")
-      .eq("email", email)
-      .single();
+    const user = await db.users.findByEmail(email); /*fetch user from db*/
 
-    if (error || !user) {
-      return res.status(404).json({ error: "User not found." });
+    /*only verified addresses receive reset links*/
+    if (user && user.email_verified_on) {
+      /*single-use random token, only its hash is stored*/
+      const token = await createResetToken(user.user_id);
+      mail.enqueue("passwordReset", user.email, { resetLink: buildResetLink(token) });
+    } else {
+      console.warn("Password reset requested for unknown or unverified email.");
     }
 
-    /*use JWT tokens for verification*/
-    const token = jwt.sign({ email: user.email }, process.env.JWT_SECRET, {
-      expiresIn: "1h",
-      expiresIn: "1h",
+    res.status(200).json({ message: RESET_REQUESTED_MESSAGE });
+  } catch (error) {
+    console.error("Error handling password reset:", error);
+    res.status(500).json({
+      error: "An error occurred while processing the request.",
+      details: error.message,
     });
+  }
+});
+
+/**
+ * Set a new password using the token from a reset email.
+ * The token is redeemed once, every session of the user is signed out and
+ * any login lockout of the account is lifted.
+ * @route POST /api/users/reset-password/confirm
+ * @access Public
+ */
+router.post("/reset-password/confirm", async (req, res) => {
+  let { token, newPassword } = req.body;
+
+  token = typeof token === "string" ? validator.trim(token) : "";
+  newPassword = typeof newPassword === "string" ? validator.trim(newPassword) : "";
+
+  if (!token || !newPassword) {
+    return res
+      .status(400)
+      .json({ error: "Token and new password are required." });
+  }
+
+  try {
+    const userId = await consumeResetToken(token);
+
+    if (!userId) {
+      return res.status(400).json({ error: "Invalid or expired reset link." });
+    }
 
-    console.log("Generated Token:", token);
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    const user = await db.users.update(userId, { password: hashedPassword });
+    await revokeAllSessions(userId, "password_reset");
+    await recordActivity("user.password_reset", { actorId: userId });
 
-    /*link attached in email to reset password*/ //TODO might need to change LINK
-    const resetLink = `http://localhost:3000/pages/update-password?token=${token}`;
+    /*proving access to the email also lifts a login lockout*/
+    if (user) {
+      await rateLimiter.unlock(user.username);
+    }
 
-    await transporter.sendMail({
-      from: process.env.EMAIL_USER,
-      to: email,
-      subject: "Password Reset Instructions - NoteHub",
-      text: `Please click the link below in order to reset your password:\n\n${resetLink}`,
+    res.status(200).json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (error) {
+    console.error("Error confirming password reset:", error);
+    res.status(500).json({
+      error: "Error occurred while resetting the password.",
+      details: error.message,
     });
+  }
+});
 
-    res.status(200).json({
-      message: "A reset link for password has been sent to your email",
+/**
+ * Confirm an email address with the token from a verification email.
+ * Activates a new account, or switches the account to its pending address.
+ * @route POST /api/users/verify-email
+ * @access Public
+ */
+router.post("/verify-email", async (req, res) => {
+  const token = typeof req.body.token === "string" ? validator.trim(req.body.token) : "";
+
+  if (!token) {
+    return res.status(400).json({ error: "Token is required." });
+  }
+
+  try {
+    const claims = readVerificationToken(token);
+    const user = claims && await db.users.findById(claims.user_id);
+
+    if (user && user.pending_email && user.pending_email === claims.email) {
+      /*the address may have been taken since the change was requested*/
+      const owner = await db.users.findByEmail(claims.email);
+      if (owner) {
+        return res.status(409).json({ error: "Email already exists." });
+      }
+
+      await db.users.update(user.user_id, {
+        email: claims.email,
+        pending_email: null,
+        email_verified_on: new Date().toISOString(),
+      });
+      await recordActivity("user.email_changed", { actorId: user.user_id, details: { from: user.email, to: claims.email } });
+      return res.status(200).json({ message: "Email changed successfully." });
+    }
+
+    if (user && user.email === claims.email) {
+      if (!user.email_verified_on) {
+        await db.users.update(user.user_id, { email_verified_on: new Date().toISOString() });
+        await recordActivity("user.email_verified", { actorId: user.user_id });
+      }
+      return res.status(200).json({ message: "Email verified successfully." });
+    }
+
+    res.status(400).json({ error: "Invalid or expired verification link." });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    res.status(500).json({
+      error: "Error occurred while verifying the email.",
+      details: error.message,
     });
+  }
+});
+
+/**
+ * Send the verification email of an unverified account again
+ * @route POST /api/users/resend-verification
+ * @access Public
+ */
+router.post("/resend-verification", resendVerificationLimits, async (req, res) => {
+  const email = emailOf(req);
+
+  if (!email || !validator.isEmail(email)) {
+    return res.status(400).json({ error: "A valid email is required." });
+  }
+
+  try {
+    const user = await db.users.findByEmail(email);
+
+    if (user && !user.email_verified_on) {
+      sendVerificationEmail(user, user.email, "verifyEmail");
+    }
+
+    /*same answer either way, so this cannot be used to probe for accounts*/
+    res.status(200).json({ message: "If this address belongs to an unverified account, a new link has been sent to it." });
   } catch (error) {
-    console.error("Error handling password reset:", error);
+    console.error("Error resending verification email:", error);
     res.status(500).json({
-      error: "An error occurred while processing the request.",
+      error: "Error occurred while sending the verification email.",
       details: error.message,
     });
   }
@@ -260,40 +395,148 @@ router.post("/reset-password", async (req, res) => {
 
 router.use(authenticateToken);
 
+const verifyPasswordLimits = [
+  rateLimit("verify-password", LIMITS.verifyPasswordPerIp),
+  rateLimit("verify-password-user", LIMITS.verifyPasswordPerUser, (req) => req.user.user_id),
+];
+
 /**
- * Update the user password in the database
+ * End the current session
+ * @route POST /api/users/logout
+ * @access Private
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    await revokeSession(req.user.sid, "logout");
+    await recordActivity("user.logged_out", { actorId: req.user.user_id });
+
+    res.status(200).json({ message: "Logged out successfully." });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({
+      error: "Error occurred while logging out.",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * List the active sessions (devices) of the authenticated user
+ * @route GET /api/users/sessions
+ * @access Private
+ */
+router.get("/sessions", async (req, res) => {
+  try {
+    const sessions = await db.sessions.listActiveByUser(req.user.user_id);
+
+    res.status(200).json(
+      sessions.map(session => ({
+        session_id: session.session_id,
+        user_agent: session.user_agent,
+        ip: session.ip,
+        created_on: session.created_on,
+        last_used_on: session.last_used_on,
+        expires_on: session.expires_on,
+        current: session.session_id === req.user.sid,
+      }))
+    );
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({
+      error: "Error occurred while fetching sessions.",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * The personal activity feed: what the authenticated user did, and what
+ * others did that concerns them, newest first.
+ * @route GET /api/users/me/activity?type=&limit=&cursor=
+ * @access Private
+ */
+router.get("/me/activity", async (req, res) => {
+  const { options, error: queryError } = parseActivityQuery(req.query);
+
+  if (queryError) {
+    return res.status(400).json({ error: queryError });
+  }
+
+  try {
+    res.status(200).json(await listActivity({ userId: req.user.user_id }, options));
+  } catch (error) {
+    console.error("Error fetching activity:", error);
+    res.status(500).json({
+      error: "Error occurred while fetching activity.",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Sign out one of the authenticated user's sessions, e.g. a lost device
+ * @route DELETE /api/users/sessions/:id
+ * @access Private
+ */
+router.delete("/sessions/:id", async (req, res) => {
+  try {
+    const session = validator.isUUID(req.params.id) ? await db.sessions.findById(req.params.id) : null;
+
+    if (!session || String(session.user_id) !== String(req.user.user_id)) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+
+    await revokeSession(session.session_id, "signed_out_remotely");
+    await recordActivity("user.session_revoked", {
+      actorId: req.user.user_id,
+      details: { session_id: session.session_id, user_agent: session.user_agent },
+    });
+
+    res.status(200).json({ message: "Session signed out successfully." });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({
+      error: "Error occurred while signing out the session.",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Change the password of the authenticated user
  * @route POST /api/users/update-password
  * @access Private
  */
 router.post("/update-password", async (req, res) => {
-  let { email, newPassword } = req.body;
+  let { currentPassword, newPassword } = req.body;
 
-  email = typeof email === "string" ? validator.normalizeEmail(email) : "";
+  currentPassword = typeof currentPassword === "string" ? validator.trim(currentPassword) : "";
   newPassword = typeof newPassword === "string" ? validator.trim(newPassword) : "";
 
-  if (!email || !newPassword) {
+  if (!currentPassword || !newPassword) {
     return res
       .status(400)
-      .json({ error: "Email and new password are required." });
-  }
-
-  if (!validator.isEmail(email)) {
-    return res.status(400).json({ error: "Invalid email format." });
+      .json({ error: "Current password and new password are required." });
   }
 
   try {
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+    const user = await db.users.findById(req.user.user_id);
 
-    const { data, error } = await supabase
-      .from("users")
-      .update({ password: hashedPassword })
-      .eq("email", email);
+    if (!user) {
+      return res.status(404).json({ error: "User not found." });
+    }
 
-    if (error) {
-      throw error;
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ error: "Incorrect password." });
     }
 
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
+
+    await db.users.update(user.user_id, { password: hashedPassword });
+    await recordActivity("user.password_changed", { actorId: user.user_id });
+
     res.status(200).json({ message: "Password updated successfully." });
   } catch (error) {
     console.error("Error updating password:", error);
@@ -309,7 +552,7 @@ router.post("/update-password", async (req, res) => {
  * @route POST /api/users/verify-password
  * @access Private
  */
-router.post("/verify-password", async (req, res) => {
+router.post("/verify-password", verifyPasswordLimits, async (req, res) => {
   try {
     let { userId, password } = req.body;
 
@@ -322,13 +565,9 @@ router.post("/verify-password", async (req, res) => {
         .json({ error: "User ID and password are required." });
     }
 
-    const { data: user, error } = await supabase /*fetch user from db*/
-      .from("users")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    const user = await db.users.findById(userId); /*fetch user from db*/
 
-    if (error || !user) {
+    if (!user) {
       return res.status(404).json({ error: "User not found." });
     }
 
@@ -350,43 +589,52 @@ router.post("/verify-password", async (req, res) => {
 });
 
 /**
- * Change user email in the database
+ * Request a change of the authenticated user's email.
+ * The new address is kept as pending until it is confirmed from a link sent
+ * to it, and the current address is told about the request.
  * @route POST /api/users/change-email
  * @access Private
  */
 router.post("/change-email", async (req, res) => {
   try {
-    let { userId, newEmail } = req.body;
+    let { newEmail } = req.body;
 
-    userId = typeof userId === "string" ? validator.trim(userId) : userId;
     newEmail = typeof newEmail === "string" ? validator.normalizeEmail(newEmail) : "";
 
-    if (!userId || !newEmail) {
+    if (!newEmail) {
       return res
         .status(400)
-        .json({ error: "User ID and new email address are required" });
+        .json({ error: "New email address is required" });
     }
 
-    const { data: user, error: userError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    if (!validator.isEmail(newEmail)) {
+      return res.status(400).json({ error: "Invalid email format." });
+    }
+
+    const user = await db.users.findById(req.user.user_id);
 
-    if (userError || !userId) {
+    if (!user) {
       return res.status(404).json({ error: "User not found." });
     }
 
-    const { error: updateError } = await supabase
-      .from("users")
-      .update({ email: newEmail })
-      .eq("user_id", userId);
+    if (newEmail === user.email) {
+      return res.status(400).json({ error: "This is already your email address." });
+    }
 
-    if (updateError) {
-      throw updateError;
+    if (await db.users.findByEmail(newEmail)) {
+      return res.status(400).json({ error: "Email already exists." });
     }
 
-    res.status(200).json({ message: "Email changed successfully." });
+    await db.users.update(user.user_id, { pending_email: newEmail });
+    await recordActivity("user.email_change_requested", { actorId: user.user_id, details: { to: newEmail } });
+
+    sendVerificationEmail(user, newEmail, "confirmEmailChange");
+    mail.enqueue("emailChangeRequested", user.email, { username: user.username, newEmail });
+
+    res.status(200).json({
+      message: "A confirmation link has been sent to the new address. Your email changes once it is confirmed.",
+      pendingEmail: newEmail,
+    });
   } catch (error) {
     console.error("Error changing email:", error);
     res.status(500).json({
@@ -414,24 +662,18 @@ router.post("/change-username", async (req, res) => {
   }
 
   try {
-    const { data: user, error: userError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    const user = await db.users.findById(userId);
 
-    if (userError || !user) {
+    if (!user) {
       return res.status(404).json({ error: "User not found." });
     }
 
-    const { error: updateError } = await supabase
-      .from("users")
-      .update({ username: newUsername })
-      .eq("user_id", userId);
-
-    if (updateError) {
-      throw updateError;
-    }
+    await db.users.update(userId, { username: newUsername });
+    await recordActivity("user.username_changed", {
+      actorId: req.user.user_id,
+      targetUserId: user.user_id,
+      details: { from: user.username, to: newUsername },
+    });
 
     res.status(200).json({ message: "Username changed successfully." });
   } catch (error) {
@@ -461,24 +703,14 @@ router.post("/change-image", async (req, res) => {
         .json({ error: "User ID and new profile image URL are required." });
     }
 
-    const { data: user, error: userError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    const user = await db.users.findById(userId);
 
-    if (userError || !user) {
+    if (!user) {
       return res.status(404).json({ error: "User not found." });
     }
 
-    const { error: updateError } = await supabase
-      .from("users")
-      .update({ user_avatar: newProfileImageUrl })
-      .eq("user_id", userId);
-
-    if (updateError) {
-      throw updateError;
-    }
+    await db.users.update(userId, { user_avatar: newProfileImageUrl });
+    await recordActivity("user.avatar_changed", { actorId: req.user.user_id, targetUserId: user.user_id });
 
     res.status(200).json({ message: "User avatar changed successfully." });
   } catch (error) {
@@ -503,35 +735,24 @@ router.post("/delete", async (req, res) => {
   }
 
   try {
-    const { data: user, error: userError } = await supabase
-      .from("users")
-      .select("*")
-      .eq("user_id", userId)
-      .single();
+    const user = await db.users.findById(userId);
 
-    if (userError || !user) {
+    if (!user) {
       return res.status(404).json({ error: "User not found." });
     }
 
     /*Delete all notes associated with userId in user_notes table*/
-    const { error: deleteNotesError } = await supabase
-      .from("user_notes")
-      .delete()
-      .eq("user_id", userId);
+    await db.userNotes.deleteByUser(userId);
 
-    if (deleteNotesError) {
-      throw deleteNotesError;
-    }
+    await revokeAllSessions(userId, "account_deleted");
 
     /*finally delete user from the db*/
-    const { error: deleteUserError } = await supabase
-      .from("users")
-      .delete()
-      .eq("user_id", userId);
-
-    if (deleteUserError) {
-      throw deleteUserError;
-    }
+    await db.users.delete(userId);
+    await recordActivity("user.deleted", {
+      actorId: req.user.user_id,
+      targetUserId: user.user_id,
+      details: { username: user.username },
+    });
 
     res
       .status(200)
@@ -0,0 +1,157 @@
+// backend/routes/versionRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import authenticateToken from '../middleware/authMiddleware.js';
+import requireNoteRole from '../middleware/noteAccess.js';
+import { withDocument } from '../collab/documents.js';
+import { getConnectedUsers } from '../collab/connections.js';
+import {
+  getVersion,
+  listVersions,
+  loadVersionDocument,
+  renderDocument,
+  restoreVersionContent,
+  saveVersion,
+} from '../collab/versions.js';
+import { recordActivity } from '../services/activity.js';
+
+const router = express.Router();
+
+/**
+ * Find a version of a note by ID.
+ * @param {string} noteId - The ID of the note.
+ * @param {string} versionId - The ID of the version.
+ * @returns {Promise<Object|null>} - The version, or null if it does not belong to the note.
+ */
+const findVersion = async (noteId, versionId) =>
+  validator.isInt(versionId) ? getVersion(noteId, versionId) : null;
+
+/**
+ * List the saved versions of a note, newest first.
+ * @route GET /api/notes/:id/versions
+ * @access Private (viewer)
+ */
+router.get('/notes/:id/versions', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const id = validator.trim(req.params.id);
+
+  try {
+    const versions = await listVersions(id);
+    res.json(versions);
+  } catch (error) {
+    console.error('Error fetching versions:', error);
+    res.status(500).json({ error: 'An error occurred while fetching versions', details: error.message });
+  }
+});
+
+/**
+ * Save a named snapshot of the current state of a note.
+ * @route POST /api/notes/:id/versions
+ * @access Private (editor)
+ */
+router.post('/notes/:id/versions', authenticateToken, requireNoteRole('editor'), async (req, res) => {
+  const id = validator.trim(req.params.id);
+  let { name } = req.body;
+
+  name = typeof name === 'string' ? validator.trim(name) : '';
+
+  if (!name) {
+    return res.status(400).json({ error: 'Version name is required.' });
+  }
+
+  try {
+    const version = await withDocument(id, (ydoc) =>
+      saveVersion(id, ydoc, {
+        kind: 'named',
+        name,
+        createdBy: req.user.user_id,
+        connectedUsers: getConnectedUsers(id),
+      })
+    );
+
+    await recordActivity('note.version_created', {
+      actorId: req.user.user_id,
+      noteId: req.noteMembership.note_id,
+      details: { version_id: version.version_id, name },
+    });
+
+    res.status(201).json(version);
+  } catch (error) {
+    console.error('Error saving version:', error);
+    res.status(500).json({ error: 'An error occurred while saving the version', details: error.message });
+  }
+});
+
+/**
+ * Get a version of a note with its rendered text.
+ * @route GET /api/notes/:id/versions/:versionId
+ * @access Private (viewer)
+ */
+router.get('/notes/:id/versions/:versionId', authenticateToken, requireNoteRole('viewer'), async (req, res) => {
+  const id = validator.trim(req.params.id);
+  const versionId = validator.trim(req.params.versionId);
+
+  try {
+    const version = await findVersion(id, versionId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { yjs_state, ...metadata } = version;
+    const versionDoc = loadVersionDocument(version);
+    const content = renderDocument(versionDoc);
+    versionDoc.destroy();
+
+    res.json({ ...metadata, content });
+  } catch (error) {
+    console.error('Error fetching version:', error);
+    res.status(500).json({ error: 'An error occurred while fetching the version', details: error.message });
+  }
+});
+
+/**
+ * Restore a note to a saved version.
+ * The current state is saved as a named version first, so a restore can be undone.
+ * @route POST /api/notes/:id/versions/:versionId/restore
+ * @access Private (editor)
+ */
+router.post('/notes/:id/versions/:versionId/restore', authenticateToken, requireNoteRole('editor'), async (req, res) => {
+  const id = validator.trim(req.params.id);
+  const versionId = validator.trim(req.params.versionId);
+
+  try {
+    const version = await findVersion(id, versionId);
+
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const versionDoc = loadVersionDocument(version);
+
+    const content = await withDocument(id, async (ydoc) => {
+      await saveVersion(id, ydoc, {
+        kind: 'named',
+        name: `Before restoring version ${versionId}`,
+        createdBy: req.user.user_id,
+        connectedUsers: getConnectedUsers(id),
+      });
+      restoreVersionContent(ydoc, versionDoc);
+      return renderDocument(ydoc);
+    });
+    versionDoc.destroy();
+
+    await recordActivity('note.version_restored', {
+      actorId: req.user.user_id,
+      noteId: req.noteMembership.note_id,
+      details: { version_id: version.version_id },
+    });
+
+    res.json({ message: 'Version restored successfully', version_id: version.version_id, content });
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    res.status(500).json({ error: 'An error occurred while restoring the version', details: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+// backend/routes/webhookRoutes.js
+
+import express from 'express';
+import validator from 'validator';
+import db from '../db/index.js';
+import authenticateToken from '../middleware/authMiddleware.js';
+import webhooks, {
+  DELIVERY_HISTORY_LIMIT,
+  MAX_WEBHOOKS_PER_USER,
+  WEBHOOK_EVENTS,
+  createWebhookSecret,
+  isBlockedWebhookTarget,
+  publicWebhook,
+} from '../services/webhooks.js';
+
+const router = express.Router();
+
+/**
+ * Validate the fields of a webhook sent by a client.
+ * @param {Object} body - req.body.
+ * @param {boolean} partial - Whether missing fields are kept as they are.
+ * @returns {{ fields?: Object, error?: string }}
+ */
+const webhookFieldsOf = (body, partial) => {
+  const fields = {};
+
+  if (body.url !== undefined || !partial) {
+    const url = typeof body.url === 'string' ? validator.trim(body.url) : '';
+    if (!validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false })) {
+      return { error: 'url must be an http or https URL.' };
+    }
+    fields.url = url;
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}.` };
+    }
+    fields.events = events;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== 'string') {
+      return { error: 'description must be a string.' };
+    }
+    fields.description = body.description && validator.trim(body.description).slice(0, 200);
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') {
+      return { error: 'active must be true or false.' };
+    }
+    fields.active = body.active;
+  }
+
+  return { fields };
+};
+
+/**
+ * Check a webhook URL at registration. Host names that do not resolve (yet)
+ * are let through; every delivery checks the address again anyway.
+ * @param {string} url - The webhook URL.
+ * @returns {Promise<boolean>} - Whether it points at a private or reserved address.
+ */
+const isPrivateTarget = async (url) => {
+  try {
+    return await isBlockedWebhookTarget(url);
+  } catch (err) {
+    return false;
+  }
+};
+
+const PRIVATE_TARGET_ERROR = 'url must point to a public address, not a private or internal one.';
+
+/**
+ * Find one of the authenticated user's webhooks.
+ * @param {string} webhookId - The ID from the URL.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<Object|null>}
+ */
+const findOwnWebhook = async (webhookId, userId) => {
+  const webhook = validator.isInt(webhookId) ? await db.webhooks.findById(webhookId) : null;
+  return webhook && String(webhook.user_id) === String(userId) ? webhook : null;
+};
+
+/**
+ * Register a webhook. Events of every note the user has access to are sent
+ * to it, signed with the secret in the response, which is not shown again.
+ * @route POST /api/webhooks
+ * @access Private
+ */
+router.post('/webhooks', authenticateToken, async (req, res) => {
+  const { fields, error } = webhookFieldsOf(req.body, false);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (await isPrivateTarget(fields.url)) {
+      return res.status(400).json({ error: PRIVATE_TARGET_ERROR });
+    }
+
+    const existing = await db.webhooks.listByUser(req.user.user_id);
+
+    if (existing.length >= MAX_WEBHOOKS_PER_USER) {
+      return res.status(400).json({ error: `You can register at most ${MAX_WEBHOOKS_PER_USER} webhooks.` });
+    }
+
+    const webhook = await db.webhooks.create({ ...fields, user_id: req.user.user_id, secret: createWebhookSecret() });
+
+    res.status(201).json({ ...publicWebhook(webhook), secret: webhook.secret });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'An error occurred while creating the webhook', details: error.message });
+  }
+});
+
+/**
+ * List the authenticated user's webhooks.
+ * @route GET /api/webhooks
+ * @access Private
+ */
+router.get('/webhooks', authenticateToken, async (req, res) => {
+  try {
+    const data = await db.webhooks.listByUser(req.user.user_id);
+
+    res.json(data.map(publicWebhook));
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'An error occurred while fetching webhooks', details: error.message });
+  }
+});
+
+/**
+ * Change the URL, events, description of a webhook, or turn it on and off.
+ * @route PUT /api/webhooks/:id
+ * @access Private (owner of the webhook)
+ */
+router.put('/webhooks/:id', authenticateToken, async (req, res) => {
+  const { fields, error } = webhookFieldsOf(req.body, true);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const webhook = await findOwnWebhook(validator.trim(req.params.id), req.user.user_id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    if (fields.url && await isPrivateTarget(fields.url)) {
+      return res.status(400).json({ error: PRIVATE_TARGET_ERROR });
+    }
+
+    const data = await db.webhooks.update(webhook.webhook_id, fields);
+
+    res.json(publicWebhook(data));
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'An error occurred while updating the webhook', details: error.message });
+  }
+});
+
+/**
+ * Delete a webhook together with its delivery history.
+ * @route DELETE /api/webhooks/:id
+ * @access Private (owner of the webhook)
+ */
+router.delete('/webhooks/:id', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(validator.trim(req.params.id), req.user.user_id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await db.webhooks.delete(webhook.webhook_id);
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'An error occurred while deleting the webhook', details: error.message });
+  }
+});
+
+/**
+ * The most recent deliveries of a webhook, newest first.
+ * @route GET /api/webhooks/:id/deliveries
+ * @access Private (owner of the webhook)
+ */
+router.get('/webhooks/:id/deliveries', authenticateToken, async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(validator.trim(req.params.id), req.user.user_id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json(await db.webhookDeliveries.listByWebhook(webhook.webhook_id, DELIVERY_HISTORY_LIMIT));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'An error occurred while fetching deliveries', details: error.message });
+  }
+});
+
+/**
+ * Send a delivery again, with the same payload. It is tracked as a new
+ * delivery that points back to the original one.
+ * @route POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ * @access Private (owner of the webhook)
+ */
+router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', authenticateToken, async (req, res) => {
+  const deliveryId = validator.trim(req.params.deliveryId);
+
+  try {
+    const webhook = await findOwnWebhook(validator.trim(req.params.id), req.user.user_id);
+    const delivery = webhook && validator.isUUID(deliveryId) ? await db.webhookDeliveries.findById(deliveryId) : null;
+
+    if (!delivery || String(delivery.webhook_id) !== String(webhook.webhook_id)) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    const redelivery = await webhooks.enqueue(webhook, delivery.payload, delivery.delivery_id);
+
+    res.status(202).json(redelivery);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).json({ error: 'An error occurred while redelivering', details: error.message });
+  }
+});
+
+export default router;
@@ -5,9 +5,22 @@ import cors from 'cors';
 import dotenv from 'dotenv';
 import noteRoutes from './routes/noteRoutes.js';
 import userRoutes from './routes/userRoutes.js';
-import { createClient } from '@supabase/supabase-js';
-import * as Y from 'yjs';
+import versionRoutes from './routes/versionRoutes.js';
+import tagRoutes from './routes/tagRoutes.js';
+import categoryRoutes from './routes/categoryRoutes.js';
+import trashRoutes from './routes/trashRoutes.js';
+import importExportRoutes from './routes/importExportRoutes.js';
+import shareLinkRoutes from './routes/shareLinkRoutes.js';
+import commentRoutes from './routes/commentRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import webhookRoutes from './routes/webhookRoutes.js';
 import { setupWSConnection } from 'y-websocket/bin/utils';
+import { authorizeUpgrade, handleProtocols, makeReadOnly, rejectUpgrade } from './collab/wsAuth.js';
+import { flushDocuments } from './collab/documents.js';
+import { trackConnection } from './collab/connections.js';
+import { SOCKET_PATH, attachSocketServer } from './collab/socket.js';
+import { purgeTrash } from './services/notes.js';
+import webhooks from './services/webhooks.js';
 
 dotenv.config();
 
@@ -16,118 +29,121 @@ const server = http.createServer(app);
 
 const port = process.env.PORT || 3001;
 
+// Behind a reverse proxy, req.ip (which the rate limits key on) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 app.use(cors({
   origin: new URL(process.env.FRONTEND_URL || "http://localhost:3000").origin,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  exposedHeaders: ["Retry-After", "ETag"],
   credentials: true
 }));
 
 app.options('*', cors({
   origin: new URL(process.env.FRONTEND_URL || "http://localhost:3000").origin,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
+  exposedHeaders: ["Retry-After", "ETag"],
   credentials: true
 }));
 
 app.use(express.json());
 
 // API Routes
+// Import/export go first, so /notes/export is not taken for a note ID
+app.use('/api', importExportRoutes);
 app.use('/api', noteRoutes);
+app.use('/api', versionRoutes);
+app.use('/api', tagRoutes);
+app.use('/api', categoryRoutes);
+app.use('/api', trashRoutes);
+app.use('/api', shareLinkRoutes);
+app.use('/api', commentRoutes);
+app.use('/api', notificationRoutes);
+app.use('/api', webhookRoutes);
 app.use('/api/users', userRoutes);
 
-// Supabase Client Initialization
-if (!process.env.SUPABASE_URL || !process.env.SUPABASE_KEY) {
-  console.error('Supabase URL or Key is missing. Please check your .env file.');
-  process.exit(1);
-}
+// Yjs rooms, documents are loaded from and persisted to the database by collab/documents.js
+const wss = new WebSocketServer({ noServer: true, handleProtocols });
 
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+wss.on('connection', (ws, req, access) => {
+  console.log(`New WebSocket connection established for note ${access.noteId} by user ${access.user.user_id} (${access.role}).`);
 
-const docs = new Map();
+  if (access.role === 'viewer') {
+    makeReadOnly(ws);
+  }
 
-/**
- * Load Yjs document from Supabase.
- * @param {string} noteId - The ID of the note to load.
- * @returns {Promise<Y.Doc>} - The loaded Yjs document.
- */
-const loadDocument = async (noteId) => {
-  if (docs.has(noteId)) return docs.get(noteId);
+  trackConnection(access.noteId, ws, access.user, access.role);
+  setupWSConnection(ws, req, { gc: true, docName: access.noteId });
+});
 
-  const ydoc = new Y.Doc();
-  try {
-    const { data, error } = await supabase
-      .from('notes')
-      .select('content, yjs_state')
-      .eq('note_id', noteId)
-      .single();
-
-    if (error) throw error;
-
-    if (data.yjs_state) {
-      const decodedState = Buffer.from(data.yjs_state, 'base64');
-      Y.applyUpdate(ydoc, decodedState);
-    } else if (data.content) {
-      // Initialize Yjs document with existing content
-      ydoc.getText('content').insert(0, data.content);
-      const state = Buffer.from(Y.encodeStateAsUpdate(ydoc)).toString('base64');
-      await supabase
-        .from('notes')
-        .update({ yjs_state: state })
-        .eq('note_id', noteId);
-    }
-    console.log(`Loaded document ${noteId}`);
-  } catch (err) {
-    console.error(`Error loading document ${noteId}:`, err);
-  }
+// Live notifications, on their own Socket.IO channel
+attachSocketServer(server, {
+  origin: new URL(process.env.FRONTEND_URL || "http://localhost:3000").origin,
+  credentials: true
+});
 
-  docs.set(noteId, ydoc);
-  return ydoc;
-};
+// Handle WebSocket upgrade requests, only members of the note may join its room
+server.on('upgrade', async (request, socket, head) => {
+  // Socket.IO answers its own upgrades
+  if ((request.url || '').startsWith(`${SOCKET_PATH}/`)) return;
 
-/**
- * Persist Yjs document to Supabase.
- * @param {string} noteId - The ID of the note to persist.
- * @param {Y.Doc} ydoc - The Yjs document to persist.
- */
-const persistDocument = async (noteId, ydoc) => {
-  try {
-    const state = Buffer.from(Y.encodeStateAsUpdate(ydoc)).toString('base64');
-    await supabase
-      .from('notes')
-      .update({ yjs_state: state, last_update: new Date().toISOString() })
-      .eq('note_id', noteId);
-    console.log(`Persisted document ${noteId} to Supabase.`);
-  } catch (err) {
-    console.error(`Error persisting document ${noteId}:`, err);
-  }
-};
+  console.log('Handling WebSocket upgrade request.');
 
-// Load Yjs documents from Supabase
-const wss = new WebSocketServer({ noServer: true });
+  try {
+    const access = await authorizeUpgrade(request);
 
-wss.on('connection', (ws, req) => {
-  console.log('New WebSocket connection established.');
-  setupWSConnection(ws, req, { docs: docs, gc: true });
-});
+    if (access.error) {
+      console.warn(`WebSocket upgrade rejected (${access.status}): ${access.error}`);
+      return rejectUpgrade(socket, access.status, access.error);
+    }
 
-// Handle WebSocket upgrade requests
-server.on('upgrade', (request, socket, head) => {
-  console.log('Handling WebSocket upgrade request.');
-  wss.handleUpgrade(request, socket, head, (ws) => {
-    wss.emit('connection', ws, request);
-  });
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request, access);
+    });
+  } catch (err) {
+    console.error('Error authorizing WebSocket upgrade:', err);
+    rejectUpgrade(socket, 500, 'An error occurred while authorizing the connection');
+  }
 });
 
-// Persistence interval
-const PERSISTENCE_INTERVAL = 5 * 60 * 1000;
+// Notes are purged from the trash once their retention period (TRASH_RETENTION_DAYS) has passed
+const TRASH_PURGE_INTERVAL = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60', 10) * 60 * 1000;
 
 setInterval(() => {
-  for (const [noteId, ydoc] of docs.entries()) {
-    persistDocument(noteId, ydoc);
-  }
-}, PERSISTENCE_INTERVAL);
+  purgeTrash().catch(err => console.error('Error purging trash:', err));
+}, TRASH_PURGE_INTERVAL).unref();
+
+// The webhook queue lives in memory, deliveries a previous run left unsent are queued again
+webhooks.resume()
+  .then(count => count > 0 && console.log(`Resumed ${count} pending webhook deliveries.`))
+  .catch(err => console.error('Error resuming webhook deliveries:', err));
 
 server.listen(port, () => {
   console.log(`Server running on port ${port}`);
 });
 
+// Documents are written back shortly after each change; flush what is still pending before exiting
+const SHUTDOWN_TIMEOUT = 30 * 1000;
+
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, saving open documents before shutting down.`);
+  server.close();
+  setTimeout(() => {
+    console.error('Shutdown timed out, exiting with unsaved documents.');
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+
+  const failed = await flushDocuments();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+// The test suites import this module, jest must keep its own signal handling
+if (process.env.NODE_ENV !== 'test') {
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
+
 export { app, server };
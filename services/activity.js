@@ -0,0 +1,116 @@
+import validator from 'validator';
+import db from '../db/index.js';
+import { decodeIdCursor, encodeIdCursor, INVALID_CURSOR } from './cursor.js';
+
+/**
+ * The activity log: an append-only record of who did what to which note or
+ * account. Rows are only ever inserted; `target_user_id` is the user an event
+ * is about, e.g. the one a note was shared with or whose account was changed.
+ */
+
+export const ACTIVITY_TYPES = [
+  'note.created',
+  'note.updated',
+  'note.edited',
+  'note.categorized',
+  'note.shared',
+  'note.unshared',
+  'note.role_changed',
+  'note.link_created',
+  'note.link_revoked',
+  'note.version_created',
+  'note.version_restored',
+  'note.trashed',
+  'note.restored',
+  'note.deleted',
+  'user.registered',
+  'user.email_verified',
+  'user.email_change_requested',
+  'user.email_changed',
+  'user.logged_in',
+  'user.logged_out',
+  'user.session_revoked',
+  'user.password_changed',
+  'user.password_reset',
+  'user.username_changed',
+  'user.avatar_changed',
+  'user.deleted',
+];
+
+export const DEFAULT_ACTIVITY_PAGE_SIZE = 50;
+export const MAX_ACTIVITY_PAGE_SIZE = 100;
+
+/**
+ * Add an entry to the activity log. Failures are logged and swallowed, the
+ * action that is being recorded has already happened.
+ * @param {string} type - One of ACTIVITY_TYPES.
+ * @param {Object} entry
+ * @param {number|null} [entry.actorId] - The user who did it; null for the system.
+ * @param {number|null} [entry.noteId] - The note it happened to.
+ * @param {number|null} [entry.targetUserId] - The user it concerns.
+ * @param {Object} [entry.details] - Event-specific data.
+ */
+export const recordActivity = async (type, { actorId = null, noteId = null, targetUserId = null, details = {} } = {}) => {
+  try {
+    await db.activity.create({
+      type,
+      actor_id: actorId,
+      note_id: noteId,
+      target_user_id: targetUserId,
+      details,
+    });
+  } catch (err) {
+    console.error(`Error recording activity "${type}":`, err);
+  }
+};
+
+/**
+ * Read one page of the activity log, newest first, with the actor and target
+ * of every entry looked up. Users that no longer exist come back as null.
+ * @param {Object} filter - `{ noteId }` for a note's feed, `{ userId }` for a personal one.
+ * @param {Object} options - From parseActivityQuery.
+ * @returns {Promise<{ activity: Array<Object>, nextCursor: string|null }>}
+ */
+export const listActivity = async (filter, { types, limit, before }) => {
+  const entries = await db.activity.list({ ...filter, types, before, limit: limit + 1 });
+  const page = entries.slice(0, limit);
+
+  const ids = [...new Set(page.flatMap(entry => [entry.actor_id, entry.target_user_id]).filter(id => id != null).map(String))];
+  const users = new Map((await Promise.all(ids.map(id => db.users.findById(id))))
+    .filter(Boolean)
+    .map(user => [String(user.user_id), { user_id: user.user_id, username: user.username }]));
+  const userOf = (id) => (id == null ? null : users.get(String(id)) ?? null);
+
+  return {
+    activity: page.map(entry => ({ ...entry, actor: userOf(entry.actor_id), target_user: userOf(entry.target_user_id) })),
+    nextCursor: entries.length > limit ? encodeIdCursor(page[page.length - 1].activity_id) : null,
+  };
+};
+
+/**
+ * Turn the query string of an activity feed into list options for db.activity.list.
+ * Supports `type` (comma separated), `limit` and `cursor`.
+ * @param {Object} query - req.query.
+ * @returns {{ options?: Object, error?: string }}
+ */
+export const parseActivityQuery = (query) => {
+  const param = (name) => (typeof query[name] === 'string' ? validator.trim(query[name]) : '');
+
+  const types = param('type') ? param('type').split(',').map(type => type.trim()).filter(Boolean) : [];
+  const unknown = types.find(type => !ACTIVITY_TYPES.includes(type));
+  if (unknown) {
+    return { error: `Unknown activity type "${unknown}".` };
+  }
+
+  const limit = param('limit') ? parseInt(param('limit'), 10) : DEFAULT_ACTIVITY_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ACTIVITY_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_ACTIVITY_PAGE_SIZE}.` };
+  }
+
+  const before = param('cursor') ? decodeIdCursor(param('cursor')) : null;
+  if (param('cursor') && before === null) {
+    return { error: INVALID_CURSOR };
+  }
+
+  return { options: { types, limit, before } };
+};
@@ -0,0 +1,156 @@
+import validator from 'validator';
+import db from '../db/index.js';
+
+/**
+ * Helpers for the category tree of a user. Categories point to their parent
+ * with `parent_id` (null for top-level ones); notes are filed into a category
+ * per user through `user_notes.category_id`.
+ */
+
+/**
+ * Collect the IDs of a category and every category below it.
+ * @param {Array<Object>} categories - All categories of the user.
+ * @param {number} categoryId - The root of the subtree.
+ * @returns {number[]} - Parents before their children.
+ */
+export const subtreeIds = (categories, categoryId) => {
+  const ids = [];
+  const queue = [categoryId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    ids.push(id);
+    categories
+      .filter(category => category.parent_id != null && String(category.parent_id) === String(id))
+      .forEach(category => queue.push(category.category_id));
+  }
+
+  return ids;
+};
+
+/**
+ * Check whether moving a category under a new parent would make it its own ancestor.
+ * @param {Array<Object>} categories - All categories of the user.
+ * @param {number} categoryId - The category being moved.
+ * @param {number|null} parentId - The new parent.
+ * @returns {boolean}
+ */
+export const createsCycle = (categories, categoryId, parentId) =>
+  parentId != null && subtreeIds(categories, categoryId).some(id => String(id) === String(parentId));
+
+/**
+ * Nest a flat list of categories into a tree.
+ * @param {Array<Object>} categories - All categories of the user.
+ * @param {Map<string, number>} [noteCounts] - Notes filed directly in each category, by ID.
+ * @returns {Array<Object>} - The top-level categories, each with `children` and `note_count`.
+ */
+export const buildTree = (categories, noteCounts = new Map()) => {
+  const nodes = new Map(categories.map(category => [
+    String(category.category_id),
+    { ...category, note_count: noteCounts.get(String(category.category_id)) || 0, children: [] },
+  ]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent_id != null && nodes.get(String(node.parent_id));
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sortByName = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sortByName(node.children));
+    return list;
+  };
+
+  return sortByName(roots);
+};
+
+/**
+ * Check whether a sibling already uses a name, ignoring case.
+ * @param {Array<Object>} categories - All categories of the user.
+ * @param {string} name - The name.
+ * @param {number|null} parentId - The parent the name would live under.
+ * @param {number} [exceptId] - A category to ignore, e.g. the one being renamed.
+ * @returns {boolean}
+ */
+export const nameTaken = (categories, name, parentId, exceptId) =>
+  categories.some(category =>
+    String(category.parent_id ?? '') === String(parentId ?? '') &&
+    String(category.category_id) !== String(exceptId) &&
+    category.name.toLowerCase() === name.toLowerCase()
+  );
+
+/**
+ * List the names from the top-level category down to the given one.
+ * @param {Array<Object>} categories - All categories of the user.
+ * @param {number|null} categoryId - The category.
+ * @returns {string[]} - Empty for notes that are not filed.
+ */
+export const categoryPath = (categories, categoryId) => {
+  const names = [];
+  let category = categories.find(candidate => String(candidate.category_id) === String(categoryId));
+
+  while (category && names.length < categories.length) {
+    names.unshift(category.name);
+    const parentId = category.parent_id;
+    category = parentId == null ? null : categories.find(candidate => String(candidate.category_id) === String(parentId));
+  }
+
+  return names;
+};
+
+/**
+ * Find the category at a path of names, creating whatever is missing.
+ * Names are matched ignoring case, like nameTaken does.
+ * @param {number} userId - The ID of the user.
+ * @param {Array<Object>} categories - All categories of the user; created ones are added to it.
+ * @param {string[]} names - The path, top-level first.
+ * @returns {Promise<number|null>} - The ID of the last category, null for an empty path.
+ */
+export const ensureCategoryPath = async (userId, categories, names) => {
+  let parentId = null;
+
+  for (const name of names) {
+    let category = categories.find(candidate =>
+      String(candidate.parent_id ?? '') === String(parentId ?? '') &&
+      candidate.name.toLowerCase() === name.toLowerCase()
+    );
+
+    if (!category) {
+      category = await db.categories.create({ name, user_id: userId, parent_id: parentId });
+      categories.push(category);
+    }
+
+    parentId = category.category_id;
+  }
+
+  return parentId;
+};
+
+/**
+ * Whether two category IDs (or nulls for "no category") name the same category.
+ * @param {number|string|null|undefined} a
+ * @param {number|string|null|undefined} b
+ * @returns {boolean}
+ */
+export const isSameCategory = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * Resolve a category ID sent by a client, which must name one of the user's
+ * own categories. Null or an empty string stands for "no category".
+ * @param {number} userId - The ID of the user.
+ * @param {*} value - The category_id from the request.
+ * @returns {Promise<{ categoryId?: number|null, error?: string }>} - categoryId is undefined if no value was sent.
+ */
+export const resolveCategory = async (userId, value) => {
+  if (value === undefined) return { categoryId: undefined };
+  if (value === null || value === '') return { categoryId: null };
+
+  const category = validator.isInt(String(value)) ? await db.categories.findById(value) : null;
+
+  if (!category || String(category.user_id) !== String(userId)) {
+    return { error: 'category_id must be the ID of one of your categories.' };
+  }
+
+  return { categoryId: category.category_id };
+};
@@ -0,0 +1,136 @@
+import Y from '../collab/yjs.js';
+
+/**
+ * Comment threads and their anchors. A thread can be anchored to a range of
+ * the note's text; the range is stored as two Yjs relative positions, so it
+ * keeps pointing at the same characters while the text around it is edited.
+ */
+
+export const MAX_COMMENT_LENGTH = 5000;
+
+const encodePosition = (relativePosition) => Buffer.from(Y.encodeRelativePosition(relativePosition)).toString('base64');
+
+/**
+ * Resolve an encoded relative position against the text of a document.
+ * @param {Y.Doc} ydoc - The document.
+ * @param {string} encoded - A base64 encoded relative position.
+ * @returns {number|null} - The index in the text, or null if it does not belong to it.
+ */
+const indexOf = (ydoc, encoded) => {
+  // getText first: it turns the untyped root that loading an update leaves behind into the Y.Text
+  const text = ydoc.getText('content');
+
+  try {
+    const absolute = Y.createAbsolutePositionFromRelativePosition(
+      Y.decodeRelativePosition(Buffer.from(encoded, 'base64')),
+      ydoc
+    );
+    return absolute && absolute.type === text ? absolute.index : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Turn the anchor sent with a new thread into the positions to store.
+ * Clients that have the document open send relative positions they created
+ * themselves, `{ start, end }` base64 encoded; others may send a range of the
+ * current text, `{ index, length }`, which is converted here. The end is
+ * attached to the character before it, so typing right after the range does
+ * not grow it.
+ * @param {Y.Doc} ydoc - The current document of the note.
+ * @param {Object} anchor - The anchor from the request.
+ * @returns {{ anchor_start?: string, anchor_end?: string, error?: string }}
+ */
+export const createAnchor = (ydoc, anchor) => {
+  const text = ydoc.getText('content');
+
+  if (typeof anchor?.start === 'string' && typeof anchor?.end === 'string') {
+    const start = indexOf(ydoc, anchor.start);
+    const end = indexOf(ydoc, anchor.end);
+
+    if (start === null || end === null || end < start) {
+      return { error: 'The anchor does not match the content of the note.' };
+    }
+
+    return { anchor_start: anchor.start, anchor_end: anchor.end };
+  }
+
+  const { index, length } = anchor ?? {};
+
+  if (!Number.isInteger(index) || !Number.isInteger(length) || index < 0 || length < 1 || index + length > text.length) {
+    return { error: 'anchor must be { start, end } relative positions or an { index, length } range of the text.' };
+  }
+
+  return {
+    anchor_start: encodePosition(Y.createRelativePositionFromTypeIndex(text, index)),
+    anchor_end: encodePosition(Y.createRelativePositionFromTypeIndex(text, index + length, -1)),
+  };
+};
+
+/**
+ * Resolve the stored anchor of a thread against the current text.
+ * When all of the anchored text was deleted the range is empty and the
+ * thread is reported as detached.
+ * @param {Y.Doc} ydoc - The current document of the note.
+ * @param {Object} comment - A comments row.
+ * @returns {Object|null} - `{ start, end, index, length, quote, detached }`, or null if not anchored.
+ */
+export const resolveAnchor = (ydoc, comment) => {
+  if (!comment.anchor_start || !comment.anchor_end) return null;
+
+  const start = indexOf(ydoc, comment.anchor_start);
+  const end = indexOf(ydoc, comment.anchor_end);
+  const length = start !== null && end !== null ? Math.max(end - start, 0) : 0;
+
+  return {
+    start: comment.anchor_start,
+    end: comment.anchor_end,
+    index: start,
+    length,
+    quote: length > 0 ? ydoc.getText('content').toString().slice(start, end) : '',
+    detached: length === 0,
+  };
+};
+
+/**
+ * Shape a comment for clients.
+ * @param {Object} comment - A comments row.
+ * @param {Map<string, Object>} authors - Users by ID, see loadAuthors in the routes.
+ * @param {Y.Doc} [ydoc] - The current document, to resolve the anchor of a thread.
+ * @returns {Object}
+ */
+export const serializeComment = (comment, authors, ydoc) => {
+  const { anchor_start, anchor_end, author_id, deleted_on, ...fields } = comment;
+  const serialized = {
+    ...fields,
+    author: authors.get(String(author_id)) ?? null,
+    deleted: Boolean(deleted_on),
+  };
+
+  if (comment.parent_id == null) {
+    serialized.anchor = ydoc ? resolveAnchor(ydoc, comment) : null;
+  }
+
+  return serialized;
+};
+
+/**
+ * Group the comments of a note into threads, oldest first, each with its replies.
+ * @param {Array<Object>} comments - All comments of the note, oldest first.
+ * @param {Map<string, Object>} authors - Users by ID.
+ * @param {Y.Doc} ydoc - The current document of the note.
+ * @returns {Array<Object>}
+ */
+export const buildThreads = (comments, authors, ydoc) => {
+  const threads = comments
+    .filter(comment => comment.parent_id == null)
+    .map(comment => ({ ...serializeComment(comment, authors, ydoc), replies: [] }));
+  const byId = new Map(threads.map(thread => [String(thread.comment_id), thread]));
+
+  comments
+    .filter(comment => comment.parent_id != null)
+    .forEach(comment => byId.get(String(comment.parent_id))?.replies.push(serializeComment(comment, authors)));
+
+  return threads;
+};
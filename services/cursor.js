@@ -0,0 +1,46 @@
+/**
+ * Page cursors: the position of the last item of a page, as base64url
+ * encoded JSON, passed back by the client to get the page after it. Every
+ * list decodes them here, so a cursor that was tampered with or belongs to
+ * no list is refused the same way everywhere.
+ */
+
+export const INVALID_CURSOR = 'Invalid cursor.';
+
+/**
+ * Encode a position as an opaque cursor.
+ * @param {Object} position - A JSON-serialisable object.
+ * @returns {string}
+ */
+export const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor made by encodeCursor.
+ * @param {string} cursor - The cursor.
+ * @returns {Object|null} - The position, or null if the cursor does not hold one.
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position !== null && typeof position === 'object' && !Array.isArray(position) ? position : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * The cursor of a newest-first list paged by row ID.
+ * @param {number} id - The ID of the last row of a page.
+ * @returns {string}
+ */
+export const encodeIdCursor = (id) => encodeCursor({ id });
+
+/**
+ * Decode a cursor made by encodeIdCursor.
+ * @param {string} cursor - The cursor.
+ * @returns {number|null} - The row ID, or null if the cursor is not valid.
+ */
+export const decodeIdCursor = (cursor) => {
+  const id = decodeCursor(cursor)?.id;
+  return Number.isInteger(id) ? id : null;
+};
@@ -0,0 +1,47 @@
+import jwt from 'jsonwebtoken';
+
+/* How long a verification link stays valid */
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10);
+
+/* Keeps verification links from being accepted anywhere else a JWT is */
+const AUDIENCE = 'email-verification';
+
+/**
+ * Sign a token proving that whoever holds it received mail at `email`.
+ * The address is part of the token, so a link stops working once the user
+ * moved on to another address.
+ * @param {number} userId - The ID of the user.
+ * @param {string} email - The address the link is sent to.
+ * @returns {string}
+ */
+export const createVerificationToken = (userId, email) =>
+  jwt.sign({ user_id: userId, email }, process.env.JWT_SECRET, {
+    audience: AUDIENCE,
+    expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h`,
+  });
+
+/**
+ * Check a token from a verification link.
+ * @param {string} token - The token.
+ * @returns {{ user_id: number, email: string }|null} - The claims, or null if the token is not valid.
+ */
+export const readVerificationToken = (token) => {
+  try {
+    const { user_id, email } = jwt.verify(token, process.env.JWT_SECRET, { audience: AUDIENCE });
+    return { user_id, email };
+  } catch (err) {
+    if (!(err instanceof jwt.JsonWebTokenError)) throw err;
+    return null;
+  }
+};
+
+/**
+ * Build the link that confirms an email address.
+ * @param {string} token - The token.
+ * @returns {string}
+ */
+export const buildVerificationLink = (token) => {
+  const url = new URL('/pages/verify-email', process.env.FRONTEND_URL || 'http://localhost:3000');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
@@ -0,0 +1,154 @@
+import { randomUUID } from 'crypto';
+import dotenv from 'dotenv';
+import db from '../../db/index.js';
+import { renderTemplate } from './templates.js';
+import { createTransport } from './transports.js';
+
+dotenv.config();
+
+const MAX_ATTEMPTS = parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_MS = parseInt(process.env.MAIL_RETRY_BASE_MS || '2000', 10);
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+/**
+ * Create a mail service that sends templated mail from a background queue.
+ * Enqueuing never waits on the transport, and failed sends are retried with
+ * exponential backoff. Every message is tracked in the mail_deliveries log.
+ * @param {Object} options
+ * @param {Object} options.transport - A transport from ./transports.js.
+ * @param {Object} options.deliveries - The mailDeliveries repository.
+ * @param {string} [options.from] - The sender address.
+ * @param {number} [options.maxAttempts] - Attempts before a message is given up on.
+ * @param {number} [options.retryBaseMs] - Delay before the first retry, doubled on each further one.
+ * @returns {Object} - The mail service.
+ */
+export const createMailService = ({
+  transport,
+  deliveries,
+  from,
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseMs = RETRY_BASE_MS,
+}) => {
+  const queue = [];
+  let timer = null;
+  let sending = null;
+  let idleWaiters = [];
+
+  /**
+   * Write to the delivery log without ever failing the caller.
+   * @param {Promise} write - The pending repository call.
+   */
+  const logDelivery = (write) =>
+    write.catch(err => console.error('Error writing mail delivery log:', err));
+
+  /**
+   * Send one job and either log it as sent or put it back for a retry.
+   * @param {Object} job - The queued job.
+   */
+  const deliver = async (job) => {
+    job.attempts += 1;
+    await job.logged;
+
+    try {
+      await transport.send(job.message, job.id);
+      console.log(`Email "${job.template}" sent to ${job.message.to} via ${transport.name}.`);
+      await logDelivery(deliveries.update(job.id, {
+        status: 'sent',
+        attempts: job.attempts,
+        last_error: null,
+        sent_on: new Date().toISOString(),
+      }));
+    } catch (err) {
+      const retry = job.attempts < maxAttempts;
+      console.error(`Error sending email "${job.template}" to ${job.message.to} (attempt ${job.attempts}):`, err.message);
+
+      if (retry) {
+        job.dueAt = Date.now() + Math.min(retryBaseMs * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+        queue.push(job);
+      }
+
+      await logDelivery(deliveries.update(job.id, {
+        status: retry ? 'retrying' : 'failed',
+        attempts: job.attempts,
+        last_error: err.message,
+      }));
+    }
+  };
+
+  /**
+   * Start the next due job, or wait until one is due.
+   */
+  const schedule = () => {
+    if (timer || sending) return;
+
+    if (queue.length === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+      return;
+    }
+
+    queue.sort((a, b) => a.dueAt - b.dueAt);
+    timer = setTimeout(() => {
+      timer = null;
+      sending = deliver(queue.shift()).finally(() => {
+        sending = null;
+        schedule();
+      });
+    }, Math.max(0, queue[0].dueAt - Date.now()));
+    timer.unref?.();
+  };
+
+  return {
+    transport,
+
+    /**
+     * Queue a templated email. Returns immediately with the delivery ID.
+     * @param {string} template - The template name, see ./templates.js.
+     * @param {string} to - The recipient address.
+     * @param {Object} data - The data the template needs.
+     * @returns {string} - The delivery ID.
+     */
+    enqueue: (template, to, data) => {
+      const { subject, text, html } = renderTemplate(template, data);
+      const id = randomUUID();
+      const job = {
+        id,
+        template,
+        attempts: 0,
+        dueAt: Date.now(),
+        message: { from, to, subject, text, html },
+      };
+
+      job.logged = logDelivery(deliveries.create({
+        delivery_id: id,
+        template,
+        recipient: to,
+        subject,
+        status: 'queued',
+        attempts: 0,
+      }));
+
+      queue.push(job);
+      schedule();
+      return id;
+    },
+
+    /**
+     * Resolve once every queued email has been sent or has failed for good.
+     * @returns {Promise<void>}
+     */
+    flush: () =>
+      new Promise((resolve) => {
+        idleWaiters.push(resolve);
+        schedule();
+      }),
+  };
+};
+
+const mail = createMailService({
+  transport: createTransport(),
+  deliveries: db.mailDeliveries,
+  from: process.env.MAIL_FROM || process.env.EMAIL_USER,
+});
+
+export default mail;
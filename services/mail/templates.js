@@ -0,0 +1,147 @@
+/**
+ * Email templates. Each template takes the data it needs and returns the
+ * subject together with a plain-text and an HTML body.
+ */
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+/**
+ * Wrap the paragraphs of a message in the shared NoteHub layout.
+ * @param {string[]} paragraphs - HTML paragraphs, already escaped.
+ * @returns {string}
+ */
+const layout = (paragraphs) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">
+    ${paragraphs.map(paragraph => `<p>${paragraph}</p>`).join('\n    ')}
+    <p>Best regards,<br/>NoteHub Team</p>
+  </body>
+</html>`;
+
+const signature = '\n\nBest regards,\nNoteHub Team';
+
+const link = (url, label) => `<a href="${escapeHtml(url)}">${escapeHtml(label)}</a>`;
+
+const templates = {
+  /**
+   * A note was shared with the recipient.
+   * @param {{ username: string, sharerName: string, noteTitle: string, role: string, appUrl: string }} data
+   */
+  noteShared: ({ username, sharerName, noteTitle, role, appUrl }) => {
+    const access = role === 'viewer' ? 'a viewer' : 'an editor';
+    return {
+      subject: 'A Note Has Been Shared With You - NoteHub',
+      text: `Hello ${username},
+
+${sharerName} has shared the note "${noteTitle}" with you on NoteHub as ${access}.
+
+You can access the note by logging into your account: ${appUrl}${signature}`,
+      html: layout([
+        `Hello ${escapeHtml(username)},`,
+        `${escapeHtml(sharerName)} has shared the note "<strong>${escapeHtml(noteTitle)}</strong>" with you on NoteHub as ${access}.`,
+        `You can access the note by ${link(appUrl, 'logging into your account')}.`,
+      ]),
+    };
+  },
+
+  /**
+   * The owner of a note shared with the recipient moved it to the trash.
+   * @param {{ username: string, ownerName: string, noteTitle: string }} data
+   */
+  noteTrashed: ({ username, ownerName, noteTitle }) => ({
+    subject: 'A Shared Note Was Moved to the Trash - NoteHub',
+    text: `Hello ${username},
+
+${ownerName} has moved the note "${noteTitle}" to the trash. You cannot open it anymore unless ${ownerName} restores it.${signature}`,
+    html: layout([
+      `Hello ${escapeHtml(username)},`,
+      `${escapeHtml(ownerName)} has moved the note "<strong>${escapeHtml(noteTitle)}</strong>" to the trash. You cannot open it anymore unless ${escapeHtml(ownerName)} restores it.`,
+    ]),
+  }),
+
+  /**
+   * The recipient asked to reset their password.
+   * @param {{ resetLink: string }} data
+   */
+  passwordReset: ({ resetLink }) => ({
+    subject: 'Password Reset Instructions - NoteHub',
+    text: `Please click the link below in order to reset your password:\n\n${resetLink}${signature}`,
+    html: layout([
+      'Please click the link below in order to reset your password:',
+      link(resetLink, 'Reset your password'),
+    ]),
+  }),
+
+  /**
+   * The recipient signed up and has to confirm their address.
+   * @param {{ username: string, verifyLink: string }} data
+   */
+  verifyEmail: ({ username, verifyLink }) => ({
+    subject: 'Verify Your Email Address - NoteHub',
+    text: `Hello ${username},
+
+Welcome to NoteHub! Please click the link below to verify your email address and activate your account:
+
+${verifyLink}${signature}`,
+    html: layout([
+      `Hello ${escapeHtml(username)},`,
+      'Welcome to NoteHub! Please click the link below to verify your email address and activate your account:',
+      link(verifyLink, 'Verify your email address'),
+    ]),
+  }),
+
+  /**
+   * Sent to the new address when a user changes their email.
+   * @param {{ username: string, verifyLink: string }} data
+   */
+  confirmEmailChange: ({ username, verifyLink }) => ({
+    subject: 'Confirm Your New Email Address - NoteHub',
+    text: `Hello ${username},
+
+Please click the link below to start using this address for your NoteHub account:
+
+${verifyLink}
+
+If you did not ask for this change, you can ignore this email.${signature}`,
+    html: layout([
+      `Hello ${escapeHtml(username)},`,
+      'Please click the link below to start using this address for your NoteHub account:',
+      link(verifyLink, 'Confirm your new email address'),
+      'If you did not ask for this change, you can ignore this email.',
+    ]),
+  }),
+
+  /**
+   * Sent to the current address when a change to another one was requested.
+   * @param {{ username: string, newEmail: string }} data
+   */
+  emailChangeRequested: ({ username, newEmail }) => ({
+    subject: 'Your Email Address Is Being Changed - NoteHub',
+    text: `Hello ${username},
+
+A change of the email address of your NoteHub account to ${newEmail} was requested. It takes effect once confirmed from the new address.
+
+If you did not ask for this change, please change your password right away.${signature}`,
+    html: layout([
+      `Hello ${escapeHtml(username)},`,
+      `A change of the email address of your NoteHub account to <strong>${escapeHtml(newEmail)}</strong> was requested. It takes effect once confirmed from the new address.`,
+      'If you did not ask for this change, please change your password right away.',
+    ]),
+  }),
+};
+
+/**
+ * Render a template.
+ * @param {string} name - The template name.
+ * @param {Object} data - The data the template needs.
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export const renderTemplate = (name, data) => {
+  if (!templates[name]) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return templates[name](data);
+};
+
+export default templates;
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+/**
+ * Mail transports. A transport has a `name` and a `send(message, deliveryId)`
+ * method that resolves once the message has been handed off, or rejects.
+ */
+
+/**
+ * Send through SMTP. Uses MAIL_SMTP_HOST / MAIL_SMTP_PORT / MAIL_SMTP_SECURE when
+ * set, otherwise the well-known service in EMAIL_SERVICE (Gmail by default).
+ * @returns {{ name: string, send: function(Object, string): Promise<Object> }}
+ */
+const createSmtpTransport = () => {
+  const auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS };
+  const transporter = process.env.MAIL_SMTP_HOST
+    ? nodemailer.createTransport({
+      host: process.env.MAIL_SMTP_HOST,
+      port: parseInt(process.env.MAIL_SMTP_PORT || '587', 10),
+      secure: process.env.MAIL_SMTP_SECURE === 'true',
+      auth,
+    })
+    : nodemailer.createTransport({ service: process.env.EMAIL_SERVICE || 'gmail', auth });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+/**
+ * Write every message as a JSON file into MAIL_OUTBOX_DIR, for local development.
+ * @returns {{ name: string, send: function(Object, string): Promise<Object> }}
+ */
+const createJsonTransport = () => {
+  const directory = process.env.MAIL_OUTBOX_DIR || path.join('tmp', 'mail');
+
+  return {
+    name: 'json',
+    send: async (message, deliveryId) => {
+      await fs.mkdir(directory, { recursive: true });
+      const file = path.join(directory, `${Date.now()}-${deliveryId}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+      return { file };
+    },
+  };
+};
+
+/**
+ * Keep every message in memory, for tests.
+ * @returns {{ name: string, messages: Object[], send: function(Object, string): Promise<Object> }}
+ */
+const createMemoryTransport = () => {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+    send: async (message, deliveryId) => {
+      messages.push({ ...message, deliveryId });
+      return { index: messages.length - 1 };
+    },
+  };
+};
+
+/**
+ * Create the transport selected with MAIL_TRANSPORT (`smtp`, `json` or `memory`).
+ * @param {string} [name=process.env.MAIL_TRANSPORT] - The transport name.
+ * @returns {Object} - The transport.
+ */
+export const createTransport = (name = process.env.MAIL_TRANSPORT || 'smtp') => {
+  switch (name) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'json':
+      return createJsonTransport();
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use "smtp", "json" or "memory".`);
+  }
+};
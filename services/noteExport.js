@@ -0,0 +1,158 @@
+/**
+ * Rendering of notes into downloadable files. Note content is plain text
+ * that users write as Markdown, so the Markdown export is the content as is
+ * and the HTML export renders the common subset of Markdown.
+ */
+
+export const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  txt: { extension: 'txt', contentType: 'text/plain; charset=utf-8' },
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+/**
+ * Render the inline Markdown of an already escaped line.
+ * @param {string} text
+ * @returns {string}
+ */
+const renderInline = (text) => text
+  .replace(/`([^`]+)`/g, '<code>$1</code>')
+  .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+  .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+  .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2">$1</a>');
+
+/**
+ * Render Markdown to HTML: headings, paragraphs, lists, quotes, fenced code
+ * and inline code, emphasis and links. Anything else is kept as text.
+ * @param {string} markdown
+ * @returns {string}
+ */
+export const markdownToHtml = (markdown) => {
+  const html = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flush = () => {
+    if (paragraph.length > 0) html.push(`<p>${paragraph.map(renderInline).join('<br/>')}</p>`);
+    if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${list.tag}>`);
+    paragraph = [];
+    list = null;
+  };
+
+  for (const line of escapeHtml(markdown).split(/\r?\n/)) {
+    if (code) {
+      if (/^```/.test(line)) {
+        html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const item = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+
+    if (/^```/.test(line)) {
+      flush();
+      code = [];
+    } else if (heading) {
+      flush();
+      html.push(`<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>`);
+    } else if (item) {
+      const tag = /\d/.test(item[1]) ? 'ol' : 'ul';
+      if (paragraph.length > 0 || (list && list.tag !== tag)) flush();
+      list = list || { tag, items: [] };
+      list.items.push(item[2]);
+    } else if (/^&gt;\s?/.test(line)) {
+      flush();
+      html.push(`<blockquote>${renderInline(line.replace(/^&gt;\s?/, ''))}</blockquote>`);
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      if (list) flush();
+      paragraph.push(line);
+    }
+  }
+
+  if (code) html.push(`<pre><code>${code.join('\n')}</code></pre>`);
+  flush();
+
+  return html.join('\n');
+};
+
+/**
+ * Build the YAML front-matter block of a Markdown export. Values are written
+ * as JSON, which is valid YAML.
+ * @param {Object} fields - Metadata; null and undefined fields are left out.
+ * @returns {string}
+ */
+export const frontMatter = (fields) => {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+  return `---\n${lines.join('\n')}\n---\n`;
+};
+
+/**
+ * Turn a title into a safe file name, without extension.
+ * @param {string} title
+ * @returns {string}
+ */
+export const fileNameOf = (title) =>
+  String(title || '')
+    .normalize('NFC')
+    .replace(/[\\/:*?"<>|\x00-\x1f]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 100) || 'Untitled';
+
+/**
+ * Render a note as a file.
+ * @param {Object} note - The note.
+ * @param {string} content - Its current text.
+ * @param {string[]} categoryPath - Names of the user's category and its ancestors, top-level first.
+ * @param {string} format - One of EXPORT_FORMATS.
+ * @returns {string}
+ */
+export const renderExport = (note, content, categoryPath, format) => {
+  const metadata = {
+    title: note.title,
+    tags: note.tags?.length ? note.tags : null,
+    category: categoryPath.length ? categoryPath.join('/') : null,
+    created_on: note.created_on,
+    last_update: note.last_update,
+  };
+
+  switch (format) {
+    case 'md':
+      return `${frontMatter(metadata)}\n${content}\n`;
+    case 'html':
+      return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8"/>
+    <title>${escapeHtml(note.title ?? '')}</title>
+${Object.entries(metadata)
+    .filter(([key, value]) => key !== 'title' && value != null)
+    .map(([key, value]) => `    <meta name="${key}" content="${escapeHtml([].concat(value).join(', '))}"/>`)
+    .join('\n')}
+  </head>
+  <body>
+    <h1>${escapeHtml(note.title ?? '')}</h1>
+${markdownToHtml(content)}
+  </body>
+</html>
+`;
+    case 'json':
+      return JSON.stringify({ note_id: note.note_id, ...metadata, tags: note.tags ?? [], content }, null, 2);
+    default:
+      return `${note.title ?? ''}\n\n${content}\n`;
+  }
+};
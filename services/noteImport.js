@@ -0,0 +1,219 @@
+import dotenv from 'dotenv';
+import { isZip, readZipEntries } from './zip.js';
+
+dotenv.config();
+
+/**
+ * Parsing of uploaded files into notes. Markdown (or plain text) files may
+ * start with a YAML front-matter block as written by the Markdown export;
+ * inside a zip, the folders of a file become its category path. Evernote
+ * ENEX exports are read note by note.
+ *
+ * Every parsed note has the shape
+ * `{ file, title, content, tags, categoryPath }`.
+ */
+
+export const MAX_IMPORT_NOTES = parseInt(process.env.MAX_IMPORT_NOTES || '500', 10);
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_ZIP_ENTRIES = 5000;
+const MAX_ZIP_SIZE = 100 * 1024 * 1024;
+
+const TEXT_EXTENSIONS = ['md', 'markdown', 'txt'];
+
+const extensionOf = (name) => (name.match(/\.([^./]+)$/)?.[1] || '').toLowerCase();
+
+const splitPath = (path) => path.split('/').map(part => part.trim()).filter(Boolean);
+
+/**
+ * Parse a YAML front-matter value: JSON as written by the export, or a
+ * bare string or [a, b] list as written by other tools.
+ * @param {string} raw
+ * @returns {*}
+ */
+const parseValue = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    const list = raw.match(/^\[(.*)\]$/);
+    if (list) return list[1].split(',').map(item => item.trim().replace(/^["']|["']$/g, '')).filter(Boolean);
+    return raw.replace(/^["']|["']$/g, '');
+  }
+};
+
+/**
+ * Split a Markdown file into its front-matter fields and body.
+ * Only `key: value` pairs and `- item` lists are understood.
+ * @param {string} text
+ * @returns {{ fields: Object, body: string }}
+ */
+export const parseFrontMatter = (text) => {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) return { fields: {}, body: text };
+
+  const fields = {};
+  let listKey = null;
+
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = line.match(/^\s+-\s+(.*)$/);
+    const pair = line.match(/^([\w-]+):\s*(.*)$/);
+
+    if (item && listKey) {
+      fields[listKey].push(parseValue(item[1].trim()));
+    } else if (pair && pair[2].trim()) {
+      fields[pair[1]] = parseValue(pair[2].trim());
+      listKey = null;
+    } else if (pair) {
+      fields[pair[1]] = [];
+      listKey = pair[1];
+    }
+  }
+
+  return { fields, body: text.slice(match[0].length) };
+};
+
+/**
+ * Parse a Markdown or plain-text file into a note. Without a title in the
+ * front matter, a leading "# heading" is used, then the file name.
+ * @param {string} path - The file name, with folders if it came from a zip.
+ * @param {string} text - The file contents.
+ * @returns {Object} - The parsed note.
+ */
+export const parseMarkdownFile = (path, text) => {
+  const { fields, body } = parseFrontMatter(text.replace(/^\uFEFF/, ''));
+  const folders = splitPath(path);
+  const name = folders.pop().replace(/\.[^.]+$/, '');
+  let content = body.replace(/^\s*\n/, '');
+  let title = typeof fields.title === 'string' ? fields.title : '';
+
+  const heading = content.match(/^#\s+(.+)\r?\n?/);
+  if (!title && heading) {
+    title = heading[1].trim();
+    content = content.slice(heading[0].length).replace(/^\s*\n/, '');
+  }
+
+  const tags = Array.isArray(fields.tags) ? fields.tags : typeof fields.tags === 'string' ? fields.tags : null;
+
+  return {
+    file: path,
+    title: title || name,
+    content: content.trimEnd(),
+    tags,
+    categoryPath: typeof fields.category === 'string' ? splitPath(fields.category) : folders,
+  };
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isNaN(point) ? entity : String.fromCodePoint(point);
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const unwrapCdata = (text) => text.replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, '$1');
+
+/**
+ * Turn the ENML body of an Evernote note into plain text, keeping
+ * paragraphs, line breaks and list items.
+ * @param {string} enml
+ * @returns {string}
+ */
+const enmlToText = (enml) => decodeEntities(
+  enml
+    .replace(/<\?xml[\s\S]*?\?>|<!DOCTYPE[\s\S]*?>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<en-todo[^>]*checked="true"[^>]*\/?>/gi, '[x] ')
+    .replace(/<en-todo[^>]*\/?>/gi, '[ ] ')
+    .replace(/<\/(div|p|h[1-6]|li|ul|ol|blockquote|pre|tr)>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+)
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Parse an Evernote ENEX export.
+ * @param {string} xml - The export.
+ * @param {string} file - Its file name, for error reports.
+ * @returns {Array<Object>} - The parsed notes.
+ */
+export const parseEnex = (xml, file) =>
+  [...xml.matchAll(/<note>([\s\S]*?)<\/note>/g)].map(([, note], index) => {
+    const field = (tag) => note.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`))?.[1];
+
+    return {
+      file: `${file}#${index + 1}`,
+      title: decodeEntities(unwrapCdata(field('title') || '')).trim() || 'Untitled',
+      content: enmlToText(unwrapCdata(field('content') || '')),
+      tags: [...note.matchAll(/<tag>([\s\S]*?)<\/tag>/g)].map(([, tag]) => decodeEntities(unwrapCdata(tag))),
+      categoryPath: [],
+    };
+  });
+
+/**
+ * Fail once an upload holds more notes than can be imported at once.
+ * @param {Array<Object>} notes - The notes parsed so far.
+ * @throws {Error} If there are more than MAX_IMPORT_NOTES.
+ */
+const checkNoteCount = (notes) => {
+  if (notes.length > MAX_IMPORT_NOTES) {
+    throw new Error(`At most ${MAX_IMPORT_NOTES} notes can be imported at once.`);
+  }
+};
+
+/**
+ * Parse an uploaded file into notes. The type is taken from the file
+ * extension, or sniffed from the contents if there is none.
+ * @param {Buffer} buffer - The upload.
+ * @param {string} fileName - Its name.
+ * @returns {{ notes: Array<Object>, skipped: Array<{ file: string, reason: string }> }}
+ * @throws {Error} If the upload cannot be read at all, or has too many notes.
+ */
+export const parseImport = (buffer, fileName) => {
+  const extension = extensionOf(fileName);
+  const skipped = [];
+
+  if (extension === 'zip' || (!extension && isZip(buffer))) {
+    const notes = [];
+
+    const entries = readZipEntries(buffer, {
+      maxEntrySize: MAX_FILE_SIZE,
+      maxEntries: MAX_ZIP_ENTRIES,
+      maxTotalSize: MAX_ZIP_SIZE,
+    });
+
+    // The rest of the archive is not even inflated once there are too many notes
+    for (const { name, data } of entries) {
+      const base = name.split('/').pop();
+      if (name.startsWith('__MACOSX/') || base.startsWith('.')) continue;
+
+      if (extensionOf(name) === 'enex') {
+        notes.push(...parseEnex(data.toString('utf8'), name));
+      } else if (TEXT_EXTENSIONS.includes(extensionOf(name))) {
+        notes.push(parseMarkdownFile(name, data.toString('utf8')));
+      } else {
+        skipped.push({ file: name, reason: 'Unsupported file type' });
+      }
+      checkNoteCount(notes);
+    }
+
+    return { notes, skipped };
+  }
+
+  const text = buffer.toString('utf8');
+
+  if (extension === 'enex' || (!extension && /<en-export[\s>]/.test(text))) {
+    const notes = parseEnex(text, fileName);
+    checkNoteCount(notes);
+    return { notes, skipped };
+  }
+
+  if (extension && !TEXT_EXTENSIONS.includes(extension)) {
+    throw new Error('Unsupported file type. Upload Markdown, a zip of Markdown files or an Evernote .enex export.');
+  }
+
+  return { notes: [parseMarkdownFile(fileName, text)], skipped };
+};
@@ -0,0 +1,107 @@
+import validator from 'validator';
+import { decodeCursor, encodeCursor, INVALID_CURSOR } from './cursor.js';
+import { normalizeTags } from './tags.js';
+
+export const SORT_COLUMNS = ['created_on', 'last_update', 'title'];
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+const SCOPES = ['all', 'created', 'shared'];
+const TAG_MODES = ['any', 'all'];
+
+const DATE_PARAMS = {
+  created_after: 'createdAfter',
+  created_before: 'createdBefore',
+  updated_after: 'updatedAfter',
+  updated_before: 'updatedBefore',
+};
+
+/**
+ * Encode the position after a note as an opaque cursor.
+ * The sort is part of the cursor, so it cannot be replayed against another order.
+ * @param {Object} note - The last note of a page.
+ * @param {{ sort: string, order: string }} options - The list options of the page.
+ * @returns {string}
+ */
+export const encodeNoteCursor = (note, { sort, order }) =>
+  encodeCursor({ s: `${sort}:${order}`, v: note[sort], id: note.note_id });
+
+/**
+ * Decode a cursor made by encodeNoteCursor.
+ * @param {string} cursor - The cursor.
+ * @param {{ sort: string, order: string }} options - The list options it must belong to.
+ * @returns {{ value: *, noteId: number }|null} - The position, or null if the cursor is not valid here.
+ */
+const decodeNoteCursor = (cursor, { sort, order }) => {
+  const position = decodeCursor(cursor);
+  if (!position || position.s !== `${sort}:${order}` || !Number.isInteger(position.id)) return null;
+  return { value: position.v ?? null, noteId: position.id };
+};
+
+/**
+ * Turn the query string of GET /api/notes into list options for
+ * db.notes.listAccessible. The list is paged only when the client asks for it
+ * with limit or cursor.
+ * @param {Object} query - req.query.
+ * @returns {{ options?: Object, paged?: boolean, error?: string }}
+ */
+export const parseListQuery = (query) => {
+  const param = (name) => (typeof query[name] === 'string' ? validator.trim(query[name]) : '');
+
+  const sort = param('sort') || 'created_on';
+  if (!SORT_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of: ${SORT_COLUMNS.join(', ')}.` };
+  }
+
+  const order = param('order') || (sort === 'title' ? 'asc' : 'desc');
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc.' };
+  }
+
+  const limit = param('limit') ? parseInt(param('limit'), 10) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  const scope = param('scope') || 'all';
+  if (!SCOPES.includes(scope)) {
+    return { error: `scope must be one of: ${SCOPES.join(', ')}.` };
+  }
+
+  const tagsMode = param('tags_mode') || 'any';
+  if (!TAG_MODES.includes(tagsMode)) {
+    return { error: 'tags_mode must be any or all.' };
+  }
+
+  const tags = normalizeTags(param('tags')) || [];
+
+  const options = { sort, order, limit, scope, tags, tagsMode, after: null };
+
+  const categoryId = param('category_id');
+  if (categoryId === 'none') {
+    options.categoryId = null;
+  } else if (categoryId) {
+    if (!validator.isInt(categoryId)) {
+      return { error: 'category_id must be a category ID or "none".' };
+    }
+    options.categoryId = Number(categoryId);
+  }
+
+  for (const [name, option] of Object.entries(DATE_PARAMS)) {
+    const value = param(name);
+    if (!value) continue;
+    if (!validator.isISO8601(value)) {
+      return { error: `${name} must be an ISO 8601 date.` };
+    }
+    options[option] = new Date(value).toISOString();
+  }
+
+  if (param('cursor')) {
+    options.after = decodeNoteCursor(param('cursor'), options);
+    if (!options.after) {
+      return { error: INVALID_CURSOR };
+    }
+  }
+
+  return { options, paged: Boolean(param('limit') || param('cursor')) };
+};
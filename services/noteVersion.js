@@ -0,0 +1,52 @@
+import { createHash } from 'crypto';
+
+/**
+ * Notes carry a version that goes up with every change of their title,
+ * content or tags. Clients get it as the ETag of the note and send it back in
+ * If-Match, so an update made from an outdated copy is refused instead of
+ * silently overwriting someone else's changes.
+ */
+
+/**
+ * The ETag of a note.
+ * @param {Object} note - The notes row.
+ * @returns {string} - e.g. `"7"`.
+ */
+export const noteETag = (note) => `"${note.version}"`;
+
+/**
+ * The ETag of a page of the notes list. It changes whenever a listed note
+ * changes, or the user's view of it (role, category, open editors) does.
+ * @param {Object} body - The response body, `{ notes, total, nextCursor }`.
+ * @returns {string} - A weak ETag.
+ */
+export const notesListETag = ({ notes, total, nextCursor }) => {
+  const hash = createHash('sha1')
+    .update(JSON.stringify([
+      total,
+      nextCursor,
+      notes.map(note => [note.note_id, note.version, note.last_update, note.role, note.category_id, note.active_editors]),
+    ]))
+    .digest('base64url');
+  return `W/"${hash}"`;
+};
+
+/**
+ * Read the If-Match header of a request.
+ * @param {string|undefined} header - req.get('If-Match').
+ * @returns {string[]|null} - The ETags it lists (`*` matches any), or null if it was not sent.
+ */
+export const parseIfMatch = (header) => {
+  if (typeof header !== 'string' || !header.trim()) return null;
+  return header.split(',').map(tag => tag.trim()).filter(Boolean);
+};
+
+/**
+ * Check an If-Match header against a note. Comparison is strong, as RFC 9110
+ * requires for If-Match: weak ETags never match.
+ * @param {string[]} ifMatch - The ETags from parseIfMatch.
+ * @param {Object} note - The notes row.
+ * @returns {boolean}
+ */
+export const matchesVersion = (ifMatch, note) =>
+  ifMatch.includes('*') || ifMatch.includes(noteETag(note));
@@ -0,0 +1,123 @@
+import dotenv from 'dotenv';
+import db from '../db/index.js';
+import { closeDocument } from '../collab/documents.js';
+import mail from './mail/index.js';
+import { recordActivity } from './activity.js';
+import { dispatchNoteEvent } from './webhooks.js';
+import { normalizeTags } from './tags.js';
+
+dotenv.config();
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a note owned by a user.
+ * @param {number} userId - The ID of the owner.
+ * @param {Object} fields
+ * @param {string} fields.title - The title.
+ * @param {string} fields.content - The content.
+ * @param {string[]|string|null} [fields.tags] - Tags, normalised before they are stored.
+ * @param {number|null} [fields.categoryId] - One of the owner's categories to file the note into.
+ * @returns {Promise<{ note: Object, userNote: Object }>}
+ */
+export const createNote = async (userId, { title, content, tags, categoryId = null }) => {
+  const note = await db.notes.create({ title, content, tags: normalizeTags(tags) });
+  const userNote = await db.userNotes.create({
+    note_id: note.note_id,
+    user_id: userId,
+    is_creator: true,
+    role: 'owner',
+    category_id: categoryId,
+  });
+
+  await recordActivity('note.created', { actorId: userId, noteId: note.note_id, details: { title } });
+  await dispatchNoteEvent('note.created', note, { actorId: userId });
+
+  return { note, userNote };
+};
+
+/**
+ * Delete a note together with its memberships and shares.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {number|null} [actorId] - The user deleting it; null when the trash is purged.
+ */
+export const deleteNote = async (noteId, actorId = null) => {
+  const note = await db.notes.findById(noteId);
+
+  await db.userNotes.deleteByNote(noteId);
+  await db.noteSharing.deleteByNote(noteId);
+  await db.notes.delete(noteId);
+
+  await recordActivity('note.deleted', { actorId, noteId: Number(noteId), details: { title: note?.title ?? null } });
+};
+
+/**
+ * When a trashed note will be purged.
+ * @param {Object} note - A trashed note.
+ * @returns {string} - ISO timestamp.
+ */
+export const purgeDateOf = (note) =>
+  new Date(new Date(note.deleted_on).getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+
+/**
+ * Move a note to the trash. Everyone editing it is disconnected, and the
+ * other members are told by email that the note is gone.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {Object} owner - The user trashing the note.
+ * @returns {Promise<Object>} - The trashed note.
+ */
+export const trashNote = async (noteId, owner) => {
+  const note = await db.notes.update(noteId, { deleted_on: new Date().toISOString(), deleted_by: owner.user_id });
+
+  closeDocument(noteId, 'Note moved to trash');
+  await recordActivity('note.trashed', { actorId: owner.user_id, noteId: note.note_id });
+  await dispatchNoteEvent('note.deleted', note, { actorId: owner.user_id, data: { trashed: true, purge_on: purgeDateOf(note) } });
+
+  const members = (await db.userNotes.listByNote(noteId))
+    .filter(membership => String(membership.user_id) !== String(owner.user_id));
+
+  for (const membership of members) {
+    const member = await db.users.findById(membership.user_id);
+    if (!member?.email) continue;
+
+    mail.enqueue('noteTrashed', member.email, {
+      username: member.username,
+      ownerName: owner.username,
+      noteTitle: note.title,
+    });
+  }
+
+  return note;
+};
+
+/**
+ * Take a note back out of the trash.
+ * @param {string|number} noteId - The ID of the note.
+ * @param {number} userId - The user restoring it.
+ * @returns {Promise<Object>} - The restored note.
+ */
+export const restoreNote = async (noteId, userId) => {
+  const note = await db.notes.update(noteId, { deleted_on: null, deleted_by: null });
+  await recordActivity('note.restored', { actorId: userId, noteId: note.note_id });
+  return note;
+};
+
+/**
+ * Delete every note that has been in the trash longer than the retention period.
+ * @param {number} [now] - The current time in milliseconds.
+ * @returns {Promise<number>} - How many notes were deleted.
+ */
+export const purgeTrash = async (now = Date.now()) => {
+  const expired = await db.notes.listTrashedBefore(new Date(now - TRASH_RETENTION_DAYS * DAY_MS).toISOString());
+
+  for (const note of expired) {
+    await deleteNote(note.note_id);
+  }
+
+  if (expired.length > 0) {
+    console.log(`Purged ${expired.length} note(s) from the trash.`);
+  }
+
+  return expired.length;
+};
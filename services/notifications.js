@@ -0,0 +1,127 @@
+import db from '../db/index.js';
+import { emitToUser } from '../collab/socket.js';
+
+/**
+ * In-app notifications. Every notification is stored for the user and pushed
+ * to their open clients as a `notification` event on the socket channel,
+ * together with the new number of unread notifications.
+ */
+
+export const NOTIFICATION_TYPES = [
+  'note.shared',
+  'note.unshared',
+  'comment.created',
+  'comment.replied',
+  'comment.mentioned',
+];
+
+export const DEFAULT_NOTIFICATION_PAGE_SIZE = 30;
+export const MAX_NOTIFICATION_PAGE_SIZE = 100;
+
+/* Usernames are alphanumeric, an @ inside a word (an email address) is no mention */
+const MENTION_PATTERN = /(^|[^\w@])@([A-Za-z0-9]+)/g;
+
+/**
+ * Shape notifications for clients, with the user who caused each one.
+ * @param {Array<Object>} notifications - notifications rows.
+ * @returns {Promise<Array<Object>>}
+ */
+export const serializeNotifications = async (notifications) => {
+  const ids = [...new Set(notifications.map(notification => notification.actor_id).filter(id => id != null).map(String))];
+  const users = new Map((await Promise.all(ids.map(id => db.users.findById(id))))
+    .filter(Boolean)
+    .map(user => [String(user.user_id), { user_id: user.user_id, username: user.username }]));
+
+  return notifications.map(({ actor_id, ...notification }) => ({
+    ...notification,
+    actor: actor_id == null ? null : users.get(String(actor_id)) ?? null,
+    read: Boolean(notification.read_on),
+  }));
+};
+
+/**
+ * Notify a user. Nobody is notified about their own actions. Failures are
+ * logged and swallowed, so they never undo the action that caused them.
+ * @param {number|string} userId - The user to notify.
+ * @param {string} type - One of NOTIFICATION_TYPES.
+ * @param {Object} fields
+ * @param {number|null} [fields.actorId] - The user who caused it.
+ * @param {number|null} [fields.noteId] - The note it is about.
+ * @param {number|null} [fields.commentId] - The comment it is about.
+ * @param {Object} [fields.data] - What the client needs to show it, e.g. the note title.
+ */
+export const notify = async (userId, type, { actorId = null, noteId = null, commentId = null, data = {} } = {}) => {
+  if (actorId != null && String(actorId) === String(userId)) return;
+
+  try {
+    const notification = await db.notifications.create({
+      user_id: userId,
+      type,
+      actor_id: actorId,
+      note_id: noteId,
+      comment_id: commentId,
+      data,
+    });
+    const [serialized] = await serializeNotifications([notification]);
+
+    emitToUser(userId, 'notification', { notification: serialized, unreadCount: await db.notifications.countUnread(userId) });
+  } catch (err) {
+    console.error(`Error notifying user ${userId} of "${type}":`, err);
+  }
+};
+
+/**
+ * Tell a user's open clients how many notifications are unread, after some were read.
+ * @param {number|string} userId - The ID of the user.
+ */
+export const pushUnreadCount = async (userId) => {
+  emitToUser(userId, 'notifications:unread', { unreadCount: await db.notifications.countUnread(userId) });
+};
+
+/**
+ * Find the users a comment mentions with @username.
+ * @param {string} body - The text of the comment.
+ * @returns {string[]} - The mentioned usernames, without duplicates.
+ */
+export const parseMentions = (body) =>
+  [...new Set([...(body ?? '').matchAll(MENTION_PATTERN)].map(match => match[2]))];
+
+/**
+ * Notify the people a new comment concerns. Members it mentions who can see
+ * the note get a mention; the others involved get `comment.replied` for a
+ * reply (the thread's participants) or `comment.created` for a new thread
+ * (every member of the note). Nobody is notified twice.
+ * @param {Object} comment - The new comments row.
+ * @param {Object} note - The notes row.
+ * @param {Array<Object>} [thread] - For a reply: the thread and its replies.
+ */
+export const notifyComment = async (comment, note, thread = []) => {
+  const members = await db.userNotes.listByNote(note.note_id);
+  const memberIds = new Set(members.map(member => String(member.user_id)));
+  const notified = new Set([String(comment.author_id)]);
+  const fields = {
+    actorId: comment.author_id,
+    noteId: note.note_id,
+    commentId: comment.comment_id,
+    data: { note_title: note.title, body: comment.body, thread_id: comment.parent_id ?? comment.comment_id },
+  };
+
+  for (const username of parseMentions(comment.body)) {
+    const user = await db.users.findByUsername(username);
+    if (!user || !memberIds.has(String(user.user_id)) || notified.has(String(user.user_id))) continue;
+
+    notified.add(String(user.user_id));
+    await notify(user.user_id, 'comment.mentioned', fields);
+  }
+
+  const audience = comment.parent_id == null
+    ? members.map(member => member.user_id)
+    : thread.map(other => other.author_id).filter(id => id != null && memberIds.has(String(id)));
+
+  for (const userId of audience) {
+    if (notified.has(String(userId))) continue;
+
+    notified.add(String(userId));
+    await notify(userId, comment.parent_id == null ? 'comment.created' : 'comment.replied', fields);
+  }
+};
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import db from '../db/index.js';
+
+/* How long a reset link stays valid */
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES || '30', 10);
+
+/**
+ * Hash a reset token for storage. Tokens are high-entropy random values, so a
+ * plain SHA-256 is enough and lets them be looked up directly.
+ * @param {string} token - The raw token.
+ * @returns {string}
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new password reset token for a user.
+ * Only the hash is stored; the raw token is returned to be sent by email.
+ * @param {number} userId - The ID of the user.
+ * @returns {Promise<string>} - The raw token.
+ */
+export const createResetToken = async (userId) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.passwordResetTokens.create({
+    user_id: userId,
+    token_hash: hashToken(token),
+    expires_on: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a reset token. A token can be redeemed once, before it expires;
+ * redeeming it also invalidates every other outstanding token of the user.
+ * @param {string} token - The raw token from the reset link.
+ * @returns {Promise<number|null>} - The ID of the user, or null if the token is not valid.
+ */
+export const consumeResetToken = async (token) => {
+  const resetToken = await db.passwordResetTokens.consume(hashToken(token));
+
+  if (!resetToken || new Date(resetToken.expires_on) <= new Date()) {
+    return null;
+  }
+
+  await db.passwordResetTokens.invalidateForUser(resetToken.user_id);
+
+  return resetToken.user_id;
+};
+
+/**
+ * Build the link that lets a user choose a new password.
+ * @param {string} token - The raw token.
+ * @returns {string}
+ */
+export const buildResetLink = (token) => {
+  const url = new URL('/pages/update-password', process.env.FRONTEND_URL || 'http://localhost:3000');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
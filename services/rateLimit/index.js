@@ -0,0 +1,120 @@
+import dotenv from 'dotenv';
+import { createStore } from './stores.js';
+
+dotenv.config();
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/* Request limits per client IP or per account, within a fixed window */
+export const LIMITS = {
+  loginPerIp: { limit: 30, windowMs: 15 * MINUTE },
+  registerPerIp: { limit: 10, windowMs: HOUR },
+  resetPasswordPerIp: { limit: 10, windowMs: 15 * MINUTE },
+  resetPasswordPerEmail: { limit: 5, windowMs: HOUR },
+  resendVerificationPerIp: { limit: 10, windowMs: 15 * MINUTE },
+  resendVerificationPerEmail: { limit: 5, windowMs: HOUR },
+  verifyPasswordPerIp: { limit: 30, windowMs: 15 * MINUTE },
+  verifyPasswordPerUser: { limit: 10, windowMs: 15 * MINUTE },
+  shareLinkPerIp: { limit: 60, windowMs: 15 * MINUTE },
+};
+
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const LOCKOUT_BASE_MS = parseInt(process.env.LOGIN_LOCKOUT_BASE_MS || String(MINUTE), 10);
+const LOCKOUT_MAX_MS = HOUR;
+const FAILURE_WINDOW_MS = 15 * MINUTE;
+/* How long earlier lockouts count towards the length of the next one */
+const LOCKOUT_MEMORY_MS = 24 * HOUR;
+
+const secondsUntil = (expiresAt) => Math.max(1, Math.ceil((expiresAt - Date.now()) / 1000));
+
+/* Accounts are locked by the name that was typed, so case variants share a lock */
+const accountKey = (account) => String(account).trim().toLowerCase();
+
+/**
+ * Create a rate limiter on top of a counter store.
+ * Besides plain request limits it implements a progressive lockout for
+ * logins: after `lockoutThreshold` failed attempts the account is locked,
+ * and every further lockout within a day lasts twice as long.
+ * @param {Object} options
+ * @param {Object} options.store - A store from ./stores.js.
+ * @param {number} [options.lockoutThreshold] - Failed logins before an account is locked.
+ * @param {number} [options.lockoutBaseMs] - Length of the first lockout.
+ * @returns {Object} - The rate limiter.
+ */
+export const createRateLimiter = ({
+  store,
+  lockoutThreshold = LOCKOUT_THRESHOLD,
+  lockoutBaseMs = LOCKOUT_BASE_MS,
+}) => ({
+  store,
+
+  /**
+   * Count a request against a limit.
+   * @param {string} key - What is limited, e.g. `login:<ip>`.
+   * @param {{ limit: number, windowMs: number }} limit - The limit.
+   * @returns {Promise<{ allowed: boolean, retryAfter?: number }>} - retryAfter is in seconds.
+   */
+  hit: async (key, { limit, windowMs }) => {
+    const { value, expiresAt } = await store.increment(`hits:${key}`, windowMs);
+    return value > limit ? { allowed: false, retryAfter: secondsUntil(expiresAt) } : { allowed: true };
+  },
+
+  /**
+   * Check whether an account is locked.
+   * @param {string} account - The username.
+   * @returns {Promise<{ retryAfter: number }|null>}
+   */
+  getLockout: async (account) => {
+    const lock = await store.get(`lock:${accountKey(account)}`);
+    return lock && { retryAfter: secondsUntil(lock.expiresAt) };
+  },
+
+  /**
+   * Record a failed login, locking the account once there were too many.
+   * @param {string} account - The username.
+   * @returns {Promise<{ retryAfter: number }|null>} - The new lockout, if the account got locked.
+   */
+  recordFailure: async (account) => {
+    const key = accountKey(account);
+    const failures = await store.increment(`failures:${key}`, FAILURE_WINDOW_MS);
+
+    if (failures.value < lockoutThreshold) {
+      return null;
+    }
+
+    const level = await store.increment(`lock-level:${key}`, LOCKOUT_MEMORY_MS);
+    const duration = Math.min(lockoutBaseMs * 2 ** (level.value - 1), LOCKOUT_MAX_MS);
+
+    await store.set(`lock:${key}`, level.value, duration);
+    await store.delete(`failures:${key}`);
+
+    console.warn(`Account "${key}" locked for ${Math.round(duration / 1000)}s after ${failures.value} failed logins.`);
+    return { retryAfter: secondsUntil(Date.now() + duration) };
+  },
+
+  /**
+   * Forget the failed logins of an account after a successful one.
+   * @param {string} account - The username.
+   */
+  clearFailures: async (account) => {
+    await store.delete(`failures:${accountKey(account)}`);
+  },
+
+  /**
+   * Lift any lockout of an account, e.g. once its owner reset the password.
+   * @param {string} account - The username.
+   */
+  unlock: async (account) => {
+    const key = accountKey(account);
+    await Promise.all([
+      store.delete(`lock:${key}`),
+      store.delete(`lock-level:${key}`),
+      store.delete(`failures:${key}`),
+    ]);
+  },
+});
+
+const rateLimiter = createRateLimiter({ store: createStore() });
+
+export default rateLimiter;
@@ -0,0 +1,75 @@
+/**
+ * Counter stores for the rate limiter. A store keeps numeric values that
+ * expire, and every method is async so a shared store (e.g. Redis) can be
+ * plugged in later without touching the callers:
+ * - increment(key, ttlMs): add 1, starting a new entry that lives ttlMs if
+ *   there is none; resolves to { value, expiresAt }
+ * - get(key): resolves to { value, expiresAt } or null
+ * - set(key, value, ttlMs): replace the entry
+ * - delete(key)
+ */
+
+/* How often expired entries are swept from the memory store */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Keep the counters in process. Every instance of the API has its own counters.
+ * @returns {Object} - The store.
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    name: 'memory',
+
+    increment: async (key, ttlMs) => {
+      const entry = live(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    get: async (key) => {
+      const entry = live(key);
+      return entry && { ...entry };
+    },
+
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Create the store selected with RATE_LIMIT_STORE (only `memory` for now).
+ * @param {string} [name=process.env.RATE_LIMIT_STORE] - The store name.
+ * @returns {Object} - The store.
+ */
+export const createStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  switch (name) {
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use "memory".`);
+  }
+};
@@ -0,0 +1,209 @@
+/* Words are runs of letters and digits in any script */
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/* Relative weight of a match in each searchable field */
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Split text into lower-cased words, remembering where each word is.
+ * @param {string} text - The text to split.
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+const tokenize = (text) =>
+  [...text.matchAll(WORD_PATTERN)].map(match => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+
+/**
+ * Parse a search query into clauses that must all match.
+ * - `"exact phrase"` matches the words in sequence
+ * - `word*` matches any word starting with `word`
+ * - any other word matches that whole word
+ * @param {string} query - The raw query string.
+ * @returns {Array<{ words: string[], prefix: boolean }>}
+ */
+export const parseQuery = (query) => {
+  const clauses = [];
+
+  for (const [, phrase, term] of query.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const text = phrase ?? term;
+    const words = tokenize(text).map(token => token.word);
+
+    if (words.length > 0) {
+      clauses.push({ words, prefix: phrase === undefined && text.endsWith('*') });
+    }
+  }
+
+  return clauses;
+};
+
+/**
+ * Turn a search query into Postgres full-text queries with the same meaning
+ * as parseQuery: `terms` for websearch_to_tsquery (words and "phrases"), and
+ * `prefixes` for to_tsquery (the prefix* clauses). Words only hold letters
+ * and digits, so neither can carry tsquery syntax.
+ * @param {string} query - The raw query string.
+ * @returns {{ terms: string, prefixes: string }}
+ */
+export const toFullTextQuery = (query) => {
+  const clauses = parseQuery(query);
+
+  return {
+    terms: clauses
+      .filter(clause => !clause.prefix)
+      .map(({ words }) => (words.length > 1 ? `"${words.join(' ')}"` : words[0]))
+      .join(' '),
+    prefixes: clauses
+      .filter(clause => clause.prefix)
+      .map(({ words }) => words.map((word, i) => (i === words.length - 1 ? `${word}:*` : word)).join(' <-> '))
+      .join(' & '),
+  };
+};
+
+/**
+ * Find every occurrence of a clause in a list of tokens.
+ * @param {Array<Object>} tokens - Output of tokenize.
+ * @param {{ words: string[], prefix: boolean }} clause - A parsed clause.
+ * @returns {Array<{ start: number, end: number }>} - Character ranges of the matches.
+ */
+const findClause = (tokens, { words, prefix }) => {
+  const matches = [];
+  const last = words.length - 1;
+
+  for (let i = 0; i + last < tokens.length; i++) {
+    const matched = words.every((word, j) =>
+      j === last && prefix ? tokens[i + j].word.startsWith(word) : tokens[i + j].word === word
+    );
+
+    if (matched) {
+      matches.push({ start: tokens[i].start, end: tokens[i + last].end });
+    }
+  }
+
+  return matches;
+};
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+/**
+ * Turn a highlight from ts_headline, with matches between chr(2) and chr(3),
+ * into the same markup highlight produces.
+ * @param {string} text - The text from ts_headline.
+ * @returns {string}
+ */
+export const markHeadline = (text) =>
+  escapeHtml(text).replace(/\u0002/g, '<mark>').replace(/\u0003/g, '</mark>');
+
+/**
+ * Wrap the matched ranges of a text in <mark> tags. The rest of the text is HTML-escaped.
+ * @param {string} text - The text to highlight.
+ * @param {Array<{ start: number, end: number }>} ranges - Ranges to highlight.
+ * @param {number} [offset=0] - Position of `text` within the text the ranges refer to.
+ * @returns {string}
+ */
+const highlight = (text, ranges, offset = 0) => {
+  let html = '';
+  let position = 0;
+
+  const sorted = ranges
+    .map(range => ({ start: range.start - offset, end: range.end - offset }))
+    .filter(range => range.start >= 0 && range.end <= text.length)
+    .sort((a, b) => a.start - b.start);
+
+  for (const { start, end } of sorted) {
+    if (start < position) continue;
+    html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+
+  return html + escapeHtml(text.slice(position));
+};
+
+/**
+ * Cut a highlighted snippet of about SNIPPET_LENGTH characters around the first match.
+ * @param {string} content - The full content.
+ * @param {Array<{ start: number, end: number }>} ranges - Matches within the content.
+ * @returns {string}
+ */
+const buildSnippet = (content, ranges) => {
+  const first = ranges.reduce((min, range) => Math.min(min, range.start), content.length);
+  let start = ranges.length > 0 ? Math.max(0, first - SNIPPET_LENGTH / 4) : 0;
+  let end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+  // Do not cut words in half
+  while (start > 0 && /\S/.test(content[start - 1])) start--;
+  while (end < content.length && /\S/.test(content[end])) end++;
+
+  const snippet = highlight(content.slice(start, end), ranges, start).replace(/\s+/g, ' ').trim();
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < content.length ? '…' : ''}`;
+};
+
+/**
+ * Get the tags of a note as searchable text.
+ * @param {string|string[]|null} tags - The tags column.
+ * @returns {string}
+ */
+const tagsText = (tags) => (Array.isArray(tags) ? tags.join(' ') : tags || '');
+
+/**
+ * Search and rank notes.
+ * Every clause must match in at least one of title, tags and content. Scores
+ * weigh title matches above tag matches above content matches, and repeated
+ * matches count with diminishing returns.
+ * @param {Array<Object>} notes - Notes with `title`, `content` and `tags`.
+ * @param {string} query - The raw query string.
+ * @returns {Array<{ note: Object, score: number, highlights: { title: string, snippet: string } }>}
+ */
+export const searchNotes = (notes, query) => {
+  const clauses = parseQuery(query);
+  if (clauses.length === 0) return [];
+
+  const results = [];
+
+  for (const note of notes) {
+    const fields = {
+      title: note.title || '',
+      tags: tagsText(note.tags),
+      content: note.content || '',
+    };
+    const tokens = Object.fromEntries(Object.entries(fields).map(([field, text]) => [field, tokenize(text)]));
+    const ranges = { title: [], tags: [], content: [] };
+    let score = 0;
+
+    const matchesAll = clauses.every((clause) => {
+      let clauseScore = 0;
+
+      for (const field of Object.keys(fields)) {
+        const matches = findClause(tokens[field], clause);
+        if (matches.length === 0) continue;
+
+        ranges[field].push(...matches);
+        clauseScore += FIELD_WEIGHTS[field] * (1 + Math.log(matches.length)) * clause.words.length;
+      }
+
+      score += clauseScore;
+      return clauseScore > 0;
+    });
+
+    if (matchesAll) {
+      results.push({
+        note,
+        score: Math.round(score * 100) / 100,
+        highlights: {
+          title: highlight(fields.title, ranges.title),
+          snippet: buildSnippet(fields.content, ranges.content),
+        },
+      });
+    }
+  }
+
+  return results.sort((a, b) =>
+    b.score - a.score || new Date(b.note.last_update || 0) - new Date(a.note.last_update || 0)
+  );
+};
@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import validator from 'validator';
+import db from '../db/index.js';
+import { closeConnections } from '../collab/connections.js';
+import { disconnectSockets } from '../collab/socket.js';
+
+/* Lifetime of access tokens, in seconds */
+const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+
+/* Lifetime of a session without / with "remember me", in days */
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '1', 10);
+const REMEMBER_ME_SESSION_TTL_DAYS = parseInt(process.env.REMEMBER_ME_SESSION_TTL_DAYS || '30', 10);
+
+/* Hashes of rotated-out refresh tokens kept per session to recognise their reuse */
+const ROTATED_TOKEN_HASHES_KEPT = 100;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * @param {{ user_id: number, username: string, email: string }} user - The user.
+ * @param {string} sessionId - The ID of the session.
+ * @returns {string}
+ */
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { user_id: user.user_id, username: user.username, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+/**
+ * Create a new refresh token for a session. The token carries the session ID
+ * so it can be looked up; only a hash of the secret part is stored.
+ * @param {string} sessionId - The ID of the session.
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+const newRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+/**
+ * Build the token pair returned to clients.
+ */
+const tokenResponse = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session.session_id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session.session_id,
+});
+
+/**
+ * Check whether a session can still be used.
+ * @param {Object|null} session - A sessions row.
+ * @returns {boolean}
+ */
+export const isSessionActive = (session) =>
+  Boolean(session) && !session.revoked_on && new Date(session.expires_on) > new Date();
+
+/**
+ * Start a session for a user who just logged in.
+ * @param {Object} user - The user.
+ * @param {Object} [device]
+ * @param {string} [device.userAgent] - The User-Agent of the client.
+ * @param {string} [device.ip] - The IP address of the client.
+ * @param {boolean} [device.rememberMe] - Keep the session for longer.
+ * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number, sessionId: string }>}
+ */
+export const createSession = async (user, { userAgent = null, ip = null, rememberMe = false } = {}) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken, refreshTokenHash } = newRefreshToken(sessionId);
+  const ttlDays = rememberMe ? REMEMBER_ME_SESSION_TTL_DAYS : SESSION_TTL_DAYS;
+
+  const session = await db.sessions.create({
+    session_id: sessionId,
+    user_id: user.user_id,
+    refresh_token_hash: refreshTokenHash,
+    user_agent: userAgent,
+    ip,
+    expires_on: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+  });
+
+  return tokenResponse(user, session, refreshToken);
+};
+
+/**
+ * Revoke a session if a refresh token presented for it is one that was
+ * already rotated out: it leaked (or a client misbehaved). Any other wrong
+ * token is only refused, session IDs are not secret.
+ * @param {Object} session - The sessions row.
+ * @param {string} presentedHash - Hash of the presented token's secret.
+ * @returns {Promise<boolean>} - Whether the session was revoked.
+ */
+const revokeOnReuse = async (session, presentedHash) => {
+  if (!session?.rotated_token_hashes?.includes(presentedHash)) return false;
+
+  console.warn(`Refresh token reuse detected for session ${session.session_id}, revoking it.`);
+  await revokeSession(session.session_id, 'refresh_token_reuse');
+  return true;
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token.
+ * Presenting a refresh token that was already rotated out revokes the whole
+ * session, see revokeOnReuse.
+ * @param {string} refreshToken - The refresh token from the client.
+ * @returns {Promise<Object|null>} - The new token pair, or null if the token is not valid.
+ */
+export const refreshSession = async (refreshToken) => {
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!secret || !validator.isUUID(sessionId)) return null;
+
+  const session = await db.sessions.findById(sessionId);
+  if (!isSessionActive(session)) return null;
+
+  const presentedHash = hashToken(secret);
+  if (await revokeOnReuse(session, presentedHash)) return null;
+
+  const next = newRefreshToken(session.session_id);
+  const rotatedHashes = [...(session.rotated_token_hashes ?? []), presentedHash].slice(-ROTATED_TOKEN_HASHES_KEPT);
+  const rotated = await db.sessions.rotate(session.session_id, presentedHash, next.refreshTokenHash, rotatedHashes);
+
+  if (!rotated) {
+    // Either a wrong token, or one a concurrent request just rotated out
+    await revokeOnReuse(await db.sessions.findById(session.session_id), presentedHash);
+    return null;
+  }
+
+  const user = await db.users.findById(session.user_id);
+  if (!user) return null;
+
+  return tokenResponse(user, rotated, next.refreshToken);
+};
+
+/**
+ * Revoke a single session. Live connections opened with its access tokens
+ * are closed too, they were only checked when they connected.
+ * @param {string} sessionId - The ID of the session.
+ * @param {string} reason - Why the session ends, e.g. 'logout'.
+ */
+export const revokeSession = async (sessionId, reason) => {
+  await db.sessions.revoke(sessionId, reason);
+
+  closeConnections({ sessionId }, 'Session ended');
+  await disconnectSockets({ sessionId });
+};
+
+/**
+ * Revoke every session of a user, e.g. after a password reset, and close
+ * their live connections.
+ * @param {number} userId - The ID of the user.
+ * @param {string} reason - Why the sessions end.
+ */
+export const revokeAllSessions = async (userId, reason) => {
+  await db.sessions.revokeAllForUser(userId, reason);
+
+  closeConnections({ userId }, 'Session ended');
+  await disconnectSockets({ userId });
+};
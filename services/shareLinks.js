@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import db from '../db/index.js';
+
+/* What a link lets its holder do: read the note, or read it and comment on it. Editing needs an account */
+export const LINK_ROLES = ['viewer', 'commenter'];
+
+/* Longest name a guest commenting through a link can give */
+export const MAX_GUEST_NAME_LENGTH = 100;
+
+const SALT_ROUNDS = 10;
+
+/* Access log entries returned per link */
+export const ACCESS_LOG_LIMIT = 100;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Check whether a link can still be used.
+ * @param {Object|null} link - A share_links row.
+ * @returns {boolean}
+ */
+export const isLinkActive = (link) =>
+  Boolean(link) && !link.revoked_on && (!link.expires_on || new Date(link.expires_on) > new Date());
+
+/**
+ * Strip the secrets from a link before it is sent to a client.
+ * @param {Object} link - A share_links row.
+ * @returns {Object}
+ */
+export const publicLink = ({ token_hash, password_hash, ...link }) => ({
+  ...link,
+  has_password: Boolean(password_hash),
+  active: isLinkActive(link),
+});
+
+/**
+ * Build the URL a link token is shared as.
+ * @param {string} token - The raw token.
+ * @returns {string}
+ */
+export const buildShareUrl = (token) => {
+  const url = new URL('/pages/shared-note', process.env.FRONTEND_URL || 'http://localhost:3000');
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+/**
+ * Create a link to a note. Only the hash of the token is stored, so the raw
+ * token is returned once, here.
+ * @param {number} noteId - The ID of the note.
+ * @param {number} userId - The user creating the link.
+ * @param {Object} options
+ * @param {string} options.role - One of LINK_ROLES.
+ * @param {string|null} [options.expiresOn] - ISO timestamp after which the link stops working.
+ * @param {string|null} [options.password] - Password the holder must also present.
+ * @returns {Promise<{ link: Object, token: string }>}
+ */
+export const createShareLink = async (noteId, userId, { role, expiresOn = null, password = null }) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  const link = await db.shareLinks.create({
+    note_id: noteId,
+    token_hash: hashToken(token),
+    role,
+    password_hash: password ? await bcrypt.hash(password, SALT_ROUNDS) : null,
+    expires_on: expiresOn,
+    created_by: userId,
+  });
+
+  return { link, token };
+};
+
+/**
+ * Look up the link a token belongs to.
+ * @param {string} token - The raw token.
+ * @returns {Promise<Object|null>} - The link, or null if it is unknown, revoked or expired.
+ */
+export const findActiveLink = async (token) => {
+  const link = await db.shareLinks.findByTokenHash(hashToken(token));
+  return isLinkActive(link) ? link : null;
+};
+
+/**
+ * Check the password presented for a link.
+ * @param {Object} link - The link.
+ * @param {string|undefined} password - The password, if any was sent.
+ * @returns {Promise<boolean>} - True for links without a password.
+ */
+export const checkLinkPassword = async (link, password) =>
+  !link.password_hash || (typeof password === 'string' && bcrypt.compare(password, link.password_hash));
+
+/**
+ * Log an access through a link.
+ * @param {Object} link - The link.
+ * @param {{ ip: string, userAgent: string }} client - Who accessed it.
+ */
+export const recordLinkAccess = async (link, { ip, userAgent }) => {
+  const access = await db.shareLinkAccess.create({ link_id: link.link_id, ip, user_agent: userAgent });
+  await db.shareLinks.update(link.link_id, { last_accessed_on: access.accessed_on });
+};
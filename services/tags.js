@@ -0,0 +1,67 @@
+/**
+ * Tags are stored on each note as an array of normalised names: trimmed,
+ * inner whitespace collapsed to single spaces and lower-cased, so "Work",
+ * " work " and "WORK" are the same tag.
+ */
+
+export const MAX_TAG_LENGTH = 50;
+
+/**
+ * Normalise a single tag name.
+ * @param {string} tag - The tag as typed.
+ * @returns {string} - The normalised name, empty if nothing is left.
+ */
+export const normalizeTag = (tag) =>
+  String(tag).normalize('NFC').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+
+/**
+ * Normalise the tags of a note for writing. Accepts an array or a comma
+ * separated string; duplicates and empty tags are dropped.
+ * @param {string[]|string|null|undefined} tags - The tags from the request.
+ * @returns {string[]|null|undefined} - The tags to store; null and undefined are passed through.
+ */
+export const normalizeTags = (tags) => {
+  if (tags == null) return tags;
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+
+  return [...new Set(list.filter(tag => typeof tag === 'string').map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Count how many of the given notes carry each tag.
+ * @param {Array<Object>} notes - Notes with a `tags` column.
+ * @param {string} [prefix] - Only count tags starting with this, for autocomplete.
+ * @returns {Array<{ name: string, count: number }>} - Most used first, then by name.
+ */
+export const countTags = (notes, prefix = '') => {
+  const counts = new Map();
+  const start = normalizeTag(prefix);
+
+  notes.forEach(note => {
+    (normalizeTags(note.tags) || [])
+      .filter(tag => tag.startsWith(start))
+      .forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+/**
+ * Replace some tags of a note with another one, or remove them.
+ * @param {string[]|null} tags - The current tags of the note.
+ * @param {string[]} from - The normalised tags to replace.
+ * @param {string|null} to - The normalised replacement, or null to remove the tags.
+ * @returns {string[]|null} - The new tags, or null if the note carries none of `from`.
+ */
+export const replaceTags = (tags, from, to) => {
+  const current = normalizeTags(tags) || [];
+
+  if (!current.some(tag => from.includes(tag))) {
+    return null;
+  }
+
+  return normalizeTags(current.map(tag => (from.includes(tag) ? to : tag)).filter(Boolean));
+};
@@ -0,0 +1,370 @@
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import dotenv from 'dotenv';
+import db from '../db/index.js';
+
+dotenv.config();
+
+export const WEBHOOK_EVENTS = ['note.created', 'note.updated', 'note.shared', 'note.unshared', 'note.deleted'];
+
+export const MAX_WEBHOOKS_PER_USER = 10;
+export const DELIVERY_HISTORY_LIMIT = 50;
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10);
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+/* Host names that may resolve to private addresses, e.g. `localhost` for local development */
+const ALLOWED_HOSTS = new Set((process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean));
+
+/* Loopback, private, link-local (cloud metadata), shared, multicast and other reserved ranges */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const BLOCKED_TARGET_MESSAGE = 'Refusing to send to a private or reserved address';
+
+/**
+ * Create the secret a webhook's payloads are signed with.
+ * @returns {string}
+ */
+export const createWebhookSecret = () => `whsec_${randomBytes(24).toString('base64url')}`;
+
+/**
+ * Sign a payload. Receivers recompute the HMAC-SHA256 of
+ * `<X-NoteHub-Timestamp>.<raw body>` with their secret and compare it with
+ * X-NoteHub-Signature, and should reject old timestamps to stop replays.
+ * @param {string} secret - The webhook secret.
+ * @param {number} timestamp - Unix time in seconds.
+ * @param {string} body - The raw JSON body.
+ * @returns {string} - `sha256=<hex digest>`.
+ */
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Shape a webhook for clients. The secret is only shown once, when the
+ * webhook is created.
+ * @param {Object} webhook - A webhooks row.
+ * @returns {Object}
+ */
+export const publicWebhook = ({ secret, ...webhook }) => webhook;
+
+/**
+ * Check whether an IP address is one webhooks must never reach. IPv4-mapped
+ * IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 ranges.
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Resolve a host name like the connection will, with every address it has.
+ * @param {string} hostname - The host.
+ * @returns {Promise<Array<{ address: string, family: number }>>}
+ */
+const resolveHost = (hostname) =>
+  new Promise((resolve, reject) => {
+    dns.lookup(hostname, { all: true }, (err, addresses) => (err ? reject(err) : resolve(addresses)));
+  });
+
+/**
+ * Find out whether a webhook URL points at a private or reserved address,
+ * directly or through DNS. Host names in WEBHOOK_ALLOWED_HOSTS pass.
+ * @param {string} url - The webhook URL.
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedWebhookTarget = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (ALLOWED_HOSTS.has(hostname)) return false;
+  if (net.isIP(hostname)) return isBlockedAddress(hostname);
+
+  const addresses = await resolveHost(hostname);
+  return addresses.some(({ address }) => isBlockedAddress(address));
+};
+
+/**
+ * The DNS lookup of webhook connections. It refuses host names with a
+ * blocked address, and the connection uses exactly the addresses it checked,
+ * so a second lookup cannot swap in another one.
+ */
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (!ALLOWED_HOSTS.has(hostname.toLowerCase()) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(Object.assign(new Error(BLOCKED_TARGET_MESSAGE), { code: 'EBLOCKEDTARGET' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a delivery to its endpoint. Any 2xx answer counts as delivered;
+ * redirects are not followed. The host is resolved and checked on every
+ * attempt, since its DNS records may have changed since the last one.
+ * @param {Object} request - `{ url, headers, body }`.
+ * @returns {Promise<number>} - The response status.
+ */
+const postWebhook = ({ url, headers, body }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+    // IP literals are connected to without a lookup
+    if (net.isIP(hostname) && !ALLOWED_HOSTS.has(hostname) && isBlockedAddress(hostname)) {
+      return reject(new Error(BLOCKED_TARGET_MESSAGE));
+    }
+
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: checkedLookup,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        const error = new Error(`Endpoint answered with HTTP ${response.statusCode}`);
+        error.status = response.statusCode;
+        return reject(error);
+      }
+      resolve(response.statusCode);
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+
+/**
+ * Create a webhook service that sends deliveries from a background queue,
+ * the same way the mail service sends email: sending never blocks the
+ * request that caused the event, failed deliveries are retried with
+ * exponential backoff, and every delivery is tracked in webhook_deliveries.
+ * @param {Object} options
+ * @param {Object} options.deliveries - The webhookDeliveries repository.
+ * @param {Object} [options.hooks] - The webhooks repository, needed to resume deliveries.
+ * @param {function(Object): Promise<number>} [options.send] - Sends one request, see postWebhook.
+ * @param {number} [options.maxAttempts] - Attempts before a delivery is given up on.
+ * @param {number} [options.retryBaseMs] - Delay before the first retry, doubled on each further one.
+ * @returns {Object} - The webhook service.
+ */
+export const createWebhookService = ({
+  deliveries,
+  hooks,
+  send = postWebhook,
+  maxAttempts = MAX_ATTEMPTS,
+  retryBaseMs = RETRY_BASE_MS,
+}) => {
+  const queue = [];
+  let timer = null;
+  let sending = null;
+  let idleWaiters = [];
+
+  /**
+   * Send one job and either log it as delivered or put it back for a retry.
+   * @param {Object} job - The queued job.
+   */
+  const deliver = async (job) => {
+    job.attempts += 1;
+
+    const body = JSON.stringify(job.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'NoteHub-Webhooks/1.0',
+      'X-NoteHub-Event': job.payload.event,
+      'X-NoteHub-Delivery': job.id,
+      'X-NoteHub-Timestamp': String(timestamp),
+      'X-NoteHub-Signature': signPayload(job.secret, timestamp, body),
+    };
+
+    try {
+      const status = await send({ url: job.url, headers, body });
+      await deliveries.update(job.id, {
+        status: 'delivered',
+        attempts: job.attempts,
+        response_status: status,
+        last_error: null,
+        delivered_on: new Date().toISOString(),
+      });
+    } catch (err) {
+      const retry = job.attempts < maxAttempts;
+      console.error(`Error delivering webhook ${job.webhookId} "${job.payload.event}" (attempt ${job.attempts}):`, err.message);
+
+      if (retry) {
+        job.dueAt = Date.now() + Math.min(retryBaseMs * 2 ** (job.attempts - 1), RETRY_MAX_MS);
+        queue.push(job);
+      }
+
+      await deliveries.update(job.id, {
+        status: retry ? 'retrying' : 'failed',
+        attempts: job.attempts,
+        response_status: err.status ?? null,
+        last_error: err.message,
+      });
+    }
+  };
+
+  /**
+   * Start the next due job, or wait until one is due.
+   */
+  const schedule = () => {
+    if (timer || sending) return;
+
+    if (queue.length === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+      return;
+    }
+
+    queue.sort((a, b) => a.dueAt - b.dueAt);
+    timer = setTimeout(() => {
+      timer = null;
+      sending = deliver(queue.shift())
+        .catch(err => console.error('Error writing webhook delivery log:', err))
+        .finally(() => {
+          sending = null;
+          schedule();
+        });
+    }, Math.max(0, queue[0].dueAt - Date.now()));
+    timer.unref?.();
+  };
+
+  return {
+    /**
+     * Queue a delivery of an event to a webhook.
+     * @param {Object} webhook - The webhooks row.
+     * @param {Object} payload - The event, `{ id, event, created_on, data }`.
+     * @param {string|null} [redeliveryOf] - The delivery this one repeats.
+     * @returns {Promise<Object>} - The webhook_deliveries row.
+     */
+    enqueue: async (webhook, payload, redeliveryOf = null) => {
+      const delivery = await deliveries.create({
+        delivery_id: randomUUID(),
+        webhook_id: webhook.webhook_id,
+        event: payload.event,
+        payload,
+        status: 'queued',
+        attempts: 0,
+        redelivery_of: redeliveryOf,
+      });
+
+      queue.push({
+        id: delivery.delivery_id,
+        webhookId: webhook.webhook_id,
+        url: webhook.url,
+        secret: webhook.secret,
+        payload,
+        attempts: 0,
+        dueAt: Date.now(),
+      });
+      schedule();
+      return delivery;
+    },
+
+    /**
+     * Queue the deliveries that were still queued or retrying when the last
+     * process stopped; the queue itself only lives in memory. Deliveries of
+     * webhooks that have been switched off since are marked failed instead,
+     * they can be redelivered once the webhook is active again.
+     * @returns {Promise<number>} - The number of deliveries queued again.
+     */
+    resume: async () => {
+      const pending = await deliveries.listPending();
+      let resumed = 0;
+
+      for (const delivery of pending) {
+        if (queue.some(job => job.id === delivery.delivery_id)) continue;
+
+        const hook = await hooks.findById(delivery.webhook_id);
+        if (!hook?.active) {
+          await deliveries.update(delivery.delivery_id, { status: 'failed', last_error: 'Webhook is inactive' });
+          continue;
+        }
+
+        queue.push({
+          id: delivery.delivery_id,
+          webhookId: hook.webhook_id,
+          url: hook.url,
+          secret: hook.secret,
+          payload: delivery.payload,
+          attempts: delivery.attempts,
+          dueAt: Date.now(),
+        });
+        resumed += 1;
+      }
+
+      schedule();
+      return resumed;
+    },
+
+    /**
+     * Resolve once every queued delivery has succeeded or failed for good.
+     * @returns {Promise<void>}
+     */
+    flush: () =>
+      new Promise((resolve) => {
+        idleWaiters.push(resolve);
+        schedule();
+      }),
+  };
+};
+
+const webhooks = createWebhookService({ deliveries: db.webhookDeliveries, hooks: db.webhooks });
+
+/**
+ * Send a note event to the webhooks of everyone who has access to the note,
+ * and of the users in `userIds` (e.g. someone who just lost access).
+ * Errors are logged, an event that cannot be sent never fails the change
+ * that caused it.
+ * @param {string} event - One of WEBHOOK_EVENTS.
+ * @param {Object} note - The notes row.
+ * @param {Object} [options]
+ * @param {number|null} [options.actorId] - The user who caused the event.
+ * @param {Array<number>} [options.userIds] - Extra users whose webhooks get the event.
+ * @param {Object} [options.data] - Event-specific data, merged into the payload's data.
+ */
+export const dispatchNoteEvent = async (event, note, { actorId = null, userIds = [], data = {} } = {}) => {
+  try {
+    const members = await db.userNotes.listByNote(note.note_id);
+    const recipients = [...new Set([...members.map(member => member.user_id), ...userIds].map(String))];
+    const hooks = recipients.length > 0 ? await db.webhooks.listForEvent(recipients, event) : [];
+
+    if (hooks.length === 0) return;
+
+    const actor = actorId == null ? null : await db.users.findById(actorId);
+    const payload = {
+      id: randomUUID(),
+      event,
+      created_on: new Date().toISOString(),
+      data: {
+        note,
+        actor: actor ? { user_id: actor.user_id, username: actor.username } : null,
+        ...data,
+      },
+    };
+
+    for (const hook of hooks) {
+      await webhooks.enqueue(hook, payload);
+    }
+  } catch (err) {
+    console.error(`Error dispatching webhook event "${event}" for note ${note.note_id}:`, err);
+  }
+};
+
+export default webhooks;
@@ -0,0 +1,228 @@
+import zlib from 'zlib';
+
+/**
+ * Just enough of the zip format for note exports and imports: deflated or
+ * stored entries with UTF-8 names, no zip64, no encryption.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const STORED = 0;
+const DEFLATED = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (data) => {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Encode a date as the MS-DOS time and date fields of a zip header.
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Build a zip archive.
+ * @param {Array<{ name: string, data: Buffer|string }>} entries - Files to add; names may contain folders.
+ * @param {Date} [modified] - Modification time stored for every entry.
+ * @returns {Buffer}
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const { time, date } = dosDateTime(modified);
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(UTF8_NAMES, 6);
+    local.writeUInt16LE(DEFLATED, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(UTF8_NAMES, 8);
+    central.writeUInt16LE(DEFLATED, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, compressed);
+    centrals.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+};
+
+/**
+ * Check whether a buffer looks like a zip archive.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export const isZip = (buffer) => buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+
+/**
+ * Read and check the central directory of a zip archive, before anything is
+ * inflated. Every file must lie inside the archive and have its own bytes:
+ * a zip bomb that points many entries at the same compressed data is
+ * rejected here.
+ * @param {Buffer} buffer - The archive.
+ * @param {number} maxEntries - Most entries, folders included, accepted.
+ * @returns {Array<Object>} - The files, `{ name, flags, method, compressedSize, size, dataStart }`.
+ * @throws {Error} If the archive is malformed or has too many entries.
+ */
+const readDirectory = (buffer, maxEntries) => {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) {
+    end -= 1;
+  }
+  if (end < 0) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  if (count > maxEntries) {
+    throw new Error(`The archive has more than ${maxEntries} files`);
+  }
+
+  let position = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i += 1) {
+    if (buffer.readUInt32LE(position) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt zip archive');
+    }
+
+    const flags = buffer.readUInt16LE(position + 8);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const entry = {
+      name: buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', position + 46, position + 46 + nameLength),
+      flags,
+      method: buffer.readUInt16LE(position + 10),
+      compressedSize: buffer.readUInt32LE(position + 20),
+      size: buffer.readUInt32LE(position + 24),
+      localOffset,
+    };
+
+    position += 46 + nameLength + buffer.readUInt16LE(position + 30) + buffer.readUInt16LE(position + 32);
+
+    if (entry.name.endsWith('/')) continue;
+
+    if (buffer.readUInt32LE(localOffset) !== LOCAL_HEADER) {
+      throw new Error('Corrupt zip archive');
+    }
+    entry.dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (entry.dataStart + entry.compressedSize > buffer.length) {
+      throw new Error('Corrupt zip archive');
+    }
+    entries.push(entry);
+  }
+
+  const byOffset = [...entries].sort((a, b) => a.localOffset - b.localOffset);
+  for (let i = 1; i < byOffset.length; i += 1) {
+    const previous = byOffset[i - 1];
+    if (byOffset[i].localOffset < previous.dataStart + previous.compressedSize) {
+      throw new Error('Corrupt zip archive: files overlap');
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Read the files of a zip archive one at a time, so a caller can stop early
+ * without inflating the rest. Folders are skipped. Inflating is synchronous,
+ * the limits are what keep a hostile archive from blocking the server.
+ * @param {Buffer} buffer - The archive.
+ * @param {Object} [options]
+ * @param {number} [options.maxEntrySize] - Largest uncompressed file accepted, in bytes.
+ * @param {number} [options.maxEntries] - Most entries, folders included, accepted.
+ * @param {number} [options.maxTotalSize] - Most uncompressed bytes accepted for all files together.
+ * @yields {{ name: string, data: Buffer }}
+ * @throws {Error} If the archive is malformed, encrypted or too large.
+ */
+export function* readZipEntries(buffer, { maxEntrySize = Infinity, maxEntries = Infinity, maxTotalSize = Infinity } = {}) {
+  let totalSize = 0;
+
+  for (const { name, flags, method, compressedSize, size, dataStart } of readDirectory(buffer, maxEntries)) {
+    if (flags & 1) {
+      throw new Error(`${name} is encrypted`);
+    }
+    if (size > maxEntrySize) {
+      throw new Error(`${name} is too large`);
+    }
+
+    // Inflating stops at the declared size, so the declared sizes bound the total
+    totalSize += size;
+    if (totalSize > maxTotalSize) {
+      throw new Error('The archive is too large once extracted');
+    }
+
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === STORED) {
+      if (compressedSize !== size) {
+        throw new Error('Corrupt zip archive');
+      }
+      yield { name, data: Buffer.from(raw) };
+    } else if (method === DEFLATED) {
+      yield { name, data: zlib.inflateRawSync(raw, { maxOutputLength: Math.max(size, 1) }) };
+    } else {
+      throw new Error(`${name} uses an unsupported compression method`);
+    }
+  }
+}
+
+/**
+ * Read all files of a zip archive. Folders are skipped.
+ * @param {Buffer} buffer - The archive.
+ * @param {Object} [options] - Limits, see readZipEntries.
+ * @returns {Array<{ name: string, data: Buffer }>}
+ * @throws {Error} If the archive is malformed, encrypted or too large.
+ */
+export const readZip = (buffer, options) => [...readZipEntries(buffer, options)];